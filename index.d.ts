@@ -1,2 +1,3 @@
 export * from "./src/nes";
 export * from "./src/controller";
+export * from "./src/movie";
@@ -6,6 +6,8 @@ export class Controller {
   state: number[];
   buttonDown: (key: ControllerKey) => void;
   buttonUp: (key: ControllerKey) => void;
+  getButtons: () => number;
+  setButtons: (buttons: number) => void;
 
   static readonly BUTTON_A = 0;
   static readonly BUTTON_B = 1;
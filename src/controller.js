@@ -22,6 +22,25 @@ class Controller {
   buttonUp(key) {
     this.state[key] = 0x40;
   }
+
+  // Returns the pressed buttons as a bit mask, with bit n set if button n
+  // (see BUTTON_*) is down.
+  getButtons() {
+    let buttons = 0;
+    for (let i = 0; i < 8; i++) {
+      if (this.state[i] === 0x41) {
+        buttons |= 1 << i;
+      }
+    }
+    return buttons;
+  }
+
+  // Presses exactly the buttons in a mask returned by getButtons().
+  setButtons(buttons) {
+    for (let i = 0; i < 8; i++) {
+      this.state[i] = buttons & (1 << i) ? 0x41 : 0x40;
+    }
+  }
 }
 
 export default Controller;
@@ -1,3 +1,4 @@
+import { REGIONS } from "./region.js";
 import { fromJSON, toJSON } from "./utils.js";
 
 class CPU {
@@ -70,7 +71,7 @@ class CPU {
     this.dataBus = 0;
 
     // PPU catch-up state: On real hardware, the CPU and PPU advance in
-    // lockstep (3 PPU dots per CPU cycle). This emulator runs CPU
+    // lockstep (3 PPU dots per CPU cycle, 3.2 on PAL). This emulator runs CPU
     // instructions atomically and then advances the PPU, so mid-instruction
     // PPU register accesses would see stale state without catch-up.
     // Before any PPU register read/write ($2000-$3FFF), we advance the PPU
@@ -80,6 +81,24 @@ class CPU {
     this.ppuCatchupDots = 0; // PPU dots already advanced mid-instruction
     this.ppuFrameEnded = false; // set if VBlank/NMI fired during catch-up
     this.apuCatchupCycles = 0; // APU frame counter cycles already advanced
+
+    // PPU dots per CPU cycle, as a fraction. On PAL, every fifth CPU cycle
+    // runs 4 dots instead of 3; ppuDotRemainder carries the fifths over.
+    // See cyclesToDots().
+    let region = nes.region || REGIONS.ntsc;
+    this.dotMultiplier = region.dotMultiplier;
+    this.dotDivisor = region.dotDivisor;
+    this.ppuDotRemainder = 0;
+  }
+
+  // Converts CPU cycles that have run to the number of PPU dots they take.
+  cyclesToDots(cycles) {
+    if (this.dotDivisor === 1) {
+      return cycles * this.dotMultiplier;
+    }
+    let dots = this.ppuDotRemainder + cycles * this.dotMultiplier;
+    this.ppuDotRemainder = dots % this.dotDivisor;
+    return (dots - this.ppuDotRemainder) / this.dotDivisor;
   }
 
   // Emulates a single CPU instruction, returns the number of cycles
@@ -1702,7 +1721,12 @@ class CPU {
   // See https://www.nesdev.org/wiki/Catch-up
   _ppuCatchUp() {
     let ppu = this.nes.ppu;
-    let targetDots = this.instrBusCycles * 3;
+    // Like cyclesToDots(), but without using up the remainder, which the
+    // frame loop does once the instruction is done:
+    let targetDots = Math.floor(
+      (this.ppuDotRemainder + this.instrBusCycles * this.dotMultiplier) /
+        this.dotDivisor,
+    );
     while (this.ppuCatchupDots < targetDots) {
       if (
         ppu.curX === ppu.spr0HitX &&
@@ -1822,6 +1846,7 @@ class CPU {
   static JSON_PROPERTIES = [
     "mem",
     "cyclesToHalt",
+    "ppuDotRemainder",
     "irqRequested",
     "irqType",
     // Registers
@@ -1852,6 +1877,11 @@ class CPU {
 
   fromJSON(s) {
     fromJSON(this, s);
+    // States from before PAL support don't have the leftover fraction of a
+    // PPU dot, which is always 0 on NTSC (see savestate.js):
+    if (this.ppuDotRemainder === undefined) {
+      this.ppuDotRemainder = 0;
+    }
   }
 }
 
@@ -0,0 +1,45 @@
+import { NES } from "./nes";
+
+export interface BreakpointOptions {
+  bank?: number;
+  condition?: string | ((dbg: Debugger) => boolean) | null;
+}
+
+export interface WatchpointOptions {
+  type?: "read" | "write" | "readwrite";
+  space?: "cpu" | "ppu";
+  endAddress?: number;
+  condition?:
+    | string
+    | ((dbg: Debugger, access: { address: number; value: number }) => boolean)
+    | null;
+}
+
+export interface DebugBreak {
+  reason: "breakpoint" | "watchpoint" | "step" | "frame";
+  pc: number;
+  id?: number;
+  space?: "cpu" | "ppu";
+  type?: "read" | "write";
+  address?: number;
+  value?: number;
+}
+
+export class Debugger {
+  constructor(nes: NES);
+  nes: NES;
+  addBreakpoint(address: number, options?: BreakpointOptions): number;
+  addWatchpoint(address: number, options?: WatchpointOptions): number;
+  remove(id: number): void;
+  clear(): void;
+  isActive(): boolean;
+  isPaused(): boolean;
+  getBreak(): DebugBreak | null;
+  stepInstruction(): DebugBreak | null;
+  stepScanline(): DebugBreak | null;
+  stepOut(): DebugBreak | null;
+  runToFrameEnd(): DebugBreak | null;
+  getPC(): number;
+  getScanline(): number;
+  peek(address: number): number;
+}
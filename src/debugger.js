@@ -0,0 +1,446 @@
+import CPU from "./cpu.js";
+import PPU from "./ppu/index.js";
+import { compileExpression } from "./expression.js";
+
+// Opcodes that return from a subroutine or interrupt, for stepOut():
+const OPCODE_RTS = 0x60;
+const OPCODE_RTI = 0x40;
+
+// Debugger for NES.debugger: execution breakpoints, memory watchpoints and
+// stepping.
+//
+// While any breakpoint, watchpoint or step is set, NES.frame() asks the
+// debugger before every instruction whether to pause. Pausing leaves the
+// frame half run: the next call to frame() carries on from the same
+// instruction. When nothing is set the frame loop doesn't call in at all,
+// and watchpoints only hook into the CPU and PPU while there are some.
+//
+// Breaks are reported as { reason, pc, ... } objects, returned by the step
+// methods and passed to the NES onBreak option:
+//   { reason: "breakpoint", pc, id }
+//   { reason: "watchpoint", pc, id, space, type, address, value }
+//   { reason: "step", pc }
+//   { reason: "frame", pc }: the frame ended, see runToFrameEnd()
+// pc is the address of the next instruction to run.
+class Debugger {
+  constructor(nes) {
+    this.nes = nes;
+    this.nextId = 1;
+    this.breakpoints = [];
+    this.watchpoints = { cpu: [], ppu: [] };
+    // Running step, see stepInstruction() and friends:
+    this.step = null;
+    // Watchpoint hit during the current instruction:
+    this.pendingBreak = null;
+    // The break that paused emulation, until frame() resumes it:
+    this.lastBreak = null;
+    // Address of the instruction about to run, see beforeInstruction():
+    this.pc = 0;
+    this.resuming = false;
+    // Cleared to ignore everything while the rewind buffer replays frames:
+    this.enabled = true;
+  }
+
+  // Adds a breakpoint on executing the instruction at address, and returns
+  // its id. Options:
+  //   bank: only break when this 8KB PRG-ROM bank is mapped at address
+  //   condition: only break when this expression (see expression.js) or
+  //              function of the debugger is true
+  addBreakpoint(address, options = {}) {
+    const breakpoint = {
+      id: this.nextId++,
+      address: address & 0xffff,
+      bank: options.bank === undefined ? null : options.bank,
+      condition: makeCondition(options.condition),
+    };
+    this.breakpoints.push(breakpoint);
+    return breakpoint.id;
+  }
+
+  // Adds a watchpoint on reading or writing addresses from address to
+  // endAddress inclusive, and returns its id. Options:
+  //   type: "read", "write" or "readwrite" (the default)
+  //   space: "cpu" (the default), or "ppu" for PPU memory accessed through
+  //          $2007. Rendering doesn't trigger PPU watchpoints.
+  //   endAddress: last address watched, address by default
+  //   condition: as for addBreakpoint(). ADDRESS and VALUE give the access.
+  // The instruction that made the access runs to completion before pausing.
+  addWatchpoint(address, options = {}) {
+    const space = options.space || "cpu";
+    const type = options.type || "readwrite";
+    if (space !== "cpu" && space !== "ppu") {
+      throw new Error(`Unknown watchpoint space: ${space}`);
+    }
+    if (type !== "read" && type !== "write" && type !== "readwrite") {
+      throw new Error(`Unknown watchpoint type: ${type}`);
+    }
+    const watchpoint = {
+      id: this.nextId++,
+      space: space,
+      read: type !== "write",
+      write: type !== "read",
+      address: address,
+      endAddress:
+        options.endAddress === undefined ? address : options.endAddress,
+      condition: makeCondition(options.condition),
+    };
+    this.watchpoints[space].push(watchpoint);
+    this.attach();
+    return watchpoint.id;
+  }
+
+  // Removes a breakpoint or watchpoint by id.
+  remove(id) {
+    this.breakpoints = this.breakpoints.filter(function (breakpoint) {
+      return breakpoint.id !== id;
+    });
+    for (const space in this.watchpoints) {
+      this.watchpoints[space] = this.watchpoints[space].filter(
+        function (watchpoint) {
+          return watchpoint.id !== id;
+        },
+      );
+    }
+    this.attach();
+  }
+
+  // Removes all breakpoints and watchpoints.
+  clear() {
+    this.breakpoints = [];
+    this.watchpoints = { cpu: [], ppu: [] };
+    this.attach();
+  }
+
+  // Returns true if frame() needs to check in before every instruction.
+  isActive() {
+    return (
+      this.enabled &&
+      (this.breakpoints.length > 0 ||
+        this.watchpoints.cpu.length > 0 ||
+        this.watchpoints.ppu.length > 0 ||
+        this.step !== null)
+    );
+  }
+
+  // Returns true while emulation is paused in the middle of a frame.
+  isPaused() {
+    return this.nes.framePaused;
+  }
+
+  // Returns the break that paused emulation, or null.
+  getBreak() {
+    return this.lastBreak;
+  }
+
+  // Runs one instruction (or interrupt) and pauses. Returns the break.
+  stepInstruction() {
+    return this.runStep({ type: "instruction", instructions: 0 });
+  }
+
+  // Runs until the PPU starts the next scanline and pauses. Returns the
+  // break.
+  stepScanline() {
+    return this.runStep({ type: "scanline", scanline: this.nes.ppu.scanline });
+  }
+
+  // Runs until the current subroutine or interrupt handler returns and
+  // pauses. This runs the rest of the current frame at most: if it ends
+  // first, null is returned and the step completes during a later frame().
+  stepOut() {
+    const sp = this.nes.cpu.REG_SP & 0xff;
+    return this.runStep({ type: "out", sp: sp, opcode: -1 });
+  }
+
+  // Runs the rest of the current frame. Returns the break, which is a
+  // breakpoint or watchpoint if one was hit first.
+  runToFrameEnd() {
+    return this.runStep({ type: "frame" });
+  }
+
+  runStep(step) {
+    this.step = step;
+    this.lastBreak = null;
+    this.nes.frame();
+    return this.lastBreak;
+  }
+
+  // Called by NES.frame() before each instruction while isActive(). Returns
+  // true to pause before running it.
+  beforeInstruction() {
+    const pc = this.getNextPC();
+    this.pc = pc;
+    let event = this.pendingBreak;
+    this.pendingBreak = null;
+
+    // Don't break on the instruction that was paused at again:
+    const resuming = this.resuming;
+    this.resuming = false;
+    if (event === null && !resuming) {
+      event = this.checkBreakpoints(pc);
+    }
+    if (event === null && this.step !== null) {
+      event = this.checkStep(pc);
+    }
+    if (event === null) {
+      return false;
+    }
+    this.pause(event);
+    return true;
+  }
+
+  // Called by NES.frame() at the end of a frame while isActive(). Steps
+  // that were due by now end with the frame.
+  afterFrame() {
+    const step = this.step;
+    let event = this.pendingBreak;
+    this.pendingBreak = null;
+    if (
+      event === null &&
+      step !== null &&
+      (step.type === "frame" ||
+        step.type === "scanline" ||
+        (step.type === "instruction" && step.instructions > 0))
+    ) {
+      event = { reason: step.type === "frame" ? "frame" : "step" };
+    }
+    if (event !== null) {
+      event.pc = this.getNextPC();
+      this.step = null;
+      this.lastBreak = event;
+      this.report(event);
+    }
+  }
+
+  pause(event) {
+    event.pc = this.pc;
+    this.step = null;
+    this.lastBreak = event;
+    this.resuming = true;
+  }
+
+  // Passes a break to the onBreak option. Called by NES.frame() once the
+  // frame loop has stopped.
+  report(event) {
+    if (this.nes.opts.onBreak) {
+      this.nes.opts.onBreak(event);
+    }
+  }
+
+  checkBreakpoints(pc) {
+    const breakpoints = this.breakpoints;
+    for (let i = 0; i < breakpoints.length; i++) {
+      const breakpoint = breakpoints[i];
+      if (
+        breakpoint.address === pc &&
+        (breakpoint.bank === null ||
+          this.nes.mmap.getPrgBank(pc) === breakpoint.bank) &&
+        (breakpoint.condition === null || breakpoint.condition(this, null))
+      ) {
+        return { reason: "breakpoint", id: breakpoint.id };
+      }
+    }
+    return null;
+  }
+
+  checkStep(pc) {
+    const step = this.step;
+    switch (step.type) {
+      case "instruction":
+        if (step.instructions++ > 0) {
+          return { reason: "step" };
+        }
+        break;
+      case "scanline":
+        if (this.nes.ppu.scanline !== step.scanline) {
+          return { reason: "step" };
+        }
+        break;
+      case "out":
+        // Done once an RTS or RTI has pulled the stack above where it was:
+        if (
+          (step.opcode === OPCODE_RTS || step.opcode === OPCODE_RTI) &&
+          (this.nes.cpu.REG_SP & 0xff) > step.sp
+        ) {
+          return { reason: "step" };
+        }
+        step.opcode = this.peek(pc);
+        break;
+    }
+    return null;
+  }
+
+  // Returns the address of the next instruction, or of the interrupt
+  // handler if the CPU is about to take an interrupt.
+  getNextPC() {
+    const cpu = this.nes.cpu;
+    if (cpu.irqRequested) {
+      let vector = -1;
+      if (cpu.irqType === cpu.IRQ_NMI) {
+        vector = 0xfffa;
+      } else if (cpu.irqType === cpu.IRQ_RESET) {
+        vector = 0xfffc;
+      } else if (cpu.F_INTERRUPT === 0) {
+        vector = 0xfffe;
+      }
+      if (vector !== -1) {
+        return this.peek(vector) | (this.peek(vector + 1) << 8);
+      }
+    }
+    return (cpu.REG_PC + 1) & 0xffff;
+  }
+
+  // Returns the address of the instruction the CPU is at.
+  getPC() {
+    return this.pc;
+  }
+
+  // Returns the PPU scanline, numbered from -1 for the pre-render line.
+  getScanline() {
+    const ppu = this.nes.ppu;
+    const scanline = ppu.scanline - 21;
+    return scanline < -1 ? scanline + ppu.lastScanline + 1 : scanline;
+  }
+
+  // Reads CPU memory without side effects. I/O registers ($2000-$5FFF) read
+  // as 0.
+  peek(address) {
+    if (address < 0x2000) {
+      return this.nes.cpu.mem[address & 0x7ff];
+    } else if (address < 0x6000) {
+      return 0;
+    }
+    return this.nes.cpu.mem[address];
+  }
+
+  // Hooks watchpoints into the CPU and PPU, which may have been replaced by
+  // NES.reset(), or unhooks them when there are none.
+  attach() {
+    const nes = this.nes;
+    if (this.watchpoints.cpu.length > 0) {
+      hookCpu(nes.cpu, this);
+    } else {
+      unhook(nes.cpu, CPU_HOOKS);
+    }
+    if (this.watchpoints.ppu.length > 0) {
+      hookPpu(nes.ppu, this);
+    } else {
+      unhook(nes.ppu, PPU_HOOKS);
+    }
+  }
+
+  // Called by NES.reset(): whatever was paused is gone.
+  reset() {
+    this.pendingBreak = null;
+    this.resuming = false;
+    this.attach();
+  }
+
+  onAccess(space, read, address, value) {
+    if (this.pendingBreak !== null || !this.enabled) {
+      return;
+    }
+    const watchpoints = this.watchpoints[space];
+    for (let i = 0; i < watchpoints.length; i++) {
+      const watchpoint = watchpoints[i];
+      if (
+        (read ? watchpoint.read : watchpoint.write) &&
+        address >= watchpoint.address &&
+        address <= watchpoint.endAddress
+      ) {
+        const access = {
+          reason: "watchpoint",
+          id: watchpoint.id,
+          space: space,
+          type: read ? "read" : "write",
+          address: address,
+          value: value,
+        };
+        if (
+          watchpoint.condition === null ||
+          watchpoint.condition(this, access)
+        ) {
+          this.pendingBreak = access;
+          return;
+        }
+      }
+    }
+  }
+}
+
+function makeCondition(condition) {
+  if (condition === undefined || condition === null) {
+    return null;
+  }
+  if (typeof condition === "function") {
+    return condition;
+  }
+  const expression = compileExpression(String(condition));
+  return function (dbg, access) {
+    return expression(dbg, access) !== 0;
+  };
+}
+
+// CPU and PPU methods that watchpoints wrap. The wrappers are set on the
+// instances, shadowing the prototype methods until unhook() deletes them.
+const CPU_HOOKS = ["load", "load16bit", "write", "push", "pull"];
+const PPU_HOOKS = ["vramLoad", "vramWrite"];
+
+function hookCpu(cpu, dbg) {
+  if (Object.hasOwn(cpu, "load")) {
+    return;
+  }
+  const proto = CPU.prototype;
+  cpu.load = function (address) {
+    const value = proto.load.call(this, address);
+    dbg.onAccess("cpu", true, address & 0xffff, value);
+    return value;
+  };
+  cpu.load16bit = function (address) {
+    const value = proto.load16bit.call(this, address);
+    dbg.onAccess("cpu", true, address & 0xffff, value & 0xff);
+    dbg.onAccess("cpu", true, (address + 1) & 0xffff, value >> 8);
+    return value;
+  };
+  cpu.write = function (address, value) {
+    proto.write.call(this, address, value);
+    dbg.onAccess("cpu", false, address & 0xffff, value);
+  };
+  cpu.push = function (value) {
+    const address = 0x100 | (this.REG_SP & 0xff);
+    proto.push.call(this, value);
+    dbg.onAccess("cpu", false, address, value);
+  };
+  cpu.pull = function () {
+    const value = proto.pull.call(this);
+    dbg.onAccess("cpu", true, 0x100 | (this.REG_SP & 0xff), value);
+    return value;
+  };
+}
+
+function hookPpu(ppu, dbg) {
+  if (Object.hasOwn(ppu, "vramLoad")) {
+    return;
+  }
+  const proto = PPU.prototype;
+  // The VRAM address has moved on by the time these return:
+  function lastAddress(ppu) {
+    return (ppu.vramAddress - (ppu.f_addrInc === 1 ? 32 : 1)) & 0x3fff;
+  }
+  ppu.vramLoad = function () {
+    const value = proto.vramLoad.call(this);
+    dbg.onAccess("ppu", true, lastAddress(this), value);
+    return value;
+  };
+  ppu.vramWrite = function (value) {
+    proto.vramWrite.call(this, value);
+    dbg.onAccess("ppu", false, lastAddress(this), value);
+  };
+}
+
+function unhook(target, methods) {
+  for (const method of methods) {
+    delete target[method];
+  }
+}
+
+export default Debugger;
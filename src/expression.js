@@ -0,0 +1,270 @@
+// Conditions for debugger breakpoints and watchpoints, such as
+// "A == $10 && [$0300] > 5". Expressions are C-like integer arithmetic over:
+//
+//   numbers     decimal, $hex or 0xhex
+//   registers   A, X, Y, SP, PC and P, and the flags C, Z, I, D, V and N
+//   [address]   a byte of CPU memory (see Debugger.peek())
+//   SCANLINE    the PPU scanline, -1 for the pre-render line to 260 (310 on
+//               PAL and Dendy)
+//   DOT         the PPU dot within the scanline
+//   FRAME       NES.frameCount
+//   ADDRESS     for watchpoints, the address being read or written
+//   VALUE       for watchpoints, the value read or written
+//
+// with the operators, from lowest to highest precedence: || && | ^ & == !=
+// < <= > >= << >> + - * / % and the unary ! - ~. Comparisons and logical
+// operators give 1 or 0, and a condition is met when it isn't 0. Names
+// aren't case-sensitive.
+
+const TOKEN_REGEX =
+  /\s*(?:(\$[0-9a-f]+|0x[0-9a-f]+|\d+)|([a-z_]\w*)|(\|\||&&|==|!=|<=|>=|<<|>>|[-+*/%&|^!~<>()[\]]))/iy;
+
+// Binary operators by precedence level, lowest first:
+const BINARY_OPERATORS = [
+  {
+    "||": function (a, b) {
+      return a !== 0 || b !== 0 ? 1 : 0;
+    },
+  },
+  {
+    "&&": function (a, b) {
+      return a !== 0 && b !== 0 ? 1 : 0;
+    },
+  },
+  {
+    "|": function (a, b) {
+      return a | b;
+    },
+  },
+  {
+    "^": function (a, b) {
+      return a ^ b;
+    },
+  },
+  {
+    "&": function (a, b) {
+      return a & b;
+    },
+  },
+  {
+    "==": function (a, b) {
+      return a === b ? 1 : 0;
+    },
+    "!=": function (a, b) {
+      return a !== b ? 1 : 0;
+    },
+  },
+  {
+    "<": function (a, b) {
+      return a < b ? 1 : 0;
+    },
+    "<=": function (a, b) {
+      return a <= b ? 1 : 0;
+    },
+    ">": function (a, b) {
+      return a > b ? 1 : 0;
+    },
+    ">=": function (a, b) {
+      return a >= b ? 1 : 0;
+    },
+  },
+  {
+    "<<": function (a, b) {
+      return a << b;
+    },
+    ">>": function (a, b) {
+      return a >> b;
+    },
+  },
+  {
+    "+": function (a, b) {
+      return a + b;
+    },
+    "-": function (a, b) {
+      return a - b;
+    },
+  },
+  {
+    "*": function (a, b) {
+      return a * b;
+    },
+    "/": function (a, b) {
+      return b === 0 ? 0 : Math.trunc(a / b);
+    },
+    "%": function (a, b) {
+      return b === 0 ? 0 : a % b;
+    },
+  },
+];
+
+const UNARY_OPERATORS = {
+  "!": function (a) {
+    return a === 0 ? 1 : 0;
+  },
+  "-": function (a) {
+    return -a;
+  },
+  "~": function (a) {
+    return ~a;
+  },
+};
+
+// Values of names, given the Debugger and the watchpoint access if any:
+const VARIABLES = {
+  A: function (dbg) {
+    return dbg.nes.cpu.REG_ACC;
+  },
+  X: function (dbg) {
+    return dbg.nes.cpu.REG_X;
+  },
+  Y: function (dbg) {
+    return dbg.nes.cpu.REG_Y;
+  },
+  SP: function (dbg) {
+    return dbg.nes.cpu.REG_SP & 0xff;
+  },
+  PC: function (dbg) {
+    return dbg.getPC();
+  },
+  P: function (dbg) {
+    return dbg.nes.cpu.getStatus();
+  },
+  C: function (dbg) {
+    return dbg.nes.cpu.getStatus() & 1;
+  },
+  Z: function (dbg) {
+    return (dbg.nes.cpu.getStatus() >> 1) & 1;
+  },
+  I: function (dbg) {
+    return (dbg.nes.cpu.getStatus() >> 2) & 1;
+  },
+  D: function (dbg) {
+    return (dbg.nes.cpu.getStatus() >> 3) & 1;
+  },
+  V: function (dbg) {
+    return (dbg.nes.cpu.getStatus() >> 6) & 1;
+  },
+  N: function (dbg) {
+    return (dbg.nes.cpu.getStatus() >> 7) & 1;
+  },
+  SCANLINE: function (dbg) {
+    return dbg.getScanline();
+  },
+  DOT: function (dbg) {
+    return dbg.nes.ppu.curX;
+  },
+  FRAME: function (dbg) {
+    return dbg.nes.frameCount;
+  },
+  ADDRESS: function (dbg, access) {
+    return access ? access.address : 0;
+  },
+  VALUE: function (dbg, access) {
+    return access ? access.value : 0;
+  },
+};
+
+// Compiles an expression into a function of (debugger, access) that returns
+// its value. Throws if the expression isn't valid.
+export function compileExpression(source) {
+  const tokens = tokenize(source);
+  let pos = 0;
+
+  function fail(message) {
+    throw new Error(`Invalid expression "${source}": ${message}`);
+  }
+
+  function parseBinary(level) {
+    if (level === BINARY_OPERATORS.length) {
+      return parseUnary();
+    }
+    const operators = BINARY_OPERATORS[level];
+    let left = parseBinary(level + 1);
+    while (pos < tokens.length && Object.hasOwn(operators, tokens[pos])) {
+      const op = operators[tokens[pos++]];
+      const a = left;
+      const b = parseBinary(level + 1);
+      left = function (dbg, access) {
+        return op(a(dbg, access), b(dbg, access));
+      };
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    const token = tokens[pos];
+    if (Object.hasOwn(UNARY_OPERATORS, token)) {
+      pos++;
+      const op = UNARY_OPERATORS[token];
+      const a = parseUnary();
+      return function (dbg, access) {
+        return op(a(dbg, access));
+      };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = tokens[pos++];
+    if (token === undefined) {
+      fail("unexpected end");
+    }
+    if (token === "(" || token === "[") {
+      const inner = parseBinary(0);
+      const close = token === "(" ? ")" : "]";
+      if (tokens[pos++] !== close) {
+        fail(`expected "${close}"`);
+      }
+      if (token === "(") {
+        return inner;
+      }
+      return function (dbg, access) {
+        return dbg.peek(inner(dbg, access) & 0xffff);
+      };
+    }
+    if (typeof token === "number") {
+      return function () {
+        return token;
+      };
+    }
+    const name = token.toUpperCase();
+    if (!Object.hasOwn(VARIABLES, name)) {
+      fail(`unexpected "${token}"`);
+    }
+    return VARIABLES[name];
+  }
+
+  const expression = parseBinary(0);
+  if (pos < tokens.length) {
+    fail(`unexpected "${tokens[pos]}"`);
+  }
+  return expression;
+}
+
+// Splits an expression into numbers and strings for names and operators.
+function tokenize(source) {
+  const tokens = [];
+  const end = source.trimEnd().length;
+  TOKEN_REGEX.lastIndex = 0;
+  while (TOKEN_REGEX.lastIndex < end) {
+    const start = TOKEN_REGEX.lastIndex;
+    const match = TOKEN_REGEX.exec(source);
+    if (match === null) {
+      const rest = source.slice(start).trim();
+      throw new Error(
+        `Invalid expression "${source}": unexpected "${rest[0]}"`,
+      );
+    }
+    if (match[1] !== undefined) {
+      const number = match[1];
+      if (number[0] === "$") {
+        tokens.push(parseInt(number.slice(1), 16));
+      } else {
+        tokens.push(parseInt(number, /^0x/i.test(number) ? 16 : 10));
+      }
+    } else {
+      tokens.push(match[2] !== undefined ? match[2] : match[3]);
+    }
+  }
+  return tokens;
+}
@@ -1,5 +1,6 @@
 import Controller from "./controller.js";
 import GameGenie from "./gamegenie.js";
+import Movie from "./movie.js";
 import NES from "./nes.js";
 
-export { Controller, GameGenie, NES };
+export { Controller, GameGenie, Movie, NES };
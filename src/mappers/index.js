@@ -5,13 +5,35 @@ import Mapper3 from "./mapper3.js";
 import Mapper4 from "./mapper4.js";
 import Mapper5 from "./mapper5.js";
 import Mapper7 from "./mapper7.js";
+import Mapper9 from "./mapper9.js";
+import Mapper10 from "./mapper10.js";
 import Mapper11 from "./mapper11.js";
+import Mapper16 from "./mapper16.js";
+import Mapper18 from "./mapper18.js";
+import Mapper19 from "./mapper19.js";
+import Mapper20 from "./mapper20.js";
+import Mapper21 from "./mapper21.js";
+import Mapper24 from "./mapper24.js";
+import Mapper32 from "./mapper32.js";
+import Mapper33 from "./mapper33.js";
 import Mapper34 from "./mapper34.js";
 import Mapper38 from "./mapper38.js";
+import Mapper64 from "./mapper64.js";
+import Mapper65 from "./mapper65.js";
 import Mapper66 from "./mapper66.js";
+import Mapper67 from "./mapper67.js";
+import Mapper68 from "./mapper68.js";
+import Mapper69 from "./mapper69.js";
+import Mapper78 from "./mapper78.js";
+import Mapper80 from "./mapper80.js";
+import Mapper82 from "./mapper82.js";
+import Mapper85 from "./mapper85.js";
 import Mapper94 from "./mapper94.js";
+import Mapper118 from "./mapper118.js";
+import Mapper119 from "./mapper119.js";
 import Mapper140 from "./mapper140.js";
 import Mapper180 from "./mapper180.js";
+import Mapper206 from "./mapper206.js";
 import Mapper240 from "./mapper240.js";
 import Mapper241 from "./mapper241.js";
 
@@ -23,13 +45,46 @@ export default {
   4: Mapper4,
   5: Mapper5,
   7: Mapper7,
+  9: Mapper9,
+  10: Mapper10,
   11: Mapper11,
+  16: Mapper16,
+  18: Mapper18,
+  19: Mapper19,
+  20: Mapper20,
+  21: Mapper21,
+  22: Mapper21,
+  23: Mapper21,
+  24: Mapper24,
+  25: Mapper21,
+  26: Mapper24,
+  32: Mapper32,
+  33: Mapper33,
   34: Mapper34,
   38: Mapper38,
+  48: Mapper33,
+  64: Mapper64,
+  65: Mapper65,
   66: Mapper66,
+  67: Mapper67,
+  68: Mapper68,
+  69: Mapper69,
+  78: Mapper78,
+  80: Mapper80,
+  82: Mapper82,
+  85: Mapper85,
+  88: Mapper206,
   94: Mapper94,
+  95: Mapper206,
+  118: Mapper118,
+  119: Mapper119,
   140: Mapper140,
+  153: Mapper16,
+  154: Mapper206,
+  159: Mapper16,
   180: Mapper180,
+  206: Mapper206,
+  207: Mapper80,
   240: Mapper240,
   241: Mapper241,
 };
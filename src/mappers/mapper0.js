@@ -3,6 +3,16 @@ import { copyArrayElements } from "../utils.js";
 class Mapper0 {
   constructor(nes) {
     this.nes = nes;
+    // The 8KB PRG-ROM banks mapped at $8000, $A000, $C000 and $E000, or -1
+    // where there's no ROM. Kept up to date by the load*RomBank() methods
+    // for the debugger, see getPrgBank().
+    this.prgBanks = [-1, -1, -1, -1];
+    // Whether the PPU should also pass pattern fetches of tiles $FD and $FE
+    // to latchAccess() while rendering, see MMC2.
+    this.tileLatches = false;
+    // Whether the PPU should get each background tile from fetchBgTile()
+    // while rendering, instead of from the nametables, see MMC5.
+    this.bgTileFetches = false;
   }
 
   reset() {
@@ -25,6 +35,7 @@ class Mapper0 {
       // Cartridge SRAM (0x6000-0x7FFF)
       this.nes.cpu.mem[address] = value;
       this.nes.opts.onBatteryRamWrite(address, value);
+      this.nes.batteryRamDirty = true;
     } else if (address > 0x4017) {
       // Cartridge expansion area (0x4018-0x5FFF)
       this.nes.cpu.mem[address] = value;
@@ -317,9 +328,6 @@ class Mapper0 {
     // Load CHR-ROM:
     this.loadCHRROM();
 
-    // Load Battery RAM (if present):
-    this.loadBatteryRam();
-
     // Reset IRQ:
     //nes.getCpu().doResetInterrupt();
     this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
@@ -352,19 +360,30 @@ class Mapper0 {
     }
   }
 
-  loadBatteryRam() {
-    if (this.nes.rom.batteryRam) {
-      let ram = this.nes.rom.batteryRam;
-      if (ram !== null && ram.length === 0x2000) {
-        // Load Battery RAM into memory:
-        copyArrayElements(ram, 0, this.nes.cpu.mem, 0x6000, 0x2000);
-      }
+  // Battery-backed save RAM. Most carts keep it in PRG-RAM at $6000-$7FFF;
+  // mappers that store saves elsewhere (internal RAM, serial EEPROM)
+  // override these three methods.
+  getBatteryRamSize() {
+    if (!this.nes.rom.batteryRam) {
+      return 0;
     }
+    return Math.min(this.nes.rom.prgNvramSize, 0x2000);
+  }
+
+  getBatteryRam() {
+    return this.nes.cpu.mem.slice(0x6000, 0x6000 + this.getBatteryRamSize());
+  }
+
+  setBatteryRam(data) {
+    const size = Math.min(data.length, this.getBatteryRamSize());
+    this.nes.cpu.mem.set(data.subarray(0, size), 0x6000);
   }
 
   loadRomBank(bank, address) {
     // Loads a ROM bank into the specified address.
     bank %= this.nes.rom.romCount;
+    this.setPrgBank(address, bank * 2);
+    this.setPrgBank(address + 0x2000, bank * 2 + 1);
     //let data = this.nes.rom.rom[bank];
     //cpuMem.write(address,data,data.length);
     copyArrayElements(
@@ -463,6 +482,7 @@ class Mapper0 {
   load8kRomBank(bank8k, address) {
     let bank16k = Math.floor(bank8k / 2) % this.nes.rom.romCount;
     let offset = (bank8k % 2) * 8192;
+    this.setPrgBank(address, bank16k * 2 + (bank8k % 2));
 
     //this.nes.cpu.mem.write(address,this.nes.rom.rom[bank16k],offset,8192);
     copyArrayElements(
@@ -474,13 +494,71 @@ class Mapper0 {
     );
   }
 
+  // Sets mirroring from the 2-bit encoding many mappers use: vertical,
+  // horizontal, one-screen from $2000 and one-screen from $2400.
+  setMirroringMode(mode) {
+    const rom = this.nes.rom;
+    switch (mode & 3) {
+      case 0:
+        this.nes.ppu.setMirroring(rom.VERTICAL_MIRRORING);
+        break;
+      case 1:
+        this.nes.ppu.setMirroring(rom.HORIZONTAL_MIRRORING);
+        break;
+      case 2:
+        this.nes.ppu.setMirroring(rom.SINGLESCREEN_MIRRORING);
+        break;
+      case 3:
+        this.nes.ppu.setMirroring(rom.SINGLESCREEN_MIRRORING2);
+        break;
+    }
+  }
+
   clockIrqCounter() {
     // Does nothing. This is used by the MMC3 mapper.
   }
 
   // eslint-disable-next-line no-unused-vars
   latchAccess(address) {
-    // Does nothing. This is used by MMC2.
+    // Called with pattern table addresses the PPU accesses through $2006
+    // and $2007, and while rendering if tileLatches is set. Does nothing.
+    // This is used by MMC2 and MMC4.
+  }
+
+  // eslint-disable-next-line no-unused-vars
+  fetchBgTile(column, scan) {
+    // Called for each tile of a background scanline while rendering if
+    // bgTileFetches is set, with the tile's column on screen (0 to 31) and
+    // the scanline. Returns { tile, attrib, row }: the Tile, its palette
+    // shifted left by 2, and which of its rows to draw. This is used by
+    // MMC5.
+    return null;
+  }
+
+  // eslint-disable-next-line no-unused-vars
+  clockCpu(cycles) {
+    // Called after each CPU instruction with the number of cycles it took,
+    // for mappers with CPU cycle IRQ counters or expansion audio.
+  }
+
+  getAudioSample() {
+    // Expansion audio output, mixed into both channels by PAPU.sample().
+    return 0;
+  }
+
+  setPrgBank(address, bank8k) {
+    if (address >= 0x8000) {
+      this.prgBanks[(address - 0x8000) >> 13] = bank8k;
+    }
+  }
+
+  // Returns the number of the 8KB PRG-ROM bank mapped at a CPU address, or
+  // -1 if it isn't ROM.
+  getPrgBank(address) {
+    if (address < 0x8000) {
+      return -1;
+    }
+    return this.prgBanks[(address - 0x8000) >> 13];
   }
 
   toJSON() {
@@ -488,13 +566,23 @@ class Mapper0 {
       joy1StrobeState: this.joy1StrobeState,
       joy2StrobeState: this.joy2StrobeState,
       joypadLastWrite: this.joypadLastWrite,
+      prgBanks: this.prgBanks.slice(),
     };
   }
 
+  // The state for save states: toJSON()'s, but mappers with large typed
+  // arrays can leave them typed, which savestate.js stores compactly.
+  toState() {
+    return this.toJSON();
+  }
+
   fromJSON(s) {
     this.joy1StrobeState = s.joy1StrobeState;
     this.joy2StrobeState = s.joy2StrobeState;
     this.joypadLastWrite = s.joypadLastWrite;
+    // States from before the debugger don't say which banks are mapped, so
+    // bank breakpoints can't match until the game switches banks:
+    this.prgBanks = s.prgBanks ? s.prgBanks.slice() : [-1, -1, -1, -1];
   }
 }
 
@@ -217,9 +217,6 @@ class Mapper1 extends Mapper0 {
     // Load CHR-ROM:
     this.loadCHRROM();
 
-    // Load Battery RAM (if present):
-    this.loadBatteryRam();
-
     // Do Reset-Interrupt:
     this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
   }
@@ -0,0 +1,45 @@
+import Mapper9 from "./mapper9.js";
+
+/**
+ * Mapper 010 (MMC4, FxROM)
+ *
+ * MMC2 with 16KB PRG-ROM banks, and both latches switching on any row of
+ * tiles $FD and $FE.
+ *
+ * @description http://wiki.nesdev.com/w/index.php/MMC4
+ * @example Fire Emblem, Famicom Wars
+ */
+class Mapper10 extends Mapper9 {
+  constructor(nes) {
+    super(nes);
+  }
+
+  // Selects the switchable 16KB bank at $8000.
+  loadPrgBank(value) {
+    this.loadRomBank(value & 0x0f, 0x8000);
+  }
+
+  isLatchRow(half, address) {
+    return (address & 0x08) !== 0;
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) {
+      throw new Error("MMC4: Invalid ROM! Unable to load.");
+    }
+    this.reset();
+
+    // Load PRG-ROM, the last 16KB bank is fixed:
+    this.loadRomBank(0, 0x8000);
+    this.loadRomBank(this.nes.rom.romCount - 1, 0xc000);
+
+    // Load CHR-ROM:
+    this.loadChrBank(0);
+    this.loadChrBank(1);
+
+    // Do Reset-Interrupt:
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+}
+
+export default Mapper10;
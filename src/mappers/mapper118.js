@@ -0,0 +1,85 @@
+import Mapper4 from "./mapper4.js";
+
+/**
+ * Mapper 118 (TxSROM)
+ *
+ * An MMC3 whose CHR A17 line drives the nametable RAM (CIRAM) A10 line
+ * instead of the mirroring register. Each 1KB nametable uses the CIRAM page
+ * in bit 7 of the CHR bank that the matching 1KB of $0000-$0FFF holds, so
+ * with R0 and R1 there, each picks the page for half of the nametables, and
+ * inverted, R2-R5 pick one each. That's emulated with PPU memory pages (see
+ * PPU.setMemoryPage()).
+ *
+ * @description https://www.nesdev.org/wiki/INES_Mapper_118
+ * @example Armadillo, Goal! Two, NES Play Action Football
+ */
+class Mapper118 extends Mapper4 {
+  reset() {
+    super.reset();
+    // CIRAM page for each nametable:
+    this.nametableRegs = [0, 0, 0, 0];
+    this.ciram = new Uint8Array(0x800);
+
+    // Pages for the PPU, one for each half of CIRAM:
+    this.ciramPages = [
+      { data: this.ciram.subarray(0, 0x400), writable: true },
+      { data: this.ciram.subarray(0x400), writable: true },
+    ];
+  }
+
+  write(address, value) {
+    // Mirroring comes from the CHR banks:
+    if (address === 0xa000) {
+      return;
+    }
+    super.write(address, value);
+  }
+
+  executeCommand(cmd, arg) {
+    // The 2KB banks ignore their low bit, which would otherwise carry into
+    // bit 7 of the second half:
+    if (cmd < 2) {
+      arg &= 0xfe;
+    }
+    super.executeCommand(cmd, arg);
+  }
+
+  load1kVromBank(bank1k, address) {
+    super.load1kVromBank(bank1k & 0x7f, address);
+    if (address < 0x1000) {
+      this.nametableRegs[address >> 10] = (bank1k >> 7) & 1;
+      this.updateNametables();
+    }
+  }
+
+  // Points each nametable at its CIRAM page.
+  updateNametables() {
+    const ppu = this.nes.ppu;
+    // The nametables are laid out by the pages, not mirroring:
+    ppu.setMirroring(this.nes.rom.FOURSCREEN_MIRRORING);
+    for (let i = 0; i < 4; i++) {
+      ppu.setMemoryPage(8 + i, this.ciramPages[this.nametableRegs[i]]);
+    }
+  }
+
+  loadROM() {
+    super.loadROM();
+    this.updateNametables();
+  }
+
+  toJSON() {
+    let s = super.toJSON();
+    s.nametableRegs = this.nametableRegs.slice();
+    s.ciram = Array.from(this.ciram);
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.nametableRegs = s.nametableRegs.slice();
+    this.ciram.set(s.ciram);
+    this.updateNametables();
+  }
+}
+
+export default Mapper118;
@@ -0,0 +1,57 @@
+import Mapper4 from "./mapper4.js";
+
+/**
+ * Mapper 119 (TQROM)
+ *
+ * An MMC3 board with both 64KB of CHR-ROM and 8KB of CHR-RAM. Bit 6 of each
+ * CHR bank selects the RAM, whose 1KB pages are shown with PPU memory pages
+ * (see PPU.setMemoryPage()).
+ *
+ * @description https://www.nesdev.org/wiki/INES_Mapper_119
+ * @example Pin-Bot, High Speed
+ */
+class Mapper119 extends Mapper4 {
+  reset() {
+    super.reset();
+    // The 1KB bank in each window of the pattern tables:
+    this.chrBanks = [0, 1, 2, 3, 4, 5, 6, 7];
+    this.chrRam = new Uint8Array(0x2000);
+
+    // Pages for the PPU, one for each 1KB of CHR-RAM:
+    this.chrRamPages = [];
+    for (let i = 0; i < 8; i++) {
+      this.chrRamPages.push({
+        data: this.chrRam.subarray(i << 10, (i + 1) << 10),
+        writable: true,
+      });
+    }
+  }
+
+  load1kVromBank(bank1k, address) {
+    const window = address >> 10;
+    this.chrBanks[window] = bank1k;
+    if (bank1k & 0x40) {
+      this.nes.ppu.setMemoryPage(window, this.chrRamPages[bank1k & 7]);
+    } else {
+      this.nes.ppu.setMemoryPage(window, null);
+      super.load1kVromBank(bank1k & 0x3f, address);
+    }
+  }
+
+  toJSON() {
+    let s = super.toJSON();
+    s.chrBanks = this.chrBanks.slice();
+    s.chrRam = Array.from(this.chrRam);
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.chrRam.set(s.chrRam);
+    for (let i = 0; i < 8; i++) {
+      this.load1kVromBank(s.chrBanks[i], i << 10);
+    }
+  }
+}
+
+export default Mapper119;
@@ -0,0 +1,243 @@
+import Mapper0 from "./mapper0.js";
+import SerialEeprom from "./serial-eeprom.js";
+
+/**
+ * Mappers 016, 153 and 159 (Bandai FCG and LZ93D50)
+ *
+ * One implementation for all of Bandai's boards, configured from the mapper
+ * number and NES 2.0 submapper. The FCG-1 and FCG-2 take register writes at
+ * $6000-$7FFF, and mapper 16 submapper 4 is those. The LZ93D50 takes them at
+ * $8000-$FFFF and latches its IRQ counter, and submapper 5 is that with a
+ * 24C02 EEPROM. Submapper 0 (iNES 1.0 and unknown) listens at both, with
+ * the EEPROM. Mapper 159 is the LZ93D50 with a 24C01 EEPROM, and mapper 153
+ * is the LZ93D50 with 8KB of battery-backed PRG-RAM and 512KB of PRG-ROM.
+ *
+ * @description https://www.nesdev.org/wiki/Bandai_FCG_board
+ * @example Dragon Ball Z II, SD Gundam Gaiden, Famicom Jump II (153), Magical Taruruuto-kun (159)
+ */
+class Mapper16 extends Mapper0 {
+  constructor(nes) {
+    super(nes);
+    this.hasFcgRegisters = true;
+    this.hasLz93d50Registers = true;
+    // 0 for no EEPROM, 128 for a 24C01 or 256 for a 24C02:
+    this.eepromSize = 256;
+    // Mapper 153's CHR registers select the PRG outer bank instead:
+    this.hasPrgOuterBank = false;
+  }
+
+  reset() {
+    super.reset();
+
+    this.chrRegs = new Array(8).fill(0);
+    this.prgBank = 0;
+    this.prgOuterBank = 0;
+    this.prgRamEnabled = false;
+    this.irqCounter = 0;
+    this.irqLatch = 0;
+    this.irqEnabled = false;
+    this.irqPending = false;
+    this.eeprom = this.eepromSize ? new SerialEeprom(this.eepromSize) : null;
+  }
+
+  write(address, value) {
+    if (address >= 0x8000) {
+      if (this.hasLz93d50Registers) {
+        this.writeRegister(address & 0xf, value, true);
+      }
+    } else if (address >= 0x6000) {
+      if (this.hasFcgRegisters) {
+        this.writeRegister(address & 0xf, value, false);
+      } else if (this.hasPrgOuterBank && this.prgRamEnabled) {
+        super.write(address, value);
+      }
+    } else {
+      // Writes to addresses other than MMC registers are handled by NoMapper.
+      super.write(address, value);
+    }
+  }
+
+  // Writes register 0 to $F. Writes to the LZ93D50's registers set the IRQ
+  // latch rather than the counter itself.
+  writeRegister(reg, value, latched) {
+    if (reg < 8) {
+      this.chrRegs[reg] = value;
+      if (!this.hasPrgOuterBank) {
+        // 1KB CHR-ROM bank:
+        this.load1kVromBank(value, reg << 10);
+      } else if (reg < 4) {
+        // Games write the same outer bank to all four:
+        this.prgOuterBank = value & 1;
+        this.updatePrgBanks();
+      }
+      return;
+    }
+
+    switch (reg) {
+      case 0x8:
+        // 16KB PRG-ROM bank at $8000:
+        this.prgBank = value & 0x0f;
+        this.updatePrgBanks();
+        break;
+
+      case 0x9:
+        this.setMirroringMode(value & 3);
+        break;
+
+      case 0xa:
+        // IRQ control, which acknowledges the IRQ:
+        this.irqEnabled = (value & 1) !== 0;
+        this.irqPending = false;
+        if (latched) {
+          this.irqCounter = this.irqLatch;
+        }
+        break;
+
+      case 0xb:
+        if (latched) {
+          this.irqLatch = (this.irqLatch & 0xff00) | value;
+        } else {
+          this.irqCounter = (this.irqCounter & 0xff00) | value;
+        }
+        break;
+
+      case 0xc:
+        if (latched) {
+          this.irqLatch = (this.irqLatch & 0x00ff) | (value << 8);
+        } else {
+          this.irqCounter = (this.irqCounter & 0x00ff) | (value << 8);
+        }
+        break;
+
+      case 0xd:
+        if (this.hasPrgOuterBank) {
+          this.prgRamEnabled = (value & 0x20) !== 0;
+        } else if (this.eeprom) {
+          // The EEPROM's clock and data lines:
+          if (this.eeprom.write((value >> 5) & 1, (value >> 6) & 1)) {
+            this.nes.batteryRamDirty = true;
+          }
+        }
+        break;
+    }
+  }
+
+  load(address) {
+    if (address < 0x6000 || address >= 0x8000) {
+      return super.load(address);
+    }
+    if (this.hasPrgOuterBank) {
+      return this.prgRamEnabled ? super.load(address) : this.nes.cpu.dataBus;
+    }
+    // The EEPROM's data line is read in bit 4, and the other bits are open
+    // bus:
+    const output = this.eeprom ? this.eeprom.output : 0;
+    return (this.nes.cpu.dataBus & 0xef) | (output << 4);
+  }
+
+  updatePrgBanks() {
+    // The last 16KB bank, within the outer bank, is fixed at $C000:
+    const outer = this.prgOuterBank << 4;
+    this.loadRomBank(outer | this.prgBank, 0x8000);
+    this.loadRomBank(outer | 0x0f, 0xc000);
+  }
+
+  clockCpu(cycles) {
+    if (this.irqEnabled) {
+      // The counter counts down every cycle, with an IRQ when it passes 0:
+      if (this.irqCounter < cycles) {
+        this.irqPending = true;
+      }
+      this.irqCounter = (this.irqCounter - cycles) & 0xffff;
+    }
+    if (this.irqPending) {
+      this.nes.cpu.requestIrq(this.nes.cpu.IRQ_NORMAL);
+    }
+  }
+
+  // The EEPROM is saved in place of battery-backed PRG-RAM. It keeps its
+  // contents without a battery, so it's saved whether or not the ROM header
+  // says there is one.
+  getBatteryRamSize() {
+    if (!this.eeprom) {
+      return super.getBatteryRamSize();
+    }
+    return this.eeprom.data.length;
+  }
+
+  getBatteryRam() {
+    if (!this.eeprom) {
+      return super.getBatteryRam();
+    }
+    return this.eeprom.data.slice();
+  }
+
+  setBatteryRam(data) {
+    if (!this.eeprom) {
+      super.setBatteryRam(data);
+      return;
+    }
+    this.eeprom.data.set(data.subarray(0, this.eeprom.data.length));
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) {
+      throw new Error("Bandai FCG: Invalid ROM! Unable to load.");
+    }
+
+    const rom = this.nes.rom;
+    this.hasPrgOuterBank = rom.mapperType === 153;
+    this.hasFcgRegisters = rom.mapperType === 16 && rom.submapper !== 5;
+    this.hasLz93d50Registers = rom.mapperType !== 16 || rom.submapper !== 4;
+    if (rom.mapperType === 159) {
+      this.eepromSize = 128;
+    } else if (rom.mapperType === 16 && rom.submapper !== 4) {
+      this.eepromSize = 256;
+    } else {
+      this.eepromSize = 0;
+    }
+    this.reset();
+
+    // Load PRG-ROM:
+    this.updatePrgBanks();
+
+    // Load CHR-ROM:
+    this.loadCHRROM();
+
+    // Do Reset-Interrupt:
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    let s = super.toJSON();
+    s.chrRegs = this.chrRegs.slice();
+    s.prgBank = this.prgBank;
+    s.prgOuterBank = this.prgOuterBank;
+    s.prgRamEnabled = this.prgRamEnabled;
+    s.irqCounter = this.irqCounter;
+    s.irqLatch = this.irqLatch;
+    s.irqEnabled = this.irqEnabled;
+    s.irqPending = this.irqPending;
+    if (this.eeprom) {
+      s.eeprom = this.eeprom.toJSON();
+    }
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.chrRegs = s.chrRegs.slice();
+    this.prgBank = s.prgBank;
+    this.prgOuterBank = s.prgOuterBank;
+    this.prgRamEnabled = s.prgRamEnabled;
+    this.irqCounter = s.irqCounter;
+    this.irqLatch = s.irqLatch;
+    this.irqEnabled = s.irqEnabled;
+    this.irqPending = s.irqPending;
+    if (this.eeprom) {
+      this.eeprom.fromJSON(s.eeprom);
+    }
+  }
+}
+
+export default Mapper16;
@@ -0,0 +1,240 @@
+import Mapper0 from "./mapper0.js";
+
+// Masks of the part of the IRQ counter that counts, for $F001 bits 1-3:
+// 16, 12, 8, 8, 4, 4, 4 and 4 bits.
+const IRQ_COUNTER_MASKS = [
+  0xffff, 0x0fff, 0x00ff, 0x00ff, 0x000f, 0x000f, 0x000f, 0x000f,
+];
+
+// $F002 mirroring: horizontal, vertical and single-screen, as modes for
+// setMirroringMode().
+const MIRRORING_MODES = [1, 0, 2, 3];
+
+// Scales voice clips to the 2A03's mixer output (see PAPU.initDACtables()),
+// so a clip at full volume swings as far as a 2A03 square at full volume.
+const VOICE_SCALE = 3970 / 2;
+
+/**
+ * Mapper 018 (Jaleco SS88006)
+ *
+ * 8KB PRG-ROM and 1KB CHR-ROM banks, with every bank number written a
+ * nibble at a time, and a CPU cycle IRQ counter that counts with its low 4,
+ * 8, 12 or all 16 bits.
+ *
+ * Some games have a NEC µPD7756 on the cartridge that plays voice clips
+ * from its own ROM, which isn't part of iNES images. When a game starts a
+ * clip, the mapper calls the onVoiceSample option with its number, and if
+ * the voiceSamples option has the clip's samples, mixes them into the
+ * sound.
+ *
+ * @description https://www.nesdev.org/wiki/INES_Mapper_018
+ * @example Moero!! Pro Yakyuu '88, Pizza Pop!, Magic John, Ninja Jajamaru: Ginga Daisakusen
+ */
+class Mapper18 extends Mapper0 {
+  reset() {
+    super.reset();
+
+    this.prgRegs = [0, 0, 0];
+    this.chrRegs = new Array(8).fill(0);
+    this.prgRamEnabled = false;
+    this.prgRamWritable = false;
+    this.irqReload = 0;
+    this.irqCounter = 0;
+    this.irqMask = 0xffff;
+    this.irqEnabled = false;
+    this.irqPending = false;
+
+    // $F003, and the voice clip playing, or -1:
+    this.voiceControl = 0;
+    this.voiceClip = -1;
+    this.voicePosition = 0;
+  }
+
+  write(address, value) {
+    if (address < 0x8000) {
+      if (address >= 0x6000 && !(this.prgRamEnabled && this.prgRamWritable)) {
+        return;
+      }
+      // Writes to addresses other than MMC registers are handled by NoMapper.
+      super.write(address, value);
+      return;
+    }
+
+    if (address < 0xa000) {
+      if ((address & 0xf003) === 0x9002) {
+        this.prgRamEnabled = (value & 1) !== 0;
+        this.prgRamWritable = (value & 2) !== 0;
+      } else if ((address & 0xf003) !== 0x9003) {
+        // 8KB PRG-ROM bank, at $8000, $A000 or $C000:
+        const bank = ((address & 0x1000) >> 11) | ((address >> 1) & 1);
+        this.prgRegs[bank] = setNibble(this.prgRegs[bank], address, value);
+        this.load8kRomBank(this.prgRegs[bank], 0x8000 + (bank << 13));
+      }
+      return;
+    }
+
+    if (address < 0xe000) {
+      // 1KB CHR-ROM bank:
+      const bank = (((address - 0xa000) >> 12) << 1) | ((address >> 1) & 1);
+      this.chrRegs[bank] = setNibble(this.chrRegs[bank], address, value);
+      this.load1kVromBank(this.chrRegs[bank], bank << 10);
+      return;
+    }
+
+    switch (address & 0xf003) {
+      case 0xe000:
+      case 0xe001:
+      case 0xe002:
+      case 0xe003: {
+        // IRQ reload value, low nibble first:
+        const shift = (address & 3) << 2;
+        this.irqReload =
+          (this.irqReload & ~(0xf << shift)) | ((value & 0xf) << shift);
+        break;
+      }
+
+      case 0xf000:
+        this.irqCounter = this.irqReload;
+        this.irqPending = false;
+        break;
+
+      case 0xf001:
+        this.irqEnabled = (value & 1) !== 0;
+        this.irqMask = IRQ_COUNTER_MASKS[(value >> 1) & 7];
+        this.irqPending = false;
+        break;
+
+      case 0xf002:
+        this.setMirroringMode(MIRRORING_MODES[value & 3]);
+        break;
+
+      case 0xf003:
+        this.writeVoice(value);
+        break;
+    }
+  }
+
+  // Controls the µPD7756 ($F003). Bits 2-6 select a clip, which starts
+  // when bit 1 is cleared after being set.
+  writeVoice(value) {
+    const starting = (this.voiceControl & 2) !== 0 && (value & 2) === 0;
+    this.voiceControl = value;
+    if (!starting) {
+      return;
+    }
+
+    const clip = (value >> 2) & 0x1f;
+    const opts = this.nes.opts;
+    if (opts.onVoiceSample) {
+      opts.onVoiceSample(clip);
+    }
+    this.voiceClip = opts.voiceSamples && opts.voiceSamples[clip] ? clip : -1;
+    this.voicePosition = 0;
+  }
+
+  load(address) {
+    if (address >= 0x6000 && address < 0x8000 && !this.prgRamEnabled) {
+      return this.nes.cpu.dataBus;
+    }
+    return super.load(address);
+  }
+
+  clockCpu(cycles) {
+    if (this.irqEnabled) {
+      // The counting part of the counter counts down every cycle, with an
+      // IRQ when it reaches 0:
+      const mask = this.irqMask;
+      const count = this.irqCounter & mask;
+      if (cycles >= (count === 0 ? mask + 1 : count)) {
+        this.irqPending = true;
+      }
+      this.irqCounter = (this.irqCounter & ~mask) | ((count - cycles) & mask);
+    }
+    if (this.irqPending) {
+      this.nes.cpu.requestIrq(this.nes.cpu.IRQ_NORMAL);
+    }
+
+    if (this.voiceClip >= 0) {
+      const opts = this.nes.opts;
+      this.voicePosition +=
+        (cycles * opts.voiceSampleRate) / this.nes.region.cpuFrequency;
+      if (this.voicePosition >= opts.voiceSamples[this.voiceClip].length) {
+        this.voiceClip = -1;
+      }
+    }
+  }
+
+  getAudioSample() {
+    if (this.voiceClip < 0) {
+      return 0;
+    }
+    const samples = this.nes.opts.voiceSamples[this.voiceClip];
+    return samples[Math.floor(this.voicePosition)] * VOICE_SCALE;
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) {
+      throw new Error("SS88006: Invalid ROM! Unable to load.");
+    }
+    this.reset();
+
+    // Load PRG-ROM, the last 8KB bank is fixed:
+    this.load8kRomBank(0, 0x8000);
+    this.load8kRomBank(0, 0xa000);
+    this.load8kRomBank(0, 0xc000);
+    this.load8kRomBank(this.nes.rom.romCount * 2 - 1, 0xe000);
+
+    // Load CHR-ROM:
+    this.loadCHRROM();
+
+    // Do Reset-Interrupt:
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    let s = super.toJSON();
+    s.prgRegs = this.prgRegs.slice();
+    s.chrRegs = this.chrRegs.slice();
+    s.prgRamEnabled = this.prgRamEnabled;
+    s.prgRamWritable = this.prgRamWritable;
+    s.irqReload = this.irqReload;
+    s.irqCounter = this.irqCounter;
+    s.irqMask = this.irqMask;
+    s.irqEnabled = this.irqEnabled;
+    s.irqPending = this.irqPending;
+    s.voiceControl = this.voiceControl;
+    s.voiceClip = this.voiceClip;
+    s.voicePosition = this.voicePosition;
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.prgRegs = s.prgRegs.slice();
+    this.chrRegs = s.chrRegs.slice();
+    this.prgRamEnabled = s.prgRamEnabled;
+    this.prgRamWritable = s.prgRamWritable;
+    this.irqReload = s.irqReload;
+    this.irqCounter = s.irqCounter;
+    this.irqMask = s.irqMask;
+    this.irqEnabled = s.irqEnabled;
+    this.irqPending = s.irqPending;
+    this.voiceControl = s.voiceControl;
+    this.voicePosition = s.voicePosition;
+    // The clip's samples come from the options, which may have changed:
+    const voiceSamples = this.nes.opts.voiceSamples;
+    this.voiceClip =
+      voiceSamples && voiceSamples[s.voiceClip] ? s.voiceClip : -1;
+  }
+}
+
+// Sets the low nibble of a bank number for even addresses, and the high
+// nibble for odd ones.
+function setNibble(bank, address, value) {
+  if (address & 1) {
+    return (bank & 0x0f) | ((value & 0x0f) << 4);
+  }
+  return (bank & 0xf0) | (value & 0x0f);
+}
+
+export default Mapper18;
@@ -0,0 +1,286 @@
+import Mapper0 from "./mapper0.js";
+import Namco163 from "../papu/namco163.js";
+
+// Scales the N163's output to the 2A03's mixer output (see
+// PAPU.initDACtables()). A channel at full volume on its own swings about
+// as far as a 2A03 square at full volume, which goes from 0 to around 3970.
+const OUTPUT_SCALE = 3970 / 225;
+
+/**
+ * Mapper 019 (Namco 129 and 163)
+ *
+ * CHR and nametable registers can select either 1KB page of the console's
+ * nametable RAM (CIRAM) instead of CHR-ROM, which is emulated with PPU
+ * memory pages (see PPU.setMemoryPage()).
+ *
+ * @description http://wiki.nesdev.com/w/index.php/INES_Mapper_019
+ * @example Megami Tensei II, King of Kings, Final Lap, Rolling Thunder (J)
+ */
+class Mapper19 extends Mapper0 {
+  reset() {
+    super.reset();
+
+    // CHR banks for the pattern tables, then the nametables, which start
+    // out vertically mirrored:
+    this.chrRegs = [0, 1, 2, 3, 4, 5, 6, 7, 0xe0, 0xe1, 0xe0, 0xe1];
+    // $E800 bits 6 and 7: CHR-ROM only for $0000-$0FFF and $1000-$1FFF.
+    this.chrRamDisabled = [false, false];
+    this.soundDisabled = false;
+    this.prgRamProtect = 0;
+    this.irqCounter = 0;
+    this.irqEnabled = false;
+    this.irqPending = false;
+    this.ciram = new Uint8Array(0x800);
+    this.audio = new Namco163();
+
+    // Pages for the PPU, one for each half of CIRAM, and CHR-ROM ones for
+    // the nametables as they're needed:
+    this.ciramPages = [
+      { data: this.ciram.subarray(0, 0x400), writable: true },
+      { data: this.ciram.subarray(0x400), writable: true },
+    ];
+  }
+
+  write(address, value) {
+    if (address < 0x8000) {
+      if (address >= 0x4800 && address < 0x6000) {
+        this.writeLow(address, value);
+        return;
+      }
+      if (address >= 0x6000 && !this.isPrgRamWritable(address)) {
+        return;
+      }
+      // Writes to addresses other than MMC registers are handled by NoMapper.
+      super.write(address, value);
+      return;
+    }
+
+    switch (address & 0xf800) {
+      case 0x8000:
+      case 0x8800:
+      case 0x9000:
+      case 0x9800:
+      case 0xa000:
+      case 0xa800:
+      case 0xb000:
+      case 0xb800:
+      case 0xc000:
+      case 0xc800:
+      case 0xd000:
+      case 0xd800: {
+        // 1KB CHR bank select, for the pattern tables and then nametables:
+        const bank = (address - 0x8000) >> 11;
+        this.chrRegs[bank] = value;
+        this.updateChrBank(bank);
+        break;
+      }
+
+      case 0xe000:
+        // 8KB PRG-ROM bank at $8000:
+        this.load8kRomBank(value & 0x3f, 0x8000);
+        this.soundDisabled = (value & 0x40) !== 0;
+        break;
+
+      case 0xe800:
+        // 8KB PRG-ROM bank at $A000:
+        this.load8kRomBank(value & 0x3f, 0xa000);
+        this.chrRamDisabled = [(value & 0x40) !== 0, (value & 0x80) !== 0];
+        for (let bank = 0; bank < 8; bank++) {
+          this.updateChrBank(bank);
+        }
+        break;
+
+      case 0xf000:
+        // 8KB PRG-ROM bank at $C000:
+        this.load8kRomBank(value & 0x3f, 0xc000);
+        break;
+
+      case 0xf800:
+        // PRG-RAM write protection and the sound RAM address:
+        this.prgRamProtect = value;
+        this.audio.writeAddress(value);
+        break;
+    }
+  }
+
+  writeLow(address, value) {
+    switch (address & 0xf800) {
+      case 0x4800:
+        this.audio.writeData(value);
+        if (this.nes.rom.batteryRam) {
+          this.nes.batteryRamDirty = true;
+        }
+        break;
+      case 0x5000:
+        this.irqCounter = (this.irqCounter & 0x7f00) | value;
+        this.irqPending = false;
+        break;
+      case 0x5800:
+        this.irqCounter = (this.irqCounter & 0x00ff) | ((value & 0x7f) << 8);
+        this.irqEnabled = (value & 0x80) !== 0;
+        this.irqPending = false;
+        break;
+    }
+  }
+
+  load(address) {
+    if (address < 0x4800 || address >= 0x6000) {
+      return super.load(address);
+    }
+    switch (address & 0xf800) {
+      case 0x4800:
+        return this.audio.readData();
+      case 0x5000:
+        return this.irqCounter & 0xff;
+      default:
+        return (this.irqCounter >> 8) | (this.irqEnabled ? 0x80 : 0);
+    }
+  }
+
+  // PRG-RAM is writable when $F800 is $4x, apart from the 2KB parts whose
+  // bits are set.
+  isPrgRamWritable(address) {
+    return (
+      (this.prgRamProtect & 0xf0) === 0x40 &&
+      (this.prgRamProtect & (1 << ((address - 0x6000) >> 11))) === 0
+    );
+  }
+
+  // Maps a 1KB bank of the pattern tables (0 to 7) or nametables (8 to 11)
+  // from its register. Values from $E0 select CIRAM, unless it's disabled
+  // for that half of the pattern tables.
+  updateChrBank(bank) {
+    const value = this.chrRegs[bank];
+    const ppu = this.nes.ppu;
+    if (value >= 0xe0 && (bank >= 8 || !this.chrRamDisabled[bank >> 2])) {
+      ppu.setMemoryPage(bank, this.ciramPages[value & 1]);
+    } else if (bank < 8) {
+      ppu.setMemoryPage(bank, null);
+      this.load1kVromBank(value, bank << 10);
+    } else if (this.nes.rom.vromCount > 0) {
+      ppu.setMemoryPage(bank, {
+        data: this.getVromPage(value),
+        writable: false,
+      });
+    }
+  }
+
+  getVromPage(bank1k) {
+    const bank4k = (bank1k >> 2) % this.nes.rom.vromCount;
+    const offset = (bank1k & 3) << 10;
+    return this.nes.rom.vrom[bank4k].subarray(offset, offset + 0x400);
+  }
+
+  // Points every bank at the current registers, after loading a ROM or a
+  // state.
+  updateChrBanks() {
+    // The nametables are laid out by the banks, not mirroring:
+    this.nes.ppu.setMirroring(this.nes.rom.FOURSCREEN_MIRRORING);
+    for (let bank = 0; bank < 12; bank++) {
+      this.updateChrBank(bank);
+    }
+  }
+
+  clockCpu(cycles) {
+    if (!this.soundDisabled) {
+      this.audio.clock(cycles);
+    }
+
+    if (this.irqEnabled && !this.irqPending) {
+      // The counter counts up every cycle and stops at $7FFF with an IRQ:
+      this.irqCounter = Math.min(this.irqCounter + cycles, 0x7fff);
+      if (this.irqCounter === 0x7fff) {
+        this.irqPending = true;
+      }
+    }
+    if (this.irqPending) {
+      this.nes.cpu.requestIrq(this.nes.cpu.IRQ_NORMAL);
+    }
+  }
+
+  getAudioSample() {
+    if (this.soundDisabled) {
+      return 0;
+    }
+    return this.audio.getSample() * OUTPUT_SCALE;
+  }
+
+  // The sound RAM is battery-backed along with PRG-RAM, and saved after
+  // it.
+  getBatteryRamSize() {
+    if (!this.nes.rom.batteryRam) {
+      return 0;
+    }
+    return super.getBatteryRamSize() + this.audio.ram.length;
+  }
+
+  getBatteryRam() {
+    if (!this.nes.rom.batteryRam) {
+      return new Uint8Array(0);
+    }
+    const prgRamSize = super.getBatteryRamSize();
+    const data = new Uint8Array(this.getBatteryRamSize());
+    data.set(this.nes.cpu.mem.subarray(0x6000, 0x6000 + prgRamSize));
+    data.set(this.audio.ram, prgRamSize);
+    return data;
+  }
+
+  setBatteryRam(data) {
+    if (!this.nes.rom.batteryRam) {
+      return;
+    }
+    const prgRamSize = super.getBatteryRamSize();
+    this.nes.cpu.mem.set(data.subarray(0, prgRamSize), 0x6000);
+    this.audio.ram.set(data.subarray(prgRamSize, this.getBatteryRamSize()));
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) {
+      throw new Error("N163: Invalid ROM! Unable to load.");
+    }
+    this.reset();
+
+    // Load PRG-ROM, the last 8KB bank is fixed:
+    const last = this.nes.rom.romCount * 2 - 1;
+    this.load8kRomBank(0, 0x8000);
+    this.load8kRomBank(0, 0xa000);
+    this.load8kRomBank(0, 0xc000);
+    this.load8kRomBank(last, 0xe000);
+
+    // Load CHR-ROM and the nametables:
+    this.updateChrBanks();
+
+    // Do Reset-Interrupt:
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    let s = super.toJSON();
+    s.chrRegs = this.chrRegs.slice();
+    s.chrRamDisabled = this.chrRamDisabled.slice();
+    s.soundDisabled = this.soundDisabled;
+    s.prgRamProtect = this.prgRamProtect;
+    s.irqCounter = this.irqCounter;
+    s.irqEnabled = this.irqEnabled;
+    s.irqPending = this.irqPending;
+    s.ciram = Array.from(this.ciram);
+    s.audio = this.audio.toJSON();
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.chrRegs = s.chrRegs.slice();
+    this.chrRamDisabled = s.chrRamDisabled.slice();
+    this.soundDisabled = s.soundDisabled;
+    this.prgRamProtect = s.prgRamProtect;
+    this.irqCounter = s.irqCounter;
+    this.irqEnabled = s.irqEnabled;
+    this.irqPending = s.irqPending;
+    this.ciram.set(s.ciram);
+    this.audio.fromJSON(s.audio);
+    this.updateChrBanks();
+  }
+}
+
+export default Mapper19;
@@ -0,0 +1,507 @@
+import ChannelFDS from "../papu/channel-fds.js";
+import { FDS_SIDE_SIZE } from "../rom.js";
+import Mapper0 from "./mapper0.js";
+
+// Disk images are turned into a stream of bytes as the drive sees them: a
+// lead-in gap, then each block behind a start mark and followed by a CRC
+// and another gap. CRCs aren't checked, so they're left as zeros.
+const LEAD_IN_SIZE = 28300 >> 3;
+const GAP_SIZE = 976 >> 3;
+const BLOCK_START = 0x80;
+const RAW_SIDE_SIZE = 0x12000;
+
+// CPU cycles for the drive to move one byte under the head (96.4 kbit/s),
+// and to return the head to the start of the disk:
+const BYTE_CYCLES = 149;
+const HEAD_RETURN_CYCLES = 50000;
+
+/**
+ * Mapper020 (Famicom Disk System)
+ *
+ * @description https://www.nesdev.org/wiki/Family_Computer_Disk_System
+ *
+ * The RAM adapter maps 32KB of PRG-RAM at $6000-$DFFF, the BIOS at
+ * $E000-$FFFF and 8KB of CHR-RAM, and has a timer IRQ, the disk drive
+ * interface and a wavetable sound channel. The BIOS is passed to
+ * NES.loadROM() as the fdsBios option.
+ *
+ * Disk sides are numbered from 0 (disk 1 side A, disk 1 side B, disk 2
+ * side A, ...). The disk contents, including anything the game wrote, are
+ * exposed as battery RAM in .fds format.
+ */
+class Mapper20 extends Mapper0 {
+  reset() {
+    super.reset();
+
+    // Timer IRQ ($4020-$4022):
+    this.timerReload = 0;
+    this.timerCounter = 0;
+    this.timerRepeat = false;
+    this.timerEnabled = false;
+    this.timerIrq = false;
+
+    // $4023:
+    this.diskRegsEnabled = true;
+    this.soundRegsEnabled = true;
+
+    // Drive control ($4025) and transfer state:
+    this.motorOn = false;
+    this.transferReset = false;
+    this.readMode = true;
+    this.crcControl = false;
+    this.diskReady = false;
+    this.diskIrqEnabled = false;
+    this.diskIrq = false;
+    this.transferComplete = false;
+    this.readData = 0;
+    this.writeData = 0;
+    this.externalData = 0;
+
+    this.scanning = false;
+    this.endOfHead = true;
+    this.gapEnded = false;
+    this.diskPosition = 0;
+    this.diskDelay = 0;
+
+    this.audio = new ChannelFDS();
+  }
+
+  write(address, value) {
+    if (address >= 0x6000) {
+      // PRG-RAM below the BIOS:
+      if (address < 0xe000) {
+        this.nes.cpu.mem[address] = value;
+      }
+    } else if (address >= 0x4020 && address < 0x4100) {
+      this.writeRegister(address, value);
+    } else {
+      super.write(address, value);
+    }
+  }
+
+  writeRegister(address, value) {
+    if (address >= 0x4040) {
+      if (this.soundRegsEnabled && address < 0x4090) {
+        this.audio.writeReg(address, value);
+      }
+      return;
+    }
+    switch (address) {
+      case 0x4020:
+        this.timerReload = (this.timerReload & 0xff00) | value;
+        break;
+      case 0x4021:
+        this.timerReload = (this.timerReload & 0xff) | (value << 8);
+        break;
+      case 0x4022:
+        this.timerRepeat = (value & 1) !== 0;
+        this.timerEnabled = (value & 2) !== 0 && this.diskRegsEnabled;
+        if (this.timerEnabled) {
+          this.timerCounter = this.timerReload;
+        }
+        this.timerIrq = false;
+        break;
+      case 0x4023:
+        this.diskRegsEnabled = (value & 1) !== 0;
+        this.soundRegsEnabled = (value & 2) !== 0;
+        if (!this.diskRegsEnabled) {
+          this.timerEnabled = false;
+          this.timerIrq = false;
+          this.diskIrq = false;
+        }
+        break;
+    }
+    if (!this.diskRegsEnabled) {
+      return;
+    }
+    switch (address) {
+      case 0x4024:
+        this.writeData = value;
+        this.transferComplete = false;
+        this.diskIrq = false;
+        break;
+      case 0x4025:
+        this.motorOn = (value & 0x01) !== 0;
+        this.transferReset = (value & 0x02) !== 0;
+        this.readMode = (value & 0x04) !== 0;
+        this.nes.ppu.setMirroring(
+          value & 0x08
+            ? this.nes.rom.HORIZONTAL_MIRRORING
+            : this.nes.rom.VERTICAL_MIRRORING,
+        );
+        this.crcControl = (value & 0x10) !== 0;
+        this.diskReady = (value & 0x40) !== 0;
+        this.diskIrqEnabled = (value & 0x80) !== 0;
+        this.diskIrq = false;
+        break;
+      case 0x4026:
+        // Expansion port output:
+        this.externalData = value;
+        break;
+    }
+  }
+
+  load(address) {
+    address &= 0xffff;
+    if (address >= 0x4030 && address < 0x4100) {
+      return this.readRegister(address);
+    }
+    return super.load(address);
+  }
+
+  readRegister(address) {
+    const openBus = this.nes.cpu.dataBus;
+    if (address >= 0x4040) {
+      if (address < 0x4080 || address === 0x4090 || address === 0x4092) {
+        return this.audio.readReg(address) | (openBus & 0xc0);
+      }
+      return openBus;
+    }
+    if (!this.diskRegsEnabled) {
+      return openBus;
+    }
+    let value;
+    switch (address) {
+      case 0x4030:
+        // Disk status. Reading acknowledges both IRQs.
+        value =
+          (this.timerIrq ? 0x01 : 0) |
+          (this.transferComplete ? 0x02 : 0) |
+          (openBus & 0x2c);
+        this.timerIrq = false;
+        this.diskIrq = false;
+        this.transferComplete = false;
+        return value;
+      case 0x4031:
+        this.transferComplete = false;
+        this.diskIrq = false;
+        return this.readData;
+      case 0x4032: {
+        // Drive status: bit 0 set when there's no disk, bit 1 when it's not
+        // ready to transfer, bit 2 when it can't be written to.
+        const inserted = this.diskInserted;
+        value =
+          (inserted ? 0 : 0x01) |
+          (inserted && this.scanning ? 0 : 0x02) |
+          (inserted ? 0 : 0x04);
+        return value | (openBus & 0xf8);
+      }
+      case 0x4033:
+        // Expansion port input, with bit 7 set for a good battery:
+        return 0x80 | (this.externalData & 0x7f);
+    }
+    return openBus;
+  }
+
+  loadROM() {
+    const bios = this.nes.fdsBios;
+    if (!bios || bios.length < 0x2000) {
+      throw new Error(
+        "Famicom Disk System games need the 8KB FDS BIOS, passed to loadROM() as the fdsBios option.",
+      );
+    }
+    this.reset();
+    this.nes.cpu.mem.set(bios.subarray(bios.length - 0x2000), 0xe000);
+
+    this.disks = this.nes.rom.fdsSides.map(packSide);
+    this.diskSide = 0;
+    this.diskInserted = true;
+
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  clockCpu(cycles) {
+    if (this.timerEnabled) {
+      this.clockTimer(cycles);
+    }
+    this.clockDisk(cycles);
+    if (this.soundRegsEnabled) {
+      this.audio.clock(cycles);
+    }
+    if (this.timerIrq || this.diskIrq) {
+      this.nes.cpu.requestIrq(this.nes.cpu.IRQ_NORMAL);
+    }
+  }
+
+  // The timer counts down every CPU cycle, and raises an IRQ and reloads
+  // when it's clocked at 0.
+  clockTimer(cycles) {
+    while (cycles > this.timerCounter) {
+      cycles -= this.timerCounter + 1;
+      this.timerIrq = true;
+      this.timerCounter = this.timerReload;
+      if (!this.timerRepeat) {
+        this.timerEnabled = false;
+        return;
+      }
+    }
+    this.timerCounter -= cycles;
+  }
+
+  // The disk spins while the motor is on. When the head reaches the end of
+  // the disk it goes back to the start, and one byte is transferred every
+  // BYTE_CYCLES cycles after that.
+  clockDisk(cycles) {
+    if (!this.diskInserted || !this.motorOn) {
+      this.endOfHead = true;
+      this.scanning = false;
+      return;
+    }
+    if (this.transferReset && !this.scanning) {
+      return;
+    }
+    if (this.endOfHead) {
+      this.endOfHead = false;
+      this.diskDelay = HEAD_RETURN_CYCLES;
+      this.diskPosition = 0;
+      this.gapEnded = false;
+      return;
+    }
+    this.diskDelay -= cycles;
+    while (this.diskDelay <= 0 && this.motorOn) {
+      this.diskDelay += BYTE_CYCLES;
+      this.transferByte();
+    }
+  }
+
+  transferByte() {
+    const disk = this.disks[this.diskSide];
+    let irq = this.diskIrqEnabled;
+    this.scanning = true;
+
+    if (this.readMode) {
+      const data = disk[this.diskPosition];
+      if (!this.diskReady) {
+        this.gapEnded = false;
+      } else if (data !== 0 && !this.gapEnded) {
+        // The start mark at the end of a gap is transferred without an IRQ:
+        this.gapEnded = true;
+        irq = false;
+      }
+      if (this.gapEnded) {
+        this.readData = data;
+        this.transferComplete = true;
+        this.diskIrq = this.diskIrq || irq;
+      }
+    } else {
+      let data = 0;
+      if (!this.crcControl) {
+        data = this.writeData;
+        this.transferComplete = true;
+        this.diskIrq = this.diskIrq || irq;
+      }
+      if (!this.diskReady || this.crcControl) {
+        data = 0;
+      }
+      if (disk[this.diskPosition] !== data) {
+        disk[this.diskPosition] = data;
+        this.nes.batteryRamDirty = true;
+      }
+      this.gapEnded = false;
+    }
+
+    this.diskPosition++;
+    if (this.diskPosition >= disk.length) {
+      this.motorOn = false;
+    }
+  }
+
+  getDiskSideCount() {
+    return this.disks.length;
+  }
+
+  // Takes the disk out of the drive, or puts the selected side back in.
+  toggleDisk() {
+    this.diskInserted = !this.diskInserted;
+  }
+
+  // Selects the next side to insert, while no disk is inserted.
+  selectNextDiskSide() {
+    if (!this.diskInserted) {
+      this.diskSide = (this.diskSide + 1) % this.disks.length;
+    }
+  }
+
+  getAudioSample() {
+    return this.audio.getSample();
+  }
+
+  getBatteryRamSize() {
+    return this.nes.rom.header.length + this.disks.length * FDS_SIDE_SIZE;
+  }
+
+  // Returns the disks in .fds format, with a header if the loaded image had
+  // one. Anything after the last readable block of a side comes back as
+  // zeros.
+  getBatteryRam() {
+    const header = this.nes.rom.header;
+    const image = new Uint8Array(this.getBatteryRamSize());
+    image.set(header);
+    for (let i = 0; i < this.disks.length; i++) {
+      image.set(unpackSide(this.disks[i]), header.length + i * FDS_SIDE_SIZE);
+    }
+    return image;
+  }
+
+  setBatteryRam(data) {
+    const offset = this.nes.rom.header.length;
+    for (let i = 0; i < this.disks.length; i++) {
+      const start = offset + i * FDS_SIDE_SIZE;
+      const side = new Uint8Array(FDS_SIDE_SIZE);
+      side.set(data.subarray(start, start + FDS_SIDE_SIZE));
+      this.disks[i] = packSide(side);
+    }
+  }
+
+  // Shares the disks with the emulator, as save states keep them typed.
+  toState() {
+    let s = super.toJSON();
+    s.timerReload = this.timerReload;
+    s.timerCounter = this.timerCounter;
+    s.timerRepeat = this.timerRepeat;
+    s.timerEnabled = this.timerEnabled;
+    s.timerIrq = this.timerIrq;
+    s.diskRegsEnabled = this.diskRegsEnabled;
+    s.soundRegsEnabled = this.soundRegsEnabled;
+    s.motorOn = this.motorOn;
+    s.transferReset = this.transferReset;
+    s.readMode = this.readMode;
+    s.crcControl = this.crcControl;
+    s.diskReady = this.diskReady;
+    s.diskIrqEnabled = this.diskIrqEnabled;
+    s.diskIrq = this.diskIrq;
+    s.transferComplete = this.transferComplete;
+    s.readData = this.readData;
+    s.writeData = this.writeData;
+    s.externalData = this.externalData;
+    s.scanning = this.scanning;
+    s.endOfHead = this.endOfHead;
+    s.gapEnded = this.gapEnded;
+    s.diskPosition = this.diskPosition;
+    s.diskDelay = this.diskDelay;
+    s.diskSide = this.diskSide;
+    s.diskInserted = this.diskInserted;
+    s.disks = this.disks;
+    s.audio = this.audio.toJSON();
+    return s;
+  }
+
+  toJSON() {
+    let s = this.toState();
+    s.disks = this.disks.map((disk) => Array.from(disk));
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.timerReload = s.timerReload;
+    this.timerCounter = s.timerCounter;
+    this.timerRepeat = s.timerRepeat;
+    this.timerEnabled = s.timerEnabled;
+    this.timerIrq = s.timerIrq;
+    this.diskRegsEnabled = s.diskRegsEnabled;
+    this.soundRegsEnabled = s.soundRegsEnabled;
+    this.motorOn = s.motorOn;
+    this.transferReset = s.transferReset;
+    this.readMode = s.readMode;
+    this.crcControl = s.crcControl;
+    this.diskReady = s.diskReady;
+    this.diskIrqEnabled = s.diskIrqEnabled;
+    this.diskIrq = s.diskIrq;
+    this.transferComplete = s.transferComplete;
+    this.readData = s.readData;
+    this.writeData = s.writeData;
+    this.externalData = s.externalData;
+    this.scanning = s.scanning;
+    this.endOfHead = s.endOfHead;
+    this.gapEnded = s.gapEnded;
+    this.diskPosition = s.diskPosition;
+    this.diskDelay = s.diskDelay;
+    this.diskSide = s.diskSide;
+    this.diskInserted = s.diskInserted;
+    for (let i = 0; i < this.disks.length; i++) {
+      // Sides only change size when a save with oversized files is loaded:
+      if (s.disks[i].length === this.disks[i].length) {
+        this.disks[i].set(s.disks[i]);
+      } else {
+        this.disks[i] = Uint8Array.from(s.disks[i]);
+      }
+    }
+    this.audio.fromJSON(s.audio);
+  }
+}
+
+// Returns the length of a block of the given type, or 0 if it isn't a valid
+// block. File data blocks (type 4) are as long as the preceding file header
+// (type 3) says.
+// See https://www.nesdev.org/wiki/FDS_disk_format
+function getBlockLength(type, fileSize) {
+  switch (type) {
+    case 1:
+      return 56; // disk info
+    case 2:
+      return 2; // file count
+    case 3:
+      return 16; // file header
+    case 4:
+      return 1 + fileSize; // file data
+  }
+  return 0;
+}
+
+// Converts an .fds side into the bytes the drive reads, see LEAD_IN_SIZE.
+function packSide(side) {
+  let disk = new Uint8Array(RAW_SIDE_SIZE);
+  let out = LEAD_IN_SIZE;
+  let fileSize = 0;
+  for (let pos = 0; pos < side.length; ) {
+    const length = getBlockLength(side[pos], fileSize);
+    if (length === 0 || pos + length > side.length) {
+      break;
+    }
+    if (side[pos] === 3) {
+      fileSize = side[pos + 13] | (side[pos + 14] << 8);
+    }
+    if (out + length + 3 + GAP_SIZE > disk.length) {
+      const larger = new Uint8Array(disk.length * 2);
+      larger.set(disk);
+      disk = larger;
+    }
+    disk[out] = BLOCK_START;
+    disk.set(side.subarray(pos, pos + length), out + 1);
+    out += 1 + length + 2 + GAP_SIZE;
+    pos += length;
+  }
+  return disk;
+}
+
+// Converts the bytes on a disk back into an .fds side, skipping the gaps,
+// start marks and CRCs.
+function unpackSide(disk) {
+  const side = new Uint8Array(FDS_SIDE_SIZE);
+  let out = 0;
+  let fileSize = 0;
+  let pos = 0;
+  for (;;) {
+    while (pos < disk.length && disk[pos] === 0) {
+      pos++;
+    }
+    if (pos + 1 >= disk.length || disk[pos] !== BLOCK_START) {
+      break;
+    }
+    pos++;
+    const length = getBlockLength(disk[pos], fileSize);
+    if (length === 0 || out + length > side.length) {
+      break;
+    }
+    if (disk[pos] === 3) {
+      fileSize = disk[pos + 13] | (disk[pos + 14] << 8);
+    }
+    side.set(disk.subarray(pos, pos + length), out);
+    out += length;
+    pos += length + 2;
+  }
+  return side;
+}
+
+export default Mapper20;
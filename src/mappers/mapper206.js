@@ -0,0 +1,129 @@
+import Mapper4 from "./mapper4.js";
+
+/**
+ * Mappers 206, 088, 095 and 154 (Namco 108 and DxROM)
+ *
+ * The Namco 108 is the chip the MMC3 grew out of: the same bank registers
+ * at $8000-$9FFF, but without the PRG and CHR modes, mirroring, PRG-RAM or
+ * the IRQ counter. Mapper 206 is the plain chip. The other boards wire its
+ * CHR lines differently:
+ *
+ * - 88 puts the 1KB banks in the second 64KB of CHR-ROM.
+ * - 154 does too, and sets single-screen mirroring from bit 6 of every
+ *   write to $8000-$FFFF.
+ * - 95 uses bit 5 of the 2KB bank registers to select the nametable RAM
+ *   (CIRAM) page for each half of the nametables, which is emulated with
+ *   PPU memory pages (see PPU.setMemoryPage()).
+ *
+ * @description https://www.nesdev.org/wiki/INES_Mapper_206
+ * @example Karnov, Pac-Mania, Gauntlet (206), Quinty (88), Devil Man (154), Dragon Buster (95)
+ */
+class Mapper206 extends Mapper4 {
+  constructor(nes) {
+    super(nes);
+    this.hasChrA16 = false;
+    this.hasMirroringBit = false;
+    this.hasNametableBits = false;
+  }
+
+  reset() {
+    super.reset();
+    // Mapper 95's CIRAM page for each half of the nametables:
+    this.nametableRegs = [0, 0];
+    this.ciram = new Uint8Array(0x800);
+
+    // Pages for the PPU, one for each half of CIRAM:
+    this.ciramPages = [
+      { data: this.ciram.subarray(0, 0x400), writable: true },
+      { data: this.ciram.subarray(0x400), writable: true },
+    ];
+  }
+
+  write(address, value) {
+    // Writes to addresses other than MMC registers are handled by NoMapper.
+    if (address < 0x8000) {
+      super.write(address, value);
+      return;
+    }
+
+    if (this.hasMirroringBit) {
+      this.setMirroringMode(value & 0x40 ? 3 : 2);
+    }
+    if (address >= 0xa000) {
+      return;
+    }
+    if ((address & 1) === 0) {
+      // Bank select, without the modes in bits 6 and 7:
+      super.write(0x8000, value & 7);
+    } else {
+      this.executeCommand(this.command, value);
+    }
+  }
+
+  executeCommand(cmd, arg) {
+    if (cmd >= 6) {
+      // 8KB PRG-ROM bank:
+      super.executeCommand(cmd, arg & 0x0f);
+      return;
+    }
+
+    let bank = arg & 0x3f;
+    if (cmd < 2) {
+      // 2KB CHR-ROM bank, as a 1KB bank number:
+      bank &= 0x3e;
+      if (this.hasNametableBits) {
+        this.nametableRegs[cmd] = (bank >> 5) & 1;
+        this.updateNametables();
+        bank &= 0x1f;
+      }
+    } else if (this.hasChrA16) {
+      bank |= 0x40;
+    }
+    super.executeCommand(cmd, bank);
+  }
+
+  // The 108 has no IRQ counter.
+  clockIrqCounter() {}
+
+  // Points each half of the nametables at its CIRAM page, on mapper 95.
+  updateNametables() {
+    const ppu = this.nes.ppu;
+    // The nametables are laid out by the pages, not mirroring:
+    ppu.setMirroring(this.nes.rom.FOURSCREEN_MIRRORING);
+    for (let i = 0; i < 4; i++) {
+      ppu.setMemoryPage(8 + i, this.ciramPages[this.nametableRegs[i >> 1]]);
+    }
+  }
+
+  loadROM() {
+    const mapperType = this.nes.rom.mapperType;
+    this.hasChrA16 = mapperType === 88 || mapperType === 154;
+    this.hasMirroringBit = mapperType === 154;
+    this.hasNametableBits = mapperType === 95;
+    super.loadROM();
+
+    if (this.hasMirroringBit) {
+      this.setMirroringMode(2);
+    } else if (this.hasNametableBits) {
+      this.updateNametables();
+    }
+  }
+
+  toJSON() {
+    let s = super.toJSON();
+    s.nametableRegs = this.nametableRegs.slice();
+    s.ciram = Array.from(this.ciram);
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.nametableRegs = s.nametableRegs.slice();
+    this.ciram.set(s.ciram);
+    if (this.hasNametableBits) {
+      this.updateNametables();
+    }
+  }
+}
+
+export default Mapper206;
@@ -0,0 +1,220 @@
+import Mapper0 from "./mapper0.js";
+import VRCIrq from "./vrc-irq.js";
+
+// Address lines that select register bits 0 and 1 within each $1000 block,
+// by mapper number and then submapper. The boards sharing a mapper number
+// wire different lines, so submapper 0 (iNES 1.0 and unknown) listens to
+// all of them.
+const WIRINGS = {
+  21: [
+    [0x42, 0x84], // VRC4a and VRC4c
+    [0x02, 0x04], // VRC4a
+    [0x40, 0x80], // VRC4c
+  ],
+  22: [
+    [0x02, 0x01], // VRC2a
+  ],
+  23: [
+    [0x05, 0x0a], // VRC4f, VRC4e and VRC2b
+    [0x01, 0x02], // VRC4f
+    [0x04, 0x08], // VRC4e
+    [0x01, 0x02], // VRC2b
+  ],
+  25: [
+    [0x0a, 0x05], // VRC4b, VRC4d and VRC2c
+    [0x02, 0x01], // VRC4b
+    [0x08, 0x04], // VRC4d
+    [0x02, 0x01], // VRC2c
+  ],
+};
+
+/**
+ * Mappers 021, 022, 023 and 025 (Konami VRC2 and VRC4)
+ *
+ * One implementation for all the boards, configured from the mapper number
+ * and NES 2.0 submapper. Submapper 3 of mappers 23 and 25, and mapper 22,
+ * are VRC2. Everything else is VRC4, which is a superset of VRC2 apart from
+ * the microwire latch.
+ *
+ * @description http://wiki.nesdev.com/w/index.php/VRC2_and_VRC4
+ * @example Gradius II, Contra (J), Tiny Toon Adventures, Wai Wai World 2
+ */
+class Mapper21 extends Mapper0 {
+  constructor(nes) {
+    super(nes);
+    this.wiring = WIRINGS[21][0];
+    this.isVRC2 = false;
+    // VRC2a ignores the lowest bit of CHR bank numbers:
+    this.chrShift = 0;
+    // Whether $6000-$6FFF is the VRC2's one-bit microwire latch instead of
+    // PRG-RAM:
+    this.hasMicrowire = false;
+  }
+
+  reset() {
+    super.reset();
+
+    this.prgRegs = [0, 0];
+    this.prgSwap = 0;
+    this.chrRegs = new Array(8).fill(0);
+    this.microwireLatch = 0;
+    this.irq = new VRCIrq();
+  }
+
+  write(address, value) {
+    if (address < 0x8000) {
+      if (this.hasMicrowire && address >= 0x6000) {
+        if (address < 0x7000) {
+          this.microwireLatch = value & 1;
+        }
+        return;
+      }
+      // Writes to addresses other than MMC registers are handled by NoMapper.
+      super.write(address, value);
+      return;
+    }
+
+    const reg =
+      (address & this.wiring[0] ? 1 : 0) | (address & this.wiring[1] ? 2 : 0);
+
+    switch (address & 0xf000) {
+      case 0x8000:
+        this.prgRegs[0] = value & 0x1f;
+        this.updatePrgBanks();
+        break;
+
+      case 0x9000:
+        if (this.isVRC2) {
+          this.setMirroringMode(value & 1);
+        } else if (reg < 2) {
+          this.setMirroringMode(value & 3);
+        } else if (reg === 2) {
+          this.prgSwap = (value >> 1) & 1;
+          this.updatePrgBanks();
+        }
+        break;
+
+      case 0xa000:
+        this.prgRegs[1] = value & 0x1f;
+        this.updatePrgBanks();
+        break;
+
+      case 0xb000:
+      case 0xc000:
+      case 0xd000:
+      case 0xe000: {
+        // Each CHR bank number is written as a low and a high nibble:
+        const bank = ((address - 0xb000) >> 11) | (reg >> 1);
+        if (reg & 1) {
+          this.chrRegs[bank] =
+            (this.chrRegs[bank] & 0x0f) | ((value & 0x1f) << 4);
+        } else {
+          this.chrRegs[bank] = (this.chrRegs[bank] & 0x1f0) | (value & 0x0f);
+        }
+        this.load1kVromBank(this.chrRegs[bank] >> this.chrShift, bank << 10);
+        break;
+      }
+
+      case 0xf000:
+        if (!this.isVRC2) {
+          this.writeIrq(reg, value);
+        }
+        break;
+    }
+  }
+
+  load(address) {
+    if (this.hasMicrowire && (address & 0xf000) === 0x6000) {
+      return (this.nes.cpu.dataBus & 0xfe) | this.microwireLatch;
+    }
+    return super.load(address);
+  }
+
+  updatePrgBanks() {
+    // The second-last bank sits at $C000, or swaps with $8000:
+    const secondLast = this.nes.rom.romCount * 2 - 2;
+    if (this.prgSwap === 0) {
+      this.load8kRomBank(this.prgRegs[0], 0x8000);
+      this.load8kRomBank(secondLast, 0xc000);
+    } else {
+      this.load8kRomBank(secondLast, 0x8000);
+      this.load8kRomBank(this.prgRegs[0], 0xc000);
+    }
+    this.load8kRomBank(this.prgRegs[1], 0xa000);
+  }
+
+  writeIrq(reg, value) {
+    const irq = this.irq;
+    switch (reg) {
+      case 0:
+        // Latch, low nibble:
+        irq.writeLatch((irq.latch & 0xf0) | (value & 0x0f));
+        break;
+      case 1:
+        // Latch, high nibble:
+        irq.writeLatch((irq.latch & 0x0f) | ((value & 0x0f) << 4));
+        break;
+      case 2:
+        irq.writeControl(value);
+        break;
+      case 3:
+        irq.acknowledge();
+        break;
+    }
+  }
+
+  clockCpu(cycles) {
+    this.irq.clock(cycles);
+    if (this.irq.pending) {
+      this.nes.cpu.requestIrq(this.nes.cpu.IRQ_NORMAL);
+    }
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) {
+      throw new Error("VRC2/VRC4: Invalid ROM! Unable to load.");
+    }
+
+    const rom = this.nes.rom;
+    const wirings = WIRINGS[rom.mapperType];
+    this.wiring = wirings[rom.submapper] || wirings[0];
+    this.isVRC2 =
+      rom.mapperType === 22 ||
+      (rom.submapper === 3 && (rom.mapperType === 23 || rom.mapperType === 25));
+    this.chrShift = rom.mapperType === 22 ? 1 : 0;
+    this.hasMicrowire =
+      this.isVRC2 && !rom.batteryRam && (!rom.isNES2 || rom.prgRamSize === 0);
+    this.reset();
+
+    // Load PRG-ROM:
+    this.updatePrgBanks();
+    this.load8kRomBank(rom.romCount * 2 - 1, 0xe000);
+
+    // Load CHR-ROM:
+    this.loadCHRROM();
+
+    // Do Reset-Interrupt:
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    let s = super.toJSON();
+    s.prgRegs = this.prgRegs.slice();
+    s.prgSwap = this.prgSwap;
+    s.chrRegs = this.chrRegs.slice();
+    s.microwireLatch = this.microwireLatch;
+    s.irq = this.irq.toJSON();
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.prgRegs = s.prgRegs.slice();
+    this.prgSwap = s.prgSwap;
+    this.chrRegs = s.chrRegs.slice();
+    this.microwireLatch = s.microwireLatch;
+    this.irq.fromJSON(s.irq);
+  }
+}
+
+export default Mapper21;
@@ -0,0 +1,204 @@
+import Mapper0 from "./mapper0.js";
+import VRCIrq from "./vrc-irq.js";
+import ChannelVRC6Pulse from "../papu/channel-vrc6-pulse.js";
+import ChannelVRC6Saw from "../papu/channel-vrc6-saw.js";
+
+// Scales the channels' summed output (0 to 61) to the 2A03's mixer output
+// (see PAPU.initDACtables()). A VRC6 pulse at full volume is about as loud
+// as a 2A03 square at full volume, which comes out at around 3970.
+const OUTPUT_SCALE = 3970 / 15;
+
+/**
+ * Mappers 024 and 026 (Konami VRC6a and VRC6b)
+ *
+ * VRC6b swaps the two address lines that select registers. CHR-ROM
+ * nametables ($B003 bit 4) aren't supported.
+ *
+ * @description http://wiki.nesdev.com/w/index.php/VRC6
+ * @example Akumajou Densetsu, Esper Dream 2, Madara
+ */
+class Mapper24 extends Mapper0 {
+  constructor(nes) {
+    super(nes);
+    this.swapLines = false;
+  }
+
+  reset() {
+    super.reset();
+
+    this.chrRegs = new Array(8).fill(0);
+    this.bankingMode = 0;
+    this.frequencyControl = 0;
+    this.irq = new VRCIrq();
+    this.pulse1 = new ChannelVRC6Pulse();
+    this.pulse2 = new ChannelVRC6Pulse();
+    this.saw = new ChannelVRC6Saw();
+  }
+
+  write(address, value) {
+    // Writes to addresses other than MMC registers are handled by NoMapper.
+    if (address < 0x8000) {
+      super.write(address, value);
+      return;
+    }
+
+    let reg = address & 3;
+    if (this.swapLines) {
+      reg = ((reg & 1) << 1) | (reg >> 1);
+    }
+
+    switch (address & 0xf000) {
+      case 0x8000:
+        // 16KB PRG-ROM bank at $8000:
+        this.loadRomBank(value & 0x0f, 0x8000);
+        break;
+
+      case 0x9000:
+        if (reg === 3) {
+          // Halt and speed up all the sound channels:
+          this.frequencyControl = value & 7;
+        } else {
+          this.pulse1.writeReg(reg, value);
+        }
+        break;
+
+      case 0xa000:
+        if (reg !== 3) {
+          this.pulse2.writeReg(reg, value);
+        }
+        break;
+
+      case 0xb000:
+        if (reg === 3) {
+          this.bankingMode = value;
+          this.updateChrBanks();
+          this.setMirroringMode((value >> 2) & 3);
+        } else {
+          this.saw.writeReg(reg, value);
+        }
+        break;
+
+      case 0xc000:
+        // 8KB PRG-ROM bank at $C000:
+        this.load8kRomBank(value & 0x1f, 0xc000);
+        break;
+
+      case 0xd000:
+        this.chrRegs[reg] = value;
+        this.updateChrBanks();
+        break;
+
+      case 0xe000:
+        this.chrRegs[4 + reg] = value;
+        this.updateChrBanks();
+        break;
+
+      case 0xf000:
+        if (reg === 0) {
+          this.irq.writeLatch(value);
+        } else if (reg === 1) {
+          this.irq.writeControl(value);
+        } else if (reg === 2) {
+          this.irq.acknowledge();
+        }
+        break;
+    }
+  }
+
+  // Maps CHR-ROM as 1KB or 2KB banks, depending on the banking mode. The
+  // 2KB banks take their lowest bit from the PPU address.
+  updateChrBanks() {
+    const r = this.chrRegs;
+    switch (this.bankingMode & 3) {
+      case 0:
+        for (let i = 0; i < 8; i++) {
+          this.load1kVromBank(r[i], i << 10);
+        }
+        break;
+      case 1:
+        for (let i = 0; i < 4; i++) {
+          this.load2kVromBank(r[i] >> 1, i << 11);
+        }
+        break;
+      default:
+        for (let i = 0; i < 4; i++) {
+          this.load1kVromBank(r[i], i << 10);
+        }
+        this.load2kVromBank(r[4] >> 1, 0x1000);
+        this.load2kVromBank(r[5] >> 1, 0x1800);
+        break;
+    }
+  }
+
+  clockCpu(cycles) {
+    const halted = (this.frequencyControl & 1) !== 0;
+    let shift = 0;
+    if (this.frequencyControl & 4) {
+      shift = 8;
+    } else if (this.frequencyControl & 2) {
+      shift = 4;
+    }
+    this.pulse1.clock(cycles, halted, shift);
+    this.pulse2.clock(cycles, halted, shift);
+    this.saw.clock(cycles, halted, shift);
+
+    this.irq.clock(cycles);
+    if (this.irq.pending) {
+      this.nes.cpu.requestIrq(this.nes.cpu.IRQ_NORMAL);
+    }
+  }
+
+  getAudioSample() {
+    return (
+      (this.pulse1.getSample() +
+        this.pulse2.getSample() +
+        this.saw.getSample()) *
+      OUTPUT_SCALE
+    );
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) {
+      throw new Error("VRC6: Invalid ROM! Unable to load.");
+    }
+    this.swapLines = this.nes.rom.mapperType === 26;
+    this.reset();
+
+    // Load PRG-ROM, the last 8KB bank is fixed:
+    const last = this.nes.rom.romCount * 2 - 1;
+    this.loadRomBank(0, 0x8000);
+    this.load8kRomBank(last - 1, 0xc000);
+    this.load8kRomBank(last, 0xe000);
+
+    // Load CHR-ROM:
+    this.updateChrBanks();
+
+    // Do Reset-Interrupt:
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    let s = super.toJSON();
+    s.chrRegs = this.chrRegs.slice();
+    s.bankingMode = this.bankingMode;
+    s.frequencyControl = this.frequencyControl;
+    s.irq = this.irq.toJSON();
+    s.pulse1 = this.pulse1.toJSON();
+    s.pulse2 = this.pulse2.toJSON();
+    s.saw = this.saw.toJSON();
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.chrRegs = s.chrRegs.slice();
+    this.bankingMode = s.bankingMode;
+    this.frequencyControl = s.frequencyControl;
+    this.irq.fromJSON(s.irq);
+    this.pulse1.fromJSON(s.pulse1);
+    this.pulse2.fromJSON(s.pulse2);
+    this.saw.fromJSON(s.saw);
+  }
+}
+
+export default Mapper24;
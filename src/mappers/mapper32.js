@@ -0,0 +1,106 @@
+import Mapper0 from "./mapper0.js";
+
+/**
+ * Mapper 032 (Irem G-101)
+ *
+ * Two 8KB PRG-ROM banks and eight 1KB CHR-ROM banks. A PRG mode swaps the
+ * first switchable bank with the fixed second-to-last one. Submapper 1 is
+ * Major League, which has single-screen mirroring wired on the board and
+ * no PRG mode.
+ *
+ * @description https://www.nesdev.org/wiki/INES_Mapper_032
+ * @example Image Fight, Major League, Kaiketsu Yanchamaru 2, Ai Sensei no Oshiete
+ */
+class Mapper32 extends Mapper0 {
+  constructor(nes) {
+    super(nes);
+    this.isMajorLeague = false;
+  }
+
+  reset() {
+    super.reset();
+    this.prgRegs = [0, 1];
+    this.prgMode = 0;
+  }
+
+  write(address, value) {
+    // Writes to addresses other than MMC registers are handled by NoMapper.
+    if (address < 0x8000) {
+      super.write(address, value);
+      return;
+    }
+
+    switch (address & 0xf000) {
+      case 0x8000:
+        this.prgRegs[0] = value & 0x1f;
+        this.updatePrgBanks();
+        break;
+
+      case 0x9000:
+        if (this.isMajorLeague) {
+          break;
+        }
+        this.setMirroringMode(value & 1);
+        this.prgMode = (value >> 1) & 1;
+        this.updatePrgBanks();
+        break;
+
+      case 0xa000:
+        this.prgRegs[1] = value & 0x1f;
+        this.updatePrgBanks();
+        break;
+
+      case 0xb000:
+        // 1KB CHR-ROM bank:
+        this.load1kVromBank(value, (address & 7) << 10);
+        break;
+    }
+  }
+
+  // Loads the 8KB PRG-ROM banks. The last one is fixed at $E000, and the
+  // second-to-last at $C000, or at $8000 in PRG mode 1.
+  updatePrgBanks() {
+    const secondLast = this.nes.rom.romCount * 2 - 2;
+    const swapped = this.prgMode === 1;
+    this.load8kRomBank(swapped ? secondLast : this.prgRegs[0], 0x8000);
+    this.load8kRomBank(this.prgRegs[1], 0xa000);
+    this.load8kRomBank(swapped ? this.prgRegs[0] : secondLast, 0xc000);
+    this.load8kRomBank(secondLast + 1, 0xe000);
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) {
+      throw new Error("G-101: Invalid ROM! Unable to load.");
+    }
+    this.isMajorLeague = this.nes.rom.submapper === 1;
+    this.reset();
+
+    // Load PRG-ROM:
+    this.updatePrgBanks();
+
+    // Load CHR-ROM:
+    this.loadCHRROM();
+
+    if (this.isMajorLeague) {
+      this.setMirroringMode(2);
+    }
+
+    // Do Reset-Interrupt:
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    let s = super.toJSON();
+    s.prgRegs = this.prgRegs.slice();
+    s.prgMode = this.prgMode;
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.prgRegs = s.prgRegs.slice();
+    this.prgMode = s.prgMode;
+  }
+}
+
+export default Mapper32;
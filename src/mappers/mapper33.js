@@ -0,0 +1,178 @@
+import Mapper0 from "./mapper0.js";
+
+// CPU cycles from the TC0690's IRQ counter reaching 0 to the IRQ, which
+// comes a little later than the MMC3's:
+const IRQ_DELAY = 4;
+
+/**
+ * Mappers 033 and 048 (Taito TC0190 and TC0690)
+ *
+ * Two 8KB PRG-ROM banks, two 2KB and four 1KB CHR-ROM banks. The TC0190
+ * (mapper 33) sets mirroring with a bit of its first PRG-ROM register. The
+ * TC0690 (mapper 48) has a mirroring register instead, and an MMC3-style
+ * scanline IRQ counter, whose latch is written inverted.
+ *
+ * @description https://www.nesdev.org/wiki/INES_Mapper_033
+ * @example Akira, Don Doko Don, Insector X (33), Bubble Bobble 2 (J), Flintstones (J) (48)
+ */
+class Mapper33 extends Mapper0 {
+  constructor(nes) {
+    super(nes);
+    this.isTC0690 = false;
+  }
+
+  reset() {
+    super.reset();
+    this.irqLatch = 0;
+    this.irqCounter = 0;
+    this.irqReload = false;
+    this.irqEnabled = false;
+    this.irqDelay = 0;
+    this.irqPending = false;
+  }
+
+  write(address, value) {
+    // Writes to addresses other than MMC registers are handled by NoMapper.
+    if (address < 0x8000) {
+      super.write(address, value);
+      return;
+    }
+
+    switch (address & 0xe003) {
+      case 0x8000:
+        // 8KB PRG-ROM bank at $8000, and on the TC0190, mirroring:
+        this.load8kRomBank(value & 0x3f, 0x8000);
+        if (!this.isTC0690) {
+          this.setMirroringMode((value >> 6) & 1);
+        }
+        break;
+
+      case 0x8001:
+        this.load8kRomBank(value & 0x3f, 0xa000);
+        break;
+
+      case 0x8002:
+      case 0x8003:
+        // 2KB CHR-ROM bank:
+        this.load2kVromBank(value, (address & 1) << 11);
+        break;
+
+      case 0xa000:
+      case 0xa001:
+      case 0xa002:
+      case 0xa003:
+        // 1KB CHR-ROM bank:
+        this.load1kVromBank(value, 0x1000 + ((address & 3) << 10));
+        break;
+
+      default:
+        if (this.isTC0690) {
+          this.writeTC0690(address & 0xe003, value);
+        }
+        break;
+    }
+  }
+
+  // Writes the TC0690's IRQ and mirroring registers.
+  writeTC0690(address, value) {
+    switch (address) {
+      case 0xc000:
+        this.irqLatch = value ^ 0xff;
+        break;
+
+      case 0xc001:
+        // The counter reloads on its next clock:
+        this.irqCounter = 0;
+        this.irqReload = true;
+        break;
+
+      case 0xc002:
+        this.irqEnabled = true;
+        break;
+
+      case 0xc003:
+        // Acknowledges and disables IRQs:
+        this.irqEnabled = false;
+        this.irqPending = false;
+        this.irqDelay = 0;
+        break;
+
+      case 0xe000:
+        // Vertical or horizontal mirroring:
+        this.setMirroringMode((value >> 6) & 1);
+        break;
+    }
+  }
+
+  clockIrqCounter() {
+    if (!this.isTC0690) {
+      return;
+    }
+    if (this.irqCounter === 0 || this.irqReload) {
+      this.irqCounter = this.irqLatch;
+      this.irqReload = false;
+    } else {
+      this.irqCounter--;
+    }
+    if (this.irqCounter === 0 && this.irqEnabled && this.irqDelay === 0) {
+      this.irqDelay = IRQ_DELAY;
+    }
+  }
+
+  clockCpu(cycles) {
+    if (this.irqDelay > 0) {
+      this.irqDelay -= cycles;
+      if (this.irqDelay <= 0) {
+        this.irqDelay = 0;
+        this.irqPending = true;
+      }
+    }
+    if (this.irqPending) {
+      this.nes.cpu.requestIrq(this.nes.cpu.IRQ_NORMAL);
+    }
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) {
+      throw new Error("Taito TC0190: Invalid ROM! Unable to load.");
+    }
+    this.isTC0690 = this.nes.rom.mapperType === 48;
+    this.reset();
+
+    // Load PRG-ROM, the last two 8KB banks are fixed:
+    const last = this.nes.rom.romCount * 2 - 1;
+    this.load8kRomBank(0, 0x8000);
+    this.load8kRomBank(1, 0xa000);
+    this.load8kRomBank(last - 1, 0xc000);
+    this.load8kRomBank(last, 0xe000);
+
+    // Load CHR-ROM:
+    this.loadCHRROM();
+
+    // Do Reset-Interrupt:
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    let s = super.toJSON();
+    s.irqLatch = this.irqLatch;
+    s.irqCounter = this.irqCounter;
+    s.irqReload = this.irqReload;
+    s.irqEnabled = this.irqEnabled;
+    s.irqDelay = this.irqDelay;
+    s.irqPending = this.irqPending;
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.irqLatch = s.irqLatch;
+    this.irqCounter = s.irqCounter;
+    this.irqReload = s.irqReload;
+    this.irqEnabled = s.irqEnabled;
+    this.irqDelay = s.irqDelay;
+    this.irqPending = s.irqPending;
+  }
+}
+
+export default Mapper33;
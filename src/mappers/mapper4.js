@@ -1,5 +1,12 @@
 import Mapper0 from "./mapper0.js";
 
+// The MMC6's 1KB of PRG-RAM at $7000-$7FFF is in two 512-byte halves, each
+// with its own read and write enable bits in $A001:
+const MMC6_READ_LOW = 0x20;
+const MMC6_WRITE_LOW = 0x10;
+const MMC6_READ_HIGH = 0x80;
+const MMC6_WRITE_HIGH = 0x40;
+
 class Mapper4 extends Mapper0 {
   static CMD_SEL_2_1K_VROM_0000 = 0;
   static CMD_SEL_2_1K_VROM_0800 = 1;
@@ -10,6 +17,13 @@ class Mapper4 extends Mapper0 {
   static CMD_SEL_ROM_PAGE1 = 6;
   static CMD_SEL_ROM_PAGE2 = 7;
 
+  constructor(nes) {
+    super(nes);
+    // The MMC6 (submapper 1) has 1KB of internal PRG-RAM instead of the
+    // board's 8KB.
+    this.isMMC6 = false;
+  }
+
   reset() {
     super.reset();
     this.command = 0;
@@ -20,9 +34,16 @@ class Mapper4 extends Mapper0 {
     this.irqLatchValue = 0;
     this.irqEnable = 0;
     this.prgAddressChanged = false;
+    this.mmc6RamEnabled = false;
+    this.mmc6RamProtect = 0;
+    this.mmc6Ram = new Uint8Array(0x400);
   }
 
   write(address, value) {
+    if (address >= 0x6000 && address < 0x8000 && this.isMMC6) {
+      this.writeMMC6Ram(address, value);
+      return;
+    }
     // Writes to addresses other than MMC registers are handled by NoMapper.
     if (address < 0x8000) {
       super.write(address, value);
@@ -39,6 +60,9 @@ class Mapper4 extends Mapper0 {
         }
         this.prgAddressSelect = tmp;
         this.chrAddressSelect = (value >> 7) & 1;
+        if (this.isMMC6) {
+          this.mmc6RamEnabled = (value & 0x20) !== 0;
+        }
         break;
       }
 
@@ -58,6 +82,13 @@ class Mapper4 extends Mapper0 {
 
       case 0xa001:
         // SaveRAM Toggle
+        if (this.isMMC6) {
+          // Ignored while the MMC6's PRG-RAM is disabled:
+          if (this.mmc6RamEnabled) {
+            this.mmc6RamProtect = value & 0xf0;
+          }
+          break;
+        }
         // TODO
         //nes.getRom().setSaveState((value&1)!=0);
         break;
@@ -188,10 +219,71 @@ class Mapper4 extends Mapper0 {
     }
   }
 
+  // Reads the MMC6's PRG-RAM, which is mirrored through $7000-$7FFF.
+  // Reading a disabled half gives 0, unless both are, which leaves the bus
+  // open.
+  load(address) {
+    if (address < 0x6000 || address >= 0x8000 || !this.isMMC6) {
+      return super.load(address);
+    }
+    const protect = this.mmc6RamProtect;
+    if (
+      address < 0x7000 ||
+      !this.mmc6RamEnabled ||
+      (protect & (MMC6_READ_LOW | MMC6_READ_HIGH)) === 0
+    ) {
+      return this.nes.cpu.dataBus;
+    }
+    const readBit = address & 0x200 ? MMC6_READ_HIGH : MMC6_READ_LOW;
+    return protect & readBit ? this.mmc6Ram[address & 0x3ff] : 0;
+  }
+
+  // Writes the MMC6's PRG-RAM, if the half is both readable and writable.
+  writeMMC6Ram(address, value) {
+    if (address < 0x7000 || !this.mmc6RamEnabled) {
+      return;
+    }
+    const bits =
+      address & 0x200
+        ? MMC6_READ_HIGH | MMC6_WRITE_HIGH
+        : MMC6_READ_LOW | MMC6_WRITE_LOW;
+    if ((this.mmc6RamProtect & bits) !== bits) {
+      return;
+    }
+    this.mmc6Ram[address & 0x3ff] = value;
+    if (this.nes.rom.batteryRam) {
+      this.nes.batteryRamDirty = true;
+    }
+  }
+
+  getBatteryRamSize() {
+    if (!this.isMMC6) {
+      return super.getBatteryRamSize();
+    }
+    return this.nes.rom.batteryRam ? this.mmc6Ram.length : 0;
+  }
+
+  getBatteryRam() {
+    if (!this.isMMC6) {
+      return super.getBatteryRam();
+    }
+    return this.mmc6Ram.slice(0, this.getBatteryRamSize());
+  }
+
+  setBatteryRam(data) {
+    if (!this.isMMC6) {
+      super.setBatteryRam(data);
+      return;
+    }
+    this.mmc6Ram.set(data.subarray(0, this.getBatteryRamSize()));
+  }
+
   loadROM() {
     if (!this.nes.rom.valid) {
       throw new Error("MMC3: Invalid ROM! Unable to load.");
     }
+    this.isMMC6 = this.nes.rom.mapperType === 4 && this.nes.rom.submapper === 1;
+    this.reset();
 
     // Load hardwired PRG banks (0xC000 and 0xE000):
     this.load8kRomBank((this.nes.rom.romCount - 1) * 2, 0xc000);
@@ -204,9 +296,6 @@ class Mapper4 extends Mapper0 {
     // Load CHR-ROM:
     this.loadCHRROM();
 
-    // Load Battery RAM (if present):
-    this.loadBatteryRam();
-
     // Do Reset-Interrupt:
     this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
   }
@@ -233,6 +322,11 @@ class Mapper4 extends Mapper0 {
     s.irqLatchValue = this.irqLatchValue;
     s.irqEnable = this.irqEnable;
     s.prgAddressChanged = this.prgAddressChanged;
+    if (this.isMMC6) {
+      s.mmc6RamEnabled = this.mmc6RamEnabled;
+      s.mmc6RamProtect = this.mmc6RamProtect;
+      s.mmc6Ram = Array.from(this.mmc6Ram);
+    }
     return s;
   }
 
@@ -246,6 +340,11 @@ class Mapper4 extends Mapper0 {
     this.irqLatchValue = s.irqLatchValue;
     this.irqEnable = s.irqEnable;
     this.prgAddressChanged = s.prgAddressChanged;
+    if (this.isMMC6) {
+      this.mmc6RamEnabled = s.mmc6RamEnabled;
+      this.mmc6RamProtect = s.mmc6RamProtect;
+      this.mmc6Ram.set(s.mmc6Ram);
+    }
   }
 }
 
@@ -1,7 +1,30 @@
 import Mapper0 from "./mapper0.js";
+import ChannelMMC5Pulse from "../papu/channel-mmc5-pulse.js";
+
+// Scales the pulses' output (0 to 15 each) to the 2A03's mixer output (see
+// PAPU.initDACtables()). An MMC5 pulse at full volume is about as loud as
+// a 2A03 square at full volume, which comes out at around 3970.
+const PULSE_SCALE = 3970 / 15;
+
+// Scales the PCM channel's 8-bit level, so that at its highest it's about
+// as loud as both pulses at full volume.
+const PCM_SCALE = (3970 * 2) / 255;
+
+// CPU cycles between clocks of the pulses' envelopes and length counters,
+// about 240Hz.
+const FRAME_PERIOD = 7457;
+
+// PRG-RAM, in up to eight 8KB banks.
+const PRG_RAM_SIZE = 0x10000;
 
 /**
- * Mapper005 (MMC5,ExROM)
+ * Mapper 005 (MMC5, ExROM)
+ *
+ * The nametables are each mapped to either 1KB of the console's nametable
+ * RAM (CIRAM), the MMC5's 1KB of ExRAM, or a nametable filled with one
+ * tile, with PPU memory pages (see PPU.setMemoryPage()). Backgrounds are
+ * drawn with fetchBgTile() while extended attributes, the vertical split or
+ * the separate background CHR banks used with 8x16 sprites are in use.
  *
  * @example Castlevania 3, Just Breed, Uncharted Waters, Romance of the 3 Kingdoms 2, Laser Invasion, Metal Slader Glory, Uchuu Keibitai SDF, Shin 4 Nin Uchi Mahjong - Yakuman Tengoku
  * @description http://wiki.nesdev.com/w/index.php/INES_Mapper_005
@@ -9,59 +32,149 @@ import Mapper0 from "./mapper0.js";
 class Mapper5 extends Mapper0 {
   constructor(nes) {
     super(nes);
+    // Returned by fetchBgTile(), to save making an object for every tile:
+    this.fetched = { tile: null, attrib: 0, row: 0 };
+  }
+
+  reset() {
+    super.reset();
+
+    this.prgMode = 3;
+    this.chrMode = 3;
+    // $5102 and $5103, which have to be 2 and 1 to write to PRG-RAM:
+    this.prgRamProtect = [0, 0];
+    this.exramMode = 0;
+    // Two bits per nametable, which start out vertically mirrored:
+    this.nametableMapping = 0x44;
+    this.fillTile = 0;
+    this.fillColor = 0;
+
+    // $5113-$5117, the last of which always selects ROM:
+    this.prgRegs = [0, 0, 0, 0, 0xff];
+    // The RAM bank mapped at $8000, $A000, $C000 and $E000, or -1 for ROM:
+    this.prgRamBanks = [-1, -1, -1, -1];
+    // $5120-$5127 (set A) and $5128-$512B (set B), with the bits from
+    // $5130 above them:
+    this.chrRegs = new Array(12).fill(0);
+    this.chrUpper = 0;
+    this.chrSetB = false; // whether set B was written last
+    this.spriteSize16 = false;
+    // The 1KB banks backgrounds use, when they're set B, else null:
+    this.bgChrBanks = null;
+
+    this.splitControl = 0;
+    this.splitScroll = 0;
+    this.splitBank = 0;
+
+    this.irqTarget = 0;
+    this.irqEnabled = false;
+    this.irqPending = false;
+    this.inFrame = false;
+    this.scanlineCounter = 0;
+
+    this.multiplicand = 0xff;
+    this.multiplier = 0xff;
+
+    this.prgRam = new Uint8Array(PRG_RAM_SIZE);
+    this.exram = new Uint8Array(0x400);
+    this.ciram = new Uint8Array(0x800);
+
+    // Pages for the PPU's nametables. ExRAM reads as zeros there unless
+    // it's in one of its nametable modes.
+    this.ciramPages = [
+      { data: this.ciram.subarray(0, 0x400), writable: true },
+      { data: this.ciram.subarray(0x400), writable: true },
+    ];
+    this.exramPage = { data: this.exram, writable: true };
+    this.emptyPage = { data: new Uint8Array(0x400), writable: false };
+    this.fillPage = { data: new Uint8Array(0x400), writable: false };
+    this.fillNametable();
+
+    this.pulse1 = new ChannelMMC5Pulse(this.nes);
+    this.pulse2 = new ChannelMMC5Pulse(this.nes);
+    this.frameCycles = 0;
+    this.pcmValue = 0;
+    this.pcmReadMode = false;
+    this.pcmIrqEnabled = false;
+    this.pcmIrqPending = false;
+    this.updateBgTileFetches();
   }
 
   write(address, value) {
-    // Writes to addresses other than MMC registers are handled by NoMapper.
     if (address < 0x5000) {
+      // Writes to addresses other than MMC registers are handled by NoMapper.
       super.write(address, value);
+      if (address >= 0x2000 && address < 0x4000 && (address & 7) === 0) {
+        // The MMC5 watches $2000 for the sprite size, which decides the CHR
+        // banks the PPU sees:
+        const spriteSize16 = (value & 0x20) !== 0;
+        if (spriteSize16 !== this.spriteSize16) {
+          this.spriteSize16 = spriteSize16;
+          this.updateChrBanks();
+        }
+      }
+      return;
+    }
+
+    if (address >= 0x6000) {
+      this.writePrgRam(address, value);
+      return;
+    }
+
+    if (address >= 0x5c00) {
+      // ExRAM, read-only in mode 3:
+      if (this.exramMode !== 3) {
+        const offset = address - 0x5c00;
+        this.exram[offset] = value;
+        this.nes.ppu.memoryPageChanged(this.exram, offset);
+      }
+      return;
+    }
+
+    if (address < 0x5100) {
+      this.writeAudio(address, value);
       return;
     }
 
     switch (address) {
       case 0x5100:
-        this.prg_size = value & 3;
+        this.prgMode = value & 3;
+        this.updatePrgBanks();
         break;
       case 0x5101:
-        this.chr_size = value & 3;
+        this.chrMode = value & 3;
+        this.updateChrBanks();
         break;
       case 0x5102:
-        this.sram_we_a = value & 3;
-        break;
       case 0x5103:
-        this.sram_we_b = value & 3;
+        this.prgRamProtect[address - 0x5102] = value & 3;
         break;
       case 0x5104:
-        this.graphic_mode = value & 3;
+        this.exramMode = value & 3;
+        this.updateNametables();
+        this.updateBgTileFetches();
         break;
       case 0x5105:
-        this.nametable_mode = value;
-        this.nametable_type[0] = value & 3;
-        this.load1kVromBank(value & 3, 0x2000);
-        value >>= 2;
-        this.nametable_type[1] = value & 3;
-        this.load1kVromBank(value & 3, 0x2400);
-        value >>= 2;
-        this.nametable_type[2] = value & 3;
-        this.load1kVromBank(value & 3, 0x2800);
-        value >>= 2;
-        this.nametable_type[3] = value & 3;
-        this.load1kVromBank(value & 3, 0x2c00);
+        this.nametableMapping = value;
+        this.updateNametables();
         break;
       case 0x5106:
-        this.fill_chr = value;
+        this.fillTile = value;
+        this.fillNametable();
+        this.updateNametables();
         break;
       case 0x5107:
-        this.fill_pal = value & 3;
+        this.fillColor = value & 3;
+        this.fillNametable();
+        this.updateNametables();
         break;
       case 0x5113:
-        this.SetBank_SRAM(3, value & 3);
-        break;
       case 0x5114:
       case 0x5115:
       case 0x5116:
       case 0x5117:
-        this.SetBank_CPU(address, value);
+        this.prgRegs[address - 0x5113] = value;
+        this.updatePrgBanks();
         break;
       case 0x5120:
       case 0x5121:
@@ -71,83 +184,500 @@ class Mapper5 extends Mapper0 {
       case 0x5125:
       case 0x5126:
       case 0x5127:
-        this.chr_mode = 0;
-        this.chr_page[0][address & 7] = value;
-        this.SetBank_PPU();
-        break;
       case 0x5128:
       case 0x5129:
       case 0x512a:
       case 0x512b:
-        this.chr_mode = 1;
-        this.chr_page[1][(address & 3) + 0] = value;
-        this.chr_page[1][(address & 3) + 4] = value;
-        this.SetBank_PPU();
+        this.chrRegs[address - 0x5120] = value | (this.chrUpper << 8);
+        this.chrSetB = address >= 0x5128;
+        this.updateChrBanks();
+        break;
+      case 0x5130:
+        this.chrUpper = value & 3;
         break;
       case 0x5200:
-        this.split_control = value;
+        this.splitControl = value;
+        this.updateBgTileFetches();
         break;
       case 0x5201:
-        this.split_scroll = value;
+        this.splitScroll = value;
         break;
       case 0x5202:
-        this.split_page = value & 0x3f;
+        this.splitBank = value;
         break;
       case 0x5203:
-        this.irq_line = value;
-        this.nes.cpu.ClearIRQ();
+        this.irqTarget = value;
         break;
       case 0x5204:
-        this.irq_enable = value;
-        this.nes.cpu.ClearIRQ();
+        this.irqEnabled = (value & 0x80) !== 0;
         break;
       case 0x5205:
-        this.mult_a = value;
+        this.multiplicand = value;
+        break;
+      case 0x5206:
+        this.multiplier = value;
         break;
+    }
+  }
+
+  writeAudio(address, value) {
+    if (address < 0x5008) {
+      const pulse = address < 0x5004 ? this.pulse1 : this.pulse2;
+      pulse.writeReg(address & 3, value);
+      return;
+    }
+    switch (address) {
+      case 0x5010:
+        this.pcmReadMode = (value & 0x01) !== 0;
+        this.pcmIrqEnabled = (value & 0x80) !== 0;
+        break;
+      case 0x5011:
+        // Writing 0 does nothing:
+        if (!this.pcmReadMode && value !== 0) {
+          this.pcmValue = value;
+        }
+        break;
+      case 0x5015:
+        this.pulse1.setEnabled((value & 0x01) !== 0);
+        this.pulse2.setEnabled((value & 0x02) !== 0);
+        break;
+    }
+  }
+
+  writePrgRam(address, value) {
+    const offset = this.getPrgRamOffset(address);
+    if (
+      offset < 0 ||
+      this.prgRamProtect[0] !== 2 ||
+      this.prgRamProtect[1] !== 1
+    ) {
+      return;
+    }
+    this.prgRam[offset] = value;
+    if (this.nes.rom.batteryRam) {
+      this.nes.batteryRamDirty = true;
+    }
+  }
+
+  load(address) {
+    if (address >= 0x6000 && address < 0xe000) {
+      const offset = this.getPrgRamOffset(address);
+      if (offset >= 0) {
+        return this.prgRam[offset];
+      }
+      const value = this.nes.cpu.mem[address];
+      if (this.pcmReadMode && address < 0xc000) {
+        this.readPcm(value);
+      }
+      return value;
+    }
+    if (address >= 0x5000 && address < 0x6000) {
+      return this.loadRegister(address);
+    }
+    return super.load(address);
+  }
+
+  loadRegister(address) {
+    switch (address) {
+      case 0x5010: {
+        // Reading acknowledges the PCM IRQ:
+        const value =
+          (this.pcmIrqPending ? 0x80 : 0) | (this.pcmReadMode ? 0x01 : 0);
+        this.pcmIrqPending = false;
+        return value;
+      }
+      case 0x5015:
+        return (
+          this.pulse1.getLengthStatus() | (this.pulse2.getLengthStatus() << 1)
+        );
+      case 0x5204: {
+        // Reading acknowledges the scanline IRQ:
+        const value =
+          (this.irqPending ? 0x80 : 0) | (this.isInFrame() ? 0x40 : 0);
+        this.irqPending = false;
+        return value;
+      }
+      case 0x5205:
+        return (this.multiplicand * this.multiplier) & 0xff;
       case 0x5206:
-        this.mult_b = value;
-        break;
-      default:
-        if (address >= 0x5000 && address <= 0x5015) {
-          this.nes.papu.exWrite(address, value);
-        } else if (address >= 0x5c00 && address <= 0x5fff) {
-          if (this.graphic_mode === 2) {
-            // ExRAM
-            // vram write
-          } else if (this.graphic_mode !== 3) {
-            // Split,ExGraphic
-            if (this.irq_status & 0x40) {
-              // vram write
-            } else {
-              // vram write
-            }
-          }
-        } else if (address >= 0x6000 && address <= 0x7fff) {
-          if (this.sram_we_a === 2 && this.sram_we_b === 1) {
-            // additional ram write
-          }
+        return (this.multiplicand * this.multiplier) >> 8;
+    }
+    if (address >= 0x5c00 && this.exramMode >= 2) {
+      return this.exram[address - 0x5c00];
+    }
+    return this.nes.cpu.dataBus;
+  }
+
+  // In PCM read mode, reads from $8000-$BFFF play the byte read, and a 0
+  // raises an IRQ instead.
+  readPcm(value) {
+    if (value === 0) {
+      this.pcmIrqPending = true;
+    } else {
+      this.pcmValue = value;
+    }
+  }
+
+  // Returns where a CPU address is in PRG-RAM, or -1 if it's ROM.
+  getPrgRamOffset(address) {
+    let bank;
+    if (address < 0x8000) {
+      bank = this.prgRegs[0] & 7;
+    } else {
+      bank = this.prgRamBanks[(address - 0x8000) >> 13];
+      if (bank < 0) {
+        return -1;
+      }
+    }
+    return (bank << 13) | (address & 0x1fff);
+  }
+
+  // Maps PRG-ROM and PRG-RAM at $8000-$FFFF for the PRG mode. Bit 7 of a
+  // bank register selects ROM rather than RAM.
+  updatePrgBanks() {
+    const regs = this.prgRegs;
+    switch (this.prgMode) {
+      case 0:
+        // 32KB of ROM from $5117:
+        for (let slot = 0; slot < 4; slot++) {
+          this.mapPrgBank(slot, (regs[4] & 0xfc) | slot | 0x80);
+        }
+        break;
+      case 1:
+        // 16KB from $5115 and 16KB of ROM from $5117:
+        this.mapPrgBank(0, regs[2] & 0xfe);
+        this.mapPrgBank(1, regs[2] | 0x01);
+        this.mapPrgBank(2, (regs[4] & 0xfe) | 0x80);
+        this.mapPrgBank(3, regs[4] | 0x81);
+        break;
+      case 2:
+        // 16KB from $5115, 8KB from $5116 and 8KB of ROM from $5117:
+        this.mapPrgBank(0, regs[2] & 0xfe);
+        this.mapPrgBank(1, regs[2] | 0x01);
+        this.mapPrgBank(2, regs[3]);
+        this.mapPrgBank(3, regs[4] | 0x80);
+        break;
+      case 3:
+        // 8KB each from $5114-$5117:
+        for (let slot = 0; slot < 3; slot++) {
+          this.mapPrgBank(slot, regs[slot + 1]);
         }
+        this.mapPrgBank(3, regs[4] | 0x80);
         break;
     }
   }
 
+  mapPrgBank(slot, value) {
+    const address = 0x8000 + (slot << 13);
+    if (value & 0x80) {
+      this.prgRamBanks[slot] = -1;
+      this.load8kRomBank(value & 0x7f, address);
+    } else {
+      this.prgRamBanks[slot] = value & 7;
+      this.setPrgBank(address, -1);
+    }
+  }
+
+  // Works out the 1KB CHR banks for $0000-$1FFF from set A or set B, for
+  // the CHR mode. Set B's four registers are for both pattern tables.
+  getChrBanks(setB) {
+    const mask = (8 >> this.chrMode) - 1;
+    const banks = new Array(8);
+    for (let slot = 0; slot < 8; slot++) {
+      // The last register of each group selects its bank:
+      let reg = slot | mask;
+      if (setB) {
+        reg = 8 + (reg & 3);
+      }
+      banks[slot] = this.chrRegs[reg] * (mask + 1) + (slot & mask);
+    }
+    return banks;
+  }
+
+  // Loads the CHR banks the PPU sees. With 8x16 sprites, sprites use set A
+  // and backgrounds set B, otherwise both use whichever set was written
+  // last.
+  updateChrBanks() {
+    const banks = this.getChrBanks(this.chrSetB && !this.spriteSize16);
+    for (let slot = 0; slot < 8; slot++) {
+      this.load1kVromBank(banks[slot], slot << 10);
+    }
+    this.bgChrBanks = this.spriteSize16 ? this.getChrBanks(true) : null;
+    this.updateBgTileFetches();
+  }
+
+  // Backgrounds only go through fetchBgTile() when they need to, since it's
+  // slower than the PPU's own fetches.
+  updateBgTileFetches() {
+    this.bgTileFetches =
+      this.exramMode === 1 ||
+      ((this.splitControl & 0x80) !== 0 && this.exramMode < 2) ||
+      this.bgChrBanks !== null;
+  }
+
+  // Returns tile number index counting from the start of a 1KB CHR bank.
+  // Without CHR-ROM, the pattern tables are used instead.
+  getChrTile(bank1k, index) {
+    const rom = this.nes.rom;
+    const tile = (bank1k << 6) + index;
+    if (rom.vromCount === 0) {
+      return this.nes.ppu.ptTile[tile & 0x1ff];
+    }
+    return rom.vromTile[(tile >> 8) % rom.vromCount][tile & 0xff];
+  }
+
+  fillNametable() {
+    const data = this.fillPage.data;
+    data.fill(this.fillTile, 0, 0x3c0);
+    data.fill(this.fillColor * 0x55, 0x3c0);
+  }
+
+  // Points the nametables at CIRAM, ExRAM or the fill-mode nametable, as
+  // $5105 says.
+  updateNametables() {
+    const ppu = this.nes.ppu;
+    ppu.setMirroring(this.nes.rom.FOURSCREEN_MIRRORING);
+    for (let i = 0; i < 4; i++) {
+      const source = (this.nametableMapping >> (i << 1)) & 3;
+      let page;
+      if (source < 2) {
+        page = this.ciramPages[source];
+      } else if (source === 2) {
+        page = this.exramMode < 2 ? this.exramPage : this.emptyPage;
+      } else {
+        page = this.fillPage;
+      }
+      ppu.setMemoryPage(8 + i, page);
+    }
+  }
+
+  // Whether a column of the screen is in the vertical split, which shows
+  // ExRAM as a nametable with its own scroll and CHR bank.
+  isInSplit(column) {
+    if ((this.splitControl & 0x80) === 0 || this.exramMode >= 2) {
+      return false;
+    }
+    const threshold = this.splitControl & 0x1f;
+    if (this.splitControl & 0x40) {
+      return column >= threshold;
+    }
+    return column < threshold;
+  }
+
+  fetchBgTile(column, scan) {
+    const ppu = this.nes.ppu;
+    const fetched = this.fetched;
+
+    if (this.isInSplit(column)) {
+      const y = (this.splitScroll + scan) % 240;
+      const row = y >> 3;
+      const index = this.exram[(row << 5) | column];
+      const attrib = this.exram[0x3c0 + ((row >> 2) << 3) + (column >> 2)];
+      fetched.tile = this.getChrTile(this.splitBank << 2, index);
+      fetched.attrib = ((attrib >> (((row & 2) << 1) | (column & 2))) & 3) << 2;
+      fetched.row = y & 7;
+      return fetched;
+    }
+
+    const nameTable = ppu.nameTable[ppu.curNt];
+    const index = nameTable.getTileIndex(ppu.cntHT, ppu.cntVT);
+    fetched.row = ppu.cntFV;
+    if (this.exramMode === 1) {
+      // Extended attributes: each tile's ExRAM byte has a 4KB CHR bank and
+      // its palette.
+      const ex = this.exram[(ppu.cntVT << 5) | ppu.cntHT];
+      const bank4k = (this.chrUpper << 6) | (ex & 0x3f);
+      fetched.tile = this.getChrTile(bank4k << 2, index);
+      fetched.attrib = (ex >> 6) << 2;
+    } else {
+      const tile = (ppu.regS << 8) | index;
+      if (this.bgChrBanks !== null) {
+        fetched.tile = this.getChrTile(this.bgChrBanks[tile >> 6], tile & 63);
+      } else {
+        fetched.tile = ppu.ptTile[tile];
+      }
+      fetched.attrib = nameTable.getAttrib(ppu.cntHT, ppu.cntVT);
+    }
+    return fetched;
+  }
+
+  // Called at the end of each rendered scanline and the pre-render line.
+  // The counter restarts at the first scanline of a frame and counts the
+  // ones after it, raising an IRQ at the one $5203 says.
+  clockIrqCounter() {
+    const scanline = this.nes.ppu.scanline - 20;
+    if (scanline === 0) {
+      this.inFrame = true;
+      this.scanlineCounter = 0;
+      this.irqPending = false;
+    } else if (scanline < 240) {
+      this.scanlineCounter++;
+      if (this.scanlineCounter === this.irqTarget) {
+        this.irqPending = true;
+      }
+    } else {
+      this.inFrame = false;
+    }
+  }
+
+  isInFrame() {
+    const ppu = this.nes.ppu;
+    return (
+      this.inFrame && (ppu.f_bgVisibility === 1 || ppu.f_spVisibility === 1)
+    );
+  }
+
+  clockCpu(cycles) {
+    this.pulse1.clock(cycles);
+    this.pulse2.clock(cycles);
+    this.frameCycles += cycles;
+    while (this.frameCycles >= FRAME_PERIOD) {
+      this.frameCycles -= FRAME_PERIOD;
+      this.pulse1.clockFrame();
+      this.pulse2.clockFrame();
+    }
+
+    if (
+      (this.irqPending && this.irqEnabled) ||
+      (this.pcmIrqPending && this.pcmIrqEnabled)
+    ) {
+      this.nes.cpu.requestIrq(this.nes.cpu.IRQ_NORMAL);
+    }
+  }
+
+  getAudioSample() {
+    return (
+      (this.pulse1.getSample() + this.pulse2.getSample()) * PULSE_SCALE +
+      this.pcmValue * PCM_SCALE
+    );
+  }
+
+  // Battery-backed PRG-RAM is in prgRam rather than CPU memory. iNES 1.0
+  // headers can't say how much there is, so all of it is saved.
+  getBatteryRamSize() {
+    const rom = this.nes.rom;
+    if (!rom.batteryRam) {
+      return 0;
+    }
+    return rom.isNES2 ? Math.min(rom.prgNvramSize, PRG_RAM_SIZE) : PRG_RAM_SIZE;
+  }
+
+  getBatteryRam() {
+    return this.prgRam.slice(0, this.getBatteryRamSize());
+  }
+
+  setBatteryRam(data) {
+    const size = Math.min(data.length, this.getBatteryRamSize());
+    this.prgRam.set(data.subarray(0, size));
+  }
+
   loadROM() {
     if (!this.nes.rom.valid) {
-      throw new Error("UNROM: Invalid ROM! Unable to load.");
+      throw new Error("MMC5: Invalid ROM! Unable to load.");
     }
+    this.reset();
 
-    // Load PRG-ROM:
-    this.load8kRomBank(this.nes.rom.romCount * 2 - 1, 0x8000);
-    this.load8kRomBank(this.nes.rom.romCount * 2 - 1, 0xa000);
-    this.load8kRomBank(this.nes.rom.romCount * 2 - 1, 0xc000);
-    this.load8kRomBank(this.nes.rom.romCount * 2 - 1, 0xe000);
+    // Load PRG-ROM. Only $5117 starts out known, with the last bank:
+    this.updatePrgBanks();
 
-    // Load CHR-ROM:
-    this.loadCHRROM();
+    // Load CHR-ROM and the nametables:
+    this.updateChrBanks();
+    this.updateNametables();
 
     // Do Reset-Interrupt:
     this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
   }
+
+  toJSON() {
+    let s = super.toJSON();
+    s.prgMode = this.prgMode;
+    s.chrMode = this.chrMode;
+    s.prgRamProtect = this.prgRamProtect.slice();
+    s.exramMode = this.exramMode;
+    s.nametableMapping = this.nametableMapping;
+    s.fillTile = this.fillTile;
+    s.fillColor = this.fillColor;
+    s.prgRegs = this.prgRegs.slice();
+    s.prgRamBanks = this.prgRamBanks.slice();
+    s.chrRegs = this.chrRegs.slice();
+    s.chrUpper = this.chrUpper;
+    s.chrSetB = this.chrSetB;
+    s.spriteSize16 = this.spriteSize16;
+    s.splitControl = this.splitControl;
+    s.splitScroll = this.splitScroll;
+    s.splitBank = this.splitBank;
+    s.irqTarget = this.irqTarget;
+    s.irqEnabled = this.irqEnabled;
+    s.irqPending = this.irqPending;
+    s.inFrame = this.inFrame;
+    s.scanlineCounter = this.scanlineCounter;
+    s.multiplicand = this.multiplicand;
+    s.multiplier = this.multiplier;
+    s.prgRam = Array.from(this.prgRam);
+    s.exram = Array.from(this.exram);
+    s.ciram = Array.from(this.ciram);
+    s.pulse1 = this.pulse1.toJSON();
+    s.pulse2 = this.pulse2.toJSON();
+    s.frameCycles = this.frameCycles;
+    s.pcmValue = this.pcmValue;
+    s.pcmReadMode = this.pcmReadMode;
+    s.pcmIrqEnabled = this.pcmIrqEnabled;
+    s.pcmIrqPending = this.pcmIrqPending;
+    return s;
+  }
+
+  fromJSON(s) {
+    if (s.prgRegs === undefined) {
+      // States from before the MMC5 was complete only have NoMapper's
+      // fields, and PRG-RAM in CPU memory. Carry on from the registers
+      // loadROM() sets up, leaving the PRG-ROM banks in CPU memory as they
+      // were:
+      this.reset();
+      super.fromJSON(s);
+      this.prgRam.set(this.nes.cpu.mem.subarray(0x6000, 0x8000));
+      this.updateChrBanks();
+      this.updateNametables();
+      return;
+    }
+
+    super.fromJSON(s);
+    this.prgMode = s.prgMode;
+    this.chrMode = s.chrMode;
+    this.prgRamProtect = s.prgRamProtect.slice();
+    this.exramMode = s.exramMode;
+    this.nametableMapping = s.nametableMapping;
+    this.fillTile = s.fillTile;
+    this.fillColor = s.fillColor;
+    this.prgRegs = s.prgRegs.slice();
+    this.prgRamBanks = s.prgRamBanks.slice();
+    this.chrRegs = s.chrRegs.slice();
+    this.chrUpper = s.chrUpper;
+    this.chrSetB = s.chrSetB;
+    this.spriteSize16 = s.spriteSize16;
+    this.splitControl = s.splitControl;
+    this.splitScroll = s.splitScroll;
+    this.splitBank = s.splitBank;
+    this.irqTarget = s.irqTarget;
+    this.irqEnabled = s.irqEnabled;
+    this.irqPending = s.irqPending;
+    this.inFrame = s.inFrame;
+    this.scanlineCounter = s.scanlineCounter;
+    this.multiplicand = s.multiplicand;
+    this.multiplier = s.multiplier;
+    this.prgRam.set(s.prgRam);
+    this.exram.set(s.exram);
+    this.ciram.set(s.ciram);
+    this.pulse1.fromJSON(s.pulse1);
+    this.pulse2.fromJSON(s.pulse2);
+    this.frameCycles = s.frameCycles;
+    this.pcmValue = s.pcmValue;
+    this.pcmReadMode = s.pcmReadMode;
+    this.pcmIrqEnabled = s.pcmIrqEnabled;
+    this.pcmIrqPending = s.pcmIrqPending;
+    this.fillNametable();
+    this.updateChrBanks();
+    this.updateNametables();
+  }
 }
 
 export default Mapper5;
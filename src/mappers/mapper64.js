@@ -0,0 +1,216 @@
+import Mapper0 from "./mapper0.js";
+
+// CPU cycles from the IRQ counter reaching 0 to the IRQ, in each mode:
+const SCANLINE_IRQ_DELAY = 2;
+const CYCLE_IRQ_DELAY = 1;
+
+/**
+ * Mapper 064 (Tengen RAMBO-1)
+ *
+ * Tengen's MMC3 work-alike. It adds a third switchable PRG-ROM bank, a mode
+ * with eight 1KB CHR banks, and an IRQ counter that can count CPU cycles
+ * (divided by 4) instead of scanlines. The counter behaves differently from
+ * the MMC3's: after a $C001 write it reloads with one more than the latch,
+ * and the IRQ is asserted a cycle or two after the counter reaches 0, which
+ * games time their raster effects around.
+ *
+ * @description https://www.nesdev.org/wiki/RAMBO-1
+ * @example Klax, Skull & Crossbones, Shinobi (Tengen), Rolling Thunder
+ */
+class Mapper64 extends Mapper0 {
+  reset() {
+    super.reset();
+
+    // $8000: the register $8001 writes, and the banking modes.
+    this.command = 0;
+    this.prgMode = 0;
+    this.chr1kMode = false;
+    this.chrInvert = false;
+    // R0-R9 and RF. RA-RE don't exist.
+    this.regs = new Array(16).fill(0);
+
+    this.irqLatch = 0;
+    this.irqCounter = 0;
+    this.irqReload = false;
+    this.irqCycleMode = false;
+    this.irqPrescaler = 0;
+    this.irqEnabled = false;
+    this.irqDelay = 0;
+    this.irqPending = false;
+  }
+
+  write(address, value) {
+    // Writes to addresses other than MMC registers are handled by NoMapper.
+    if (address < 0x8000) {
+      super.write(address, value);
+      return;
+    }
+
+    switch (address & 0xe001) {
+      case 0x8000:
+        this.command = value & 0x0f;
+        this.chr1kMode = (value & 0x20) !== 0;
+        this.prgMode = (value >> 6) & 1;
+        this.chrInvert = (value & 0x80) !== 0;
+        this.updatePrgBanks();
+        this.updateChrBanks();
+        break;
+
+      case 0x8001:
+        this.regs[this.command] = value;
+        if (this.command === 6 || this.command === 7 || this.command === 15) {
+          this.updatePrgBanks();
+        } else {
+          this.updateChrBanks();
+        }
+        break;
+
+      case 0xa000:
+        // Vertical or horizontal mirroring:
+        this.setMirroringMode(value & 1);
+        break;
+
+      case 0xc000:
+        this.irqLatch = value;
+        break;
+
+      case 0xc001:
+        // The counter reloads on its next clock:
+        this.irqCycleMode = (value & 1) !== 0;
+        this.irqReload = true;
+        this.irqPrescaler = 0;
+        break;
+
+      case 0xe000:
+        // Acknowledges and disables IRQs:
+        this.irqEnabled = false;
+        this.irqPending = false;
+        this.irqDelay = 0;
+        break;
+
+      case 0xe001:
+        this.irqEnabled = true;
+        break;
+    }
+  }
+
+  // Loads the 8KB PRG-ROM banks. In mode 1, RF moves to $8000 and R6 and R7
+  // move up after it. The last bank is fixed at $E000.
+  updatePrgBanks() {
+    const regs = this.regs;
+    const banks = this.prgMode
+      ? [regs[15], regs[6], regs[7]]
+      : [regs[6], regs[7], regs[15]];
+    this.load8kRomBank(banks[0], 0x8000);
+    this.load8kRomBank(banks[1], 0xa000);
+    this.load8kRomBank(banks[2], 0xc000);
+    this.load8kRomBank(this.nes.rom.romCount * 2 - 1, 0xe000);
+  }
+
+  // Loads the 1KB CHR-ROM banks. R0 and R1 select 2KB banks, unless R8 and
+  // R9 select the second half of each, and inverting swaps the pattern
+  // tables.
+  updateChrBanks() {
+    const regs = this.regs;
+    const banks = this.chr1kMode
+      ? [regs[0], regs[8], regs[1], regs[9]]
+      : [regs[0] & 0xfe, regs[0] | 1, regs[1] & 0xfe, regs[1] | 1];
+    banks.push(regs[2], regs[3], regs[4], regs[5]);
+    const invert = this.chrInvert ? 4 : 0;
+    for (let i = 0; i < 8; i++) {
+      this.load1kVromBank(banks[i], (i ^ invert) << 10);
+    }
+  }
+
+  clockIrqCounter() {
+    if (!this.irqCycleMode) {
+      this.clockIrq(SCANLINE_IRQ_DELAY);
+    }
+  }
+
+  clockIrq(delay) {
+    if (this.irqReload) {
+      this.irqCounter = this.irqLatch + 1;
+      this.irqReload = false;
+    } else if (this.irqCounter === 0) {
+      this.irqCounter = this.irqLatch;
+    } else {
+      this.irqCounter--;
+    }
+    if (this.irqCounter === 0 && this.irqEnabled && this.irqDelay === 0) {
+      this.irqDelay = delay;
+    }
+  }
+
+  clockCpu(cycles) {
+    if (this.irqDelay > 0) {
+      this.irqDelay -= cycles;
+      if (this.irqDelay <= 0) {
+        this.irqDelay = 0;
+        this.irqPending = true;
+      }
+    }
+    if (this.irqCycleMode) {
+      // The counter is clocked every 4 CPU cycles:
+      this.irqPrescaler += cycles;
+      while (this.irqPrescaler >= 4) {
+        this.irqPrescaler -= 4;
+        this.clockIrq(CYCLE_IRQ_DELAY);
+      }
+    }
+    if (this.irqPending) {
+      this.nes.cpu.requestIrq(this.nes.cpu.IRQ_NORMAL);
+    }
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) {
+      throw new Error("RAMBO-1: Invalid ROM! Unable to load.");
+    }
+    this.reset();
+
+    // Load PRG-ROM and CHR-ROM:
+    this.updatePrgBanks();
+    this.updateChrBanks();
+
+    // Do Reset-Interrupt:
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    let s = super.toJSON();
+    s.command = this.command;
+    s.prgMode = this.prgMode;
+    s.chr1kMode = this.chr1kMode;
+    s.chrInvert = this.chrInvert;
+    s.regs = this.regs.slice();
+    s.irqLatch = this.irqLatch;
+    s.irqCounter = this.irqCounter;
+    s.irqReload = this.irqReload;
+    s.irqCycleMode = this.irqCycleMode;
+    s.irqPrescaler = this.irqPrescaler;
+    s.irqEnabled = this.irqEnabled;
+    s.irqDelay = this.irqDelay;
+    s.irqPending = this.irqPending;
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.command = s.command;
+    this.prgMode = s.prgMode;
+    this.chr1kMode = s.chr1kMode;
+    this.chrInvert = s.chrInvert;
+    this.regs = s.regs.slice();
+    this.irqLatch = s.irqLatch;
+    this.irqCounter = s.irqCounter;
+    this.irqReload = s.irqReload;
+    this.irqCycleMode = s.irqCycleMode;
+    this.irqPrescaler = s.irqPrescaler;
+    this.irqEnabled = s.irqEnabled;
+    this.irqDelay = s.irqDelay;
+    this.irqPending = s.irqPending;
+  }
+}
+
+export default Mapper64;
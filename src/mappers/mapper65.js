@@ -0,0 +1,130 @@
+import Mapper0 from "./mapper0.js";
+
+/**
+ * Mapper 065 (Irem H-3001)
+ *
+ * Three 8KB PRG-ROM banks, eight 1KB CHR-ROM banks, and a 16-bit IRQ
+ * counter that counts down CPU cycles and stops at 0 with an IRQ.
+ *
+ * @description https://www.nesdev.org/wiki/INES_Mapper_065
+ * @example Daiku no Gen-san 2, Kaiketsu Yanchamaru 3, Spartan X 2
+ */
+class Mapper65 extends Mapper0 {
+  reset() {
+    super.reset();
+    this.irqLatch = 0;
+    this.irqCounter = 0;
+    this.irqEnabled = false;
+    this.irqPending = false;
+  }
+
+  write(address, value) {
+    // Writes to addresses other than MMC registers are handled by NoMapper.
+    if (address < 0x8000) {
+      super.write(address, value);
+      return;
+    }
+
+    switch (address & 0xf000) {
+      case 0x8000:
+        this.load8kRomBank(value, 0x8000);
+        break;
+
+      case 0xa000:
+        this.load8kRomBank(value, 0xa000);
+        break;
+
+      case 0xc000:
+        this.load8kRomBank(value, 0xc000);
+        break;
+
+      case 0xb000:
+        // 1KB CHR-ROM bank:
+        this.load1kVromBank(value, (address & 7) << 10);
+        break;
+
+      case 0x9000:
+        this.writeControl(address & 7, value);
+        break;
+    }
+  }
+
+  // Writes the mirroring and IRQ registers at $9000-$9007.
+  writeControl(reg, value) {
+    switch (reg) {
+      case 1:
+        // Vertical or horizontal mirroring:
+        this.setMirroringMode(value >> 7);
+        break;
+
+      case 3:
+        this.irqEnabled = (value & 0x80) !== 0;
+        this.irqPending = false;
+        break;
+
+      case 4:
+        this.irqCounter = this.irqLatch;
+        this.irqPending = false;
+        break;
+
+      case 5:
+        this.irqLatch = (this.irqLatch & 0x00ff) | (value << 8);
+        break;
+
+      case 6:
+        this.irqLatch = (this.irqLatch & 0xff00) | value;
+        break;
+    }
+  }
+
+  clockCpu(cycles) {
+    if (this.irqEnabled && this.irqCounter > 0) {
+      this.irqCounter = Math.max(this.irqCounter - cycles, 0);
+      if (this.irqCounter === 0) {
+        this.irqEnabled = false;
+        this.irqPending = true;
+      }
+    }
+    if (this.irqPending) {
+      this.nes.cpu.requestIrq(this.nes.cpu.IRQ_NORMAL);
+    }
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) {
+      throw new Error("H-3001: Invalid ROM! Unable to load.");
+    }
+    this.reset();
+
+    // Load PRG-ROM, the last 8KB bank is fixed:
+    this.load8kRomBank(0, 0x8000);
+    this.load8kRomBank(1, 0xa000);
+    this.load8kRomBank(this.nes.rom.romCount * 2 - 2, 0xc000);
+    this.load8kRomBank(this.nes.rom.romCount * 2 - 1, 0xe000);
+
+    // Load CHR-ROM:
+    this.loadCHRROM();
+
+    // Do Reset-Interrupt:
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    let s = super.toJSON();
+    s.irqLatch = this.irqLatch;
+    s.irqCounter = this.irqCounter;
+    s.irqEnabled = this.irqEnabled;
+    s.irqPending = this.irqPending;
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.irqLatch = s.irqLatch;
+    this.irqCounter = s.irqCounter;
+    this.irqEnabled = s.irqEnabled;
+    this.irqPending = s.irqPending;
+  }
+}
+
+export default Mapper65;
@@ -0,0 +1,120 @@
+import Mapper0 from "./mapper0.js";
+
+/**
+ * Mapper 067 (Sunsoft-3)
+ *
+ * 2KB CHR-ROM banks, a 16KB PRG-ROM bank, and a 16-bit IRQ counter that
+ * counts down CPU cycles. The counter is loaded by writing $C800 twice,
+ * high byte first.
+ *
+ * @description https://www.nesdev.org/wiki/INES_Mapper_067
+ * @example Fantasy Zone II (J), Mito Koumon II
+ */
+class Mapper67 extends Mapper0 {
+  reset() {
+    super.reset();
+
+    this.irqCounter = 0;
+    this.irqEnabled = false;
+    this.irqPending = false;
+    // Whether the next $C800 write is the low byte:
+    this.irqToggle = false;
+  }
+
+  write(address, value) {
+    // Writes to addresses other than MMC registers are handled by NoMapper.
+    if (address < 0x8000) {
+      super.write(address, value);
+      return;
+    }
+
+    switch (address & 0xf800) {
+      case 0x8000:
+        // IRQ acknowledge:
+        this.irqPending = false;
+        break;
+
+      case 0x8800:
+      case 0x9800:
+      case 0xa800:
+      case 0xb800:
+        // 2KB CHR-ROM bank:
+        this.load2kVromBank(value, ((address >> 12) & 3) << 11);
+        break;
+
+      case 0xc800:
+        if (this.irqToggle) {
+          this.irqCounter = (this.irqCounter & 0xff00) | value;
+        } else {
+          this.irqCounter = (this.irqCounter & 0x00ff) | (value << 8);
+        }
+        this.irqToggle = !this.irqToggle;
+        break;
+
+      case 0xd800:
+        this.irqEnabled = (value & 0x10) !== 0;
+        this.irqToggle = false;
+        break;
+
+      case 0xe800:
+        this.setMirroringMode(value & 3);
+        break;
+
+      case 0xf800:
+        // 16KB PRG-ROM bank at $8000:
+        this.loadRomBank(value, 0x8000);
+        break;
+    }
+  }
+
+  clockCpu(cycles) {
+    if (this.irqEnabled) {
+      // The counter counts down every cycle, and stops with an IRQ when it
+      // wraps around from 0:
+      if (this.irqCounter < cycles) {
+        this.irqEnabled = false;
+        this.irqPending = true;
+      }
+      this.irqCounter = (this.irqCounter - cycles) & 0xffff;
+    }
+    if (this.irqPending) {
+      this.nes.cpu.requestIrq(this.nes.cpu.IRQ_NORMAL);
+    }
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) {
+      throw new Error("Sunsoft-3: Invalid ROM! Unable to load.");
+    }
+    this.reset();
+
+    // Load PRG-ROM, the last 16KB bank is fixed:
+    this.loadRomBank(0, 0x8000);
+    this.loadRomBank(this.nes.rom.romCount - 1, 0xc000);
+
+    // Load CHR-ROM:
+    this.loadCHRROM();
+
+    // Do Reset-Interrupt:
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    let s = super.toJSON();
+    s.irqCounter = this.irqCounter;
+    s.irqEnabled = this.irqEnabled;
+    s.irqPending = this.irqPending;
+    s.irqToggle = this.irqToggle;
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.irqCounter = s.irqCounter;
+    this.irqEnabled = s.irqEnabled;
+    this.irqPending = s.irqPending;
+    this.irqToggle = s.irqToggle;
+  }
+}
+
+export default Mapper67;
@@ -0,0 +1,209 @@
+import Mapper0 from "./mapper0.js";
+
+// CPU cycles the licensing IC keeps external PRG-ROM enabled for after a
+// write to $6000-$7FFF:
+const LICENSING_CYCLES = 1024 * 105;
+
+// Which nametable register or half of CIRAM each nametable uses, for each
+// mirroring mode: vertical, horizontal, single-screen A and B.
+const NAMETABLE_LAYOUTS = [
+  [0, 1, 0, 1],
+  [0, 0, 1, 1],
+  [0, 0, 0, 0],
+  [1, 1, 1, 1],
+];
+
+/**
+ * Mapper 068 (Sunsoft-4)
+ *
+ * 2KB CHR-ROM banks, a 16KB PRG-ROM bank, and two registers that can map
+ * 1KB banks from the second half of CHR-ROM into the nametables in place of
+ * the console's nametable RAM (CIRAM). Both are emulated with PPU memory
+ * pages (see PPU.setMemoryPage()).
+ *
+ * Nantettatte!! Baseball plugs an external ROM into the cartridge, which is
+ * the second 128KB of PRG-ROM here. It can only be read for a while after
+ * each write to $6000-$7FFF, which Sunsoft's licensing IC watches for, and
+ * is open bus otherwise.
+ *
+ * @description https://www.nesdev.org/wiki/INES_Mapper_068
+ * @example After Burner II, Maharaja, Nantettatte!! Baseball
+ */
+class Mapper68 extends Mapper0 {
+  reset() {
+    super.reset();
+
+    this.prgReg = 0;
+    this.prgRamEnabled = false;
+    this.nametableRegs = [0x80, 0x80];
+    this.mirroring = 0;
+    this.chrRomNametables = false;
+    this.licensingTimer = 0;
+    // Whether $8000-$BFFF is external PRG-ROM that's switched off:
+    this.prgOpenBus = false;
+    this.ciram = new Uint8Array(0x800);
+
+    // Pages for the PPU, one for each half of CIRAM:
+    this.ciramPages = [
+      { data: this.ciram.subarray(0, 0x400), writable: true },
+      { data: this.ciram.subarray(0x400), writable: true },
+    ];
+  }
+
+  write(address, value) {
+    if (address < 0x8000) {
+      if (address >= 0x6000) {
+        if (this.hasExternalPrg()) {
+          this.licensingTimer = LICENSING_CYCLES;
+          this.updatePrgBanks();
+        }
+        if (!this.prgRamEnabled) {
+          return;
+        }
+      }
+      // Writes to addresses other than MMC registers are handled by NoMapper.
+      super.write(address, value);
+      return;
+    }
+
+    switch (address & 0xf000) {
+      case 0x8000:
+      case 0x9000:
+      case 0xa000:
+      case 0xb000:
+        // 2KB CHR-ROM bank:
+        this.load2kVromBank(value, ((address >> 12) & 3) << 11);
+        break;
+
+      case 0xc000:
+      case 0xd000:
+        // 1KB CHR-ROM bank for the nametables, from the second 128KB:
+        this.nametableRegs[(address >> 12) & 1] = value | 0x80;
+        this.updateNametables();
+        break;
+
+      case 0xe000:
+        this.mirroring = value & 3;
+        this.chrRomNametables = (value & 0x10) !== 0;
+        this.updateNametables();
+        break;
+
+      case 0xf000:
+        // 16KB PRG-ROM bank at $8000, and PRG-RAM enable:
+        this.prgReg = value;
+        this.prgRamEnabled = (value & 0x10) !== 0;
+        this.updatePrgBanks();
+        break;
+    }
+  }
+
+  load(address) {
+    if (address >= 0x8000 && address < 0xc000 && this.prgOpenBus) {
+      return this.nes.cpu.dataBus;
+    }
+    if (address >= 0x6000 && address < 0x8000 && !this.prgRamEnabled) {
+      return this.nes.cpu.dataBus;
+    }
+    return super.load(address);
+  }
+
+  // Whether there's more PRG-ROM than the mapper's own 128KB, as there is
+  // with the external ROM.
+  hasExternalPrg() {
+    return this.nes.rom.romCount > 8;
+  }
+
+  // Loads the bank at $8000. With bit 3 clear, it's from the external ROM,
+  // if there is one and the licensing IC allows it.
+  updatePrgBanks() {
+    this.prgOpenBus = false;
+    if (!this.hasExternalPrg() || (this.prgReg & 0x08) !== 0) {
+      this.loadRomBank(this.prgReg & 0x07, 0x8000);
+    } else if (this.licensingTimer > 0) {
+      this.loadRomBank(0x08 | (this.prgReg & 0x07), 0x8000);
+    } else {
+      this.prgOpenBus = true;
+      this.setPrgBank(0x8000, -1);
+      this.setPrgBank(0xa000, -1);
+    }
+  }
+
+  // Points the nametables at CIRAM or CHR-ROM.
+  updateNametables() {
+    const ppu = this.nes.ppu;
+    // The nametables are laid out by the pages, not mirroring:
+    ppu.setMirroring(this.nes.rom.FOURSCREEN_MIRRORING);
+    const layout = NAMETABLE_LAYOUTS[this.mirroring];
+    for (let i = 0; i < 4; i++) {
+      if (this.chrRomNametables && this.nes.rom.vromCount > 0) {
+        ppu.setMemoryPage(8 + i, {
+          data: this.getVromPage(this.nametableRegs[layout[i]]),
+          writable: false,
+        });
+      } else {
+        ppu.setMemoryPage(8 + i, this.ciramPages[layout[i]]);
+      }
+    }
+  }
+
+  getVromPage(bank1k) {
+    const bank4k = (bank1k >> 2) % this.nes.rom.vromCount;
+    const offset = (bank1k & 3) << 10;
+    return this.nes.rom.vrom[bank4k].subarray(offset, offset + 0x400);
+  }
+
+  clockCpu(cycles) {
+    if (this.licensingTimer > 0) {
+      this.licensingTimer = Math.max(this.licensingTimer - cycles, 0);
+      if (this.licensingTimer === 0) {
+        this.updatePrgBanks();
+      }
+    }
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) {
+      throw new Error("Sunsoft-4: Invalid ROM! Unable to load.");
+    }
+    this.reset();
+
+    // Load PRG-ROM, the last 16KB bank is fixed:
+    this.loadRomBank(0, 0x8000);
+    this.loadRomBank(this.nes.rom.romCount - 1, 0xc000);
+
+    // Load CHR-ROM and the nametables:
+    this.loadCHRROM();
+    this.updateNametables();
+
+    // Do Reset-Interrupt:
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    let s = super.toJSON();
+    s.prgReg = this.prgReg;
+    s.prgRamEnabled = this.prgRamEnabled;
+    s.nametableRegs = this.nametableRegs.slice();
+    s.mirroring = this.mirroring;
+    s.chrRomNametables = this.chrRomNametables;
+    s.licensingTimer = this.licensingTimer;
+    s.prgOpenBus = this.prgOpenBus;
+    s.ciram = Array.from(this.ciram);
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.prgReg = s.prgReg;
+    this.prgRamEnabled = s.prgRamEnabled;
+    this.nametableRegs = s.nametableRegs.slice();
+    this.mirroring = s.mirroring;
+    this.chrRomNametables = s.chrRomNametables;
+    this.licensingTimer = s.licensingTimer;
+    this.prgOpenBus = s.prgOpenBus;
+    this.ciram.set(s.ciram);
+    this.updateNametables();
+  }
+}
+
+export default Mapper68;
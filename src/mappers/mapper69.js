@@ -0,0 +1,182 @@
+import Mapper0 from "./mapper0.js";
+import Sunsoft5B from "../papu/sunsoft5b.js";
+
+// Scales the 5B's output, with 1 being a channel at full volume, to the
+// 2A03's mixer output (see PAPU.initDACtables()). A channel at full volume
+// is about as loud as a 2A03 square at full volume.
+const OUTPUT_SCALE = 3970;
+
+/**
+ * Mapper 069 (Sunsoft FME-7 and 5B)
+ *
+ * The 5B is an FME-7 with sound. It's emulated on every board, since games
+ * for the other chips don't write to its registers.
+ *
+ * @description http://wiki.nesdev.com/w/index.php/Sunsoft_FME-7
+ * @example Gimmick!, Batman: Return of the Joker, Hebereke
+ */
+class Mapper69 extends Mapper0 {
+  reset() {
+    super.reset();
+
+    this.command = 0;
+    // Register 8: the bank at $6000, and whether it's RAM and enabled.
+    this.prgRamControl = 0;
+    this.irqCounter = 0;
+    this.irqEnabled = false;
+    this.irqCounterEnabled = false;
+    this.irqPending = false;
+    this.audio = new Sunsoft5B();
+  }
+
+  write(address, value) {
+    if (address < 0x8000) {
+      if (address >= 0x6000 && !this.isPrgRamEnabled()) {
+        // ROM, or disabled RAM:
+        return;
+      }
+      // Writes to addresses other than MMC registers are handled by NoMapper.
+      super.write(address, value);
+      return;
+    }
+
+    switch (address & 0xe000) {
+      case 0x8000:
+        this.command = value & 0x0f;
+        break;
+      case 0xa000:
+        this.writeParameter(value);
+        break;
+      case 0xc000:
+        this.audio.writeAddress(value);
+        break;
+      case 0xe000:
+        this.audio.writeData(value);
+        break;
+    }
+  }
+
+  writeParameter(value) {
+    const command = this.command;
+    if (command < 8) {
+      // 1KB CHR bank select:
+      this.load1kVromBank(value, command << 10);
+      return;
+    }
+    switch (command) {
+      case 0x8:
+        this.prgRamControl = value;
+        break;
+      case 0x9:
+      case 0xa:
+      case 0xb:
+        // 8KB PRG-ROM bank at $8000, $A000 or $C000:
+        this.load8kRomBank(value & 0x3f, 0x8000 + ((command - 9) << 13));
+        break;
+      case 0xc:
+        this.setMirroringMode(value & 3);
+        break;
+      case 0xd:
+        // IRQ control, which also acknowledges the IRQ:
+        this.irqEnabled = (value & 0x01) !== 0;
+        this.irqCounterEnabled = (value & 0x80) !== 0;
+        this.irqPending = false;
+        break;
+      case 0xe:
+        this.irqCounter = (this.irqCounter & 0xff00) | value;
+        break;
+      case 0xf:
+        this.irqCounter = (this.irqCounter & 0x00ff) | (value << 8);
+        break;
+    }
+  }
+
+  isPrgRamEnabled() {
+    return (this.prgRamControl & 0xc0) === 0xc0;
+  }
+
+  load(address) {
+    if ((address & 0xe000) !== 0x6000) {
+      return super.load(address);
+    }
+    if (this.prgRamControl & 0x40) {
+      if (this.isPrgRamEnabled()) {
+        return this.nes.cpu.mem[address];
+      }
+      return this.nes.cpu.dataBus;
+    }
+    // An 8KB PRG-ROM bank:
+    const bank8k = (this.prgRamControl & 0x3f) % (this.nes.rom.romCount * 2);
+    return this.nes.rom.rom[bank8k >> 1][
+      ((bank8k & 1) << 13) | (address & 0x1fff)
+    ];
+  }
+
+  clockCpu(cycles) {
+    this.audio.clock(cycles);
+
+    if (this.irqCounterEnabled) {
+      // The counter counts down every cycle and raises an IRQ when it
+      // wraps around from 0:
+      this.irqCounter -= cycles;
+      if (this.irqCounter < 0) {
+        this.irqCounter += 0x10000;
+        if (this.irqEnabled) {
+          this.irqPending = true;
+        }
+      }
+    }
+    if (this.irqPending) {
+      this.nes.cpu.requestIrq(this.nes.cpu.IRQ_NORMAL);
+    }
+  }
+
+  getAudioSample() {
+    return this.audio.getSample() * OUTPUT_SCALE;
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) {
+      throw new Error("FME-7: Invalid ROM! Unable to load.");
+    }
+    this.reset();
+
+    // Load PRG-ROM, the last 8KB bank is fixed:
+    const last = this.nes.rom.romCount * 2 - 1;
+    this.load8kRomBank(0, 0x8000);
+    this.load8kRomBank(0, 0xa000);
+    this.load8kRomBank(0, 0xc000);
+    this.load8kRomBank(last, 0xe000);
+
+    // Load CHR-ROM:
+    this.loadCHRROM();
+
+    // Do Reset-Interrupt:
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    let s = super.toJSON();
+    s.command = this.command;
+    s.prgRamControl = this.prgRamControl;
+    s.irqCounter = this.irqCounter;
+    s.irqEnabled = this.irqEnabled;
+    s.irqCounterEnabled = this.irqCounterEnabled;
+    s.irqPending = this.irqPending;
+    s.audio = this.audio.toJSON();
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.command = s.command;
+    this.prgRamControl = s.prgRamControl;
+    this.irqCounter = s.irqCounter;
+    this.irqEnabled = s.irqEnabled;
+    this.irqCounterEnabled = s.irqCounterEnabled;
+    this.irqPending = s.irqPending;
+    this.audio.fromJSON(s.audio);
+  }
+}
+
+export default Mapper69;
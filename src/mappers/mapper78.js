@@ -0,0 +1,65 @@
+import Mapper0 from "./mapper0.js";
+
+/**
+ * Mapper 078 (Irem 74HC161/32)
+ *
+ * A 16KB PRG-ROM bank, an 8KB CHR-ROM bank and a mirroring bit, all in one
+ * register. The two boards wire the mirroring bit differently: Cosmo
+ * Carrier (submapper 1) switches between single-screen nametables, and
+ * Holy Diver (submapper 3) between horizontal and vertical mirroring. iNES
+ * 1.0 images of Holy Diver are recognized by their four-screen flag.
+ *
+ * @description https://www.nesdev.org/wiki/INES_Mapper_078
+ * @example Holy Diver, Uchuusen: Cosmo Carrier
+ */
+class Mapper78 extends Mapper0 {
+  constructor(nes) {
+    super(nes);
+    this.isHolyDiver = false;
+  }
+
+  write(address, value) {
+    // Writes to addresses other than MMC registers are handled by NoMapper.
+    if (address < 0x8000) {
+      super.write(address, value);
+      return;
+    }
+
+    // Swap in the given PRG-ROM bank at 0x8000:
+    this.loadRomBank(value & 7, 0x8000);
+
+    // Swap in the given VROM bank at 0x0000:
+    this.load8kVromBank((value >> 4) * 2, 0x0000);
+
+    if (this.isHolyDiver) {
+      // Horizontal or vertical:
+      this.setMirroringMode(value & 8 ? 0 : 1);
+    } else {
+      // Single-screen A or B:
+      this.setMirroringMode(value & 8 ? 3 : 2);
+    }
+  }
+
+  loadROM() {
+    const rom = this.nes.rom;
+    if (!rom.valid) {
+      throw new Error("74HC161/32: Invalid ROM! Unable to load.");
+    }
+    this.isHolyDiver =
+      rom.submapper === 3 || (rom.submapper === 0 && rom.fourScreen);
+
+    // Load PRG-ROM, the last 16KB bank is fixed:
+    this.loadRomBank(0, 0x8000);
+    this.loadRomBank(rom.romCount - 1, 0xc000);
+
+    // Load CHR-ROM:
+    this.loadCHRROM();
+
+    this.setMirroringMode(this.isHolyDiver ? 1 : 2);
+
+    // Do Reset-Interrupt:
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+}
+
+export default Mapper78;
@@ -0,0 +1,199 @@
+import Mapper0 from "./mapper0.js";
+
+// Value of $7EF8 that lets the CPU at the internal RAM:
+const RAM_UNLOCK = 0xa3;
+
+/**
+ * Mappers 080 and 207 (Taito X1-005)
+ *
+ * Registers at $7EF0-$7EFF select three 8KB PRG-ROM banks, two 2KB and four
+ * 1KB CHR-ROM banks, and mirroring. The chip has 128 bytes of RAM at
+ * $7F00-$7FFF, which is battery-backed on some boards and only accessible
+ * after writing $A3 to $7EF8.
+ *
+ * Mapper 207 is Fudou Myouou Den's board, where the top bits of the 2KB CHR
+ * registers select the nametable RAM (CIRAM) page for each half of the
+ * nametables instead. That's emulated with PPU memory pages (see
+ * PPU.setMemoryPage()).
+ *
+ * @description https://www.nesdev.org/wiki/INES_Mapper_080
+ * @example Kyonshiizu 2, Minelvaton Saga, Taito Grand Prix (80), Fudou Myouou Den (207)
+ */
+class Mapper80 extends Mapper0 {
+  constructor(nes) {
+    super(nes);
+    this.hasChrNametables = false;
+  }
+
+  reset() {
+    super.reset();
+
+    this.chrRegs = [0, 0];
+    this.ramUnlock = 0;
+    this.ram = new Uint8Array(128);
+    this.ciram = new Uint8Array(0x800);
+
+    // Pages for the PPU, one for each half of CIRAM:
+    this.ciramPages = [
+      { data: this.ciram.subarray(0, 0x400), writable: true },
+      { data: this.ciram.subarray(0x400), writable: true },
+    ];
+  }
+
+  write(address, value) {
+    if (address < 0x6000 || address >= 0x8000) {
+      // Writes to addresses other than MMC registers are handled by NoMapper.
+      super.write(address, value);
+      return;
+    }
+
+    // There's no PRG-RAM, just registers and the internal RAM:
+    if (address < 0x7ef0) {
+      return;
+    }
+    if (address >= 0x7f00) {
+      if (this.ramUnlock === RAM_UNLOCK) {
+        this.ram[address & 0x7f] = value;
+        if (this.nes.rom.batteryRam) {
+          this.nes.batteryRamDirty = true;
+        }
+      }
+      return;
+    }
+
+    switch (address) {
+      case 0x7ef0:
+      case 0x7ef1:
+        // 2KB CHR-ROM bank, as a 1KB bank number, and on mapper 207, the
+        // nametables:
+        this.chrRegs[address & 1] = value;
+        this.load2kVromBank((value & 0x7f) >> 1, (address & 1) << 11);
+        if (this.hasChrNametables) {
+          this.updateNametables();
+        }
+        break;
+
+      case 0x7ef2:
+      case 0x7ef3:
+      case 0x7ef4:
+      case 0x7ef5:
+        // 1KB CHR-ROM bank:
+        this.load1kVromBank(value, 0x1000 + ((address - 0x7ef2) << 10));
+        break;
+
+      case 0x7ef6:
+      case 0x7ef7:
+        // Horizontal or vertical mirroring:
+        if (!this.hasChrNametables) {
+          this.setMirroringMode(value & 1 ? 0 : 1);
+        }
+        break;
+
+      case 0x7ef8:
+      case 0x7ef9:
+        this.ramUnlock = value;
+        break;
+
+      case 0x7efa:
+      case 0x7efb:
+        this.load8kRomBank(value, 0x8000);
+        break;
+
+      case 0x7efc:
+      case 0x7efd:
+        this.load8kRomBank(value, 0xa000);
+        break;
+
+      case 0x7efe:
+      case 0x7eff:
+        this.load8kRomBank(value, 0xc000);
+        break;
+    }
+  }
+
+  load(address) {
+    if (address < 0x6000 || address >= 0x8000) {
+      return super.load(address);
+    }
+    if (address >= 0x7f00 && this.ramUnlock === RAM_UNLOCK) {
+      return this.ram[address & 0x7f];
+    }
+    return this.nes.cpu.dataBus;
+  }
+
+  // Points each half of the nametables at the CIRAM page in bit 7 of its
+  // CHR register.
+  updateNametables() {
+    const ppu = this.nes.ppu;
+    // The nametables are laid out by the pages, not mirroring:
+    ppu.setMirroring(this.nes.rom.FOURSCREEN_MIRRORING);
+    for (let i = 0; i < 4; i++) {
+      ppu.setMemoryPage(8 + i, this.ciramPages[this.chrRegs[i >> 1] >> 7]);
+    }
+  }
+
+  // The internal RAM is saved in place of PRG-RAM.
+  getBatteryRamSize() {
+    return this.nes.rom.batteryRam ? this.ram.length : 0;
+  }
+
+  getBatteryRam() {
+    if (!this.nes.rom.batteryRam) {
+      return new Uint8Array(0);
+    }
+    return this.ram.slice();
+  }
+
+  setBatteryRam(data) {
+    if (!this.nes.rom.batteryRam) {
+      return;
+    }
+    this.ram.set(data.subarray(0, this.ram.length));
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) {
+      throw new Error("Taito X1-005: Invalid ROM! Unable to load.");
+    }
+    this.hasChrNametables = this.nes.rom.mapperType === 207;
+    this.reset();
+
+    // Load PRG-ROM, the last 8KB bank is fixed:
+    const last = this.nes.rom.romCount * 2 - 1;
+    this.load8kRomBank(0, 0x8000);
+    this.load8kRomBank(0, 0xa000);
+    this.load8kRomBank(0, 0xc000);
+    this.load8kRomBank(last, 0xe000);
+
+    // Load CHR-ROM and the nametables:
+    this.loadCHRROM();
+    if (this.hasChrNametables) {
+      this.updateNametables();
+    }
+
+    // Do Reset-Interrupt:
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    let s = super.toJSON();
+    s.chrRegs = this.chrRegs.slice();
+    s.ramUnlock = this.ramUnlock;
+    s.ram = Array.from(this.ram);
+    s.ciram = Array.from(this.ciram);
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.chrRegs = s.chrRegs.slice();
+    this.ramUnlock = s.ramUnlock;
+    this.ram.set(s.ram);
+    this.ciram.set(s.ciram);
+    if (this.hasChrNametables) {
+      this.updateNametables();
+    }
+  }
+}
+
+export default Mapper80;
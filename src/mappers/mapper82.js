@@ -0,0 +1,155 @@
+import Mapper0 from "./mapper0.js";
+
+// The 5KB of PRG-RAM at $6000-$73FF, in three pages, each with the register
+// that enables it and the value that does.
+const PRG_RAM_PAGES = [
+  { start: 0x6000, end: 0x6800, unlock: 0xca },
+  { start: 0x6800, end: 0x7000, unlock: 0x69 },
+  { start: 0x7000, end: 0x7400, unlock: 0x84 },
+];
+
+/**
+ * Mapper 082 (Taito X1-017)
+ *
+ * Registers at $7EF0-$7EFF select three 8KB PRG-ROM banks, two 2KB and four
+ * 1KB CHR-ROM banks, which can swap pattern tables, and mirroring. 5KB of
+ * battery-backed PRG-RAM sits at $6000-$73FF, and each of its pages is only
+ * accessible while its register holds a particular value.
+ *
+ * @description https://www.nesdev.org/wiki/INES_Mapper_082
+ * @example SD Keiji: Blader, Kyuukyoku Harikiri Stadium series
+ */
+class Mapper82 extends Mapper0 {
+  reset() {
+    super.reset();
+    this.chrRegs = new Array(6).fill(0);
+    this.chrInvert = false;
+    this.prgRamUnlock = [0, 0, 0];
+  }
+
+  write(address, value) {
+    if (address < 0x6000 || address >= 0x8000) {
+      // Writes to addresses other than MMC registers are handled by NoMapper.
+      super.write(address, value);
+      return;
+    }
+
+    if (address < 0x7ef0) {
+      if (this.isPrgRamEnabled(address)) {
+        super.write(address, value);
+      }
+      return;
+    }
+
+    switch (address) {
+      case 0x7ef0:
+      case 0x7ef1:
+      case 0x7ef2:
+      case 0x7ef3:
+      case 0x7ef4:
+      case 0x7ef5:
+        this.chrRegs[address - 0x7ef0] = value;
+        this.updateChrBanks();
+        break;
+
+      case 0x7ef6:
+        // Horizontal or vertical mirroring, and which pattern table the 2KB
+        // banks are in:
+        this.setMirroringMode(value & 1 ? 0 : 1);
+        this.chrInvert = (value & 2) !== 0;
+        this.updateChrBanks();
+        break;
+
+      case 0x7ef7:
+      case 0x7ef8:
+      case 0x7ef9:
+        this.prgRamUnlock[address - 0x7ef7] = value;
+        break;
+
+      case 0x7efa:
+        this.load8kRomBank(value >> 2, 0x8000);
+        break;
+
+      case 0x7efb:
+        this.load8kRomBank(value >> 2, 0xa000);
+        break;
+
+      case 0x7efc:
+        this.load8kRomBank(value >> 2, 0xc000);
+        break;
+    }
+  }
+
+  load(address) {
+    if (address >= 0x6000 && address < 0x8000) {
+      if (!this.isPrgRamEnabled(address)) {
+        return this.nes.cpu.dataBus;
+      }
+    }
+    return super.load(address);
+  }
+
+  isPrgRamEnabled(address) {
+    for (let i = 0; i < PRG_RAM_PAGES.length; i++) {
+      const page = PRG_RAM_PAGES[i];
+      if (address >= page.start && address < page.end) {
+        return this.prgRamUnlock[i] === page.unlock;
+      }
+    }
+    return false;
+  }
+
+  // Loads the CHR-ROM banks. The 2KB ones, whose registers hold 1KB bank
+  // numbers, go at $0000 or, inverted, at $1000.
+  updateChrBanks() {
+    const regs = this.chrRegs;
+    const base2k = this.chrInvert ? 0x1000 : 0;
+    const base1k = this.chrInvert ? 0 : 0x1000;
+    this.load2kVromBank(regs[0] >> 1, base2k);
+    this.load2kVromBank(regs[1] >> 1, base2k + 0x800);
+    for (let i = 0; i < 4; i++) {
+      this.load1kVromBank(regs[2 + i], base1k + (i << 10));
+    }
+  }
+
+  getBatteryRamSize() {
+    return this.nes.rom.batteryRam ? 0x1400 : 0;
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) {
+      throw new Error("Taito X1-017: Invalid ROM! Unable to load.");
+    }
+    this.reset();
+
+    // Load PRG-ROM, the last 8KB bank is fixed:
+    const last = this.nes.rom.romCount * 2 - 1;
+    this.load8kRomBank(0, 0x8000);
+    this.load8kRomBank(0, 0xa000);
+    this.load8kRomBank(0, 0xc000);
+    this.load8kRomBank(last, 0xe000);
+
+    // Load CHR-ROM:
+    this.updateChrBanks();
+
+    // Do Reset-Interrupt:
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    let s = super.toJSON();
+    s.chrRegs = this.chrRegs.slice();
+    s.chrInvert = this.chrInvert;
+    s.prgRamUnlock = this.prgRamUnlock.slice();
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.chrRegs = s.chrRegs.slice();
+    this.chrInvert = s.chrInvert;
+    this.prgRamUnlock = s.prgRamUnlock.slice();
+  }
+}
+
+export default Mapper82;
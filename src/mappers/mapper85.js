@@ -0,0 +1,161 @@
+import Mapper0 from "./mapper0.js";
+import VRCIrq from "./vrc-irq.js";
+import OPLL from "../papu/opll.js";
+
+// Scales the OPLL's output (up to 4095 either way per channel) to the
+// 2A03's mixer output (see PAPU.initDACtables()). A channel at full volume
+// swings about as far as a 2A03 square at full volume, which goes from 0
+// to around 3970.
+const OUTPUT_SCALE = 3970 / 8190;
+
+// Address lines that select the second register in each $1000 block, by
+// NES 2.0 submapper. Submapper 0 (iNES 1.0 and unknown) listens to both.
+const WIRINGS = [
+  0x18, // VRC7a and VRC7b
+  0x08, // VRC7b
+  0x10, // VRC7a
+];
+
+/**
+ * Mapper 085 (Konami VRC7)
+ *
+ * Only VRC7a boards (Lagrange Point) connect the audio output, but the
+ * OPLL is emulated on both.
+ *
+ * @description http://wiki.nesdev.com/w/index.php/VRC7
+ * @example Lagrange Point, Tiny Toon Adventures 2 (J)
+ */
+class Mapper85 extends Mapper0 {
+  constructor(nes) {
+    super(nes);
+    this.wiring = WIRINGS[0];
+  }
+
+  reset() {
+    super.reset();
+
+    this.control = 0;
+    this.irq = new VRCIrq();
+    this.opll = new OPLL();
+  }
+
+  write(address, value) {
+    // Writes to addresses other than MMC registers are handled by NoMapper.
+    if (address < 0x8000) {
+      super.write(address, value);
+      return;
+    }
+
+    const reg = address & this.wiring ? 1 : 0;
+
+    switch (address & 0xf000) {
+      case 0x8000:
+        // 8KB PRG-ROM bank at $8000 or $A000:
+        this.load8kRomBank(value & 0x3f, reg ? 0xa000 : 0x8000);
+        break;
+
+      case 0x9000:
+        if (reg === 0) {
+          // 8KB PRG-ROM bank at $C000:
+          this.load8kRomBank(value & 0x3f, 0xc000);
+        } else if (!this.isSoundReset()) {
+          // $9010 selects a sound register and $9030 writes to it:
+          if (address & 0x20) {
+            this.opll.writeData(value);
+          } else {
+            this.opll.writeAddress(value);
+          }
+        }
+        break;
+
+      case 0xa000:
+      case 0xb000:
+      case 0xc000:
+      case 0xd000:
+        // 1KB CHR bank select:
+        this.load1kVromBank(value, (((address - 0xa000) >> 11) | reg) << 10);
+        break;
+
+      case 0xe000:
+        if (reg === 0) {
+          this.control = value;
+          this.setMirroringMode(value & 3);
+          if (this.isSoundReset()) {
+            this.opll.reset();
+          }
+        } else {
+          this.irq.writeLatch(value);
+        }
+        break;
+
+      case 0xf000:
+        if (reg === 0) {
+          this.irq.writeControl(value);
+        } else {
+          this.irq.acknowledge();
+        }
+        break;
+    }
+  }
+
+  // Whether $E000 bit 7 is holding the OPLL in reset, silencing it.
+  isSoundReset() {
+    return (this.control & 0x80) !== 0;
+  }
+
+  clockCpu(cycles) {
+    if (!this.isSoundReset()) {
+      this.opll.clock(cycles);
+    }
+
+    this.irq.clock(cycles);
+    if (this.irq.pending) {
+      this.nes.cpu.requestIrq(this.nes.cpu.IRQ_NORMAL);
+    }
+  }
+
+  getAudioSample() {
+    if (this.isSoundReset()) {
+      return 0;
+    }
+    return this.opll.getSample() * OUTPUT_SCALE;
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) {
+      throw new Error("VRC7: Invalid ROM! Unable to load.");
+    }
+    this.wiring = WIRINGS[this.nes.rom.submapper] || WIRINGS[0];
+    this.reset();
+
+    // Load PRG-ROM, the last 8KB bank is fixed:
+    const last = this.nes.rom.romCount * 2 - 1;
+    this.load8kRomBank(0, 0x8000);
+    this.load8kRomBank(0, 0xa000);
+    this.load8kRomBank(0, 0xc000);
+    this.load8kRomBank(last, 0xe000);
+
+    // Load CHR-ROM:
+    this.loadCHRROM();
+
+    // Do Reset-Interrupt:
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    let s = super.toJSON();
+    s.control = this.control;
+    s.irq = this.irq.toJSON();
+    s.opll = this.opll.toJSON();
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.control = s.control;
+    this.irq.fromJSON(s.irq);
+    this.opll.fromJSON(s.opll);
+  }
+}
+
+export default Mapper85;
@@ -0,0 +1,133 @@
+import Mapper0 from "./mapper0.js";
+
+/**
+ * Mapper 009 (MMC2, PxROM)
+ *
+ * @description http://wiki.nesdev.com/w/index.php/MMC2
+ * @example Mike Tyson's Punch-Out!!, Punch-Out!!
+ */
+class Mapper9 extends Mapper0 {
+  constructor(nes) {
+    super(nes);
+    // Have the PPU report fetches of tiles $FD and $FE to latchAccess():
+    this.tileLatches = true;
+  }
+
+  reset() {
+    super.reset();
+
+    // 4KB CHR banks for each half of the pattern tables, one used while
+    // its latch is $FD and one while it's $FE:
+    this.chrBanks = [0, 0, 0, 0];
+    this.latches = [0xfe, 0xfe];
+  }
+
+  write(address, value) {
+    // Writes to addresses other than MMC registers are handled by NoMapper.
+    if (address < 0xa000) {
+      super.write(address, value);
+      return;
+    }
+
+    switch (address >> 12) {
+      case 0xa:
+        // PRG-ROM bank select:
+        this.loadPrgBank(value);
+        break;
+
+      case 0xb:
+      case 0xc:
+      case 0xd:
+      case 0xe: {
+        // CHR-ROM bank select, for $0000 or $1000 and latch $FD or $FE:
+        const reg = (address >> 12) - 0xb;
+        this.chrBanks[reg] = value & 0x1f;
+        if (this.latches[reg >> 1] === (reg & 1 ? 0xfe : 0xfd)) {
+          this.loadChrBank(reg >> 1);
+        }
+        break;
+      }
+
+      case 0xf:
+        // Mirroring:
+        if ((value & 1) === 0) {
+          this.nes.ppu.setMirroring(this.nes.rom.VERTICAL_MIRRORING);
+        } else {
+          this.nes.ppu.setMirroring(this.nes.rom.HORIZONTAL_MIRRORING);
+        }
+        break;
+    }
+  }
+
+  // Selects the switchable 8KB bank at $8000.
+  loadPrgBank(value) {
+    this.load8kRomBank(value & 0x0f, 0x8000);
+  }
+
+  latchAccess(address) {
+    if (address >= 0x2000) {
+      return;
+    }
+    const half = address >> 12;
+    const tile = (address >> 4) & 0xff;
+    if ((tile !== 0xfd && tile !== 0xfe) || !this.isLatchRow(half, address)) {
+      return;
+    }
+    if (this.latches[half] !== tile) {
+      this.latches[half] = tile;
+      this.loadChrBank(half);
+    }
+  }
+
+  // The latches switch on reading the second plane of a tile: $xFD8-$xFDF
+  // or $xFE8-$xFEF. MMC2's first latch only switches on the top row.
+  isLatchRow(half, address) {
+    if (half === 0) {
+      return (address & 0x0f) === 0x08;
+    }
+    return (address & 0x08) !== 0;
+  }
+
+  // Maps the CHR bank selected by a latch into its half of the pattern
+  // tables.
+  loadChrBank(half) {
+    const reg = half * 2 + (this.latches[half] === 0xfe ? 1 : 0);
+    this.loadVromBank(this.chrBanks[reg], half << 12);
+  }
+
+  loadROM() {
+    if (!this.nes.rom.valid) {
+      throw new Error("MMC2: Invalid ROM! Unable to load.");
+    }
+    this.reset();
+
+    // Load PRG-ROM, the last three 8KB banks are fixed:
+    const last = this.nes.rom.romCount * 2 - 1;
+    this.load8kRomBank(0, 0x8000);
+    this.load8kRomBank(last - 2, 0xa000);
+    this.load8kRomBank(last - 1, 0xc000);
+    this.load8kRomBank(last, 0xe000);
+
+    // Load CHR-ROM:
+    this.loadChrBank(0);
+    this.loadChrBank(1);
+
+    // Do Reset-Interrupt:
+    this.nes.cpu.requestIrq(this.nes.cpu.IRQ_RESET);
+  }
+
+  toJSON() {
+    let s = super.toJSON();
+    s.chrBanks = this.chrBanks.slice();
+    s.latches = this.latches.slice();
+    return s;
+  }
+
+  fromJSON(s) {
+    super.fromJSON(s);
+    this.chrBanks = s.chrBanks.slice();
+    this.latches = s.latches.slice();
+  }
+}
+
+export default Mapper9;
@@ -0,0 +1,168 @@
+import { fromJSON, toJSON } from "../utils.js";
+
+// What the EEPROM is doing between clock pulses:
+const IDLE = 0;
+const DEVICE_ADDRESS = 1; // receiving the 24C02's device address byte
+const WORD_ADDRESS = 2; // receiving the address to read or write
+const WRITE = 3; // receiving data bytes
+const READ = 4; // sending data bytes
+const SEND_ACK = 5; // acknowledging a byte it received
+const WAIT_ACK = 6; // waiting for the acknowledgement of a byte it sent
+
+// The I2C serial EEPROMs Bandai's LZ93D50 boards save to, which games
+// drive by writing its clock (SCL) and data (SDA) lines one at a time.
+// There are two sizes: the 128-byte X24C01 takes a 7-bit word address and
+// a read/write bit right after the start condition, sending bytes least
+// significant bit first. The 256-byte 24C02 takes standard I2C, most
+// significant bit first: a device address byte with the read/write bit,
+// then, for writes, the word address.
+// See https://www.nesdev.org/wiki/Bandai_FCG_board#Serial_EEPROM
+class SerialEeprom {
+  constructor(size) {
+    this.data = new Uint8Array(size);
+    this.x24c01 = size === 128;
+
+    this.state = IDLE;
+    this.nextState = IDLE;
+    this.bitCount = 0;
+    this.shift = 0; // the byte being received or sent
+    this.address = 0;
+    this.acknowledged = false;
+    this.scl = 0;
+    this.sda = 0;
+    // What the EEPROM puts on SDA, which is pulled up when it doesn't:
+    this.output = 1;
+  }
+
+  // Sets the clock and data lines, each 0 or 1. Returns true if a byte was
+  // written, so the mapper knows there's something new to save.
+  write(scl, sda) {
+    let written = false;
+    if (this.scl && scl && sda !== this.sda) {
+      // SDA falling while the clock is high starts a command, and rising
+      // stops it:
+      this.state = sda ? IDLE : this.x24c01 ? WORD_ADDRESS : DEVICE_ADDRESS;
+      this.bitCount = 0;
+      this.output = 1;
+    } else if (scl && !this.scl) {
+      this.clockRise(sda);
+    } else if (!scl && this.scl) {
+      written = this.clockFall();
+    }
+    this.scl = scl;
+    this.sda = sda;
+    return written;
+  }
+
+  // Data moves while the clock is high.
+  clockRise(sda) {
+    switch (this.state) {
+      case DEVICE_ADDRESS:
+      case WORD_ADDRESS:
+      case WRITE:
+        if (this.bitCount < 8) {
+          const bit = this.x24c01 ? this.bitCount : 7 - this.bitCount;
+          this.shift = (this.shift & ~(1 << bit)) | (sda << bit);
+          this.bitCount++;
+        }
+        break;
+      case READ:
+        if (this.bitCount < 8) {
+          const bit = this.x24c01 ? this.bitCount : 7 - this.bitCount;
+          this.output = (this.shift >> bit) & 1;
+          this.bitCount++;
+        }
+        break;
+      case WAIT_ACK:
+        this.acknowledged = sda === 0;
+        break;
+    }
+  }
+
+  // Bytes are finished when the clock falls after their last bit, and
+  // acknowledgements after the ninth.
+  clockFall() {
+    const mask = this.data.length - 1;
+    if (this.state === SEND_ACK) {
+      this.startByte(this.nextState);
+      return false;
+    }
+    if (this.state === WAIT_ACK) {
+      // Reading carries on until the controller doesn't acknowledge:
+      this.startByte(this.acknowledged ? READ : IDLE);
+      return false;
+    }
+    if (this.bitCount < 8) {
+      return false;
+    }
+
+    switch (this.state) {
+      case DEVICE_ADDRESS:
+        if ((this.shift & 0xf0) !== 0xa0) {
+          // Another device:
+          this.state = IDLE;
+        } else {
+          this.acknowledge(this.shift & 1 ? READ : WORD_ADDRESS);
+        }
+        break;
+      case WORD_ADDRESS:
+        if (this.x24c01) {
+          this.address = this.shift & 0x7f;
+          this.acknowledge(this.shift & 0x80 ? READ : WRITE);
+        } else {
+          this.address = this.shift;
+          this.acknowledge(WRITE);
+        }
+        break;
+      case WRITE:
+        this.data[this.address] = this.shift;
+        this.address = (this.address + 1) & mask;
+        this.acknowledge(WRITE);
+        return true;
+      case READ:
+        this.address = (this.address + 1) & mask;
+        this.state = WAIT_ACK;
+        this.output = 1;
+        break;
+    }
+    return false;
+  }
+
+  acknowledge(nextState) {
+    this.state = SEND_ACK;
+    this.nextState = nextState;
+    this.output = 0;
+  }
+
+  startByte(state) {
+    this.state = state;
+    this.bitCount = 0;
+    this.output = 1;
+    if (state === READ) {
+      this.shift = this.data[this.address];
+    }
+  }
+
+  toJSON() {
+    return toJSON(this);
+  }
+
+  fromJSON(s) {
+    fromJSON(this, s);
+  }
+
+  static JSON_PROPERTIES = [
+    "data",
+    "state",
+    "nextState",
+    "bitCount",
+    "shift",
+    "address",
+    "acknowledged",
+    "scl",
+    "sda",
+    "output",
+  ];
+}
+
+export default SerialEeprom;
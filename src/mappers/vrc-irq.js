@@ -0,0 +1,87 @@
+import { fromJSON, toJSON } from "../utils.js";
+
+// CPU cycles per scanline, in thirds, for the prescaler:
+const PRESCALER_PERIOD = 341;
+
+// The IRQ counter shared by Konami's VRC4, VRC6 and VRC7. It counts up
+// either every CPU cycle or, through the prescaler, every 113.67 cycles to
+// approximate scanlines, and raises an IRQ and reloads from the latch when
+// it overflows. The mapper clocks it and forwards pending IRQs to the CPU.
+// See https://www.nesdev.org/wiki/VRC_IRQ
+class VRCIrq {
+  constructor() {
+    this.latch = 0;
+    this.counter = 0;
+    this.prescaler = PRESCALER_PERIOD;
+    this.enabled = false;
+    this.enableAfterAck = false;
+    this.cycleMode = false;
+    this.pending = false;
+  }
+
+  writeLatch(value) {
+    this.latch = value & 0xff;
+  }
+
+  writeControl(value) {
+    this.enableAfterAck = (value & 1) !== 0;
+    this.enabled = (value & 2) !== 0;
+    this.cycleMode = (value & 4) !== 0;
+    if (this.enabled) {
+      this.counter = this.latch;
+      this.prescaler = PRESCALER_PERIOD;
+    }
+    this.pending = false;
+  }
+
+  acknowledge() {
+    this.enabled = this.enableAfterAck;
+    this.pending = false;
+  }
+
+  clock(cycles) {
+    if (!this.enabled) {
+      return;
+    }
+    for (let i = 0; i < cycles; i++) {
+      if (this.cycleMode) {
+        this.tick();
+      } else {
+        this.prescaler -= 3;
+        if (this.prescaler <= 0) {
+          this.prescaler += PRESCALER_PERIOD;
+          this.tick();
+        }
+      }
+    }
+  }
+
+  tick() {
+    if (this.counter === 0xff) {
+      this.counter = this.latch;
+      this.pending = true;
+    } else {
+      this.counter++;
+    }
+  }
+
+  toJSON() {
+    return toJSON(this);
+  }
+
+  fromJSON(s) {
+    fromJSON(this, s);
+  }
+
+  static JSON_PROPERTIES = [
+    "latch",
+    "counter",
+    "prescaler",
+    "enabled",
+    "enableAfterAck",
+    "cycleMode",
+    "pending",
+  ];
+}
+
+export default VRCIrq;
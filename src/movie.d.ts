@@ -0,0 +1,16 @@
+import { NES, StateHash } from "./nes";
+
+export class Movie {
+  constructor();
+  frames: number[];
+  rerecordCount: number;
+  startState: Uint8Array | null;
+  header: { [key: string]: string };
+  ports: number[];
+  comments: string[];
+  hashes: StateHash[] | null;
+
+  static fromFM2(text: string): Movie;
+  setHeader(nes: NES, romFilename?: string): void;
+  toFM2(): string;
+}
@@ -0,0 +1,254 @@
+import { HASH_COMPONENTS } from "./statehash.js";
+import { fromBase64, md5, toBase64 } from "./utils.js";
+
+// FM2 input device types for port0 and port1:
+const SI_NONE = 0;
+const SI_GAMEPAD = 1;
+
+// FM2 gamepad fields list the buttons from bit 7 down to bit 0 of
+// Controller.getButtons(). "." (or a space) means not pressed.
+const FM2_BUTTONS = "RLDUTSBA";
+
+// JSNES's version in FCEUX's numbering (major * 10000 + minor * 100 +
+// patch), for the emuVersion header field of recorded movies:
+const EMU_VERSION = 10201;
+
+// Header keys that are written from Movie's own fields instead of header:
+const FM2_OWN_KEYS = [
+  "version",
+  "rerecordCount",
+  "fourscore",
+  "port0",
+  "port1",
+  "port2",
+  "binary",
+  "savestate",
+  "stateHashes",
+];
+
+// A recording of controller input, one entry per frame, that plays back
+// deterministically from power-on or from a save state. See
+// NES.recordMovie() and NES.playMovie().
+//
+// Movies can be converted to and from FCEUX's text .fm2 format
+// (https://fceux.com/web/help/fm2.html). Only standard controllers in ports
+// 1 and 2 are supported. FCEUX movies that start from a save state can't be
+// played, because the state is in FCEUX's own format; movies recorded from a
+// save state by JSNES store a JSNES state instead.
+//
+// State hashes recorded with a movie are stored in a "stateHashes" header
+// field, which FCEUX ignores.
+class Movie {
+  constructor() {
+    // Input for each frame, packed as by NES.getFrameInput():
+    this.frames = [];
+    // Number of times the recording was rewound or reloaded from a state:
+    this.rerecordCount = 0;
+    // State the movie starts from, as returned by NES.saveState(), or null
+    // to start from power-on:
+    this.startState = null;
+    // Other FM2 header fields, such as romFilename, kept for export. See
+    // setHeader().
+    this.header = {};
+    // FM2 input devices in ports 1 and 2, SI_GAMEPAD or SI_NONE:
+    this.ports = [SI_GAMEPAD, SI_GAMEPAD];
+    // FM2 "comment" and "subtitle" lines:
+    this.comments = [];
+    // State hashes after each frame, as returned by NES.getStateHash(), or
+    // null if they weren't recorded:
+    this.hashes = null;
+  }
+
+  static fromFM2(text) {
+    const movie = new Movie();
+    const ports = movie.ports;
+    const lines = text.split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      if (line[0] === "|") {
+        movie.frames.push(parseFM2Input(line, ports));
+        continue;
+      }
+      if (line.trim() === "") {
+        continue;
+      }
+      const space = line.indexOf(" ");
+      const key = space === -1 ? line : line.slice(0, space);
+      const value = space === -1 ? "" : line.slice(space + 1).trim();
+      switch (key) {
+        case "rerecordCount":
+          movie.rerecordCount = parseInt(value, 10) || 0;
+          break;
+        case "savestate":
+          movie.startState = value === "" ? null : parseFM2Binary(value);
+          break;
+        case "stateHashes":
+          movie.hashes = parseHashes(parseFM2Binary(value));
+          break;
+        case "binary":
+          if (value !== "0" && value !== "false") {
+            throw new Error("Binary FM2 movies are not supported.");
+          }
+          break;
+        case "fourscore":
+          if (value !== "0" && value !== "false") {
+            throw new Error("FM2 movies using a Four Score are not supported.");
+          }
+          break;
+        case "port0":
+        case "port1": {
+          const device = parseInt(value, 10);
+          if (device !== SI_NONE && device !== SI_GAMEPAD) {
+            throw new Error(`FM2 ${key} device ${value} is not supported.`);
+          }
+          ports[key === "port0" ? 0 : 1] = device;
+          break;
+        }
+        case "comment":
+        case "subtitle":
+          movie.comments.push(line);
+          break;
+        default:
+          if (FM2_OWN_KEYS.indexOf(key) === -1) {
+            movie.header[key] = value;
+          }
+      }
+    }
+    return movie;
+  }
+
+  // Fills in the header fields FCEUX needs to play the movie back, for a
+  // recording of the ROM loaded in nes: its MD5, the region, a new GUID
+  // and the emulator version.
+  setHeader(nes, romFilename = "") {
+    const rom = nes.rom;
+    this.header.emuVersion = String(EMU_VERSION);
+    this.header.palFlag = nes.region.name === "pal" ? "1" : "0";
+    this.header.romFilename = romFilename;
+    this.header.romChecksum =
+      "base64:" + toBase64(md5(rom.data.subarray(rom.header.length)));
+    this.header.guid = createGUID();
+  }
+
+  toFM2() {
+    const lines = ["version 3"];
+    for (const key in this.header) {
+      lines.push(`${key} ${this.header[key]}`);
+    }
+    lines.push(`rerecordCount ${this.rerecordCount}`);
+    lines.push(
+      "fourscore 0",
+      `port0 ${this.ports[0]}`,
+      `port1 ${this.ports[1]}`,
+      "port2 0",
+    );
+    for (let i = 0; i < this.comments.length; i++) {
+      lines.push(this.comments[i]);
+    }
+    if (this.startState !== null) {
+      lines.push(`savestate base64:${toBase64(this.startState)}`);
+    }
+    if (this.hashes !== null) {
+      lines.push(`stateHashes base64:${toBase64(formatHashes(this.hashes))}`);
+    }
+    for (let i = 0; i < this.frames.length; i++) {
+      const input = this.frames[i];
+      let line = `|${input >>> 16}|`;
+      for (let port = 0; port < 2; port++) {
+        // Ports without a gamepad have an empty field:
+        if (this.ports[port] === SI_GAMEPAD) {
+          line += formatFM2Buttons((input >> (port * 8)) & 0xff);
+        }
+        line += "|";
+      }
+      lines.push(line + "|");
+    }
+    return lines.join("\n") + "\n";
+  }
+}
+
+// Parses an input line such as "|0|....T...|........||".
+function parseFM2Input(line, ports) {
+  const fields = line.split("|");
+  let input = (parseInt(fields[1], 10) || 0) << 16;
+  for (let port = 0; port < 2; port++) {
+    const field = fields[port + 2] || "";
+    if (ports[port] !== SI_GAMEPAD) {
+      continue;
+    }
+    for (let i = 0; i < FM2_BUTTONS.length && i < field.length; i++) {
+      if (field[i] !== "." && field[i] !== " ") {
+        input |= 1 << (7 - i + port * 8);
+      }
+    }
+  }
+  return input;
+}
+
+// Returns a random GUID, formatted like FCEUX's.
+function createGUID() {
+  let hex = "";
+  for (let i = 0; i < 32; i++) {
+    hex += Math.floor(Math.random() * 16)
+      .toString(16)
+      .toUpperCase();
+  }
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20),
+  ].join("-");
+}
+
+function formatFM2Buttons(buttons) {
+  let s = "";
+  for (let i = 0; i < FM2_BUTTONS.length; i++) {
+    s += buttons & (1 << (7 - i)) ? FM2_BUTTONS[i] : ".";
+  }
+  return s;
+}
+
+// Hashes are stored as little-endian u32s, one per component in
+// HASH_COMPONENTS order, for each frame.
+function formatHashes(hashes) {
+  const count = HASH_COMPONENTS.length;
+  const data = new DataView(new ArrayBuffer(hashes.length * count * 4));
+  for (let i = 0; i < hashes.length; i++) {
+    for (let j = 0; j < count; j++) {
+      data.setUint32((i * count + j) * 4, hashes[i][HASH_COMPONENTS[j]], true);
+    }
+  }
+  return new Uint8Array(data.buffer);
+}
+
+function parseHashes(bytes) {
+  const count = HASH_COMPONENTS.length;
+  const data = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const hashes = new Array(Math.floor(bytes.length / (count * 4)));
+  for (let i = 0; i < hashes.length; i++) {
+    hashes[i] = {};
+    for (let j = 0; j < count; j++) {
+      hashes[i][HASH_COMPONENTS[j]] = data.getUint32((i * count + j) * 4, true);
+    }
+  }
+  return hashes;
+}
+
+// FM2 binary values are either "base64:..." or hex with a "0x" prefix.
+function parseFM2Binary(value) {
+  if (value.startsWith("base64:")) {
+    return fromBase64(value.slice(7));
+  }
+  if (value.startsWith("0x")) {
+    const bytes = new Uint8Array((value.length - 2) >> 1);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(value.substr(2 + i * 2, 2), 16);
+    }
+    return bytes;
+  }
+  throw new Error(`Invalid FM2 binary value: ${value.slice(0, 16)}`);
+}
+
+export default Movie;
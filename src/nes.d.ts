@@ -1,4 +1,6 @@
 import { ControllerKey, ButtonKey } from "./controller";
+import { Debugger, DebugBreak } from "./debugger";
+import { Movie } from "./movie";
 
 export interface EmulatorData {
   cpu: string;
@@ -12,16 +14,66 @@ export interface NESOptions {
   onAudioSample?: (left: number, right: number) => void;
   onStatusUpdate?: (status: string) => void;
   onBatteryRamWrite?: (address: number, value: number) => void;
-  preferredFrameRate?: number;
+  onBatteryRamDirty?: (batteryRam: Uint8Array) => void;
+  batteryRamDirtyDelay?: number;
+  onMovieDesync?: (desync: MovieDesync) => void;
+  onBreak?: (event: DebugBreak) => void;
+  onVoiceSample?: (clip: number) => void;
+  voiceSamples?: ArrayLike<number>[] | null;
+  voiceSampleRate?: number;
+  rewindCapacity?: number;
+  rewindInterval?: number;
+  rewindMaxBytes?: number;
+  region?: "ntsc" | "pal" | "dendy" | "auto";
+  preferredFrameRate?: number | null;
   emulateSound?: boolean;
   sampleRate?: number;
 }
 
+export interface LoadROMOptions {
+  batteryRam?: Uint8Array | ArrayBuffer | null;
+  fdsBios?: string | Uint8Array | ArrayBuffer | null;
+}
+
+export interface RecordMovieOptions {
+  fromSaveState?: boolean;
+  hashes?: boolean;
+  romFilename?: string;
+}
+
+export interface StateHash {
+  cpu: number;
+  ppu: number;
+  papu: number;
+  mmap: number;
+}
+
+export interface MovieDesync {
+  frame: number;
+  components: Array<keyof StateHash>;
+}
+
 export class NES {
+  static readonly COMMAND_RESET = 1;
+  static readonly COMMAND_POWER = 2;
+  static readonly COMMAND_FDS_INSERT = 4;
+  static readonly COMMAND_FDS_SELECT = 8;
+
   constructor(opts: NESOptions);
+  frameCount: number;
+  debugger: Debugger;
   stop: () => void;
   reset: () => void;
+  softReset: () => void;
   frame: () => void;
+  rewind: (frames?: number) => number;
+  getRewindFrames: () => number;
+  recordMovie: (options?: RecordMovieOptions) => Movie;
+  playMovie: (movie: Movie) => void;
+  stopMovie: () => Movie | null;
+  isMoviePlaying: () => boolean;
+  getMovieDesync: () => MovieDesync | null;
+  getStateHash: () => StateHash;
   buttonDown: (controller: ControllerKey, button: ButtonKey) => void;
   buttonUp: (controller: ControllerKey, button: ButtonKey) => void;
   zapperMove: (x: number, y: number) => void;
@@ -29,8 +81,20 @@ export class NES {
   zapperFireUp: () => void;
   getFPS: () => number;
   reloadROM: () => void;
-  loadROM: (data: string | Buffer) => void;
+  loadROM: (
+    data: string | Uint8Array | ArrayBuffer,
+    options?: LoadROMOptions,
+  ) => void;
+  insertDisk: (side: number) => void;
+  ejectDisk: () => void;
+  getDiskSide: () => number | null;
+  getDiskSideCount: () => number;
+  getBatteryRam: () => Uint8Array | null;
+  setBatteryRam: (data: Uint8Array | ArrayBuffer) => void;
   setFramerate: (rate: number) => void;
+  getFrameRate: () => number;
+  saveState: () => Uint8Array;
+  loadState: (data: Uint8Array | ArrayBuffer | EmulatorData | string) => void;
   toJSON: () => EmulatorData;
   fromJSON: (data: EmulatorData) => void;
 }
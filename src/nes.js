@@ -1,20 +1,71 @@
 import CPU from "./cpu.js";
 import Controller from "./controller.js";
+import Debugger from "./debugger.js";
 import PPU from "./ppu/index.js";
 import PAPU from "./papu/index.js";
 import GameGenie from "./gamegenie.js";
+import Movie from "./movie.js";
+import RewindBuffer from "./rewind.js";
 import ROM from "./rom.js";
+import { getRegion } from "./region.js";
+import { readState, writeState } from "./savestate.js";
+import { HASH_COMPONENTS, hashState } from "./statehash.js";
+import { toUint8Array } from "./utils.js";
+
+// Frames the drive is left empty for when insertDisk() swaps disks, long
+// enough for the BIOS to notice:
+const DISK_SWAP_FRAMES = 30;
 
 class NES {
+  // Commands carried out at the start of a frame, see softReset() and
+  // reloadROM(). The values match the command bits of FM2 movies.
+  static COMMAND_RESET = 1;
+  static COMMAND_POWER = 2;
+  // Famicom Disk System: eject or insert the disk, and select the next
+  // side while it's ejected. See insertDisk().
+  static COMMAND_FDS_INSERT = 4;
+  static COMMAND_FDS_SELECT = 8;
+
   constructor(opts) {
     this.opts = {
       onFrame: function () {},
       onAudioSample: null,
       onStatusUpdate: function () {},
       onBatteryRamWrite: function () {},
+      // Called with a copy of the battery-backed save RAM once it has been
+      // written to and then left alone for batteryRamDirtyDelay frames, so
+      // saves can be persisted after a burst of writes instead of per byte.
+      onBatteryRamDirty: null,
+      batteryRamDirtyDelay: 60,
+      // Called with { frame, components } the first time the state during
+      // movie playback differs from the state hashes recorded with the
+      // movie, see recordMovie().
+      onMovieDesync: null,
+      // Called with the break when the debugger pauses emulation, see
+      // debugger.js.
+      onBreak: null,
+      // Called with the clip number when a game starts one of the voice
+      // clips on its cartridge's µPD7756 chip (mapper 18), so the host can
+      // play it.
+      onVoiceSample: null,
+      // Or the clips themselves, to mix into the sound: an array of arrays
+      // of samples from -1 to 1 at voiceSampleRate Hz, by clip number.
+      voiceSamples: null,
+      voiceSampleRate: 8000,
+
+      // Rewind history, see rewind(). Disabled when rewindCapacity is 0.
+      rewindCapacity: 0, // Maximum number of snapshots kept
+      rewindInterval: 2, // Frames between snapshots
+      rewindMaxBytes: 32 * 1024 * 1024, // Maximum memory used by snapshots
 
-      // FIXME: not actually used except for in PAPU
-      preferredFrameRate: 60,
+      // Console region: "ntsc", "pal", "dendy", or "auto" to go by the ROM
+      // header (NTSC unless it says otherwise). See region.js.
+      region: "auto",
+
+      // Frames per second frame() is called at, used to pitch audio.
+      // Defaults to the region's frame rate, 60 for NTSC and 50 for PAL and
+      // Dendy.
+      preferredFrameRate: null,
 
       emulateSound: true,
       sampleRate: 48000, // Sound sample rate in hz
@@ -22,7 +73,8 @@ class NES {
       ...opts,
     };
 
-    this.frameTime = 1000 / this.opts.preferredFrameRate;
+    this.region = getRegion(this.opts.region, null);
+    this.frameTime = 1000 / this.getFrameRate();
 
     this.ui = {
       writeFrame: this.opts.onFrame,
@@ -40,19 +92,67 @@ class NES {
 
     this.fpsFrameCount = 0;
     this.romData = null;
+    // Famicom Disk System BIOS, see loadROM():
+    this.fdsBios = null;
+
+    // Frames run since the ROM was loaded:
+    this.frameCount = 0;
+    // Commands requested for the next frame, and the ones carried out
+    // before the current one:
+    this.pendingCommands = 0;
+    this.frameCommands = 0;
+    // Disk side that insertDisk() is working towards, or -1 for
+    // ejectDisk(). See nextDiskCommand().
+    this.diskRequest = null;
+    this.diskRequestWait = 0;
+
+    // Input movie being recorded or played back, see recordMovie():
+    this.movie = null;
+    this.movieMode = null; // "record" or "play"
+    this.movieStartFrame = 0;
+    this.movieDesync = null;
+    // The cartridge's save RAM from before a movie that starts from
+    // power-on, which stopMovie() puts back:
+    this.movieBatteryRam = null;
+    this.rewindBuffer = null;
+    if (this.opts.rewindCapacity > 0) {
+      this.rewindBuffer = new RewindBuffer(this, {
+        capacity: this.opts.rewindCapacity,
+        interval: this.opts.rewindInterval,
+        maxBytes: this.opts.rewindMaxBytes,
+      });
+    }
+
+    // Set by the mapper on every write to save RAM, see frame():
+    this.batteryRamDirty = false;
+    this.batteryRamIdleFrames = -1;
+
+    // Set while the debugger has paused in the middle of a frame. The next
+    // call to frame() carries on from there.
+    this.framePaused = false;
+    this.debugger = new Debugger(this);
 
     this.ui.updateStatus("Ready to load a ROM.");
   }
 
   // Resets the system
   reset() {
+    // Battery-backed RAM lives in CPU memory, but survives a reset:
+    let batteryRam = null;
     if (this.mmap !== null) {
+      batteryRam = this.mmap.getBatteryRam();
       this.mmap.reset();
     }
 
     this.cpu = new CPU(this);
     this.ppu = new PPU(this);
     this.papu = new PAPU(this);
+    this.framePaused = false;
+    this.debugger.reset();
+
+    if (batteryRam !== null) {
+      this.mmap.setBatteryRam(batteryRam);
+    }
 
     this.lastFpsTime = null;
     this.fpsFrameCount = 0;
@@ -66,14 +166,26 @@ class NES {
         "Game has crashed. Call reset() or loadROM() to restart.",
       );
     }
-    this.ppu.startFrame();
+    if (this.framePaused) {
+      // Resuming where the debugger paused:
+      this.framePaused = false;
+    } else {
+      this.startFrame();
+    }
     let cycles = 0;
     const cpu = this.cpu;
     const ppu = this.ppu;
     const papu = this.papu;
+    const mmap = this.mmap;
+    // Only consult the debugger when it has something to do:
+    const debug = this.debugger.isActive() ? this.debugger : null;
     try {
       FRAMELOOP: for (;;) {
         if (cpu.cyclesToHalt === 0) {
+          if (debug !== null && debug.beforeInstruction()) {
+            this.framePaused = true;
+            break FRAMELOOP;
+          }
           // Execute a CPU instruction
           cycles = cpu.emulate();
           // Pass the full cycle count for channel timers, but tell the
@@ -81,10 +193,12 @@ class NES {
           // catch-up (advanceFrameCounter) mid-instruction.
           papu.clockFrameCounter(cycles, cpu.apuCatchupCycles);
           cpu.apuCatchupCycles = 0;
-          // Convert CPU cycles to PPU dots (3:1 ratio), subtracting any
-          // dots already advanced mid-instruction by PPU catch-up.
+          mmap.clockCpu(cycles);
+          // Convert CPU cycles to PPU dots (3:1 ratio, or 3.2:1 on PAL),
+          // subtracting any dots already advanced mid-instruction by PPU
+          // catch-up.
           // See cpu._ppuCatchUp() and https://www.nesdev.org/wiki/Catch-up
-          cycles = cycles * 3 - cpu.ppuCatchupDots;
+          cycles = cpu.cyclesToDots(cycles) - cpu.ppuCatchupDots;
           cpu.ppuCatchupDots = 0;
           if (cpu.ppuFrameEnded) {
             // VBlank NMI was triggered during mid-instruction catch-up.
@@ -101,12 +215,14 @@ class NES {
           }
         } else {
           if (cpu.cyclesToHalt > 8) {
-            cycles = 24;
+            cycles = cpu.cyclesToDots(8);
             papu.clockFrameCounter(8);
+            mmap.clockCpu(8);
             cpu.cyclesToHalt -= 8;
           } else {
-            cycles = cpu.cyclesToHalt * 3;
+            cycles = cpu.cyclesToDots(cpu.cyclesToHalt);
             papu.clockFrameCounter(cpu.cyclesToHalt);
+            mmap.clockCpu(cpu.cyclesToHalt);
             cpu.cyclesToHalt = 0;
           }
         }
@@ -154,9 +270,369 @@ class NES {
       this.crashed = true;
       throw e;
     }
+    if (this.framePaused) {
+      debug.report(debug.lastBreak);
+      return;
+    }
     this.fpsFrameCount++;
+    this.frameCount++;
+
+    if (this.rewindBuffer !== null) {
+      this.rewindBuffer.afterFrame();
+    }
+    if (this.movieMode !== null && this.movie.hashes !== null) {
+      this.checkMovieHashes();
+    }
+    // Saves made during movies aren't the player's, see recordMovie():
+    if (this.opts.onBatteryRamDirty && this.movie === null) {
+      this.checkBatteryRamDirty();
+    }
+    if (debug !== null) {
+      debug.afterFrame();
+    }
   };
 
+  // Carries out everything due between frames before a frame starts.
+  startFrame() {
+    if (this.movieMode === "play") {
+      this.playMovieFrame();
+    } else if (this.diskRequest !== null) {
+      this.pendingCommands |= this.nextDiskCommand();
+    }
+    if (this.pendingCommands !== 0) {
+      this.runCommands();
+    }
+    if (this.rewindBuffer !== null) {
+      this.rewindBuffer.beforeFrame();
+    }
+    if (this.movieMode === "record") {
+      this.movie.frames[this.frameCount - this.movieStartFrame] =
+        this.getFrameInput();
+    }
+    this.frameCommands = 0;
+    this.ppu.startFrame();
+  }
+
+  // Debounces save RAM writes: fires onBatteryRamDirty once no writes have
+  // happened for batteryRamDirtyDelay frames.
+  checkBatteryRamDirty() {
+    if (this.batteryRamDirty) {
+      this.batteryRamDirty = false;
+      this.batteryRamIdleFrames = 0;
+    } else if (this.batteryRamIdleFrames >= 0) {
+      this.batteryRamIdleFrames++;
+      if (this.batteryRamIdleFrames >= this.opts.batteryRamDirtyDelay) {
+        this.batteryRamIdleFrames = -1;
+        const batteryRam = this.getBatteryRam();
+        if (batteryRam !== null) {
+          this.opts.onBatteryRamDirty(batteryRam);
+        }
+      }
+    }
+  }
+
+  // Returns a copy of the cartridge's battery-backed save RAM, or null if
+  // there is no ROM loaded or the cartridge has no battery.
+  getBatteryRam() {
+    if (this.mmap === null || this.mmap.getBatteryRamSize() === 0) {
+      return null;
+    }
+    return this.mmap.getBatteryRam();
+  }
+
+  // Restores battery-backed save RAM previously returned by getBatteryRam().
+  setBatteryRam(data) {
+    if (this.mmap === null) {
+      throw new Error("Cannot set battery RAM before a ROM is loaded.");
+    }
+    this.mmap.setBatteryRam(toUint8Array(data));
+  }
+
+  // Presses the reset button. The console resets at the start of the next
+  // frame.
+  softReset() {
+    this.pendingCommands |= NES.COMMAND_RESET;
+  }
+
+  runCommands() {
+    const commands = this.pendingCommands;
+    this.pendingCommands = 0;
+    if (commands & NES.COMMAND_POWER) {
+      this.reloadROM();
+    } else if (commands & NES.COMMAND_RESET) {
+      // RAM and the cartridge are left alone. The CPU jumps through the
+      // reset vector with interrupts disabled and the stack pointer moved
+      // down by 3, the PPU turns rendering and NMIs off and the APU goes
+      // silent.
+      // See https://www.nesdev.org/wiki/CPU_power_up_state
+      const cpu = this.cpu;
+      cpu.REG_SP = 0x0100 | ((cpu.REG_SP - 3) & 0xff);
+      cpu.F_INTERRUPT = 1;
+      cpu.requestIrq(cpu.IRQ_RESET);
+      this.ppu.updateControlReg1(0);
+      this.ppu.updateControlReg2(0);
+      this.ppu.firstWrite = true;
+      this.papu.writeReg(0x4015, 0);
+      this.frameCommands |= NES.COMMAND_RESET;
+    }
+    if (this.rom.isFDS) {
+      if (commands & NES.COMMAND_FDS_INSERT) {
+        this.mmap.toggleDisk();
+        this.frameCommands |= NES.COMMAND_FDS_INSERT;
+      }
+      if (commands & NES.COMMAND_FDS_SELECT) {
+        this.mmap.selectNextDiskSide();
+        this.frameCommands |= NES.COMMAND_FDS_SELECT;
+      }
+    }
+  }
+
+  // Famicom Disk System: puts the given side in the drive (numbered from 0:
+  // disk 1 side A, disk 1 side B, disk 2 side A, ...), ejecting the current
+  // one first. Like a real disk swap this takes a number of frames, and is
+  // recorded into movies as FDS insert and select commands.
+  insertDisk(side) {
+    if (!this.rom || !this.rom.isFDS) {
+      throw new Error("The loaded ROM is not a Famicom Disk System image.");
+    }
+    if (!(side >= 0 && side < this.mmap.getDiskSideCount())) {
+      throw new Error(`Invalid disk side: ${side}`);
+    }
+    this.diskRequest = side;
+  }
+
+  // Famicom Disk System: takes the disk out of the drive.
+  ejectDisk() {
+    if (!this.rom || !this.rom.isFDS) {
+      throw new Error("The loaded ROM is not a Famicom Disk System image.");
+    }
+    this.diskRequest = -1;
+  }
+
+  // Returns the disk side in the drive, or null if it's empty or the ROM
+  // isn't a Famicom Disk System image.
+  getDiskSide() {
+    if (!this.rom || !this.rom.isFDS || !this.mmap.diskInserted) {
+      return null;
+    }
+    return this.mmap.diskSide;
+  }
+
+  // Returns the number of disk sides of a Famicom Disk System image, or 0.
+  getDiskSideCount() {
+    if (!this.rom || !this.rom.isFDS) {
+      return 0;
+    }
+    return this.mmap.getDiskSideCount();
+  }
+
+  // Returns the command that takes the drive one step towards diskRequest.
+  // The BIOS only notices a new disk if the drive has been empty for a
+  // while, so ejecting is followed by DISK_SWAP_FRAMES of waiting.
+  nextDiskCommand() {
+    const mmap = this.mmap;
+    if (mmap.diskInserted) {
+      if (this.diskRequest === mmap.diskSide) {
+        this.diskRequest = null;
+        return 0;
+      }
+      this.diskRequestWait = DISK_SWAP_FRAMES;
+      if (this.diskRequest === -1) {
+        this.diskRequest = null;
+      }
+      return NES.COMMAND_FDS_INSERT;
+    }
+    if (this.diskRequest === -1) {
+      this.diskRequest = null;
+      return 0;
+    }
+    if (this.diskRequestWait > 0) {
+      this.diskRequestWait--;
+      return 0;
+    }
+    if (mmap.diskSide !== this.diskRequest) {
+      return NES.COMMAND_FDS_SELECT;
+    }
+    this.diskRequest = null;
+    return NES.COMMAND_FDS_INSERT;
+  }
+
+  // Returns the input for the current frame packed into a number: the
+  // buttons of controller 1 (see Controller.getButtons()) in bits 0-7,
+  // controller 2 in bits 8-15 and the commands carried out before the frame
+  // in bits 16 and up.
+  getFrameInput() {
+    return (
+      this.controllers[1].getButtons() |
+      (this.controllers[2].getButtons() << 8) |
+      (this.frameCommands << 16)
+    );
+  }
+
+  // Sets up the next frame's input from a value returned by getFrameInput().
+  setFrameInput(input) {
+    this.controllers[1].setButtons(input & 0xff);
+    this.controllers[2].setButtons((input >> 8) & 0xff);
+    this.pendingCommands = input >>> 16;
+  }
+
+  // Returns { cpu, ppu, papu, mmap }, 32-bit hashes of the state of each
+  // component. See statehash.js.
+  getStateHash() {
+    return hashState(this);
+  }
+
+  // Starts recording controller input, resets and power cycles into a new
+  // Movie, which is returned. By default the movie starts from power-on,
+  // which reloads the ROM with cleared battery RAM so it plays back the
+  // same way anywhere. The cartridge's save RAM is put back by stopMovie(),
+  // and onBatteryRamDirty isn't called while a movie is recorded or played
+  // back, so its saves don't overwrite the player's. Options:
+  //   fromSaveState: start from the current state instead
+  //   hashes: also record a state hash for every frame, so playback can
+  //           detect when it desyncs (see onMovieDesync)
+  //   romFilename: the ROM's name for the FM2 header, see Movie.setHeader()
+  recordMovie(options = {}) {
+    const movie = new Movie();
+    movie.setHeader(this, options.romFilename);
+    if (options.fromSaveState) {
+      movie.startState = this.saveState();
+    }
+    if (options.hashes) {
+      movie.hashes = [];
+    }
+    this.startMovie(movie, "record");
+    return movie;
+  }
+
+  // Plays back a Movie from its start point. The movie's input replaces the
+  // controllers' until it runs out, see isMoviePlaying().
+  playMovie(movie) {
+    this.startMovie(movie, "play");
+  }
+
+  startMovie(movie, mode) {
+    if (this.romData === null) {
+      throw new Error("Cannot start a movie before a ROM is loaded.");
+    }
+    this.stopMovie();
+    if (movie.startState !== null) {
+      this.loadState(movie.startState);
+    } else {
+      const batteryRam = this.getBatteryRam();
+      this.loadROM(this.romData);
+      this.movieBatteryRam = batteryRam;
+    }
+    this.movie = movie;
+    this.movieMode = mode;
+    this.movieStartFrame = this.frameCount;
+    this.movieDesync = null;
+  }
+
+  // Stops recording or playing back, and returns the movie. After a movie
+  // from power-on, the save RAM from before it is put back.
+  stopMovie() {
+    const movie = this.movie;
+    this.movie = null;
+    this.movieMode = null;
+    if (this.movieBatteryRam !== null) {
+      this.setBatteryRam(this.movieBatteryRam);
+      this.movieBatteryRam = null;
+      this.batteryRamDirty = false;
+      this.batteryRamIdleFrames = -1;
+    }
+    return movie;
+  }
+
+  // Returns true until all of the movie being played back has been run.
+  isMoviePlaying() {
+    return (
+      this.movieMode === "play" &&
+      this.frameCount - this.movieStartFrame < this.movie.frames.length
+    );
+  }
+
+  // Returns { frame, components } for the first frame of the movie being
+  // played back whose state hashes didn't match the recorded ones, or null.
+  getMovieDesync() {
+    return this.movieDesync;
+  }
+
+  playMovieFrame() {
+    const index = this.frameCount - this.movieStartFrame;
+    if (index < 0 || index >= this.movie.frames.length) {
+      this.movieMode = null;
+      return;
+    }
+    this.setFrameInput(this.movie.frames[index]);
+  }
+
+  // Records or verifies the state hashes of the frame that just ran.
+  checkMovieHashes() {
+    const index = this.frameCount - 1 - this.movieStartFrame;
+    if (index < 0) {
+      return;
+    }
+    const hashes = this.getStateHash();
+    if (this.movieMode === "record") {
+      this.movie.hashes[index] = hashes;
+      return;
+    }
+    const expected = this.movie.hashes[index];
+    if (this.movieDesync !== null || expected === undefined) {
+      return;
+    }
+    const components = HASH_COMPONENTS.filter(function (component) {
+      return hashes[component] !== expected[component];
+    });
+    if (components.length > 0) {
+      this.movieDesync = { frame: index, components: components };
+      if (this.opts.onMovieDesync) {
+        this.opts.onMovieDesync(this.movieDesync);
+      }
+    }
+  }
+
+  // Called when the emulator goes back in time while recording: the rest
+  // of the movie is rerecorded from here.
+  rerecordMovie() {
+    const index = this.frameCount - this.movieStartFrame;
+    if (index < 0) {
+      // Went back past the start of the movie.
+      this.stopMovie();
+      return;
+    }
+    this.movie.frames.length = Math.min(this.movie.frames.length, index);
+    if (this.movie.hashes !== null) {
+      this.movie.hashes.length = Math.min(this.movie.hashes.length, index);
+    }
+    this.movie.rerecordCount++;
+  }
+
+  // Goes back the given number of frames, as far as the rewind history
+  // allows, and passes the restored picture to onFrame. Returns the number
+  // of frames actually rewound, which is 0 once the history is used up or
+  // if rewinding is disabled. Call it once per frame instead of frame() to
+  // play backwards.
+  rewind(frames = 1) {
+    if (this.rewindBuffer === null) {
+      return 0;
+    }
+    const rewound = this.rewindBuffer.rewind(frames);
+    if (rewound > 0 && this.movieMode === "record") {
+      this.rerecordMovie();
+    }
+    return rewound;
+  }
+
+  // Returns the number of frames rewind() can currently go back.
+  getRewindFrames() {
+    if (this.rewindBuffer === null) {
+      return 0;
+    }
+    return this.rewindBuffer.getFrames();
+  }
+
   buttonDown = (controller, button) => {
     this.controllers[controller].buttonDown(button);
   };
@@ -192,30 +668,73 @@ class NES {
     return fps;
   }
 
+  // Power cycles the console. Battery-backed RAM is kept, and so are the
+  // rewind history and any movie being recorded.
   reloadROM() {
     if (this.romData !== null) {
-      this.loadROM(this.romData);
+      this.powerOn(this.romData, this.getBatteryRam());
+      this.frameCommands |= NES.COMMAND_POWER;
     }
   }
 
   // Loads a ROM file into the CPU and PPU.
-  // The ROM file is validated first.
-  loadROM(data) {
+  // The ROM file is validated first. data may be a Uint8Array, Buffer,
+  // ArrayBuffer or binary string.
+  // Options:
+  //   batteryRam: save RAM to restore, as returned by getBatteryRam(). For
+  //               Famicom Disk System images, this is the disk contents.
+  //   fdsBios: the 8KB Famicom Disk System BIOS, needed to run .fds
+  //            images. It's kept for later loads.
+  loadROM(data, options = {}) {
+    // The ROM and BIOS are copied, since reloadROM() and movies load them
+    // again after the caller may have changed their buffers:
+    if (options.fdsBios) {
+      this.fdsBios = Uint8Array.from(toUint8Array(options.fdsBios));
+    }
+    // A movie's save RAM doesn't go into a newly loaded cartridge:
+    this.movieBatteryRam = null;
+    this.powerOn(Uint8Array.from(toUint8Array(data)), options.batteryRam);
+    this.frameCount = 0;
+    this.pendingCommands = 0;
+    this.frameCommands = 0;
+    this.diskRequest = null;
+    this.stopMovie();
+    if (this.rewindBuffer !== null) {
+      this.rewindBuffer.clear();
+    }
+  }
+
+  powerOn(data, batteryRam) {
     // Load ROM file:
     this.rom = new ROM(this);
     this.rom.load(data);
+    this.region = getRegion(this.opts.region, this.rom);
+    this.frameTime = 1000 / this.getFrameRate();
 
+    // Drop the previous cartridge so reset() doesn't carry its state over:
+    this.mmap = null;
     this.reset();
     this.mmap = this.rom.createMapper();
-    this.mmap.loadROM();
+    // Mappers that lay out the nametables themselves override this:
     this.ppu.setMirroring(this.rom.getMirroringType());
-    this.romData = data;
+    this.mmap.loadROM();
+    if (batteryRam) {
+      this.setBatteryRam(batteryRam);
+    }
+    this.batteryRamDirty = false;
+    this.batteryRamIdleFrames = -1;
+    // Keep the decoded bytes so reloadROM() doesn't have to convert again:
+    this.romData = this.rom.data;
   }
 
   setFramerate(rate) {
     this.opts.preferredFrameRate = rate;
     this.frameTime = 1000 / rate;
-    this.papu.setSampleRate(this.opts.sampleRate, false);
+    this.papu.setSampleRate(this.opts.sampleRate);
+  }
+
+  getFrameRate() {
+    return this.opts.preferredFrameRate || this.region.frameRate;
   }
 
   toJSON() {
@@ -228,6 +747,25 @@ class NES {
     };
   }
 
+  // Returns a compact binary snapshot of the emulator state. See
+  // savestate.js for the format.
+  saveState() {
+    return writeState(this);
+  }
+
+  // Restores a state returned by saveState(). Also accepts objects (or JSON
+  // strings) produced by toJSON() in older versions.
+  loadState(data) {
+    readState(this, data);
+    // The rewind history belongs to the timeline that was just left:
+    if (this.rewindBuffer !== null) {
+      this.rewindBuffer.clear();
+    }
+    if (this.movieMode === "record") {
+      this.rerecordMovie();
+    }
+  }
+
   fromJSON(s) {
     this.reset();
     // this.romData = s.romData;
@@ -0,0 +1,327 @@
+import { fromJSON, toJSON } from "../utils.js";
+
+// Modulation table values: how much each entry moves the mod counter, with
+// 4 resetting it to 0.
+const MOD_ADJUST = [0, 1, 2, 4, 0, -4, -2, -1];
+
+// Output level for each master volume setting ($4089 bits 0-1): 2/2, 2/3,
+// 2/4 and 2/5.
+const MASTER_VOLUME = [30, 20, 15, 12];
+
+// Scales the output to the 2A03's mixer output (see PAPU.initDACtables()).
+// At full volume the FDS is about 2.4 times as loud as a square channel.
+const OUTPUT_SCALE = 4.7 / 30;
+
+// The Famicom Disk System's wavetable sound channel: a 64-step, 6-bit
+// waveform played at a pitch that a second 64-step table can modulate, with
+// volume and modulation depth envelopes. It's clocked by the FDS mapper and
+// mixed in by PAPU.sample().
+// See https://www.nesdev.org/wiki/FDS_audio
+class ChannelFDS {
+  constructor() {
+    this.wave = new Uint8Array(64);
+    this.modTable = new Uint8Array(64);
+
+    this.waveWriteEnabled = false;
+    this.waveHalted = true;
+    this.envelopesHalted = false;
+    this.masterVolume = 0;
+    this.envelopeSpeed = 0xe8;
+
+    // Volume envelope ($4080):
+    this.volumeDisabled = true;
+    this.volumeIncrease = false;
+    this.volumeSpeed = 0;
+    this.volumeGain = 0;
+    this.volumeTimer = 0;
+
+    // Modulation depth envelope ($4084):
+    this.modDisabled = true;
+    this.modIncrease = false;
+    this.modSpeed = 0;
+    this.modGain = 0;
+    this.modTimer = 0;
+
+    this.frequency = 0;
+    this.pitch = 0; // frequency after modulation
+    this.waveAccumulator = 0;
+    this.wavePosition = 0;
+    this.waveVolume = 0; // volume gain, updated at the start of the wave
+
+    this.modFrequency = 0;
+    this.modHalted = true;
+    this.modCounter = 0; // signed 7-bit
+    this.modAccumulator = 0;
+    this.modPosition = 0;
+
+    this.output = 0;
+    this.accValue = 0;
+    this.accCount = 0;
+  }
+
+  writeReg(address, value) {
+    if (address < 0x4080) {
+      // Wavetable RAM, only writable while $4089 bit 7 is set:
+      if (this.waveWriteEnabled) {
+        this.wave[address & 0x3f] = value & 0x3f;
+      }
+      return;
+    }
+    switch (address) {
+      case 0x4080:
+        this.volumeDisabled = (value & 0x80) !== 0;
+        this.volumeIncrease = (value & 0x40) !== 0;
+        this.volumeSpeed = value & 0x3f;
+        if (this.volumeDisabled) {
+          this.volumeGain = value & 0x3f;
+        }
+        this.volumeTimer = this.getEnvelopePeriod(this.volumeSpeed);
+        break;
+      case 0x4082:
+        this.frequency = (this.frequency & 0xf00) | value;
+        this.updatePitch();
+        break;
+      case 0x4083:
+        this.frequency = (this.frequency & 0xff) | ((value & 0x0f) << 8);
+        this.waveHalted = (value & 0x80) !== 0;
+        this.envelopesHalted = (value & 0x40) !== 0;
+        if (this.waveHalted) {
+          this.wavePosition = 0;
+          this.waveAccumulator = 0;
+        }
+        if (this.envelopesHalted) {
+          this.volumeTimer = this.getEnvelopePeriod(this.volumeSpeed);
+          this.modTimer = this.getEnvelopePeriod(this.modSpeed);
+        }
+        this.updatePitch();
+        break;
+      case 0x4084:
+        this.modDisabled = (value & 0x80) !== 0;
+        this.modIncrease = (value & 0x40) !== 0;
+        this.modSpeed = value & 0x3f;
+        if (this.modDisabled) {
+          this.modGain = value & 0x3f;
+        }
+        this.modTimer = this.getEnvelopePeriod(this.modSpeed);
+        this.updatePitch();
+        break;
+      case 0x4085:
+        this.modCounter = ((value & 0x7f) << 25) >> 25;
+        this.updatePitch();
+        break;
+      case 0x4086:
+        this.modFrequency = (this.modFrequency & 0xf00) | value;
+        break;
+      case 0x4087:
+        this.modFrequency = (this.modFrequency & 0xff) | ((value & 0x0f) << 8);
+        this.modHalted = (value & 0x80) !== 0;
+        if (this.modHalted) {
+          this.modAccumulator = 0;
+        }
+        break;
+      case 0x4088:
+        // Each write fills two entries of the table, while the unit is
+        // halted:
+        if (this.modHalted) {
+          this.modTable[this.modPosition] = value & 7;
+          this.modTable[(this.modPosition + 1) & 0x3f] = value & 7;
+          this.modPosition = (this.modPosition + 2) & 0x3f;
+        }
+        break;
+      case 0x4089:
+        this.waveWriteEnabled = (value & 0x80) !== 0;
+        this.masterVolume = value & 3;
+        break;
+      case 0x408a:
+        this.envelopeSpeed = value;
+        break;
+    }
+  }
+
+  // Reads $4040-$407F and $4090-$4097. Returns the bits the channel drives;
+  // the rest are open bus.
+  readReg(address) {
+    if (address < 0x4080) {
+      return this.wave[address & 0x3f];
+    } else if (address === 0x4090) {
+      return this.volumeGain;
+    } else if (address === 0x4092) {
+      return this.modGain;
+    }
+    return 0;
+  }
+
+  getEnvelopePeriod(speed) {
+    return 8 * (speed + 1) * this.envelopeSpeed;
+  }
+
+  // Runs the channel for nCycles CPU cycles.
+  clock(nCycles) {
+    if (!this.waveHalted && !this.envelopesHalted && this.envelopeSpeed > 0) {
+      this.clockEnvelopes(nCycles);
+    }
+
+    if (this.waveHalted) {
+      // The volume gain takes effect straight away while halted:
+      this.waveVolume = Math.min(this.volumeGain, 32);
+      this.updateOutput();
+    }
+    const modRunning = !this.modHalted && this.modFrequency > 0;
+    const waveRunning = !this.waveHalted && !this.waveWriteEnabled;
+    if (!modRunning && !waveRunning) {
+      this.accValue += this.output * nCycles;
+      this.accCount += nCycles;
+      return;
+    }
+
+    for (let i = 0; i < nCycles; i++) {
+      if (modRunning) {
+        this.modAccumulator += this.modFrequency;
+        if (this.modAccumulator >= 0x10000) {
+          this.modAccumulator -= 0x10000;
+          this.stepModulator();
+        }
+      }
+      if (waveRunning) {
+        this.waveAccumulator += this.pitch;
+        if (this.waveAccumulator >= 0x10000) {
+          this.waveAccumulator -= 0x10000;
+          this.wavePosition = (this.wavePosition + 1) & 0x3f;
+          if (this.wavePosition === 0) {
+            this.waveVolume = Math.min(this.volumeGain, 32);
+          }
+          this.updateOutput();
+        }
+      }
+      this.accValue += this.output;
+    }
+    this.accCount += nCycles;
+  }
+
+  clockEnvelopes(nCycles) {
+    if (!this.volumeDisabled) {
+      this.volumeTimer -= nCycles;
+      while (this.volumeTimer <= 0) {
+        this.volumeTimer += this.getEnvelopePeriod(this.volumeSpeed);
+        if (this.volumeIncrease) {
+          if (this.volumeGain < 32) {
+            this.volumeGain++;
+          }
+        } else if (this.volumeGain > 0) {
+          this.volumeGain--;
+        }
+      }
+    }
+    if (!this.modDisabled) {
+      this.modTimer -= nCycles;
+      while (this.modTimer <= 0) {
+        this.modTimer += this.getEnvelopePeriod(this.modSpeed);
+        if (this.modIncrease) {
+          if (this.modGain < 32) {
+            this.modGain++;
+          }
+        } else if (this.modGain > 0) {
+          this.modGain--;
+        }
+      }
+      this.updatePitch();
+    }
+  }
+
+  stepModulator() {
+    const adjust = this.modTable[this.modPosition];
+    this.modPosition = (this.modPosition + 1) & 0x3f;
+    if (adjust === 4) {
+      this.modCounter = 0;
+    } else {
+      // Wrap around within -64..63:
+      this.modCounter = ((this.modCounter + MOD_ADJUST[adjust]) << 25) >> 25;
+    }
+    this.updatePitch();
+  }
+
+  // Applies the modulator to the wave's frequency, with the rounding of the
+  // real hardware. See https://www.nesdev.org/wiki/FDS_audio#Frequency_calculation
+  updatePitch() {
+    let temp = this.modCounter * this.modGain;
+    let remainder = temp & 0xf;
+    temp >>= 4;
+    if (remainder > 0 && (temp & 0x80) === 0) {
+      temp += this.modCounter < 0 ? -1 : 2;
+    }
+    if (temp >= 192) {
+      temp -= 256;
+    } else if (temp < -64) {
+      temp += 256;
+    }
+    temp *= this.frequency;
+    remainder = temp & 0x3f;
+    temp >>= 6;
+    if (remainder >= 32) {
+      temp++;
+    }
+    this.pitch = Math.max(0, this.frequency + temp);
+  }
+
+  updateOutput() {
+    this.output =
+      this.wave[this.wavePosition] *
+      this.waveVolume *
+      MASTER_VOLUME[this.masterVolume] *
+      OUTPUT_SCALE;
+  }
+
+  // Returns the average output since the last call.
+  getSample() {
+    if (this.accCount === 0) {
+      return this.output;
+    }
+    const sample = this.accValue / this.accCount;
+    this.accValue = 0;
+    this.accCount = 0;
+    return sample;
+  }
+
+  toJSON() {
+    return toJSON(this);
+  }
+
+  fromJSON(s) {
+    fromJSON(this, s);
+  }
+
+  static JSON_PROPERTIES = [
+    "wave",
+    "modTable",
+    "waveWriteEnabled",
+    "waveHalted",
+    "envelopesHalted",
+    "masterVolume",
+    "envelopeSpeed",
+    "volumeDisabled",
+    "volumeIncrease",
+    "volumeSpeed",
+    "volumeGain",
+    "volumeTimer",
+    "modDisabled",
+    "modIncrease",
+    "modSpeed",
+    "modGain",
+    "modTimer",
+    "frequency",
+    "pitch",
+    "waveAccumulator",
+    "wavePosition",
+    "waveVolume",
+    "modFrequency",
+    "modHalted",
+    "modCounter",
+    "modAccumulator",
+    "modPosition",
+    "output",
+    "accValue",
+    "accCount",
+  ];
+}
+
+export default ChannelFDS;
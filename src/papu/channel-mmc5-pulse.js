@@ -0,0 +1,163 @@
+import { fromJSON, toJSON } from "../utils.js";
+
+// prettier-ignore
+const DUTY_LOOKUP = [
+  0, 1, 0, 0, 0, 0, 0, 0,
+  0, 1, 1, 0, 0, 0, 0, 0,
+  0, 1, 1, 1, 1, 0, 0, 0,
+  1, 0, 0, 1, 1, 1, 1, 1,
+];
+
+// One of the MMC5's two pulse channels. They work like the 2A03's squares,
+// without the sweep unit, so low periods aren't silenced, and with their
+// envelopes and length counters clocked at a fixed 240Hz by the mapper
+// rather than by the APU's frame counter. Clocked by the MMC5 mapper and
+// mixed in by PAPU.sample().
+// See https://www.nesdev.org/wiki/MMC5_audio
+class ChannelMMC5Pulse {
+  constructor(nes) {
+    this.nes = nes;
+
+    this.duty = 0;
+    this.period = 0;
+    this.isEnabled = false;
+    this.lengthCounter = 0;
+    this.lengthCounterHalt = false;
+
+    this.constantVolume = false;
+    this.volume = 0; // the constant volume, or the envelope's period
+    this.envelopeStart = false;
+    this.envelopeDivider = 0;
+    this.envelopeLevel = 0;
+
+    this.timer = 0;
+    this.step = 0;
+
+    this.accValue = 0;
+    this.accCount = 0;
+  }
+
+  // Writes register 0, 1, 2 or 3 of the channel ($5000-$5003 or
+  // $5004-$5007). Register 1, the sweep on a 2A03, does nothing.
+  writeReg(reg, value) {
+    switch (reg) {
+      case 0:
+        this.duty = value >> 6;
+        this.lengthCounterHalt = (value & 0x20) !== 0;
+        this.constantVolume = (value & 0x10) !== 0;
+        this.volume = value & 0x0f;
+        break;
+      case 2:
+        this.period = (this.period & 0x700) | value;
+        break;
+      case 3:
+        this.period = (this.period & 0xff) | ((value & 7) << 8);
+        if (this.isEnabled) {
+          this.lengthCounter = this.nes.papu.getLengthMax(value & 0xf8);
+        }
+        this.envelopeStart = true;
+        this.step = 0;
+        break;
+    }
+  }
+
+  // Enables or disables the channel ($5015). Disabling it silences it
+  // until its length counter is loaded again.
+  setEnabled(value) {
+    this.isEnabled = value;
+    if (!value) {
+      this.lengthCounter = 0;
+    }
+  }
+
+  getLengthStatus() {
+    return this.lengthCounter > 0 ? 1 : 0;
+  }
+
+  // Clocks the envelope and length counter, at 240Hz.
+  clockFrame() {
+    if (this.envelopeStart) {
+      this.envelopeStart = false;
+      this.envelopeLevel = 15;
+      this.envelopeDivider = this.volume;
+    } else if (this.envelopeDivider > 0) {
+      this.envelopeDivider--;
+    } else {
+      this.envelopeDivider = this.volume;
+      if (this.envelopeLevel > 0) {
+        this.envelopeLevel--;
+      } else if (this.lengthCounterHalt) {
+        // The halt flag loops the envelope too:
+        this.envelopeLevel = 15;
+      }
+    }
+
+    if (!this.lengthCounterHalt && this.lengthCounter > 0) {
+      this.lengthCounter--;
+    }
+  }
+
+  getOutput() {
+    if (
+      this.lengthCounter === 0 ||
+      !DUTY_LOOKUP[(this.duty << 3) + this.step]
+    ) {
+      return 0;
+    }
+    return this.constantVolume ? this.volume : this.envelopeLevel;
+  }
+
+  // Runs the channel for nCycles CPU cycles. The sequencer steps every
+  // period + 1 APU cycles, which are two CPU cycles each.
+  clock(nCycles) {
+    while (nCycles > 0) {
+      const n = Math.min(nCycles, this.timer);
+      this.accValue += this.getOutput() * n;
+      this.accCount += n;
+      this.timer -= n;
+      nCycles -= n;
+      if (this.timer === 0) {
+        this.timer = (this.period + 1) * 2;
+        this.step = (this.step + 1) & 7;
+      }
+    }
+  }
+
+  // Returns the average output since the last call, from 0 to 15.
+  getSample() {
+    if (this.accCount === 0) {
+      return this.getOutput();
+    }
+    const sample = this.accValue / this.accCount;
+    this.accValue = 0;
+    this.accCount = 0;
+    return sample;
+  }
+
+  toJSON() {
+    return toJSON(this);
+  }
+
+  fromJSON(s) {
+    fromJSON(this, s);
+  }
+
+  static JSON_PROPERTIES = [
+    "duty",
+    "period",
+    "isEnabled",
+    "lengthCounter",
+    "lengthCounterHalt",
+    "constantVolume",
+    "volume",
+    "envelopeStart",
+    "envelopeDivider",
+    "envelopeLevel",
+    "timer",
+    "step",
+    "accValue",
+    "accCount",
+  ];
+}
+
+export default ChannelMMC5Pulse;
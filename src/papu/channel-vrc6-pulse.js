@@ -0,0 +1,102 @@
+import { fromJSON, toJSON } from "../utils.js";
+
+// One of the Konami VRC6's two pulse channels: a 4-bit volume, played for
+// 1 to 8 of every 16 steps, or constantly in digitized mode. It's clocked
+// by the VRC6 mapper and mixed in by PAPU.sample().
+// See https://www.nesdev.org/wiki/VRC6_audio
+class ChannelVRC6Pulse {
+  constructor() {
+    this.volume = 0;
+    this.duty = 0;
+    this.digitized = false;
+    this.period = 0;
+    this.isEnabled = false;
+
+    this.timer = 0;
+    this.step = 15;
+
+    this.accValue = 0;
+    this.accCount = 0;
+  }
+
+  // Writes register 0, 1 or 2 of the channel ($9000-$9002 or $A000-$A002).
+  writeReg(reg, value) {
+    switch (reg) {
+      case 0:
+        this.digitized = (value & 0x80) !== 0;
+        this.duty = (value >> 4) & 7;
+        this.volume = value & 0x0f;
+        break;
+      case 1:
+        this.period = (this.period & 0xf00) | value;
+        break;
+      case 2:
+        this.period = (this.period & 0xff) | ((value & 0x0f) << 8);
+        this.isEnabled = (value & 0x80) !== 0;
+        if (!this.isEnabled) {
+          this.step = 15;
+        }
+        break;
+    }
+  }
+
+  getOutput() {
+    if (this.isEnabled && (this.digitized || this.step <= this.duty)) {
+      return this.volume;
+    }
+    return 0;
+  }
+
+  // Runs the channel for nCycles CPU cycles, with the period shifted right
+  // by shift bits, or stopped if halted. See the VRC6's $9003 register.
+  clock(nCycles, halted, shift) {
+    if (!this.isEnabled || halted) {
+      this.accValue += this.getOutput() * nCycles;
+      this.accCount += nCycles;
+      return;
+    }
+    for (let i = 0; i < nCycles; i++) {
+      if (this.timer === 0) {
+        this.timer = this.period >> shift;
+        this.step = (this.step - 1) & 0x0f;
+      } else {
+        this.timer--;
+      }
+      this.accValue += this.getOutput();
+    }
+    this.accCount += nCycles;
+  }
+
+  // Returns the average output since the last call, from 0 to 15.
+  getSample() {
+    if (this.accCount === 0) {
+      return this.getOutput();
+    }
+    const sample = this.accValue / this.accCount;
+    this.accValue = 0;
+    this.accCount = 0;
+    return sample;
+  }
+
+  toJSON() {
+    return toJSON(this);
+  }
+
+  fromJSON(s) {
+    fromJSON(this, s);
+  }
+
+  static JSON_PROPERTIES = [
+    "volume",
+    "duty",
+    "digitized",
+    "period",
+    "isEnabled",
+    "timer",
+    "step",
+    "accValue",
+    "accCount",
+  ];
+}
+
+export default ChannelVRC6Pulse;
@@ -0,0 +1,107 @@
+import { fromJSON, toJSON } from "../utils.js";
+
+// The Konami VRC6's sawtooth channel. An 8-bit accumulator has the rate
+// added to it on every other clock of its timer, and is reset to 0 every
+// 14 clocks; the top 5 bits are the output. It's clocked by the VRC6
+// mapper and mixed in by PAPU.sample().
+// See https://www.nesdev.org/wiki/VRC6_audio
+class ChannelVRC6Saw {
+  constructor() {
+    this.rate = 0;
+    this.period = 0;
+    this.isEnabled = false;
+
+    this.timer = 0;
+    this.step = 0;
+    this.accumulator = 0;
+
+    this.accValue = 0;
+    this.accCount = 0;
+  }
+
+  // Writes register 0, 1 or 2 of the channel ($B000-$B002).
+  writeReg(reg, value) {
+    switch (reg) {
+      case 0:
+        this.rate = value & 0x3f;
+        break;
+      case 1:
+        this.period = (this.period & 0xf00) | value;
+        break;
+      case 2:
+        this.period = (this.period & 0xff) | ((value & 0x0f) << 8);
+        this.isEnabled = (value & 0x80) !== 0;
+        if (!this.isEnabled) {
+          this.step = 0;
+          this.accumulator = 0;
+        }
+        break;
+    }
+  }
+
+  getOutput() {
+    return this.accumulator >> 3;
+  }
+
+  // Runs the channel for nCycles CPU cycles, with the period shifted right
+  // by shift bits, or stopped if halted. See the VRC6's $9003 register.
+  clock(nCycles, halted, shift) {
+    if (!this.isEnabled || halted) {
+      this.accValue += this.getOutput() * nCycles;
+      this.accCount += nCycles;
+      return;
+    }
+    for (let i = 0; i < nCycles; i++) {
+      if (this.timer === 0) {
+        this.timer = this.period >> shift;
+        this.clockAccumulator();
+      } else {
+        this.timer--;
+      }
+      this.accValue += this.accumulator >> 3;
+    }
+    this.accCount += nCycles;
+  }
+
+  clockAccumulator() {
+    this.step++;
+    if (this.step === 14) {
+      this.step = 0;
+      this.accumulator = 0;
+    } else if ((this.step & 1) === 0) {
+      this.accumulator = (this.accumulator + this.rate) & 0xff;
+    }
+  }
+
+  // Returns the average output since the last call, from 0 to 31.
+  getSample() {
+    if (this.accCount === 0) {
+      return this.getOutput();
+    }
+    const sample = this.accValue / this.accCount;
+    this.accValue = 0;
+    this.accCount = 0;
+    return sample;
+  }
+
+  toJSON() {
+    return toJSON(this);
+  }
+
+  fromJSON(s) {
+    fromJSON(this, s);
+  }
+
+  static JSON_PROPERTIES = [
+    "rate",
+    "period",
+    "isEnabled",
+    "timer",
+    "step",
+    "accumulator",
+    "accValue",
+    "accCount",
+  ];
+}
+
+export default ChannelVRC6Saw;
@@ -4,23 +4,22 @@ import ChannelNoise from "./channel-noise.js";
 import ChannelSquare from "./channel-square.js";
 import ChannelTriangle from "./channel-triangle.js";
 
-const CPU_FREQ_NTSC = 1789772.5; //1789772.72727272d;
-// const CPU_FREQ_PAL = 1773447.4;
-
-// Frame counter step timing tables (in CPU cycles).
-// The APU frame counter fires at these specific cycle positions within each
-// sequence. On real hardware, the APU clock is half the CPU clock, so
-// these correspond to APU cycles 3728.5, 7456.5, 11185.5, 14914.5 etc.
-// See https://www.nesdev.org/wiki/APU_Frame_Counter
-const FRAME_STEPS_4 = [7457, 14913, 22371, 29829];
-const FRAME_STEPS_5 = [7457, 14913, 22371, 29829, 37281];
-const FRAME_PERIOD_4 = 29830; // Total CPU cycles for 4-step sequence
-const FRAME_PERIOD_5 = 37282; // Total CPU cycles for 5-step sequence
-
 class PAPU {
   constructor(nes) {
     this.nes = nes;
 
+    // Frame counter step timing tables (in CPU cycles), which depend on the
+    // region. The APU frame counter fires at these specific cycle positions
+    // within each sequence. On real hardware, the APU clock is half the CPU
+    // clock, so on NTSC these correspond to APU cycles 3728.5, 7456.5,
+    // 11185.5, 14914.5 etc.
+    // See https://www.nesdev.org/wiki/APU_Frame_Counter
+    const region = nes.region;
+    this.frameSteps4 = region.frameSteps4;
+    this.frameSteps5 = region.frameSteps5;
+    this.framePeriod4 = region.framePeriod4; // Total CPU cycles, 4-step
+    this.framePeriod5 = region.framePeriod5; // Total CPU cycles, 5-step
+
     this.square1 = new ChannelSquare(this, true);
     this.square2 = new ChannelSquare(this, false);
     this.triangle = new ChannelTriangle(this);
@@ -63,11 +62,7 @@ class PAPU {
       }
     }
 
-    this.sampleRate = this.nes.opts.sampleRate;
-    this.sampleTimerMax = Math.floor(
-      (1024.0 * CPU_FREQ_NTSC * this.nes.opts.preferredFrameRate) /
-        (this.sampleRate * 60.0),
-    );
+    this.setSampleRate(this.nes.opts.sampleRate);
     this.sampleTimer = 0;
     this.updateChannelEnable(0);
     this.frameCycleCounter = 0;
@@ -327,8 +322,9 @@ class PAPU {
     // Uses the uncapped cycle count to maintain accurate timing.
     // See https://www.nesdev.org/wiki/APU_Frame_Counter
     this.frameCycleCounter += frameCounterCycles;
-    let steps = this.countSequence === 0 ? FRAME_STEPS_4 : FRAME_STEPS_5;
-    let period = this.countSequence === 0 ? FRAME_PERIOD_4 : FRAME_PERIOD_5;
+    let steps = this.countSequence === 0 ? this.frameSteps4 : this.frameSteps5;
+    let period =
+      this.countSequence === 0 ? this.framePeriod4 : this.framePeriod5;
     while (this.frameCycleCounter >= steps[this.frameStep]) {
       this.fireFrameStep(this.frameStep);
       this.frameStep++;
@@ -356,8 +352,9 @@ class PAPU {
   // DMC DMA timing or audio generation. See cpu._apuCatchUp().
   advanceFrameCounter(nCycles) {
     this.frameCycleCounter += nCycles;
-    let steps = this.countSequence === 0 ? FRAME_STEPS_4 : FRAME_STEPS_5;
-    let period = this.countSequence === 0 ? FRAME_PERIOD_4 : FRAME_PERIOD_5;
+    let steps = this.countSequence === 0 ? this.frameSteps4 : this.frameSteps5;
+    let period =
+      this.countSequence === 0 ? this.framePeriod4 : this.framePeriod5;
     while (this.frameCycleCounter >= steps[this.frameStep]) {
       this.fireFrameStep(this.frameStep);
       this.frameStep++;
@@ -557,6 +554,11 @@ class PAPU {
     let sampleValueR =
       this.square_table[sq_index] + this.tnd_table[tnd_index] - this.dcValue;
 
+    // Cartridge expansion audio is mono:
+    const expansion = Math.floor(this.nes.mmap.getAudioSample());
+    sampleValueL += expansion;
+    sampleValueR += expansion;
+
     // Remove DC from left channel:
     let smpDiffL = sampleValueL - this.prevSampleL;
     this.prevSampleL += smpDiffL;
@@ -588,6 +590,18 @@ class PAPU {
     this.smpDmc = 0;
   }
 
+  // Sets the audio sample rate. The emulated CPU clock is scaled by how
+  // fast frames are actually run compared to the region's frame rate, so
+  // pitch stays right at other speeds.
+  setSampleRate(rate) {
+    const region = this.nes.region;
+    this.sampleRate = rate;
+    this.sampleTimerMax = Math.floor(
+      (1024.0 * region.cpuFrequency * this.nes.getFrameRate()) /
+        (rate * region.frameRate),
+    );
+  }
+
   getLengthMax(value) {
     return this.lengthLookup[value >> 3];
   }
@@ -661,46 +675,14 @@ class PAPU {
   }
 
   initDmcFrequencyLookup() {
-    this.dmcFreqLookup = new Array(16);
-
-    this.dmcFreqLookup[0x0] = 0xd60;
-    this.dmcFreqLookup[0x1] = 0xbe0;
-    this.dmcFreqLookup[0x2] = 0xaa0;
-    this.dmcFreqLookup[0x3] = 0xa00;
-    this.dmcFreqLookup[0x4] = 0x8f0;
-    this.dmcFreqLookup[0x5] = 0x7f0;
-    this.dmcFreqLookup[0x6] = 0x710;
-    this.dmcFreqLookup[0x7] = 0x6b0;
-    this.dmcFreqLookup[0x8] = 0x5f0;
-    this.dmcFreqLookup[0x9] = 0x500;
-    this.dmcFreqLookup[0xa] = 0x470;
-    this.dmcFreqLookup[0xb] = 0x400;
-    this.dmcFreqLookup[0xc] = 0x350;
-    this.dmcFreqLookup[0xd] = 0x2a0;
-    this.dmcFreqLookup[0xe] = 0x240;
-    this.dmcFreqLookup[0xf] = 0x1b0;
-    //for(int i=0;i<16;i++)dmcFreqLookup[i]/=8;
+    // Stored as periods * 8:
+    this.dmcFreqLookup = this.nes.region.dmcPeriods.map(function (period) {
+      return period * 8;
+    });
   }
 
   initNoiseWavelengthLookup() {
-    this.noiseWavelengthLookup = new Array(16);
-
-    this.noiseWavelengthLookup[0x0] = 0x004;
-    this.noiseWavelengthLookup[0x1] = 0x008;
-    this.noiseWavelengthLookup[0x2] = 0x010;
-    this.noiseWavelengthLookup[0x3] = 0x020;
-    this.noiseWavelengthLookup[0x4] = 0x040;
-    this.noiseWavelengthLookup[0x5] = 0x060;
-    this.noiseWavelengthLookup[0x6] = 0x080;
-    this.noiseWavelengthLookup[0x7] = 0x0a0;
-    this.noiseWavelengthLookup[0x8] = 0x0ca;
-    this.noiseWavelengthLookup[0x9] = 0x0fe;
-    this.noiseWavelengthLookup[0xa] = 0x17c;
-    this.noiseWavelengthLookup[0xb] = 0x1fc;
-    this.noiseWavelengthLookup[0xc] = 0x2fa;
-    this.noiseWavelengthLookup[0xd] = 0x3f8;
-    this.noiseWavelengthLookup[0xe] = 0x7f2;
-    this.noiseWavelengthLookup[0xf] = 0xfe4;
+    this.noiseWavelengthLookup = this.nes.region.noisePeriods.slice();
   }
 
   initDACtables() {
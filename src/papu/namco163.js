@@ -0,0 +1,123 @@
+import { fromJSON, toJSON } from "../utils.js";
+
+// CPU cycles per channel update:
+const CYCLES_PER_CHANNEL = 15;
+
+// The Namco 163's wavetable sound. Its 128 bytes of internal RAM hold 4-bit
+// waveforms, and from $40 up, 8 bytes of registers for each of up to 8
+// channels. Rather than mixing the channels, the chip updates and outputs
+// one at a time, so each gets quieter as more are enabled. It's clocked by
+// the N163 mapper and mixed in by PAPU.sample().
+// See https://www.nesdev.org/wiki/Namco_163_audio
+class Namco163 {
+  constructor() {
+    this.ram = new Uint8Array(128);
+    this.address = 0;
+    this.autoIncrement = false;
+
+    this.cycles = 0;
+    this.channel = 7; // the channel being output
+    this.output = 0;
+    this.accValue = 0;
+    this.accCount = 0;
+  }
+
+  // Sets the RAM address for the data port, and whether accesses increment
+  // it ($F800).
+  writeAddress(value) {
+    this.address = value & 0x7f;
+    this.autoIncrement = (value & 0x80) !== 0;
+  }
+
+  // Reads RAM through the data port ($4800).
+  readData() {
+    const value = this.ram[this.address];
+    this.incrementAddress();
+    return value;
+  }
+
+  // Writes RAM through the data port ($4800).
+  writeData(value) {
+    this.ram[this.address] = value;
+    this.incrementAddress();
+  }
+
+  incrementAddress() {
+    if (this.autoIncrement) {
+      this.address = (this.address + 1) & 0x7f;
+    }
+  }
+
+  // The number of enabled channels, which are the highest ones: channels 7
+  // down to 8 - n.
+  getChannelCount() {
+    return ((this.ram[0x7f] >> 4) & 7) + 1;
+  }
+
+  // Runs the chip for nCycles CPU cycles.
+  clock(nCycles) {
+    this.cycles += nCycles;
+    while (this.cycles >= CYCLES_PER_CHANNEL) {
+      this.cycles -= CYCLES_PER_CHANNEL;
+      this.channel--;
+      if (this.channel < 8 - this.getChannelCount()) {
+        this.channel = 7;
+      }
+      this.output = this.updateChannel(this.channel);
+    }
+    this.accValue += this.output * nCycles;
+    this.accCount += nCycles;
+  }
+
+  // Advances a channel's phase, which it keeps in RAM, and returns its
+  // output, from -120 to 105.
+  updateChannel(channel) {
+    const ram = this.ram;
+    const base = 0x40 + channel * 8;
+    const frequency =
+      ram[base] | (ram[base + 2] << 8) | ((ram[base + 4] & 3) << 16);
+    const length = (256 - (ram[base + 4] & 0xfc)) << 16;
+    let phase = ram[base + 1] | (ram[base + 3] << 8) | (ram[base + 5] << 16);
+    phase = (phase + frequency) % length;
+    ram[base + 1] = phase & 0xff;
+    ram[base + 3] = (phase >> 8) & 0xff;
+    ram[base + 5] = phase >> 16;
+
+    // Samples are nibbles, low nibble first:
+    const position = ((phase >> 16) + ram[base + 6]) & 0xff;
+    const sample = (ram[position >> 1] >> ((position & 1) << 2)) & 0x0f;
+    return (sample - 8) * (ram[base + 7] & 0x0f);
+  }
+
+  // Returns the average output since the last call.
+  getSample() {
+    if (this.accCount === 0) {
+      return this.output;
+    }
+    const sample = this.accValue / this.accCount;
+    this.accValue = 0;
+    this.accCount = 0;
+    return sample;
+  }
+
+  toJSON() {
+    return toJSON(this);
+  }
+
+  fromJSON(s) {
+    fromJSON(this, s);
+  }
+
+  static JSON_PROPERTIES = [
+    "ram",
+    "address",
+    "autoIncrement",
+    "cycles",
+    "channel",
+    "output",
+    "accValue",
+    "accCount",
+  ];
+}
+
+export default Namco163;
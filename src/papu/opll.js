@@ -0,0 +1,372 @@
+import { fromJSON, toJSON } from "../utils.js";
+
+// The VRC7's built-in instruments, 1 to 15, in the format of registers
+// $00-$07, which hold the custom instrument (0). From the dump at
+// https://www.nesdev.org/wiki/VRC7_audio
+const PATCHES = [
+  [0x03, 0x21, 0x05, 0x06, 0xe8, 0x81, 0x42, 0x27], // Buzzy bell
+  [0x13, 0x41, 0x14, 0x0d, 0xd8, 0xf6, 0x23, 0x12], // Guitar
+  [0x11, 0x11, 0x08, 0x08, 0xfa, 0xb2, 0x20, 0x12], // Wurly
+  [0x31, 0x61, 0x0c, 0x07, 0xa8, 0x64, 0x61, 0x27], // Flute
+  [0x32, 0x21, 0x1e, 0x06, 0xe1, 0x76, 0x01, 0x28], // Clarinet
+  [0x02, 0x01, 0x06, 0x00, 0xa3, 0xe2, 0xf4, 0xf4], // Synth
+  [0x21, 0x61, 0x1d, 0x07, 0x82, 0x81, 0x11, 0x07], // Trumpet
+  [0x23, 0x21, 0x22, 0x17, 0xa2, 0x72, 0x01, 0x17], // Organ
+  [0x35, 0x11, 0x25, 0x00, 0x40, 0x73, 0x72, 0x01], // Bells
+  [0xb5, 0x01, 0x0f, 0x0f, 0xa8, 0xa5, 0x51, 0x02], // Vibes
+  [0x17, 0xc1, 0x24, 0x07, 0xf8, 0xf8, 0x22, 0x12], // Vibraphone
+  [0x71, 0x23, 0x11, 0x06, 0x65, 0x74, 0x18, 0x16], // Tutti
+  [0x01, 0x02, 0xd3, 0x05, 0xc9, 0x95, 0x03, 0x02], // Fretless
+  [0x61, 0x63, 0x0c, 0x00, 0x94, 0xc0, 0x33, 0xf6], // Synth bass
+  [0x21, 0x72, 0x0d, 0x00, 0xc1, 0xd5, 0x56, 0x06], // Sweep
+];
+
+// CPU cycles per OPLL sample on an NTSC console: the VRC7 runs the OPLL
+// from its own 3.58MHz crystal, which makes a sample every 72 of its clocks.
+const CYCLES_PER_SAMPLE = 36;
+
+// Frequency multiplier settings, times 2:
+const MULTIPLIERS = [1, 2, 4, 6, 8, 10, 12, 14, 16, 18, 20, 20, 24, 24, 30, 30];
+
+// Key scale level attenuation at block 7 for the top 4 bits of the
+// F-number, in envelope steps of 0.375dB. Each lower block is 6dB less.
+const KSL_LEVELS = [
+  0, 24, 32, 37, 40, 43, 45, 47, 48, 50, 51, 52, 53, 54, 55, 56,
+];
+
+// Envelope increments over 8 updates for the lowest two bits of the rate,
+// for slow rates and for the fastest four groups of rates.
+const EG_STEPS_SLOW = [
+  [0, 1, 0, 1, 0, 1, 0, 1],
+  [0, 1, 0, 1, 1, 1, 0, 1],
+  [0, 1, 1, 1, 0, 1, 1, 1],
+  [0, 1, 1, 1, 1, 1, 1, 1],
+];
+const EG_STEPS_FAST = [
+  [1, 1, 1, 1, 1, 1, 1, 1],
+  [1, 1, 1, 2, 1, 1, 1, 2],
+  [1, 2, 1, 2, 1, 2, 1, 2],
+  [1, 2, 2, 2, 1, 2, 2, 2],
+];
+
+// Envelope states, and the envelope level for silence:
+const ATTACK = 0;
+const DECAY = 1;
+const SUSTAIN = 2;
+const RELEASE = 3;
+const EG_MAX = 127;
+
+// Tremolo is a triangle wave of up to 4.8dB at about 3.6Hz, and vibrato a
+// wave of up to about 14 cents at about 6Hz, stepped as below:
+const AM_DEPTH = 13;
+const AM_PERIOD = 13824;
+const PM_STEPS = [0, 1, 2, 1, 0, -1, -2, -1];
+
+// A quarter of a sine wave as attenuation (-log2(sin)) in 1/256ths of an
+// octave, and the inverse (2^-x) for the fraction of an octave, as in the
+// real chip.
+const LOG_SIN = new Uint16Array(256);
+const EXP = new Uint16Array(256);
+for (let i = 0; i < 256; i++) {
+  LOG_SIN[i] = Math.round(
+    -Math.log2(Math.sin(((i + 0.5) * Math.PI) / 512)) * 256,
+  );
+  EXP[i] = Math.round(Math.pow(2, -i / 256) * 4095);
+}
+
+// Returns an operator's output, from -4095 to 4095, for a 10-bit phase and
+// an attenuation in envelope steps. Rectified waveforms output nothing for
+// the second half of the wave.
+function operatorOutput(phase, attenuation, rectified) {
+  const negative = (phase & 0x200) !== 0;
+  if (attenuation >= EG_MAX || (negative && rectified)) {
+    return 0;
+  }
+  let index = phase & 0xff;
+  if (phase & 0x100) {
+    index = 0xff - index;
+  }
+  const level = LOG_SIN[index] + (attenuation << 4);
+  const out = EXP[level & 0xff] >> (level >> 8);
+  return negative ? -out : out;
+}
+
+// How much an envelope moves on this update at a rate from 0 to 63.
+function envelopeIncrement(rate, counter) {
+  if (rate === 0) {
+    return 0;
+  }
+  const high = rate >> 2;
+  if (high < 12) {
+    const shift = 12 - high;
+    if (counter & ((1 << shift) - 1)) {
+      return 0;
+    }
+    return EG_STEPS_SLOW[rate & 3][(counter >> shift) & 7];
+  }
+  return EG_STEPS_FAST[rate & 3][counter & 7] << (high - 12);
+}
+
+// The YM2413 (OPLL) derived FM synthesizer in the Konami VRC7: 6 channels
+// of a modulator and a carrier operator, playing one of 15 built-in
+// instruments or a custom one. There's no rhythm mode. It's clocked by the
+// VRC7 mapper and mixed in by PAPU.sample().
+//
+// Operators are numbered 0 to 11, with channel n's modulator at 2n and its
+// carrier at 2n + 1.
+// See https://www.nesdev.org/wiki/VRC7_audio
+class OPLL {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.regs = new Uint8Array(0x40);
+    this.address = 0;
+
+    this.phase = new Int32Array(12);
+    this.envelope = new Uint8Array(12).fill(EG_MAX);
+    this.envelopeState = new Uint8Array(12).fill(RELEASE);
+    // Each channel's last two modulator outputs, for feedback:
+    this.feedback = new Int16Array(12);
+
+    this.egCounter = 0;
+    this.amCounter = 0;
+    this.pmCounter = 0;
+
+    this.cycles = 0;
+    this.output = 0;
+    this.accValue = 0;
+    this.accCount = 0;
+  }
+
+  // Selects the register for writeData() ($9010).
+  writeAddress(value) {
+    this.address = value & 0x3f;
+  }
+
+  // Writes the selected register ($9030).
+  writeData(value) {
+    const reg = this.address;
+    if (reg < 0x08) {
+      this.regs[reg] = value;
+      return;
+    }
+    const ch = reg & 0x0f;
+    if (reg < 0x10 || ch > 5) {
+      return;
+    }
+    if ((reg & 0xf0) === 0x20) {
+      const keyWasOn = (this.regs[reg] & 0x10) !== 0;
+      const keyOn = (value & 0x10) !== 0;
+      if (keyOn && !keyWasOn) {
+        this.keyOn(ch);
+      } else if (!keyOn && keyWasOn) {
+        // Only the carrier is released, the modulator carries on:
+        this.envelopeState[ch * 2 + 1] = RELEASE;
+      }
+    }
+    this.regs[reg] = value;
+  }
+
+  keyOn(ch) {
+    for (let op = ch * 2; op < ch * 2 + 2; op++) {
+      this.phase[op] = 0;
+      this.envelopeState[op] = ATTACK;
+    }
+  }
+
+  // Runs the chip for nCycles CPU cycles.
+  clock(nCycles) {
+    this.cycles += nCycles;
+    while (this.cycles >= CYCLES_PER_SAMPLE) {
+      this.cycles -= CYCLES_PER_SAMPLE;
+      this.output = this.generateSample();
+    }
+    this.accValue += this.output * nCycles;
+    this.accCount += nCycles;
+  }
+
+  // Returns the average output since the last call.
+  getSample() {
+    if (this.accCount === 0) {
+      return this.output;
+    }
+    const sample = this.accValue / this.accCount;
+    this.accValue = 0;
+    this.accCount = 0;
+    return sample;
+  }
+
+  generateSample() {
+    this.egCounter = (this.egCounter + 1) & 0xffff;
+    this.amCounter = (this.amCounter + 1) % AM_PERIOD;
+    this.pmCounter = (this.pmCounter + 1) & 0x1fff;
+
+    let output = 0;
+    for (let ch = 0; ch < 6; ch++) {
+      output += this.generateChannel(ch);
+    }
+    return output;
+  }
+
+  generateChannel(ch) {
+    const regs = this.regs;
+    const mod = ch * 2;
+    const car = mod + 1;
+
+    // Skip channels that have finished releasing:
+    if (this.envelopeState[car] === RELEASE && this.envelope[car] === EG_MAX) {
+      return 0;
+    }
+
+    const fnum = regs[0x10 + ch] | ((regs[0x20 + ch] & 1) << 8);
+    const block = (regs[0x20 + ch] >> 1) & 7;
+    const sustain = (regs[0x20 + ch] & 0x20) !== 0;
+    const instrument = regs[0x30 + ch] >> 4;
+    const patch = instrument === 0 ? regs : PATCHES[instrument - 1];
+
+    // The modulator's level comes from the instrument, the carrier's from
+    // the channel's volume:
+    const modLevel = this.updateOperator(mod, patch, fnum, block, sustain);
+    const carLevel = this.updateOperator(car, patch, fnum, block, sustain);
+    const modAttenuation = modLevel + ((patch[2] & 0x3f) << 1);
+    const carAttenuation = carLevel + ((regs[0x30 + ch] & 0x0f) << 3);
+
+    const feedback = patch[3] & 7;
+    let modPhase = this.phase[mod] >> 9;
+    if (feedback) {
+      modPhase +=
+        (this.feedback[mod] + this.feedback[mod + 1]) >> (9 - feedback);
+    }
+    const modOut = operatorOutput(
+      modPhase,
+      Math.min(modAttenuation, EG_MAX),
+      (patch[3] & 0x08) !== 0,
+    );
+    this.feedback[mod + 1] = this.feedback[mod];
+    this.feedback[mod] = modOut;
+
+    return operatorOutput(
+      (this.phase[car] >> 9) + modOut,
+      Math.min(carAttenuation, EG_MAX),
+      (patch[3] & 0x10) !== 0,
+    );
+  }
+
+  // Advances an operator's phase and envelope by a sample. Returns its
+  // attenuation from the envelope, key scaling and tremolo, in 0.375dB
+  // steps.
+  updateOperator(op, patch, fnum, block, sustain) {
+    const flags = patch[op & 1];
+
+    // Phase, with vibrato:
+    let increment = ((fnum << block) * MULTIPLIERS[flags & 0x0f]) >> 1;
+    if (flags & 0x40) {
+      increment += (increment * PM_STEPS[this.pmCounter >> 10]) >> 8;
+    }
+    this.phase[op] = (this.phase[op] + increment) & 0x7ffff;
+
+    // Envelope rates are scaled up by the key, coarsely unless KSR is set:
+    let keyScale = (block << 1) | (fnum >> 8);
+    if ((flags & 0x10) === 0) {
+      keyScale >>= 2;
+    }
+    const attackDecay = patch[4 + (op & 1)];
+    const sustainRelease = patch[6 + (op & 1)];
+    const sustained = (flags & 0x20) !== 0;
+
+    let rate = 0;
+    switch (this.envelopeState[op]) {
+      case ATTACK:
+        rate = attackDecay >> 4;
+        break;
+      case DECAY:
+        rate = attackDecay & 0x0f;
+        break;
+      case SUSTAIN:
+        // Sustained instruments hold, percussive ones fade out:
+        rate = sustained ? 0 : sustainRelease & 0x0f;
+        break;
+      case RELEASE:
+        if (sustain) {
+          rate = 5;
+        } else if (sustained) {
+          rate = sustainRelease & 0x0f;
+        } else {
+          rate = 7;
+        }
+        break;
+    }
+    if (rate !== 0) {
+      rate = Math.min(63, rate * 4 + keyScale);
+    }
+
+    let env = this.envelope[op];
+    const step = envelopeIncrement(rate, this.egCounter);
+    switch (this.envelopeState[op]) {
+      case ATTACK:
+        if (rate >= 60) {
+          env = 0;
+        } else if (step) {
+          env -= ((env + 1) * step + 7) >> 3;
+        }
+        if (env <= 0) {
+          env = 0;
+          this.envelopeState[op] = DECAY;
+        }
+        break;
+      case DECAY: {
+        const sustainLevel = (sustainRelease >> 4) << 3;
+        env += step;
+        if (env >= sustainLevel) {
+          env = sustainLevel;
+          this.envelopeState[op] = SUSTAIN;
+        }
+        break;
+      }
+      default:
+        env = Math.min(env + step, EG_MAX);
+        break;
+    }
+    this.envelope[op] = env;
+
+    let attenuation = env;
+    const ksl = patch[2 + (op & 1)] >> 6;
+    if (ksl) {
+      attenuation +=
+        Math.max(0, KSL_LEVELS[fnum >> 5] - ((7 - block) << 4)) >> (3 - ksl);
+    }
+    if (flags & 0x80) {
+      const am = this.amCounter >> 9;
+      attenuation += am <= AM_DEPTH ? am : 2 * AM_DEPTH - am;
+    }
+    return attenuation;
+  }
+
+  toJSON() {
+    return toJSON(this);
+  }
+
+  fromJSON(s) {
+    fromJSON(this, s);
+  }
+
+  static JSON_PROPERTIES = [
+    "regs",
+    "address",
+    "phase",
+    "envelope",
+    "envelopeState",
+    "feedback",
+    "egCounter",
+    "amCounter",
+    "pmCounter",
+    "cycles",
+    "output",
+    "accValue",
+    "accCount",
+  ];
+}
+
+export default OPLL;
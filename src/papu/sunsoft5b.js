@@ -0,0 +1,197 @@
+import { fromJSON, toJSON } from "../utils.js";
+
+// CPU cycles per clock of the tone, noise and envelope timers:
+const TIMER_DIVIDER = 16;
+
+// Output level for each of the 32 envelope steps, 1.5dB apart. Step 0 is
+// silent. A channel's 4-bit volume v plays as step 2v + 1.
+const LEVELS = new Float64Array(32);
+for (let i = 1; i < 32; i++) {
+  LEVELS[i] = Math.pow(10, ((i - 31) * 1.5) / 20);
+}
+
+// The Sunsoft 5B's sound, a licensed YM2149F (AY-3-8910) core: three
+// square wave channels that can each mix in the shared noise generator and
+// take their volume from the shared envelope generator. It's clocked by the
+// FME-7 mapper and mixed in by PAPU.sample().
+// See https://www.nesdev.org/wiki/Sunsoft_5B_audio
+class Sunsoft5B {
+  constructor() {
+    this.regs = new Uint8Array(16);
+    this.address = 0;
+
+    this.divider = 0;
+    this.toneCounters = new Uint16Array(3);
+    this.toneOutputs = new Uint8Array(3);
+
+    this.noiseCounter = 0;
+    this.noiseHalf = false;
+    this.lfsr = 1; // 17-bit
+
+    this.envelopeCounter = 0;
+    this.envelopeStep = 0;
+    this.envelopeLevel = 0;
+    this.envelopeAttack = false;
+    this.envelopeHolding = true;
+
+    this.output = 0;
+    this.accValue = 0;
+    this.accCount = 0;
+  }
+
+  // Selects the register for writeData() ($C000).
+  writeAddress(value) {
+    this.address = value & 0x0f;
+  }
+
+  // Writes the selected register ($E000).
+  writeData(value) {
+    this.regs[this.address] = value;
+    if (this.address === 0x0d) {
+      // Restart the envelope with the new shape:
+      this.envelopeAttack = (value & 0x04) !== 0;
+      this.envelopeStep = 0;
+      this.envelopeLevel = this.envelopeAttack ? 0 : 31;
+      this.envelopeHolding = false;
+      this.envelopeCounter = 0;
+    }
+  }
+
+  getTonePeriod(channel) {
+    const period =
+      this.regs[channel * 2] | ((this.regs[channel * 2 + 1] & 0x0f) << 8);
+    return period || 1;
+  }
+
+  // Runs the chip for nCycles CPU cycles.
+  clock(nCycles) {
+    this.divider += nCycles;
+    while (this.divider >= TIMER_DIVIDER) {
+      this.divider -= TIMER_DIVIDER;
+      this.clockTimers();
+    }
+    this.output = this.getOutput();
+    this.accValue += this.output * nCycles;
+    this.accCount += nCycles;
+  }
+
+  clockTimers() {
+    for (let i = 0; i < 3; i++) {
+      if (++this.toneCounters[i] >= this.getTonePeriod(i)) {
+        this.toneCounters[i] = 0;
+        this.toneOutputs[i] ^= 1;
+      }
+    }
+
+    // Noise runs at half the rate of the tones:
+    this.noiseHalf = !this.noiseHalf;
+    if (this.noiseHalf && ++this.noiseCounter >= (this.regs[6] & 0x1f || 1)) {
+      this.noiseCounter = 0;
+      const bit = (this.lfsr ^ (this.lfsr >> 3)) & 1;
+      this.lfsr = (this.lfsr >> 1) | (bit << 16);
+    }
+
+    const envelopePeriod = this.regs[0x0b] | (this.regs[0x0c] << 8);
+    if (++this.envelopeCounter >= (envelopePeriod || 1)) {
+      this.envelopeCounter = 0;
+      this.clockEnvelope();
+    }
+  }
+
+  // Steps the envelope through its 32 levels, then holds or repeats it as
+  // the shape in register $0D says.
+  clockEnvelope() {
+    if (this.envelopeHolding) {
+      return;
+    }
+    this.envelopeStep++;
+    if (this.envelopeStep < 32) {
+      this.envelopeLevel = this.envelopeAttack
+        ? this.envelopeStep
+        : 31 - this.envelopeStep;
+      return;
+    }
+
+    const shape = this.regs[0x0d];
+    if ((shape & 0x08) === 0) {
+      // Not continuing: hold silent.
+      this.envelopeHolding = true;
+      this.envelopeLevel = 0;
+    } else if (shape & 0x01) {
+      // Hold at the last level, or the other end when alternating:
+      this.envelopeHolding = true;
+      if (shape & 0x02) {
+        this.envelopeLevel = this.envelopeAttack ? 0 : 31;
+      } else {
+        this.envelopeLevel = this.envelopeAttack ? 31 : 0;
+      }
+    } else {
+      if (shape & 0x02) {
+        this.envelopeAttack = !this.envelopeAttack;
+      }
+      this.envelopeStep = 0;
+      this.envelopeLevel = this.envelopeAttack ? 0 : 31;
+    }
+  }
+
+  getOutput() {
+    const mixer = this.regs[7];
+    const noise = this.lfsr & 1;
+    let output = 0;
+    for (let i = 0; i < 3; i++) {
+      // A channel is on while its enabled tone and noise are both high:
+      const tone = this.toneOutputs[i] | ((mixer >> i) & 1);
+      const noiseOn = noise | ((mixer >> (i + 3)) & 1);
+      if (tone && noiseOn) {
+        const volume = this.regs[8 + i];
+        if (volume & 0x10) {
+          output += LEVELS[this.envelopeLevel];
+        } else if (volume & 0x0f) {
+          output += LEVELS[((volume & 0x0f) << 1) + 1];
+        }
+      }
+    }
+    return output;
+  }
+
+  // Returns the average output since the last call, with 1 being a channel
+  // at full volume.
+  getSample() {
+    if (this.accCount === 0) {
+      return this.output;
+    }
+    const sample = this.accValue / this.accCount;
+    this.accValue = 0;
+    this.accCount = 0;
+    return sample;
+  }
+
+  toJSON() {
+    return toJSON(this);
+  }
+
+  fromJSON(s) {
+    fromJSON(this, s);
+  }
+
+  static JSON_PROPERTIES = [
+    "regs",
+    "address",
+    "divider",
+    "toneCounters",
+    "toneOutputs",
+    "noiseCounter",
+    "noiseHalf",
+    "lfsr",
+    "envelopeCounter",
+    "envelopeStep",
+    "envelopeLevel",
+    "envelopeAttack",
+    "envelopeHolding",
+    "output",
+    "accValue",
+    "accCount",
+  ];
+}
+
+export default Sunsoft5B;
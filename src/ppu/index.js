@@ -135,8 +135,21 @@ class PPU {
       this.vramMirrorTable[i] = i;
     }
 
+    // Cartridge memory shown in each 1KB of $0000-$2FFF, or null for the
+    // usual CHR and nametables. See setMemoryPage().
+    this.memoryPages = new Array(12).fill(null);
+
+    // Scanlines at which VBlank starts and the frame wraps around, which
+    // differ between regions. See endScanline() and region.js.
+    this.vblankScanline = nes.region.vblankScanline;
+    this.lastScanline = nes.region.lastScanline;
+
     this.palTable = new PaletteTable();
-    this.palTable.loadNTSCPalette();
+    if (nes.region.palPalette) {
+      this.palTable.loadPALPalette();
+    } else {
+      this.palTable.loadNTSCPalette();
+    }
     //this.palTable.loadDefaultPalette();
 
     this.updateControlReg1(0);
@@ -290,6 +303,10 @@ class PPU {
           this.cntVT = this.regVT;
           this.cntHT = this.regHT;
 
+          if (this.nes.mmap.tileLatches) {
+            this.latchSpriteTiles(0);
+          }
+
           if (this.f_bgVisibility === 1) {
             // Render dummy scanline:
             this.renderBgScanline(false, 0);
@@ -307,20 +324,25 @@ class PPU {
         }
         break;
 
-      case 261:
-        // Dead scanline, no rendering.
-        // Set VINT:
-        this.setStatusFlag(this.STATUS_VBLANK, true);
-        this.requestEndFrame = true;
-        this.nmiCounter = 9;
-
-        // Wrap around:
-        this.scanline = -1; // will be incremented to 0
-
-        break;
-
       default:
-        if (this.scanline >= 21 && this.scanline <= 260) {
+        if (this.scanline === this.vblankScanline) {
+          // Dead scanline, no rendering.
+          // Set VINT:
+          this.setStatusFlag(this.STATUS_VBLANK, true);
+          this.requestEndFrame = true;
+          this.nmiCounter = 9;
+        }
+        if (this.scanline === this.lastScanline) {
+          // Wrap around:
+          this.scanline = -1; // will be incremented to 0
+        } else if (this.scanline >= 21 && this.scanline <= 260) {
+          if (
+            this.nes.mmap.tileLatches &&
+            (this.f_bgVisibility === 1 || this.f_spVisibility === 1)
+          ) {
+            this.latchSpriteTiles(this.scanline + 1 - 21);
+          }
+
           // Render normally:
           if (this.f_bgVisibility === 1) {
             if (!this.scanlineAlreadyRendered) {
@@ -690,7 +712,9 @@ class PPU {
     } else {
       // Pattern table ($0000-$1FFF): only writable if CHR RAM (no CHR ROM).
       // Cartridges with CHR ROM (vromCount > 0) ignore writes to this range.
-      if (this.nes.rom.vromCount === 0) {
+      if (this.memoryPages[this.vramAddress >> 10] !== null) {
+        this.memoryPageWrite(this.vramAddress, value);
+      } else if (this.nes.rom.vromCount === 0) {
         this.writeMem(this.vramAddress, value);
       }
 
@@ -823,7 +847,12 @@ class PPU {
     } else {
       // Use lookup table for mirrored address:
       if (address < this.vramMirrorTable.length) {
-        this.writeMem(this.vramMirrorTable[address], value);
+        const physical = this.vramMirrorTable[address];
+        if (physical < 0x3000 && this.memoryPages[physical >> 10] !== null) {
+          this.memoryPageWrite(physical, value);
+        } else {
+          this.writeMem(physical, value);
+        }
       } else {
         throw new Error(`Invalid VRAM address: ${address.toString(16)}`);
       }
@@ -882,7 +911,7 @@ class PPU {
     this.curNt = this.ntable1[this.cntV + this.cntV + this.cntH];
 
     if (scan < 240 && scan - this.cntFV >= 0) {
-      let tscanoffset = this.cntFV << 3;
+      let fineY = this.cntFV;
       let scantile = this.scantile;
       let attrib = this.attrib;
       let ptTile = this.ptTile;
@@ -890,8 +919,11 @@ class PPU {
       let imgPalette = this.imgPalette;
       let pixrendered = this.pixrendered;
       let targetBuffer = bgbuffer ? this.bgbuffer : this.buffer;
+      let tileLatches = this.nes.mmap.tileLatches;
+      let bgTileFetches = this.nes.mmap.bgTileFetches;
+      let latched = false;
 
-      let t, tpix, att, col;
+      let t, tpix, att, col, index;
 
       for (let tile = 0; tile < 32; tile++) {
         if (scan >= 0) {
@@ -904,16 +936,29 @@ class PPU {
             }
             tpix = t.pix;
             att = attrib[tile];
+          } else if (bgTileFetches) {
+            // The mapper picks the tile, its palette and the row of it to
+            // draw:
+            let fetched = this.nes.mmap.fetchBgTile(tile, scan);
+            t = fetched.tile;
+            tpix = t.pix;
+            att = fetched.attrib;
+            fineY = fetched.row;
           } else {
             // Fetch data:
-            t =
-              ptTile[
-                baseTile +
-                  nameTable[this.curNt].getTileIndex(this.cntHT, this.cntVT)
-              ];
+            index = nameTable[this.curNt].getTileIndex(this.cntHT, this.cntVT);
+            t = ptTile[baseTile + index];
             if (typeof t === "undefined") {
               continue;
             }
+            if (tileLatches && (index === 0xfd || index === 0xfe)) {
+              // The latch switches after this tile's second plane is read,
+              // so the tile itself still comes from the old bank:
+              this.nes.mmap.latchAccess(
+                ((baseTile + index) << 4) + 8 + this.cntFV,
+              );
+              latched = true;
+            }
             tpix = t.pix;
             att = nameTable[this.curNt].getAttrib(this.cntHT, this.cntVT);
             scantile[tile] = t;
@@ -929,7 +974,8 @@ class PPU {
               destIndex -= x;
               sx = -x;
             }
-            if (t.opaque[this.cntFV]) {
+            let tscanoffset = fineY << 3;
+            if (t.opaque[fineY]) {
               for (; sx < 8; sx++) {
                 targetBuffer[destIndex] =
                   imgPalette[tpix[tscanoffset + sx] + att];
@@ -959,8 +1005,10 @@ class PPU {
       }
 
       // Tile data for one row should now have been fetched,
-      // so the data in the array is valid.
-      this.validTileData = true;
+      // so the data in the array is valid. Unless a latch switched banks
+      // part way through, making it differ from line to line, or the mapper
+      // picks the tiles.
+      this.validTileData = !latched && !bgTileFetches;
     }
 
     // update vertical scroll:
@@ -1106,6 +1154,37 @@ class PPU {
     }
   }
 
+  // Passes the pattern fetches for the sprites on a scanline to the
+  // mapper's latchAccess(), for mappers with tileLatches. Sprites are
+  // drawn a batch of scanlines at a time, but a bank switch renders what
+  // came before it first, see triggerRendering().
+  latchSpriteTiles(scan) {
+    if (scan >= 240) {
+      return;
+    }
+    let height = this.f_spriteSize === 0 ? 8 : 16;
+    let found = 0;
+    for (let i = 0; i < 64 && found < 8; i++) {
+      let row = scan - (this.sprY[i] + 1);
+      if (row < 0 || row >= height) {
+        continue;
+      }
+      found++;
+      if (this.vertFlip[i]) {
+        row = height - 1 - row;
+      }
+      let tile = this.sprTile[i];
+      if (height === 8) {
+        tile += this.f_spPatternTable === 0 ? 0 : 256;
+      } else {
+        tile = (tile & 1) * 256 + (tile & 0xfe) + (row >> 3);
+      }
+      if ((tile & 0xff) === 0xfd || (tile & 0xff) === 0xfe) {
+        this.nes.mmap.latchAccess((tile << 4) + 8 + (row & 7));
+      }
+    }
+  }
+
   checkSprite0(scan) {
     this.spr0HitX = -1;
     this.spr0HitY = -1;
@@ -1286,6 +1365,62 @@ class PPU {
     }
   }
 
+  // Shows 1KB of cartridge memory in one of the 1KB windows of $0000-$2FFF
+  // (0 to 11), or with null, stops showing it. page is { data, writable },
+  // where data is a 1KB Uint8Array. Writes through a window go to the page
+  // and every window showing the same data, so mappers can put the same
+  // memory in more than one place, like CIRAM in the pattern tables or
+  // nametables in CHR-ROM. Nametable windows need four-screen mirroring.
+  // Pages aren't saved in states, so mappers set them again in fromJSON().
+  setMemoryPage(window, page) {
+    this.triggerRendering();
+    this.memoryPages[window] = page;
+    if (page === null) {
+      return;
+    }
+
+    const base = window << 10;
+    this.vramMem.set(page.data, base);
+    if (window < 8) {
+      // Decode into new tiles, since they may be shared with CHR-ROM:
+      for (let i = 0; i < 64; i++) {
+        this.ptTile[(base >> 4) + i] = new Tile();
+      }
+      for (let i = 0; i < 0x400; i++) {
+        if ((i & 8) === 0) {
+          this.patternWrite(base + i, page.data[i]);
+        }
+      }
+    } else {
+      const nameTable = this.nameTable[this.ntable1[window - 8]];
+      nameTable.tile.set(page.data.subarray(0, 0x3c0));
+      for (let i = 0; i < 0x40; i++) {
+        nameTable.writeAttrib(i, page.data[0x3c0 + i]);
+      }
+    }
+  }
+
+  memoryPageWrite(address, value) {
+    const page = this.memoryPages[address >> 10];
+    if (!page.writable) {
+      return;
+    }
+    const offset = address & 0x3ff;
+    page.data[offset] = value;
+    this.memoryPageChanged(page.data, offset);
+  }
+
+  // Updates every window showing data after a byte of it has changed, for
+  // mappers that write to their pages themselves.
+  memoryPageChanged(data, offset) {
+    for (let i = 0; i < this.memoryPages.length; i++) {
+      const page = this.memoryPages[i];
+      if (page !== null && page.data === data) {
+        this.writeMem((i << 10) | offset, data[offset]);
+      }
+    }
+  }
+
   // Reads data from $3f00 to $f20
   // into the two buffered palettes.
   updatePalettes() {
@@ -1419,8 +1554,22 @@ class PPU {
       this.nameTable[i].fromJSON(state.nameTable[i]);
     }
 
-    for (i = 0; i < this.ptTile.length; i++) {
-      this.ptTile[i].fromJSON(state.ptTile[i]);
+    if (state.ptTile) {
+      for (i = 0; i < this.ptTile.length; i++) {
+        this.ptTile[i].fromJSON(state.ptTile[i]);
+      }
+    } else {
+      // Binary save states don't store decoded tiles. Rebuild them from the
+      // pattern tables in VRAM, using fresh tiles because ptTile entries may
+      // be shared with the ROM's CHR bank tiles.
+      for (i = 0; i < this.ptTile.length; i++) {
+        this.ptTile[i] = new Tile();
+      }
+      for (i = 0; i < 0x2000; i++) {
+        if ((i & 8) === 0) {
+          this.patternWrite(i, this.vramMem[i]);
+        }
+      }
     }
 
     // Sprite data:
@@ -1,3 +1,14 @@
+// Video signal levels of the PPU for each row of the palette, in volts.
+// See https://www.nesdev.org/wiki/NTSC_video#Brightness_Levels
+const SIGNAL_LOW = [0.228, 0.312, 0.552, 0.88];
+const SIGNAL_HIGH = [0.616, 0.84, 1.1, 1.1];
+const SIGNAL_BLACK = 0.312;
+const SIGNAL_WHITE = 1.1;
+
+function clampColor(value) {
+  return Math.max(0, Math.min(255, Math.round(value * 255)));
+}
+
 class PaletteTable {
   constructor() {
     this.curTable = new Uint32Array(64);
@@ -16,32 +27,76 @@ class PaletteTable {
     this.setEmphasis(0);
   }
 
+  // Generates the palette of a PAL console from the levels of the video
+  // signal it puts out, decoded by a PAL TV. Red and green emphasis are
+  // swapped on PAL. See https://www.nesdev.org/wiki/NTSC_video, which
+  // works the same way.
   loadPALPalette() {
-    // prettier-ignore
-    this.curTable = new Uint32Array([0x525252, 0xB40000, 0xA00000, 0xB1003D, 0x740069, 0x00005B, 0x00005F, 0x001840, 0x002F10, 0x084A08, 0x006700, 0x124200, 0x6D2800, 0x000000, 0x000000, 0x000000, 0xC4D5E7, 0xFF4000, 0xDC0E22, 0xFF476B, 0xD7009F, 0x680AD7, 0x0019BC, 0x0054B1, 0x006A5B, 0x008C03, 0x00AB00, 0x2C8800, 0xA47200, 0x000000, 0x000000, 0x000000, 0xF8F8F8, 0xFFAB3C, 0xFF7981, 0xFF5BC5, 0xFF48F2, 0xDF49FF, 0x476DFF, 0x00B4F7, 0x00E0FF, 0x00E375, 0x03F42B, 0x78B82E, 0xE5E218, 0x787878, 0x000000, 0x000000, 0xFFFFFF, 0xFFF2BE, 0xF8B8B8, 0xF8B8D8, 0xFFB6FF, 0xFFC3FF, 0xC7D1FF, 0x9ADAFF, 0x88EDF8, 0x83FFDD, 0xB8F8B8, 0xF5F8AC, 0xFFFFB0, 0xF8D8F8, 0x000000, 0x000000]);
-    this.makeTables();
+    for (let i = 0; i < 64; i++) {
+      let hue = i & 15;
+      let high = SIGNAL_HIGH[i >> 4];
+      let low = SIGNAL_LOW[i >> 4];
+      if (hue === 0) {
+        low = high;
+      } else if (hue === 13) {
+        high = low;
+      } else if (hue > 13) {
+        high = low = SIGNAL_BLACK;
+      }
+
+      // The signal is high for 6 of the 12 phases of the color subcarrier,
+      // starting from one set by the hue. Average it into YUV:
+      let y = 0;
+      let u = 0;
+      let v = 0;
+      for (let phase = 0; phase < 12; phase++) {
+        let level = (hue + phase) % 12 < 6 ? high : low;
+        level = (level - SIGNAL_BLACK) / (SIGNAL_WHITE - SIGNAL_BLACK);
+        let angle = (-Math.PI * phase) / 6;
+        y += level;
+        u += level * Math.cos(angle);
+        v += level * Math.sin(angle);
+      }
+      y /= 12;
+      u /= 6;
+      v /= 6;
+
+      // The table is stored as 0xBBGGRR:
+      this.curTable[i] = this.getRgb(
+        clampColor(y + 2.032 * u),
+        clampColor(y - 0.395 * u - 0.581 * v),
+        clampColor(y + 1.14 * v),
+      );
+    }
+    this.makeTables(true);
     this.setEmphasis(0);
   }
 
-  makeTables() {
-    let r, g, b, col, i, rFactor, gFactor, bFactor;
+  // swapRedGreen swaps the first two emphasis bits, as on PAL consoles.
+  makeTables(swapRedGreen = false) {
+    let r, g, b, col, i, rFactor, gFactor, bFactor, bits;
 
     // Calculate a table for each possible emphasis setting:
     for (let emph = 0; emph < 8; emph++) {
+      bits = emph;
+      if (swapRedGreen) {
+        bits = (emph & 4) | ((emph & 1) << 1) | ((emph & 2) >> 1);
+      }
+
       // Determine color component factors:
       rFactor = 1.0;
       gFactor = 1.0;
       bFactor = 1.0;
 
-      if ((emph & 1) !== 0) {
+      if ((bits & 1) !== 0) {
         rFactor = 0.75;
         bFactor = 0.75;
       }
-      if ((emph & 2) !== 0) {
+      if ((bits & 2) !== 0) {
         rFactor = 0.75;
         gFactor = 0.75;
       }
-      if ((emph & 4) !== 0) {
+      if ((bits & 4) !== 0) {
         gFactor = 0.75;
         bFactor = 0.75;
       }
@@ -0,0 +1,89 @@
+// Timing of the NTSC, PAL and Dendy consoles. The NES option "region" picks
+// one of these, or "auto" to go by the ROM header.
+// See https://www.nesdev.org/wiki/Cycle_reference_chart
+
+const NTSC = {
+  name: "ntsc",
+  cpuFrequency: 1789772.5,
+  // Nominal frames per second, used to pitch audio (see PAPU):
+  frameRate: 60,
+  // PPU dots per CPU cycle, as multiplier / divisor:
+  dotMultiplier: 3,
+  dotDivisor: 1,
+  // In the PPU's scanline numbering (see PPU.endScanline()), the scanline
+  // at the end of which VBlank starts, and the last scanline of a frame:
+  vblankScanline: 261,
+  lastScanline: 261,
+  palPalette: false,
+  // APU frame counter steps and sequence lengths, in CPU cycles.
+  // See https://www.nesdev.org/wiki/APU_Frame_Counter
+  frameSteps4: [7457, 14913, 22371, 29829],
+  frameSteps5: [7457, 14913, 22371, 29829, 37281],
+  framePeriod4: 29830,
+  framePeriod5: 37282,
+  // Noise and DMC timer periods, in CPU cycles.
+  // See https://www.nesdev.org/wiki/APU_Noise and
+  // https://www.nesdev.org/wiki/APU_DMC
+  noisePeriods: [
+    4, 8, 16, 32, 64, 96, 128, 160, 202, 254, 380, 508, 762, 1016, 2034, 4068,
+  ],
+  dmcPeriods: [
+    428, 380, 340, 320, 286, 254, 226, 214, 190, 160, 142, 128, 106, 84, 72, 54,
+  ],
+};
+
+// PAL has a slower CPU, 3.2 PPU dots per CPU cycle and 70 scanlines of
+// VBlank, and its own APU tables.
+const PAL = {
+  name: "pal",
+  cpuFrequency: 1662607,
+  frameRate: 50,
+  dotMultiplier: 16,
+  dotDivisor: 5,
+  vblankScanline: 261,
+  lastScanline: 311,
+  palPalette: true,
+  frameSteps4: [8313, 16627, 24939, 33253],
+  frameSteps5: [8313, 16627, 24939, 33253, 41565],
+  framePeriod4: 33254,
+  framePeriod5: 41566,
+  noisePeriods: [
+    4, 8, 14, 30, 60, 88, 118, 148, 188, 236, 354, 472, 708, 944, 1890, 3778,
+  ],
+  dmcPeriods: [
+    398, 354, 316, 298, 276, 236, 210, 198, 176, 148, 132, 118, 98, 78, 66, 50,
+  ],
+};
+
+// Dendy famiclones run at PAL's 50 frames per second but keep NTSC's CPU to
+// PPU ratio and length of VBlank: the extra 50 scanlines come before VBlank
+// instead. The APU matches NTSC's.
+const DENDY = {
+  ...NTSC,
+  name: "dendy",
+  cpuFrequency: 1773447.5,
+  frameRate: 50,
+  vblankScanline: 311,
+  lastScanline: 311,
+  palPalette: true,
+};
+
+export const REGIONS = { ntsc: NTSC, pal: PAL, dendy: DENDY };
+
+// Returns the region for the "region" option, using the timing in the ROM
+// header for "auto".
+export function getRegion(name, rom) {
+  if (name === "auto") {
+    if (rom && rom.timing === rom.TIMING_PAL) {
+      return PAL;
+    } else if (rom && rom.timing === rom.TIMING_DENDY) {
+      return DENDY;
+    }
+    return NTSC;
+  }
+  const region = REGIONS[name];
+  if (!region) {
+    throw new Error(`Unknown region: ${name}`);
+  }
+  return region;
+}
@@ -0,0 +1,200 @@
+import {
+  ByteReader,
+  ByteWriter,
+  readRuns,
+  readState,
+  writeRuns,
+  writeState,
+} from "./savestate.js";
+
+// Keeps a bounded history of emulator states for rewinding.
+//
+// Every `interval` frames an uncompressed save state is taken. Only the most
+// recent one is kept whole (`head`); each older snapshot is stored as the XOR
+// of itself and the snapshot after it, run-length encoded. Most of the state
+// (CPU RAM, VRAM, sprite memory) doesn't change from one snapshot to the
+// next, so the deltas are mostly zeros and compress well. Because deltas
+// point backwards, the oldest snapshot can be dropped without touching the
+// others.
+//
+// The input for the frames after each snapshot is recorded too,
+// so rewinding to a frame between two snapshots restores the earlier one and
+// replays the inputs from there.
+class RewindBuffer {
+  constructor(nes, opts) {
+    this.nes = nes;
+    // Maximum number of snapshots:
+    this.capacity = opts.capacity;
+    // Frames between snapshots:
+    this.interval = Math.max(1, opts.interval | 0);
+    // Maximum memory used by snapshots, in bytes:
+    this.maxBytes = opts.maxBytes;
+
+    this.replaying = false;
+    this.clear();
+  }
+
+  clear() {
+    // Ring buffer of { frame, delta, inputs }, oldest first. The newest
+    // snapshot has no delta, its state is in head.
+    this.entries = new Array(this.capacity);
+    this.first = 0;
+    this.count = 0;
+    this.head = null;
+    this.bytes = 0;
+  }
+
+  entry(i) {
+    return this.entries[(this.first + i) % this.capacity];
+  }
+
+  newest() {
+    return this.count > 0 ? this.entry(this.count - 1) : null;
+  }
+
+  // Number of frames that can currently be rewound.
+  getFrames() {
+    if (this.count === 0) {
+      return 0;
+    }
+    return this.nes.frameCount - this.entry(0).frame;
+  }
+
+  // Called by NES before running a frame.
+  beforeFrame() {
+    const newest = this.newest();
+    if (this.replaying || newest === null) {
+      return;
+    }
+    const index = this.nes.frameCount - newest.frame;
+    if (index < this.interval) {
+      newest.inputs[index] = this.nes.getFrameInput();
+    }
+  }
+
+  // Called by NES after running a frame.
+  afterFrame() {
+    if (this.replaying || this.nes.frameCount % this.interval !== 0) {
+      return;
+    }
+    const state = writeState(this.nes, true);
+    const newest = this.newest();
+    if (newest !== null) {
+      newest.delta = encodeDelta(this.head, state);
+      this.bytes += newest.delta.data.length;
+    }
+    if (this.count === this.capacity) {
+      this.dropOldest();
+    }
+    this.entries[(this.first + this.count) % this.capacity] = {
+      frame: this.nes.frameCount,
+      delta: null,
+      inputs: new Uint32Array(this.interval),
+    };
+    this.count++;
+    this.bytes += state.length - (this.head === null ? 0 : this.head.length);
+    this.head = state;
+
+    while (this.count > 1 && this.bytes > this.maxBytes) {
+      this.dropOldest();
+    }
+  }
+
+  dropOldest() {
+    this.bytes -= this.entry(0).delta.data.length;
+    this.entries[this.first] = undefined;
+    this.first = (this.first + 1) % this.capacity;
+    this.count--;
+  }
+
+  // Goes back up to `frames` frames, and returns how many frames it went
+  // back. The restored picture is passed to onFrame.
+  rewind(frames) {
+    const nes = this.nes;
+    const available = this.getFrames();
+    frames = Math.min(frames, available);
+    if (frames <= 0) {
+      return 0;
+    }
+    const target = nes.frameCount - frames;
+
+    // Walk back to the newest snapshot at or before the target frame:
+    while (this.newest().frame > target) {
+      this.entries[(this.first + this.count - 1) % this.capacity] = undefined;
+      this.count--;
+      const newest = this.newest();
+      this.bytes -= this.head.length + newest.delta.data.length;
+      this.head = decodeDelta(this.head, newest.delta);
+      this.bytes += this.head.length;
+      newest.delta = null;
+    }
+    const newest = this.newest();
+    readState(nes, this.head);
+
+    // Replay the recorded inputs up to the target frame, without producing
+    // pictures or sound:
+    const live = nes.getFrameInput() & 0xffff;
+    const pendingCommands = nes.pendingCommands;
+    // Disk swaps in progress are in the recorded inputs already:
+    const diskRequest = nes.diskRequest;
+    nes.diskRequest = null;
+    nes.debugger.enabled = false;
+    const writeFrame = nes.ui.writeFrame;
+    const onAudioSample = nes.opts.onAudioSample;
+    const onVoiceSample = nes.opts.onVoiceSample;
+    this.replaying = true;
+    nes.ui.writeFrame = function () {};
+    nes.opts.onAudioSample = null;
+    nes.opts.onVoiceSample = null;
+    try {
+      for (let i = 0; nes.frameCount < target; i++) {
+        nes.setFrameInput(newest.inputs[i]);
+        nes.frame();
+      }
+    } finally {
+      this.replaying = false;
+      nes.ui.writeFrame = writeFrame;
+      nes.opts.onAudioSample = onAudioSample;
+      nes.opts.onVoiceSample = onVoiceSample;
+      nes.setFrameInput(live);
+      nes.pendingCommands = pendingCommands;
+      nes.diskRequest = diskRequest;
+      nes.debugger.enabled = true;
+    }
+
+    nes.ui.writeFrame(nes.ppu.buffer);
+    return frames;
+  }
+}
+
+// Returns the run-length encoded XOR of two states, from which `prev` can be
+// recovered given `next`. The XOR is taken a 32-bit word at a time, with the
+// states zero-padded to the same length.
+function encodeDelta(prev, next) {
+  const xor = toWords(prev, Math.max(prev.length, next.length));
+  const nextWords = toWords(next, xor.length * 4);
+  for (let i = 0; i < xor.length; i++) {
+    xor[i] ^= nextWords[i];
+  }
+  const w = new ByteWriter(0x1000);
+  writeRuns(w, xor, 4);
+  return { data: w.result(), words: xor.length, prevLength: prev.length };
+}
+
+function decodeDelta(next, delta) {
+  const xor = new Int32Array(delta.words);
+  readRuns(new ByteReader(delta.data), xor, 4);
+  const nextWords = toWords(next, delta.words * 4);
+  for (let i = 0; i < xor.length; i++) {
+    xor[i] ^= nextWords[i];
+  }
+  return new Uint8Array(xor.buffer, 0, delta.prevLength).slice();
+}
+
+function toWords(bytes, length) {
+  const words = new Int32Array(Math.ceil(length / 4));
+  new Uint8Array(words.buffer).set(bytes);
+  return words;
+}
+
+export default RewindBuffer;
@@ -1,5 +1,12 @@
 import Mappers from "./mappers/index.js";
 import Tile from "./tile.js";
+import { crc32, toUint8Array } from "./utils.js";
+
+// Famicom Disk System images hold a number of 65500-byte disk sides, each
+// starting with a disk info block that begins "\x01*NINTENDO-HVC*".
+// See https://www.nesdev.org/wiki/FDS_file_format
+export const FDS_SIDE_SIZE = 65500;
+const FDS_MAGIC = "\x01*NINTENDO-HVC*";
 
 class ROM {
   // Mirroring types (instance properties so they're accessible via
@@ -13,9 +20,23 @@ class ROM {
   SINGLESCREEN_MIRRORING4 = 6;
   CHRROM_MIRRORING = 7;
 
+  // CPU/PPU timing (NES 2.0 byte 12):
+  TIMING_NTSC = 0;
+  TIMING_PAL = 1;
+  TIMING_MULTIPLE = 2;
+  TIMING_DENDY = 3;
+
+  // Console types (header byte 7, bits 0-1):
+  CONSOLE_NES = 0;
+  CONSOLE_VS = 1;
+  CONSOLE_PLAYCHOICE = 2;
+  CONSOLE_EXTENDED = 3;
+
   constructor(nes) {
     this.nes = nes;
     this.valid = false;
+    // Set for Famicom Disk System images, see loadFDS():
+    this.isFDS = false;
 
     this.mapperName = new Array(92);
 
@@ -36,19 +57,21 @@ class ROM {
     this.mapperName[11] = "Color Dreams Chip";
     this.mapperName[12] = "FFE F6xxx";
     this.mapperName[15] = "100-in-1 switch";
-    this.mapperName[16] = "Bandai chip";
+    this.mapperName[16] = "Bandai FCG";
     this.mapperName[17] = "FFE F8xxx";
     this.mapperName[18] = "Jaleco SS8806 chip";
-    this.mapperName[19] = "Namcot 106 chip";
+    this.mapperName[19] = "Namco 129/163";
     this.mapperName[20] = "Famicom Disk System";
-    this.mapperName[21] = "Konami VRC4a";
+    this.mapperName[21] = "Konami VRC4a/VRC4c";
     this.mapperName[22] = "Konami VRC2a";
-    this.mapperName[23] = "Konami VRC2a";
-    this.mapperName[24] = "Konami VRC6";
-    this.mapperName[25] = "Konami VRC4b";
+    this.mapperName[23] = "Konami VRC2b/VRC4e/VRC4f";
+    this.mapperName[24] = "Konami VRC6a";
+    this.mapperName[25] = "Konami VRC2c/VRC4b/VRC4d";
+    this.mapperName[26] = "Konami VRC6b";
     this.mapperName[32] = "Irem G-101 chip";
     this.mapperName[33] = "Taito TC0190/TC0350";
     this.mapperName[34] = "32kB ROM switch";
+    this.mapperName[48] = "Taito TC0690";
 
     this.mapperName[64] = "Tengen RAMBO-1 chip";
     this.mapperName[65] = "Irem H-3001 chip";
@@ -58,67 +81,75 @@ class ROM {
     this.mapperName[69] = "SunSoft5 FME-7 chip";
     this.mapperName[71] = "Camerica chip";
     this.mapperName[78] = "Irem 74HC161/32-based";
+    this.mapperName[80] = "Taito X1-005";
+    this.mapperName[82] = "Taito X1-017";
+    this.mapperName[85] = "Konami VRC7";
+    this.mapperName[88] = "Namco 118 (CHR A16)";
     this.mapperName[91] = "Pirate HK-SF3 chip";
+    this.mapperName[95] = "Namcot 3425";
+    this.mapperName[118] = "Nintendo MMC3 (TxSROM)";
+    this.mapperName[119] = "Nintendo MMC3 (TQROM)";
+    this.mapperName[153] = "Bandai LZ93D50 with PRG-RAM";
+    this.mapperName[154] = "Namcot 3453";
+    this.mapperName[159] = "Bandai LZ93D50 with 24C01";
+    this.mapperName[206] = "Namco 108";
+    this.mapperName[207] = "Taito X1-005 (CIRAM select)";
   }
 
+  // Loads a ROM image. data may be a Uint8Array (including Node's Buffer),
+  // an ArrayBuffer, or a "binary string" with one character per byte.
   load(data) {
-    let i, j, v;
+    let i;
 
-    if (!data.startsWith("NES\x1a")) {
-      throw new Error("Not a valid NES ROM.");
+    data = toUint8Array(data);
+    if (isFDSImage(data)) {
+      this.loadFDS(data);
+      return;
     }
-    this.header = new Uint8Array(16);
-    for (i = 0; i < 16; i++) {
-      this.header[i] = data.charCodeAt(i) & 0xff;
-    }
-    this.romCount = this.header[4];
-    this.vromCount = this.header[5] * 2; // Get the number of 4kB banks, not 8kB
-    this.mirroring = (this.header[6] & 1) !== 0 ? 1 : 0;
-    this.batteryRam = (this.header[6] & 2) !== 0;
-    this.trainer = (this.header[6] & 4) !== 0;
-    this.fourScreen = (this.header[6] & 8) !== 0;
-    this.mapperType = (this.header[6] >> 4) | (this.header[7] & 0xf0);
-    /* TODO
-        if (this.batteryRam)
-            this.loadBatteryRam();*/
-    // Check whether byte 8-15 are zero's:
-    let foundError = false;
-    for (i = 8; i < 16; i++) {
-      if (this.header[i] !== 0) {
-        foundError = true;
-        break;
-      }
+    if (
+      data.length < 16 ||
+      data[0] !== 0x4e ||
+      data[1] !== 0x45 ||
+      data[2] !== 0x53 ||
+      data[3] !== 0x1a
+    ) {
+      throw new Error("Not a valid NES ROM.");
     }
-    if (foundError) {
-      this.mapperType &= 0xf; // Ignore byte 7
+    this.data = data;
+    this.header = data.slice(0, 16);
+    this.parseHeader();
+
+    // Identifies the game regardless of header revisions, e.g. for checking
+    // that a save state belongs to this ROM:
+    this.crc32 = crc32(data.subarray(16));
+
+    // Skip the 512-byte trainer, if present:
+    let offset = 16;
+    if (this.trainer) {
+      offset += 512;
     }
-    // Load PRG-ROM banks:
+
+    // Load PRG-ROM banks. ROMs smaller than a bank (possible with NES 2.0
+    // exponent-multiplier sizes) are mirrored to fill it.
     this.rom = new Array(this.romCount);
-    let offset = 16;
     for (i = 0; i < this.romCount; i++) {
-      this.rom[i] = new Uint8Array(16384);
-      for (j = 0; j < 16384; j++) {
-        if (offset + j >= data.length) {
-          break;
-        }
-        this.rom[i][j] = data.charCodeAt(offset + j) & 0xff;
-      }
-      offset += 16384;
+      this.rom[i] = this.readBank(data, offset, this.prgRomSize, i, 16384);
     }
+    offset += this.prgRomSize;
+
     // Load CHR-ROM banks:
     this.vrom = new Array(this.vromCount);
     for (i = 0; i < this.vromCount; i++) {
-      this.vrom[i] = new Uint8Array(4096);
-      for (j = 0; j < 4096; j++) {
-        if (offset + j >= data.length) {
-          break;
-        }
-        this.vrom[i][j] = data.charCodeAt(offset + j) & 0xff;
-      }
-      offset += 4096;
+      this.vrom[i] = this.readBank(data, offset, this.chrRomSize, i, 4096);
     }
+    offset += this.chrRomSize;
+
+    // Anything after CHR-ROM belongs to the miscellaneous ROM area
+    // (NES 2.0 byte 14), e.g. PlayChoice-10 INST-ROM or expansion data:
+    this.miscRom = data.slice(Math.min(offset, data.length));
 
     // Create VROM tiles:
+    let j, v;
     this.vromTile = new Array(this.vromCount);
     for (i = 0; i < this.vromCount; i++) {
       this.vromTile[i] = new Array(256);
@@ -153,6 +184,184 @@ class ROM {
     this.valid = true;
   }
 
+  // Loads a Famicom Disk System image (.fds), with or without the 16-byte
+  // fwNES header. There's no cartridge ROM: mapper 20 runs the FDS BIOS and
+  // reads the game from the disk sides in fdsSides.
+  loadFDS(data) {
+    // fwNES headers start "FDS\x1a" and give the number of sides in byte 4:
+    const headerSize = data[0] === 0x46 ? 16 : 0;
+    let sideCount = headerSize > 0 ? data[4] : 0;
+    if (sideCount === 0) {
+      sideCount = Math.max(
+        1,
+        Math.floor((data.length - headerSize) / FDS_SIDE_SIZE),
+      );
+    }
+
+    this.data = data;
+    this.header = data.slice(0, headerSize);
+    this.isFDS = true;
+    this.fdsSides = new Array(sideCount);
+    for (let i = 0; i < sideCount; i++) {
+      this.fdsSides[i] = this.readBank(
+        data,
+        headerSize,
+        sideCount * FDS_SIDE_SIZE,
+        i,
+        FDS_SIDE_SIZE,
+      );
+    }
+    this.crc32 = crc32(data.subarray(headerSize));
+
+    // The RAM adapter has 32KB of PRG-RAM and 8KB of CHR-RAM, and sets
+    // mirroring itself:
+    this.mapperType = 20;
+    this.submapper = 0;
+    this.mirroring = 0;
+    this.batteryRam = false;
+    this.trainer = false;
+    this.fourScreen = false;
+    this.consoleType = this.CONSOLE_NES;
+    this.isNES2 = false;
+    this.vsPpuType = 0;
+    this.vsHardwareType = 0;
+    this.extendedConsoleType = 0;
+    this.miscRomCount = 0;
+    this.defaultExpansionDevice = 0;
+    this.prgRomSize = 0;
+    this.chrRomSize = 0;
+    this.prgRamSize = 0x8000;
+    this.prgNvramSize = 0;
+    this.chrRamSize = 0x2000;
+    this.chrNvramSize = 0;
+    this.timing = this.TIMING_NTSC;
+    this.romCount = 0;
+    this.vromCount = 0;
+    this.rom = [];
+    this.vrom = [];
+    this.vromTile = [];
+    this.miscRom = new Uint8Array(0);
+
+    this.valid = true;
+  }
+
+  // Copies bank number `index` of `bankSize` bytes out of a ROM area of
+  // `areaSize` bytes starting at `offset`. Areas smaller than the bank are
+  // mirrored, and truncated images are zero-filled.
+  readBank(data, offset, areaSize, index, bankSize) {
+    const bank = new Uint8Array(bankSize);
+    const start = index * bankSize;
+    if (areaSize >= start + bankSize) {
+      const end = Math.min(offset + start + bankSize, data.length);
+      if (end > offset + start) {
+        bank.set(data.subarray(offset + start, end));
+      }
+    } else {
+      for (let j = 0; j < bankSize; j++) {
+        const src = offset + ((start + j) % areaSize);
+        if (src >= data.length) {
+          break;
+        }
+        bank[j] = data[src];
+      }
+    }
+    return bank;
+  }
+
+  // Parses the 16-byte iNES / NES 2.0 header in this.header.
+  // See https://www.nesdev.org/wiki/INES and https://www.nesdev.org/wiki/NES_2.0
+  parseHeader() {
+    const h = this.header;
+
+    this.mirroring = (h[6] & 1) !== 0 ? 1 : 0;
+    this.batteryRam = (h[6] & 2) !== 0;
+    this.trainer = (h[6] & 4) !== 0;
+    this.fourScreen = (h[6] & 8) !== 0;
+    this.consoleType = h[7] & 3;
+    this.isNES2 = (h[7] & 0x0c) === 0x08;
+
+    // Defaults for fields only NES 2.0 can express:
+    this.submapper = 0;
+    this.vsPpuType = 0;
+    this.vsHardwareType = 0;
+    this.extendedConsoleType = 0;
+    this.miscRomCount = 0;
+    this.defaultExpansionDevice = 0;
+
+    if (this.isNES2) {
+      this.mapperType = (h[6] >> 4) | (h[7] & 0xf0) | ((h[8] & 0x0f) << 8);
+      this.submapper = h[8] >> 4;
+
+      this.prgRomSize = this.decodeRomSize(h[4], h[9] & 0x0f, 16384);
+      this.chrRomSize = this.decodeRomSize(h[5], h[9] >> 4, 8192);
+
+      this.prgRamSize = this.decodeRamSize(h[10] & 0x0f);
+      this.prgNvramSize = this.decodeRamSize(h[10] >> 4);
+      this.chrRamSize = this.decodeRamSize(h[11] & 0x0f);
+      this.chrNvramSize = this.decodeRamSize(h[11] >> 4);
+
+      this.timing = h[12] & 3;
+
+      if (this.consoleType === this.CONSOLE_VS) {
+        this.vsPpuType = h[13] & 0x0f;
+        this.vsHardwareType = h[13] >> 4;
+      } else if (this.consoleType === this.CONSOLE_EXTENDED) {
+        this.extendedConsoleType = h[13] & 0x0f;
+      }
+
+      this.miscRomCount = h[14] & 3;
+      this.defaultExpansionDevice = h[15] & 0x3f;
+    } else {
+      this.mapperType = (h[6] >> 4) | (h[7] & 0xf0);
+
+      // Bytes 12-15 must be zero in a well-formed iNES header. If they
+      // aren't, the header was probably mangled by an old dumping tool
+      // ("DiskDude!") and byte 7 can't be trusted.
+      let foundError = false;
+      for (let i = 12; i < 16; i++) {
+        if (h[i] !== 0) {
+          foundError = true;
+          break;
+        }
+      }
+      if (foundError) {
+        this.mapperType &= 0xf;
+        this.consoleType = this.CONSOLE_NES;
+      }
+
+      this.prgRomSize = h[4] * 16384;
+      this.chrRomSize = h[5] * 8192;
+
+      // iNES 1.0 has no way to describe RAM sizes, so assume the common
+      // 8KB of PRG-RAM (battery-backed if flagged) and 8KB of CHR-RAM for
+      // carts without CHR-ROM.
+      this.prgRamSize = this.batteryRam ? 0 : 0x2000;
+      this.prgNvramSize = this.batteryRam ? 0x2000 : 0;
+      this.chrRamSize = this.chrRomSize === 0 ? 0x2000 : 0;
+      this.chrNvramSize = 0;
+
+      this.timing = !foundError && (h[9] & 1) !== 0 ? this.TIMING_PAL : 0;
+    }
+
+    // Bank counts used by the mappers: 16KB PRG banks and 4KB CHR banks.
+    this.romCount = Math.ceil(this.prgRomSize / 16384);
+    this.vromCount = Math.ceil(this.chrRomSize / 4096);
+  }
+
+  // Decodes a NES 2.0 ROM size from its LSB byte and MSB nibble. If the MSB
+  // nibble is $F the LSB is an exponent-multiplier: 2^E * (MM * 2 + 1).
+  decodeRomSize(lsb, msb, unit) {
+    if (msb === 0x0f) {
+      return Math.pow(2, lsb >> 2) * ((lsb & 3) * 2 + 1);
+    }
+    return ((msb << 8) | lsb) * unit;
+  }
+
+  // Decodes a NES 2.0 RAM size shift count (64 << shift, 0 means none).
+  decodeRamSize(shift) {
+    return shift === 0 ? 0 : 64 << shift;
+  }
+
   getMirroringType() {
     if (this.fourScreen) {
       return this.FOURSCREEN_MIRRORING;
@@ -164,8 +373,9 @@ class ROM {
   }
 
   getMapperName() {
-    if (this.mapperType >= 0 && this.mapperType < this.mapperName.length) {
-      return this.mapperName[this.mapperType];
+    const name = this.mapperName[this.mapperType];
+    if (name !== undefined) {
+      return name;
     }
     return `Unknown Mapper, ${this.mapperType}`;
   }
@@ -185,4 +395,25 @@ class ROM {
   }
 }
 
+function isFDSImage(data) {
+  if (
+    data.length >= 16 &&
+    data[0] === 0x46 &&
+    data[1] === 0x44 &&
+    data[2] === 0x53 &&
+    data[3] === 0x1a
+  ) {
+    return true;
+  }
+  if (data.length < FDS_MAGIC.length) {
+    return false;
+  }
+  for (let i = 0; i < FDS_MAGIC.length; i++) {
+    if (data[i] !== FDS_MAGIC.charCodeAt(i)) {
+      return false;
+    }
+  }
+  return true;
+}
+
 export default ROM;
@@ -0,0 +1,648 @@
+// Compact binary save state format.
+//
+// Layout (all integers little-endian):
+//
+//   magic      4 bytes  "JSNS"
+//   version    u16      STATE_VERSION at the time the state was written
+//   flags      u16      reserved, always 0
+//   romHash    u32      CRC32 of the ROM image (without its header)
+//   chunkCount u16
+//   chunks     chunkCount times:
+//                id      4 ASCII bytes, e.g. "CPU "
+//                length  u32
+//                payload length bytes, one encoded value (see writeValue)
+//
+// Each chunk holds the state of one component in the same shape as that
+// component's toJSON() output, except that typed arrays stay typed arrays
+// and are run-length encoded. Chunks that a reader doesn't know about are
+// ignored, so components can add chunks without breaking older readers.
+// The "NES " chunk holds NES.frameCount, which movies rely on to find their
+// place after a state is loaded.
+//
+// writeState(nes, true) skips compression and stores every number as a
+// float, so consecutive states of the same game have the same layout and
+// differ only where the emulator state did. The rewind buffer relies on this
+// to store XOR deltas between states.
+//
+// States written by older versions are upgraded by MIGRATIONS before being
+// loaded. Version 0 is the legacy NES.toJSON() object.
+
+export const STATE_MAGIC = "JSNS";
+export const STATE_VERSION = 3;
+
+// Value tags:
+const T_UNDEFINED = 0;
+const T_NULL = 1;
+const T_FALSE = 2;
+const T_TRUE = 3;
+const T_INT = 4;
+const T_FLOAT = 5;
+const T_STRING = 6;
+const T_ARRAY = 7;
+const T_OBJECT = 8;
+const T_TYPED_ARRAY = 9;
+
+// Typed array kinds, indexed by the kind byte stored after T_TYPED_ARRAY:
+const TYPED_ARRAYS = [
+  Uint8Array,
+  Int8Array,
+  Uint16Array,
+  Int16Array,
+  Uint32Array,
+  Int32Array,
+  Float32Array,
+  Float64Array,
+];
+
+// Typed array encodings:
+const ENC_RAW = 0;
+const ENC_RLE = 1;
+const ENC_DELTA_RLE = 2;
+
+// Raw typed arrays are copied byte for byte when the platform's byte order
+// matches the format's:
+const LITTLE_ENDIAN = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+// Chunk ids, and where their data lives in the NES.toJSON() shape:
+const PAPU_CHANNEL_CHUNKS = {
+  "SQ1 ": "square1",
+  "SQ2 ": "square2",
+  "TRI ": "triangle",
+  NOIS: "noise",
+  "DMC ": "dmc",
+};
+
+// MIGRATIONS[v] upgrades the chunks of a version v state to version v + 1.
+const MIGRATIONS = {
+  // Legacy NES.toJSON() objects: split the PAPU channels into their own
+  // chunks and drop the decoded pattern tiles, which PPU.fromJSON() now
+  // rebuilds from VRAM.
+  0: function (chunks) {
+    const papu = Object.assign({}, chunks["APU "]);
+    for (const id in PAPU_CHANNEL_CHUNKS) {
+      chunks[id] = papu[PAPU_CHANNEL_CHUNKS[id]];
+      delete papu[PAPU_CHANNEL_CHUNKS[id]];
+    }
+    chunks["APU "] = papu;
+    const ppu = Object.assign({}, chunks["PPU "]);
+    delete ppu.ptTile;
+    chunks["PPU "] = ppu;
+    return chunks;
+  },
+  // PAL support: the CPU keeps the fraction of a PPU dot left over from the
+  // last instruction, which is always 0 on NTSC.
+  1: function (chunks) {
+    chunks["CPU "] = Object.assign({ ppuDotRemainder: 0 }, chunks["CPU "]);
+    return chunks;
+  },
+  // Debugger: mappers record which PRG-ROM banks are mapped. Older states
+  // don't say, so bank breakpoints can't match until the game switches
+  // banks.
+  2: function (chunks) {
+    chunks.MAPR = Object.assign({ prgBanks: [-1, -1, -1, -1] }, chunks.MAPR);
+    return chunks;
+  },
+};
+
+// Returns the chunks of a state of nes, by chunk id. The chunks share typed
+// arrays with the emulator.
+export function stateChunks(nes) {
+  const chunks = {
+    "CPU ": snapshot(nes.cpu),
+    "PPU ": snapshotPPU(nes.ppu),
+    "APU ": snapshot(nes.papu),
+    MAPR: nes.mmap.toState(),
+    "NES ": { frameCount: nes.frameCount },
+  };
+  for (const id in PAPU_CHANNEL_CHUNKS) {
+    chunks[id] = snapshot(nes.papu[PAPU_CHANNEL_CHUNKS[id]]);
+  }
+  return chunks;
+}
+
+// Serializes the state of nes into a Uint8Array. If raw is true, the state
+// is left uncompressed (see above).
+export function writeState(nes, raw = false) {
+  const chunks = stateChunks(nes);
+  const ids = Object.keys(chunks);
+  const w = new ByteWriter(0x20000);
+  for (let i = 0; i < 4; i++) {
+    w.u8(STATE_MAGIC.charCodeAt(i));
+  }
+  w.u16(STATE_VERSION);
+  w.u16(0);
+  w.u32(nes.rom.crc32);
+  w.u16(ids.length);
+  for (const id of ids) {
+    for (let i = 0; i < 4; i++) {
+      w.u8(id.charCodeAt(i));
+    }
+    const lengthPos = w.pos;
+    w.u32(0);
+    writeValue(w, chunks[id], raw);
+    w.view.setUint32(lengthPos, w.pos - lengthPos - 4, true);
+  }
+  return w.result();
+}
+
+// Restores a state produced by writeState(), or a legacy NES.toJSON()
+// object, into nes.
+export function readState(nes, data) {
+  let chunks, version;
+
+  if (ArrayBuffer.isView(data) || data instanceof ArrayBuffer) {
+    ({ chunks, version } = parseState(nes, data));
+  } else {
+    if (typeof data === "string") {
+      data = JSON.parse(data);
+    }
+    version = 0;
+    chunks = {
+      "CPU ": data.cpu,
+      "PPU ": data.ppu,
+      "APU ": data.papu,
+      MAPR: data.mmap,
+    };
+  }
+
+  for (; version < STATE_VERSION; version++) {
+    chunks = MIGRATIONS[version](chunks);
+  }
+
+  const state = {
+    cpu: chunks["CPU "],
+    ppu: chunks["PPU "],
+    papu: Object.assign({}, chunks["APU "]),
+    mmap: chunks["MAPR"],
+  };
+  for (const id in PAPU_CHANNEL_CHUNKS) {
+    state.papu[PAPU_CHANNEL_CHUNKS[id]] = chunks[id];
+  }
+  for (const key in state) {
+    if (!state[key]) {
+      throw new Error(`Save state is missing ${key} data.`);
+    }
+  }
+  nes.fromJSON(state);
+  if (chunks["NES "]) {
+    nes.frameCount = chunks["NES "].frameCount;
+  }
+}
+
+function parseState(nes, data) {
+  const r = new ByteReader(data);
+  let magic = "";
+  for (let i = 0; i < 4; i++) {
+    magic += String.fromCharCode(r.u8());
+  }
+  if (magic !== STATE_MAGIC) {
+    throw new Error("Not a valid save state.");
+  }
+  const version = r.u16();
+  if (version > STATE_VERSION) {
+    throw new Error(
+      `Save state version ${version} is newer than this version of JSNES supports (${STATE_VERSION}).`,
+    );
+  }
+  r.u16(); // flags
+  const romHash = r.u32();
+  if (romHash !== nes.rom.crc32) {
+    throw new Error("Save state was made with a different ROM.");
+  }
+
+  const chunks = {};
+  const count = r.u16();
+  for (let c = 0; c < count; c++) {
+    let id = "";
+    for (let i = 0; i < 4; i++) {
+      id += String.fromCharCode(r.u8());
+    }
+    const length = r.u32();
+    const end = r.pos + length;
+    chunks[id] = readValue(r);
+    r.pos = end;
+  }
+  return { chunks, version };
+}
+
+// Copies the JSON_PROPERTIES of a component, keeping typed arrays as-is.
+function snapshot(obj) {
+  const state = {};
+  const props = obj.constructor.JSON_PROPERTIES;
+  for (let i = 0; i < props.length; i++) {
+    state[props[i]] = obj[props[i]];
+  }
+  return state;
+}
+
+function snapshotPPU(ppu) {
+  const state = snapshot(ppu);
+  state.nameTable = ppu.nameTable.map(function (nt) {
+    return { tile: nt.tile, attrib: nt.attrib };
+  });
+  return state;
+}
+
+function writeValue(w, value, raw) {
+  if (value === undefined) {
+    w.u8(T_UNDEFINED);
+  } else if (value === null) {
+    w.u8(T_NULL);
+  } else if (value === false) {
+    w.u8(T_FALSE);
+  } else if (value === true) {
+    w.u8(T_TRUE);
+  } else if (typeof value === "number") {
+    if (!raw && (value | 0) === value && !Object.is(value, -0)) {
+      w.u8(T_INT);
+      w.u32(value);
+    } else {
+      w.u8(T_FLOAT);
+      w.f64(value);
+    }
+  } else if (typeof value === "string") {
+    w.u8(T_STRING);
+    writeString(w, value);
+  } else if (Array.isArray(value)) {
+    w.u8(T_ARRAY);
+    w.varint(value.length);
+    for (let i = 0; i < value.length; i++) {
+      writeValue(w, value[i], raw);
+    }
+  } else if (ArrayBuffer.isView(value)) {
+    w.u8(T_TYPED_ARRAY);
+    writeTypedArray(w, value, raw);
+  } else if (typeof value === "object") {
+    const keys = Object.keys(value).filter(function (key) {
+      return typeof value[key] !== "function";
+    });
+    w.u8(T_OBJECT);
+    w.varint(keys.length);
+    for (const key of keys) {
+      writeString(w, key);
+      writeValue(w, value[key], raw);
+    }
+  } else {
+    throw new Error(`Cannot save value of type ${typeof value}.`);
+  }
+}
+
+function readValue(r) {
+  const tag = r.u8();
+  switch (tag) {
+    case T_UNDEFINED:
+      return undefined;
+    case T_NULL:
+      return null;
+    case T_FALSE:
+      return false;
+    case T_TRUE:
+      return true;
+    case T_INT:
+      return r.u32() | 0;
+    case T_FLOAT:
+      return r.f64();
+    case T_STRING:
+      return readString(r);
+    case T_ARRAY: {
+      const arr = new Array(r.varint());
+      for (let i = 0; i < arr.length; i++) {
+        arr[i] = readValue(r);
+      }
+      return arr;
+    }
+    case T_OBJECT: {
+      const obj = {};
+      const count = r.varint();
+      for (let i = 0; i < count; i++) {
+        const key = readString(r);
+        obj[key] = readValue(r);
+      }
+      return obj;
+    }
+    case T_TYPED_ARRAY:
+      return readTypedArray(r);
+    default:
+      throw new Error(`Corrupt save state: unknown value tag ${tag}.`);
+  }
+}
+
+function writeString(w, s) {
+  w.varint(s.length);
+  for (let i = 0; i < s.length; i++) {
+    w.varint(s.charCodeAt(i));
+  }
+}
+
+function readString(r) {
+  const length = r.varint();
+  let s = "";
+  for (let i = 0; i < length; i++) {
+    s += String.fromCharCode(r.varint());
+  }
+  return s;
+}
+
+// Typed arrays are stored as kind, length, encoding, then elements. Integer
+// arrays are run-length encoded, optionally after delta-encoding (which
+// turns ramps such as the PPU's VRAM mirror table into runs), whichever is
+// smaller. Float arrays, and all arrays in raw states, are stored as-is.
+function writeTypedArray(w, arr, raw) {
+  const kind = TYPED_ARRAYS.indexOf(arr.constructor);
+  if (kind === -1) {
+    throw new Error(`Cannot save ${arr.constructor.name}.`);
+  }
+  w.u8(kind);
+  w.varint(arr.length);
+
+  const size = arr.BYTES_PER_ELEMENT;
+  const isFloat = arr instanceof Float32Array || arr instanceof Float64Array;
+  if (raw || isFloat) {
+    w.u8(ENC_RAW);
+    if (LITTLE_ENDIAN) {
+      w.bytes(new Uint8Array(arr.buffer, arr.byteOffset, arr.byteLength));
+    } else if (isFloat) {
+      for (let i = 0; i < arr.length; i++) {
+        w.float(size, arr[i]);
+      }
+    } else {
+      for (let i = 0; i < arr.length; i++) {
+        w.uint(size, arr[i]);
+      }
+    }
+    return;
+  }
+
+  const start = w.pos;
+  w.u8(ENC_RLE);
+  writeRuns(w, arr, size);
+  if (arr.length > 1) {
+    const rleEnd = w.pos;
+    const delta = new arr.constructor(arr.length);
+    delta[0] = arr[0];
+    for (let i = 1; i < arr.length; i++) {
+      delta[i] = arr[i] - arr[i - 1];
+    }
+    w.u8(ENC_DELTA_RLE);
+    writeRuns(w, delta, size);
+    const deltaLength = w.pos - rleEnd;
+    if (deltaLength < rleEnd - start) {
+      w.buf.copyWithin(start, rleEnd, w.pos);
+      w.pos = start + deltaLength;
+    } else {
+      w.pos = rleEnd;
+    }
+  }
+}
+
+function readTypedArray(r) {
+  const Type = TYPED_ARRAYS[r.u8()];
+  if (!Type) {
+    throw new Error("Corrupt save state: unknown typed array kind.");
+  }
+  const arr = new Type(r.varint());
+  const size = arr.BYTES_PER_ELEMENT;
+  const encoding = r.u8();
+  if (encoding === ENC_RAW) {
+    if (LITTLE_ENDIAN) {
+      new Uint8Array(arr.buffer).set(r.bytes(arr.byteLength));
+    } else if (arr instanceof Float32Array || arr instanceof Float64Array) {
+      for (let i = 0; i < arr.length; i++) {
+        arr[i] = r.float(size);
+      }
+    } else {
+      for (let i = 0; i < arr.length; i++) {
+        arr[i] = r.uint(size);
+      }
+    }
+    return arr;
+  }
+  readRuns(r, arr, size);
+  if (encoding === ENC_DELTA_RLE) {
+    for (let i = 1; i < arr.length; i++) {
+      arr[i] += arr[i - 1];
+    }
+  }
+  return arr;
+}
+
+// Run-length encoding: a sequence of varint headers. An odd header
+// (n << 1 | 1) is followed by one element repeated n times, an even header
+// (n << 1) by n literal elements.
+const MIN_RUN = 3;
+
+export function writeRuns(w, arr, size) {
+  const length = arr.length;
+  let i = 0;
+  while (i < length) {
+    // Find the end of the literal stretch before the next long run:
+    let litEnd = i;
+    let run = 1;
+    while (litEnd < length) {
+      run = 1;
+      while (litEnd + run < length && arr[litEnd + run] === arr[litEnd]) {
+        run++;
+      }
+      if (run >= MIN_RUN) {
+        break;
+      }
+      litEnd += run;
+    }
+    if (litEnd > i) {
+      w.varint((litEnd - i) << 1);
+      for (; i < litEnd; i++) {
+        w.uint(size, arr[i]);
+      }
+    }
+    if (i < length) {
+      w.varint((run << 1) | 1);
+      w.uint(size, arr[i]);
+      i += run;
+    }
+  }
+}
+
+export function readRuns(r, arr, size) {
+  const length = arr.length;
+  let i = 0;
+  while (i < length) {
+    const header = r.varint();
+    let n = Math.floor(header / 2);
+    if (n === 0 || i + n > length) {
+      throw new Error("Corrupt save state: invalid run length.");
+    }
+    if (header & 1) {
+      arr.fill(r.uint(size), i, i + n);
+      i += n;
+    } else {
+      for (; n > 0; n--) {
+        arr[i++] = r.uint(size);
+      }
+    }
+  }
+}
+
+export class ByteWriter {
+  constructor(size) {
+    this.buf = new Uint8Array(size);
+    this.view = new DataView(this.buf.buffer);
+    this.pos = 0;
+  }
+
+  ensure(n) {
+    if (this.pos + n <= this.buf.length) {
+      return;
+    }
+    let size = this.buf.length * 2;
+    while (size < this.pos + n) {
+      size *= 2;
+    }
+    const buf = new Uint8Array(size);
+    buf.set(this.buf.subarray(0, this.pos));
+    this.buf = buf;
+    this.view = new DataView(buf.buffer);
+  }
+
+  u8(v) {
+    this.ensure(1);
+    this.buf[this.pos++] = v;
+  }
+
+  u16(v) {
+    this.ensure(2);
+    this.view.setUint16(this.pos, v, true);
+    this.pos += 2;
+  }
+
+  u32(v) {
+    this.ensure(4);
+    this.view.setUint32(this.pos, v, true);
+    this.pos += 4;
+  }
+
+  f64(v) {
+    this.ensure(8);
+    this.view.setFloat64(this.pos, v, true);
+    this.pos += 8;
+  }
+
+  uint(size, v) {
+    if (size === 1) {
+      this.u8(v & 0xff);
+    } else if (size === 2) {
+      this.u16(v & 0xffff);
+    } else {
+      this.u32(v >>> 0);
+    }
+  }
+
+  float(size, v) {
+    if (size === 4) {
+      this.ensure(4);
+      this.view.setFloat32(this.pos, v, true);
+      this.pos += 4;
+    } else {
+      this.f64(v);
+    }
+  }
+
+  bytes(data) {
+    this.ensure(data.length);
+    this.buf.set(data, this.pos);
+    this.pos += data.length;
+  }
+
+  // Unsigned LEB128.
+  varint(v) {
+    while (v >= 0x80) {
+      this.u8((v & 0x7f) | 0x80);
+      v = Math.floor(v / 128);
+    }
+    this.u8(v);
+  }
+
+  result() {
+    return this.buf.slice(0, this.pos);
+  }
+}
+
+export class ByteReader {
+  constructor(data) {
+    if (data instanceof ArrayBuffer) {
+      data = new Uint8Array(data);
+    }
+    this.buf = data;
+    this.view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    this.pos = 0;
+  }
+
+  check(n) {
+    if (this.pos + n > this.buf.length) {
+      throw new Error("Corrupt save state: unexpected end of data.");
+    }
+  }
+
+  u8() {
+    this.check(1);
+    return this.buf[this.pos++];
+  }
+
+  u16() {
+    this.check(2);
+    const v = this.view.getUint16(this.pos, true);
+    this.pos += 2;
+    return v;
+  }
+
+  u32() {
+    this.check(4);
+    const v = this.view.getUint32(this.pos, true);
+    this.pos += 4;
+    return v;
+  }
+
+  f64() {
+    this.check(8);
+    const v = this.view.getFloat64(this.pos, true);
+    this.pos += 8;
+    return v;
+  }
+
+  uint(size) {
+    if (size === 1) {
+      return this.u8();
+    } else if (size === 2) {
+      return this.u16();
+    }
+    return this.u32();
+  }
+
+  float(size) {
+    if (size === 4) {
+      this.check(4);
+      const v = this.view.getFloat32(this.pos, true);
+      this.pos += 4;
+      return v;
+    }
+    return this.f64();
+  }
+
+  bytes(n) {
+    this.check(n);
+    const data = this.buf.subarray(this.pos, this.pos + n);
+    this.pos += n;
+    return data;
+  }
+
+  varint() {
+    let v = 0;
+    let scale = 1;
+    let b;
+    do {
+      b = this.u8();
+      v += (b & 0x7f) * scale;
+      scale *= 128;
+    } while (b & 0x80);
+    return v;
+  }
+}
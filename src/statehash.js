@@ -0,0 +1,86 @@
+import { stateChunks } from "./savestate.js";
+
+// Cheap 32-bit hashes of the emulator state, one per component, used to
+// check that a movie plays back exactly the way it was recorded.
+//
+// The hashes cover the same data as a save state. Values are folded in with
+// FNV-1a, a 32-bit word at a time, which is fast and always changes the
+// hash when a single word of the state changes. Typed arrays are read in
+// the platform's byte order, so hashes are only comparable between
+// little-endian machines, which is all of them in practice.
+
+// Save state chunks that make up each component:
+const COMPONENT_CHUNKS = {
+  cpu: ["CPU "],
+  ppu: ["PPU "],
+  papu: ["APU ", "SQ1 ", "SQ2 ", "TRI ", "NOIS", "DMC "],
+  mmap: ["MAPR"],
+};
+
+export const HASH_COMPONENTS = Object.keys(COMPONENT_CHUNKS);
+
+const FNV_OFFSET = 0x811c9dc5 | 0;
+const FNV_PRIME = 0x01000193;
+
+const float64 = new Float64Array(1);
+const float64Words = new Int32Array(float64.buffer);
+
+// Returns { cpu, ppu, papu, mmap } hashes of the current state of nes.
+export function hashState(nes) {
+  const chunks = stateChunks(nes);
+  const hashes = {};
+  for (const component of HASH_COMPONENTS) {
+    let h = FNV_OFFSET;
+    for (const id of COMPONENT_CHUNKS[component]) {
+      h = hashValue(h, chunks[id]);
+    }
+    hashes[component] = h >>> 0;
+  }
+  return hashes;
+}
+
+function hashValue(h, value) {
+  if (typeof value === "number") {
+    if ((value | 0) === value) {
+      return Math.imul(h ^ value, FNV_PRIME);
+    }
+    float64[0] = value;
+    h = Math.imul(h ^ float64Words[0], FNV_PRIME);
+    return Math.imul(h ^ float64Words[1], FNV_PRIME);
+  } else if (typeof value === "boolean") {
+    return Math.imul(h ^ (value ? 1 : 0), FNV_PRIME);
+  } else if (value === null || value === undefined) {
+    return Math.imul(h ^ -1, FNV_PRIME);
+  } else if (typeof value === "string") {
+    for (let i = 0; i < value.length; i++) {
+      h = Math.imul(h ^ value.charCodeAt(i), FNV_PRIME);
+    }
+    return h;
+  } else if (ArrayBuffer.isView(value)) {
+    let words;
+    if (value.byteLength % 4 === 0 && value.byteOffset % 4 === 0) {
+      words = new Int32Array(
+        value.buffer,
+        value.byteOffset,
+        value.byteLength / 4,
+      );
+    } else {
+      words = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+    }
+    for (let i = 0; i < words.length; i++) {
+      h = Math.imul(h ^ words[i], FNV_PRIME);
+    }
+    return h;
+  } else if (Array.isArray(value)) {
+    for (let i = 0; i < value.length; i++) {
+      h = hashValue(h, value[i]);
+    }
+    return h;
+  }
+  for (const key in value) {
+    if (typeof value[key] !== "function") {
+      h = hashValue(h, value[key]);
+    }
+  }
+  return h;
+}
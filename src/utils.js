@@ -8,13 +8,41 @@ export function copyArray(src) {
   return src.slice(0);
 }
 
+// Converts binary data to a Uint8Array. Accepts Uint8Array (including Node's
+// Buffer, which is returned as-is), any other typed array or DataView,
+// ArrayBuffer, and legacy "binary strings" with one character per byte.
+// Except for strings, the result shares memory with data, so copy it before
+// keeping it.
+export function toUint8Array(data) {
+  if (data instanceof Uint8Array) {
+    return data;
+  }
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  if (typeof data === "string") {
+    const bytes = new Uint8Array(data.length);
+    for (let i = 0; i < data.length; i++) {
+      bytes[i] = data.charCodeAt(i) & 0xff;
+    }
+    return bytes;
+  }
+  throw new Error("Unsupported data type: expected Uint8Array or string.");
+}
+
 export function fromJSON(obj, state) {
   const props = obj.constructor.JSON_PROPERTIES;
   for (let i = 0; i < props.length; i++) {
     const prop = props[i];
     const current = obj[prop];
     const value = state[prop];
-    if (ArrayBuffer.isView(current) && Array.isArray(value)) {
+    if (
+      ArrayBuffer.isView(current) &&
+      (Array.isArray(value) || ArrayBuffer.isView(value))
+    ) {
       // Typed arrays: copy data in-place instead of replacing the array,
       // since JSON.parse produces plain arrays not typed arrays.
       current.set(value);
@@ -36,3 +64,135 @@ export function toJSON(obj) {
   }
   return state;
 }
+
+let crcTable = null;
+
+// CRC-32 (as used by zip and PNG) of a Uint8Array.
+export function crc32(data) {
+  if (crcTable === null) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+let md5Constants = null;
+
+// Amount each of MD5's 64 steps rotates by:
+const MD5_SHIFTS = [
+  7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 5, 9, 14, 20, 5,
+  9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11,
+  16, 23, 4, 11, 16, 23, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15,
+  21,
+];
+
+// MD5 digest of a Uint8Array, as 16 bytes. FCEUX identifies ROMs by it.
+// See https://www.rfc-editor.org/rfc/rfc1321
+export function md5(data) {
+  if (md5Constants === null) {
+    md5Constants = new Int32Array(64);
+    for (let i = 0; i < 64; i++) {
+      md5Constants[i] = Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000);
+    }
+  }
+
+  // Pad to a multiple of 64 bytes with a 1 bit, zeros and the length in
+  // bits:
+  const length = ((data.length + 8) >> 6) * 64 + 64;
+  const bytes = new Uint8Array(length);
+  bytes.set(data);
+  bytes[data.length] = 0x80;
+  const view = new DataView(bytes.buffer);
+  view.setUint32(length - 8, data.length * 8, true);
+  view.setUint32(length - 4, Math.floor(data.length / 0x20000000), true);
+
+  const hash = new Int32Array([0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476]);
+  const words = new Int32Array(16);
+  for (let block = 0; block < length; block += 64) {
+    for (let i = 0; i < 16; i++) {
+      words[i] = view.getInt32(block + i * 4, true);
+    }
+    let a = hash[0];
+    let b = hash[1];
+    let c = hash[2];
+    let d = hash[3];
+    for (let i = 0; i < 64; i++) {
+      let f, g;
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) & 15;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) & 15;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) & 15;
+      }
+      const x = (a + f + md5Constants[i] + words[g]) | 0;
+      const shift = MD5_SHIFTS[i];
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((x << shift) | (x >>> (32 - shift)))) | 0;
+    }
+    hash[0] += a;
+    hash[1] += b;
+    hash[2] += c;
+    hash[3] += d;
+  }
+  const digest = new DataView(new ArrayBuffer(16));
+  for (let i = 0; i < 4; i++) {
+    digest.setInt32(i * 4, hash[i], true);
+  }
+  return new Uint8Array(digest.buffer);
+}
+
+const BASE64_CHARS =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+// Encodes a Uint8Array as a base64 string.
+export function toBase64(data) {
+  let s = "";
+  for (let i = 0; i < data.length; i += 3) {
+    const n = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+    s += BASE64_CHARS[(n >> 18) & 63] + BASE64_CHARS[(n >> 12) & 63];
+    s += i + 1 < data.length ? BASE64_CHARS[(n >> 6) & 63] : "=";
+    s += i + 2 < data.length ? BASE64_CHARS[n & 63] : "=";
+  }
+  return s;
+}
+
+// Decodes a base64 string into a Uint8Array.
+export function fromBase64(s) {
+  s = s.replace(/=+$/, "");
+  const bytes = new Uint8Array(Math.floor((s.length * 3) / 4));
+  let bits = 0;
+  let value = 0;
+  let pos = 0;
+  for (let i = 0; i < s.length; i++) {
+    const c = BASE64_CHARS.indexOf(s[i]);
+    if (c === -1) {
+      throw new Error("Invalid base64 data.");
+    }
+    value = (value << 6) | c;
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes[pos++] = (value >> bits) & 0xff;
+    }
+  }
+  return bytes;
+}
@@ -0,0 +1,262 @@
+import { assert } from "chai";
+import sinon from "sinon";
+import NES from "../src/nes.js";
+
+// A 16KB NROM program that loops forever, calling a subroutine that writes
+// to RAM and to PPU memory:
+//
+//   $8000  LDX #$00
+//   $8002  JSR $8010
+//   $8005  INX
+//   $8006  STX $0300
+//   $8009  JMP $8002
+//   $8010  LDA #$42
+//   $8012  STA $0200
+//   $8015  LDA #$20
+//   $8017  STA $2006
+//   $801A  LDA #$00
+//   $801C  STA $2006
+//   $801F  TXA
+//   $8020  STA $2007
+//   $8023  LDA $0200
+//   $8026  RTS
+//   $8027  RTI
+const PROGRAM = [
+  [0x8000, [0xa2, 0x00, 0x20, 0x10, 0x80, 0xe8, 0x8e, 0x00, 0x03]],
+  [0x8009, [0x4c, 0x02, 0x80]],
+  [0x8010, [0xa9, 0x42, 0x8d, 0x00, 0x02, 0xa9, 0x20, 0x8d, 0x06, 0x20]],
+  [0x801a, [0xa9, 0x00, 0x8d, 0x06, 0x20, 0x8a, 0x8d, 0x07, 0x20]],
+  [0x8023, [0xad, 0x00, 0x02, 0x60, 0x40]],
+  [0xbffa, [0x27, 0x80, 0x00, 0x80, 0x27, 0x80]],
+];
+
+function makeROM() {
+  let rom = new Uint8Array(16 + 0x4000 + 0x2000);
+  rom.set([0x4e, 0x45, 0x53, 0x1a, 1, 1]);
+  rom.fill(0xea, 16, 16 + 0x4000); // NOP
+  for (const [address, bytes] of PROGRAM) {
+    rom.set(bytes, 16 + address - 0x8000);
+  }
+  return rom;
+}
+
+describe("Debugger", function () {
+  let nes, dbg, onBreak;
+  beforeEach(function () {
+    onBreak = sinon.spy();
+    nes = new NES({ onBreak: onBreak });
+    nes.loadROM(makeROM());
+    dbg = nes.debugger;
+  });
+
+  describe("breakpoints", function () {
+    it("pause before the instruction and resume where they left off", function () {
+      let id = dbg.addBreakpoint(0x8010);
+      nes.frame();
+      assert.isTrue(dbg.isPaused());
+      assert.deepEqual(dbg.getBreak(), {
+        reason: "breakpoint",
+        id: id,
+        pc: 0x8010,
+      });
+      assert.isTrue(onBreak.calledOnceWith(dbg.getBreak()));
+      assert.notEqual(nes.cpu.mem[0x200], 0x42);
+      assert.equal(nes.frameCount, 0);
+
+      // Resuming runs the subroutine and breaks on the next call:
+      nes.frame();
+      assert.isTrue(dbg.isPaused());
+      assert.equal(nes.cpu.mem[0x200], 0x42);
+      assert.equal(nes.cpu.mem[0x300], 1);
+
+      dbg.remove(id);
+      nes.frame();
+      assert.isFalse(dbg.isPaused());
+      assert.equal(nes.frameCount, 1);
+    });
+
+    it("leave the frame the same as running it straight through", function () {
+      let other = new NES();
+      other.loadROM(makeROM());
+      other.frame();
+      other.frame();
+
+      dbg.addBreakpoint(0x8005, { condition: "X == 100" });
+      nes.frame();
+      assert.isTrue(dbg.isPaused());
+      dbg.clear();
+      nes.frame();
+      nes.frame();
+      assert.equal(nes.frameCount, 2);
+      assert.deepEqual(nes.cpu.mem, other.cpu.mem);
+      assert.deepEqual(nes.ppu.vramMem, other.ppu.vramMem);
+      assert.deepEqual(nes.getStateHash(), other.getStateHash());
+    });
+
+    it("only break when their condition is met", function () {
+      dbg.addBreakpoint(0x8010, { condition: "x == 3 && [$0300] == $03" });
+      nes.frame();
+      assert.equal(nes.cpu.REG_X, 3);
+
+      dbg.clear();
+      dbg.addBreakpoint(0x8010, {
+        condition: function (d) {
+          return d.nes.cpu.REG_X === 7;
+        },
+      });
+      nes.frame();
+      assert.equal(nes.cpu.REG_X, 7);
+    });
+
+    it("only break when the bank matches", function () {
+      assert.equal(nes.mmap.getPrgBank(0x8010), 0);
+      assert.equal(nes.mmap.getPrgBank(0xc010), 0);
+      assert.equal(nes.mmap.getPrgBank(0xa000), 1);
+      dbg.addBreakpoint(0x8010, { bank: 1 });
+      nes.frame();
+      assert.isFalse(dbg.isPaused());
+      dbg.addBreakpoint(0x8010, { bank: 0 });
+      nes.frame();
+      assert.isTrue(dbg.isPaused());
+    });
+
+    it("reject invalid conditions", function () {
+      assert.throws(function () {
+        dbg.addBreakpoint(0x8000, { condition: "A ==" });
+      }, /Invalid expression "A ==": unexpected end/);
+      assert.throws(function () {
+        dbg.addBreakpoint(0x8000, { condition: "A = 1" });
+      }, /unexpected "="/);
+      assert.throws(function () {
+        dbg.addBreakpoint(0x8000, { condition: "Q > 1" });
+      }, /unexpected "Q"/);
+    });
+
+    it("break on the first instruction of an interrupt handler", function () {
+      dbg.addBreakpoint(0x8027);
+      nes.cpu.requestIrq(nes.cpu.IRQ_NMI);
+      nes.frame();
+      assert.equal(dbg.getBreak().pc, 0x8027);
+      // The NMI was taken before the first instruction, so RTI returns there:
+      assert.equal(dbg.stepInstruction().pc, 0x8000);
+    });
+  });
+
+  describe("watchpoints", function () {
+    it("pause after a CPU write", function () {
+      let id = dbg.addWatchpoint(0x0300, { type: "write" });
+      assert.isTrue(Object.hasOwn(nes.cpu, "load"));
+      nes.frame();
+      assert.deepEqual(dbg.getBreak(), {
+        reason: "watchpoint",
+        id: id,
+        space: "cpu",
+        type: "write",
+        address: 0x0300,
+        value: 1,
+        pc: 0x8009,
+      });
+      assert.equal(nes.cpu.mem[0x300], 1);
+
+      dbg.remove(id);
+      assert.isFalse(Object.hasOwn(nes.cpu, "load"));
+    });
+
+    it("watch reads of address ranges with conditions", function () {
+      dbg.addWatchpoint(0x01ff, {
+        endAddress: 0x0200,
+        type: "read",
+        condition: "ADDRESS == $200 && VALUE == $42",
+      });
+      nes.frame();
+      assert.equal(dbg.getBreak().address, 0x200);
+      assert.equal(dbg.getBreak().pc, 0x8026);
+    });
+
+    it("watch PPU memory", function () {
+      dbg.addWatchpoint(0x2000, {
+        space: "ppu",
+        type: "write",
+        condition: "VALUE == 5",
+      });
+      nes.frame();
+      assert.include(dbg.getBreak(), {
+        space: "ppu",
+        address: 0x2000,
+        value: 5,
+      });
+      assert.equal(nes.ppu.vramMem[0x2000], 5);
+    });
+
+    it("survive loading a state", function () {
+      let state = nes.saveState();
+      dbg.addWatchpoint(0x0300, { type: "write" });
+      nes.frame();
+      nes.loadState(state);
+      assert.isFalse(dbg.isPaused());
+      assert.isTrue(Object.hasOwn(nes.cpu, "write"));
+      nes.frame();
+      assert.equal(dbg.getBreak().address, 0x300);
+    });
+  });
+
+  describe("stepping", function () {
+    beforeEach(function () {
+      dbg.addBreakpoint(0x8010);
+      nes.frame();
+      dbg.clear();
+    });
+
+    it("steps one instruction at a time", function () {
+      assert.deepEqual(dbg.stepInstruction(), { reason: "step", pc: 0x8012 });
+      assert.equal(nes.cpu.REG_ACC, 0x42);
+      assert.equal(dbg.stepInstruction().pc, 0x8015);
+      assert.equal(nes.cpu.mem[0x200], 0x42);
+      assert.isTrue(dbg.isPaused());
+      assert.isTrue(onBreak.calledThrice);
+    });
+
+    it("steps out of a subroutine", function () {
+      let sp = nes.cpu.REG_SP & 0xff;
+      assert.deepEqual(dbg.stepOut(), { reason: "step", pc: 0x8005 });
+      assert.equal(nes.cpu.REG_SP & 0xff, sp + 2);
+    });
+
+    it("steps a scanline", function () {
+      let scanline = dbg.getScanline();
+      dbg.stepScanline();
+      assert.equal((dbg.getScanline() - scanline + 262) % 262, 1);
+      assert.isTrue(dbg.isPaused());
+    });
+
+    it("runs to the end of the frame", function () {
+      assert.deepEqual(dbg.runToFrameEnd(), {
+        reason: "frame",
+        pc: dbg.getNextPC(),
+      });
+      assert.isFalse(dbg.isPaused());
+      assert.equal(nes.frameCount, 1);
+      assert.isFalse(dbg.isActive());
+    });
+  });
+
+  it("does nothing while nothing is set", function () {
+    let spy = sinon.spy(dbg, "beforeInstruction");
+    nes.frame();
+    assert.isFalse(spy.called);
+    assert.isFalse(Object.hasOwn(nes.cpu, "load"));
+    assert.isFalse(Object.hasOwn(nes.ppu, "vramWrite"));
+  });
+
+  it("is ignored while rewinding", function () {
+    nes = new NES({ rewindCapacity: 10, rewindInterval: 4 });
+    nes.loadROM(makeROM());
+    for (let i = 0; i < 6; i++) {
+      nes.frame();
+    }
+    nes.debugger.addBreakpoint(0x8010);
+    assert.equal(nes.rewind(2), 2);
+    assert.isFalse(nes.debugger.isPaused());
+    assert.isTrue(nes.debugger.enabled);
+  });
+});
@@ -0,0 +1,249 @@
+import { assert } from "chai";
+import Movie from "../src/movie.js";
+import NES from "../src/nes.js";
+
+const SIDE_SIZE = 65500;
+
+// Builds a disk side holding the disk info block, a file count block and one
+// 4-byte file.
+function makeSide(id) {
+  let side = new Uint8Array(SIDE_SIZE);
+  let blocks = [0x01];
+  for (const c of "*NINTENDO-HVC*") {
+    blocks.push(c.charCodeAt(0));
+  }
+  blocks.push(id);
+  while (blocks.length < 56) {
+    blocks.push(0);
+  }
+  blocks.push(0x02, 1);
+  blocks.push(0x03, 0, 0);
+  for (const c of "FILE0000") {
+    blocks.push(c.charCodeAt(0));
+  }
+  blocks.push(0x00, 0x60, 4, 0, 0);
+  blocks.push(0x04, 0xde, 0xad, 0xbe, 0xef);
+  side.set(blocks);
+  return side;
+}
+
+// Builds an .fds image of two sides, with a fwNES header unless headerless.
+function makeImage(headerless) {
+  let header = headerless
+    ? []
+    : [0x46, 0x44, 0x53, 0x1a, 2, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+  let image = new Uint8Array(header.length + 2 * SIDE_SIZE);
+  image.set(header);
+  image.set(makeSide(1), header.length);
+  image.set(makeSide(2), header.length + SIDE_SIZE);
+  return image;
+}
+
+// A stand-in BIOS that loops forever at $E000 with interrupts disabled.
+function makeBios() {
+  let bios = new Uint8Array(0x2000);
+  bios.set([0x78, 0x4c, 0x01, 0xe0]); // SEI; JMP $E001
+  bios.set([0x00, 0xe0, 0x00, 0xe0, 0x00, 0xe0], 0x1ffa);
+  return bios;
+}
+
+describe("Famicom Disk System", function () {
+  let nes;
+  beforeEach(function () {
+    nes = new NES();
+    nes.loadROM(makeImage(), { fdsBios: makeBios() });
+  });
+
+  // Transfers one byte between the disk and the RAM adapter.
+  function transferByte() {
+    nes.mmap.clockCpu(149);
+  }
+
+  // Spins up the drive in read mode and returns the first bytes read after
+  // the lead-in gap, starting with the block start mark.
+  function readBytes(count) {
+    nes.cpu.write(0x4025, 0x27); // motor on, transfer reset, read mode
+    nes.cpu.write(0x4025, 0x65); // motor on, read mode, ready
+    let bytes = [];
+    for (let i = 0; i < 10000 && bytes.length < count; i++) {
+      transferByte();
+      if (nes.cpu.load(0x4030) & 0x02) {
+        bytes.push(nes.cpu.load(0x4031));
+      }
+    }
+    return bytes;
+  }
+
+  it("loads .fds images with and without a header", function () {
+    assert.isTrue(nes.rom.isFDS);
+    assert.equal(nes.rom.mapperType, 20);
+    assert.equal(nes.getDiskSideCount(), 2);
+    assert.equal(nes.getDiskSide(), 0);
+    assert.equal(nes.cpu.mem[0xe001], 0x4c);
+
+    nes.loadROM(makeImage(true));
+    assert.isTrue(nes.rom.isFDS);
+    assert.equal(nes.getDiskSideCount(), 2);
+    assert.lengthOf(nes.getBatteryRam(), 2 * SIDE_SIZE);
+  });
+
+  it("needs the BIOS", function () {
+    assert.throws(function () {
+      new NES().loadROM(makeImage());
+    }, /FDS BIOS/);
+  });
+
+  it("has no disk API for cartridges", function () {
+    let nes = new NES();
+    assert.equal(nes.getDiskSideCount(), 0);
+    assert.isNull(nes.getDiskSide());
+    assert.throws(function () {
+      nes.insertDisk(0);
+    }, /not a Famicom Disk System image/);
+  });
+
+  it("reads the disk through $4030-$4032", function () {
+    assert.equal(nes.cpu.load(0x4032) & 0x07, 0x02);
+    let bytes = readBytes(16);
+    assert.deepEqual(bytes.slice(0, 3), [0x80, 0x01, 0x2a]);
+    assert.equal(String.fromCharCode(...bytes.slice(2, 16)), "*NINTENDO-HVC*");
+    assert.equal(nes.cpu.load(0x4032) & 0x07, 0x00);
+  });
+
+  it("raises the disk IRQ for each byte read", function () {
+    readBytes(1);
+    nes.cpu.write(0x4025, 0xe5); // and disk IRQs
+    transferByte();
+    assert.isTrue(nes.cpu.irqRequested);
+    assert.equal(nes.cpu.load(0x4031), 0x01);
+    assert.isFalse(nes.mmap.diskIrq);
+  });
+
+  it("writes to the disk and exports it", function () {
+    let image = makeImage();
+    assert.deepEqual(nes.getBatteryRam(), image);
+
+    readBytes(2);
+    nes.cpu.write(0x4024, 0x55);
+    nes.cpu.write(0x4025, 0x61); // motor on, write mode, ready
+    transferByte();
+    assert.isTrue(nes.batteryRamDirty);
+
+    let written = nes.getBatteryRam();
+    image[16 + 1] = 0x55;
+    assert.deepEqual(written, image);
+
+    // Restoring the disk on load:
+    nes.loadROM(makeImage(), { batteryRam: written });
+    assert.deepEqual(nes.getBatteryRam(), image);
+  });
+
+  it("runs the timer IRQ", function () {
+    nes.cpu.write(0x4020, 99);
+    nes.cpu.write(0x4021, 0);
+    nes.cpu.write(0x4022, 0x03); // repeat, enabled
+    nes.mmap.clockCpu(99);
+    assert.equal(nes.cpu.load(0x4030) & 0x01, 0);
+    nes.mmap.clockCpu(1);
+    assert.isTrue(nes.cpu.irqRequested);
+    assert.equal(nes.cpu.load(0x4030) & 0x01, 0x01);
+    assert.equal(nes.cpu.load(0x4030) & 0x01, 0);
+    nes.mmap.clockCpu(100);
+    assert.equal(nes.cpu.load(0x4030) & 0x01, 0x01);
+  });
+
+  it("swaps disk sides over a number of frames", function () {
+    let movie = nes.recordMovie();
+    nes.insertDisk(1);
+    nes.frame();
+    assert.isNull(nes.getDiskSide());
+    for (let i = 0; i < 60 && nes.getDiskSide() === null; i++) {
+      nes.frame();
+    }
+    assert.equal(nes.getDiskSide(), 1);
+    nes.ejectDisk();
+    nes.frame();
+    assert.isNull(nes.getDiskSide());
+    nes.stopMovie();
+
+    let commands = movie.frames.map(function (input) {
+      return input >>> 16;
+    });
+    assert.deepEqual(
+      commands.filter(function (command) {
+        return command !== 0;
+      }),
+      [
+        NES.COMMAND_FDS_INSERT,
+        NES.COMMAND_FDS_SELECT,
+        NES.COMMAND_FDS_INSERT,
+        NES.COMMAND_FDS_INSERT,
+      ],
+    );
+
+    // Playing the movie back swaps disks the same way:
+    nes.playMovie(Movie.fromFM2(movie.toFM2()));
+    for (let i = 0; i < movie.frames.length - 1; i++) {
+      nes.frame();
+    }
+    assert.equal(nes.getDiskSide(), 1);
+    nes.frame();
+    assert.isNull(nes.getDiskSide());
+  });
+
+  it("mixes in the wavetable channel", function () {
+    nes.cpu.write(0x4023, 0x03);
+    nes.cpu.write(0x4089, 0x80); // wave RAM writable
+    for (let i = 0; i < 64; i++) {
+      nes.cpu.write(0x4040 + i, i < 32 ? 63 : 0);
+    }
+    assert.equal(nes.cpu.load(0x4041) & 0x3f, 63);
+    nes.cpu.write(0x4089, 0x00);
+    nes.cpu.write(0x4080, 0x80 | 32); // volume 32
+    nes.mmap.clockCpu(10);
+    nes.cpu.write(0x4082, 0x00);
+    nes.cpu.write(0x4083, 0x01);
+    nes.mmap.clockCpu(100);
+    assert.isAbove(nes.mmap.getAudioSample(), 0);
+    assert.equal(nes.cpu.load(0x4090) & 0x3f, 32);
+  });
+
+  it("saves and restores the disk in save states", function () {
+    readBytes(2);
+    let state = nes.saveState();
+    let expected = nes.getBatteryRam();
+    let bytes = [];
+    for (let i = 0; i < 4; i++) {
+      transferByte();
+      bytes.push(nes.cpu.load(0x4031));
+    }
+    nes.cpu.write(0x4025, 0x61);
+    transferByte();
+
+    nes.loadState(state);
+    assert.deepEqual(nes.getBatteryRam(), expected);
+    for (let i = 0; i < 4; i++) {
+      transferByte();
+      assert.equal(nes.cpu.load(0x4031), bytes[i]);
+    }
+  });
+
+  it("saves the disk in JSON states", function () {
+    readBytes(2);
+    nes.cpu.write(0x4024, 0x55);
+    nes.cpu.write(0x4025, 0x61); // motor on, write mode, ready
+    transferByte();
+    let expected = nes.getBatteryRam();
+    let json = nes.toJSON();
+    let state = JSON.parse(JSON.stringify(json));
+
+    // The state doesn't change with the disk:
+    nes.cpu.write(0x4024, 0xaa);
+    transferByte();
+    assert.deepEqual(JSON.parse(JSON.stringify(json)), state);
+
+    nes.loadROM(makeImage(), { fdsBios: makeBios() });
+    nes.fromJSON(state);
+    assert.deepEqual(nes.getBatteryRam(), expected);
+  });
+});
@@ -1,5 +1,46 @@
 import { assert } from "chai";
 import Mappers from "../src/mappers/index.js";
+import NES from "../src/nes.js";
+
+// Builds an iNES image for a mapper, or a NES 2.0 one if a submapper is
+// given. Each 8KB PRG-ROM bank starts with its number and the last one
+// holds a JMP-to-self at $FFF0 for all vectors. Each 1KB of CHR-ROM is
+// filled with its bank number.
+function makeROM(mapper, prgBanks16k, chrBanks8k, flags6 = 0, submapper) {
+  const prgSize = prgBanks16k * 0x4000;
+  const rom = new Uint8Array(16 + prgSize + chrBanks8k * 0x2000);
+  rom.set([0x4e, 0x45, 0x53, 0x1a, prgBanks16k, chrBanks8k]);
+  rom[6] = ((mapper & 0x0f) << 4) | flags6;
+  rom[7] = mapper & 0xf0;
+  if (submapper !== undefined) {
+    rom[7] |= 0x08;
+    rom[8] = (submapper << 4) | (mapper >> 8);
+  }
+  for (let i = 0; i < prgSize; i += 0x2000) {
+    rom[16 + i] = i >> 13;
+  }
+  rom.set([0x4c, 0xf0, 0xff], 16 + prgSize - 0x10);
+  rom.set([0xf0, 0xff, 0xf0, 0xff, 0xf0, 0xff], 16 + prgSize - 6);
+  for (let i = 0; i < chrBanks8k * 0x2000; i++) {
+    rom[16 + prgSize + i] = i >> 10;
+  }
+  return rom;
+}
+
+// Reads PPU memory through $2006/$2007, like a game would.
+function ppuRead(nes, address) {
+  nes.cpu.write(0x2006, address >> 8);
+  nes.cpu.write(0x2006, address & 0xff);
+  nes.cpu.load(0x2007);
+  return nes.cpu.load(0x2007);
+}
+
+// Writes PPU memory through $2006/$2007.
+function ppuWrite(nes, address, value) {
+  nes.cpu.write(0x2006, address >> 8);
+  nes.cpu.write(0x2006, address & 0xff);
+  nes.cpu.write(0x2007, value);
+}
 
 describe("Mappers", function () {
   let mapper = null;
@@ -74,4 +115,2061 @@ describe("Mappers", function () {
       assert.equal(mockNes.cpu.mem[romAddress], originalValue);
     });
   });
+
+  describe("MMC2 and MMC4", function () {
+    let nes;
+    beforeEach(function () {
+      nes = new NES();
+      nes.loadROM(makeROM(9, 4, 4));
+      nes.cpu.write(0xb000, 1);
+      nes.cpu.write(0xc000, 2);
+      nes.cpu.write(0xd000, 3);
+      nes.cpu.write(0xe000, 4);
+    });
+
+    it("switches 8KB PRG-ROM banks on MMC2", function () {
+      assert.deepEqual(
+        [0x8000, 0xa000, 0xc000, 0xe000].map((a) => nes.cpu.mem[a]),
+        [0, 5, 6, 7],
+      );
+      nes.cpu.write(0xa000, 3);
+      assert.equal(nes.cpu.mem[0x8000], 3);
+    });
+
+    it("switches 16KB PRG-ROM banks on MMC4", function () {
+      nes.loadROM(makeROM(10, 4, 4));
+      assert.equal(nes.cpu.mem[0xc000], 6);
+      nes.cpu.write(0xa000, 2);
+      assert.equal(nes.cpu.mem[0x8000], 4);
+      assert.equal(nes.cpu.mem[0xa000], 5);
+    });
+
+    it("switches CHR banks when tiles $FD and $FE are read", function () {
+      // Both latches start at $FE:
+      assert.equal(nes.ppu.vramMem[0x0000], 2 * 4);
+      assert.equal(nes.ppu.vramMem[0x1000], 4 * 4);
+      ppuRead(nes, 0x0fd8);
+      assert.equal(nes.ppu.vramMem[0x0000], 1 * 4);
+      ppuRead(nes, 0x1fdd);
+      assert.equal(nes.ppu.vramMem[0x1000], 3 * 4);
+      ppuRead(nes, 0x1fe8);
+      assert.equal(nes.ppu.vramMem[0x1000], 4 * 4);
+
+      // MMC2's first latch only switches on the top row of the tile:
+      ppuRead(nes, 0x0fe9);
+      assert.equal(nes.ppu.vramMem[0x0000], 1 * 4);
+      ppuRead(nes, 0x0fe8);
+      assert.equal(nes.ppu.vramMem[0x0000], 2 * 4);
+    });
+
+    it("switches either latch on any row on MMC4", function () {
+      nes.loadROM(makeROM(10, 4, 4));
+      nes.cpu.write(0xb000, 1);
+      nes.cpu.write(0xc000, 2);
+      ppuRead(nes, 0x0fdb);
+      assert.equal(nes.ppu.vramMem[0x0000], 1 * 4);
+      ppuRead(nes, 0x0fef);
+      assert.equal(nes.ppu.vramMem[0x0000], 2 * 4);
+    });
+
+    it("switches banks part way through background rendering", function () {
+      // Bank 1 is solid color 3 and bank 2 is transparent:
+      let rom = makeROM(9, 4, 4);
+      let chr = 16 + 4 * 0x4000;
+      rom.fill(0xff, chr + 0x1000, chr + 0x2000);
+      rom.fill(0x00, chr + 0x2000, chr + 0x3000);
+      nes.loadROM(rom);
+      nes.cpu.write(0xd000, 1);
+      nes.cpu.write(0xe000, 2);
+
+      // Tile $FD at column 4 and $FE at column 31 of the second row, below
+      // the overscan:
+      nes.cpu.write(0x2006, 0x20);
+      nes.cpu.write(0x2006, 0x24);
+      nes.cpu.write(0x2007, 0xfd);
+      nes.cpu.write(0x2006, 0x20);
+      nes.cpu.write(0x2006, 0x3f);
+      nes.cpu.write(0x2007, 0xfe);
+      nes.cpu.write(0x2006, 0x3f);
+      nes.cpu.write(0x2006, 0x00);
+      nes.cpu.write(0x2007, 0x0f);
+      nes.cpu.write(0x2007, 0x00);
+      nes.cpu.write(0x2007, 0x00);
+      nes.cpu.write(0x2007, 0x30);
+      nes.cpu.write(0x2005, 0);
+      nes.cpu.write(0x2005, 0);
+      nes.cpu.write(0x2000, 0x10); // background from $1000
+      nes.cpu.write(0x2001, 0x0a); // background, including the left column
+      nes.frame();
+      nes.frame();
+
+      let black = nes.ppu.imgPalette[0];
+      let white = nes.ppu.imgPalette[3];
+      function pixel(x, y) {
+        return nes.ppu.buffer[y * 256 + x];
+      }
+      // The $FD tile itself comes from the old bank:
+      for (let y = 8; y < 16; y++) {
+        assert.equal(pixel(12, y), black);
+        assert.equal(pixel(36, y), black);
+        assert.equal(pixel(40, y), white);
+        assert.equal(pixel(246, y), white);
+      }
+      // $FE at the end of each line switches back:
+      assert.equal(pixel(40, 16), black);
+      assert.equal(nes.mmap.latches[1], 0xfe);
+    });
+
+    it("switches banks on sprite pattern fetches", function () {
+      nes.cpu.write(0x2003, 0);
+      nes.cpu.write(0x2004, 99); // Y
+      nes.cpu.write(0x2004, 0xfd); // tile
+      nes.cpu.write(0x2004, 0);
+      nes.cpu.write(0x2004, 50); // X
+      nes.cpu.write(0x2000, 0x08); // sprites from $1000
+      nes.cpu.write(0x2001, 0x14);
+      assert.equal(nes.mmap.latches[1], 0xfe);
+      nes.frame();
+      nes.frame();
+      assert.equal(nes.mmap.latches[1], 0xfd);
+      assert.equal(nes.ppu.vramMem[0x1000], 3 * 4);
+    });
+
+    it("saves and restores the latches", function () {
+      ppuRead(nes, 0x1fd8);
+      let state = nes.saveState();
+      ppuRead(nes, 0x1fe8);
+      nes.cpu.write(0xd000, 5);
+      nes.loadState(state);
+      assert.equal(nes.mmap.latches[1], 0xfd);
+      assert.equal(nes.ppu.vramMem[0x1000], 3 * 4);
+      ppuRead(nes, 0x1fe8);
+      assert.equal(nes.ppu.vramMem[0x1000], 4 * 4);
+    });
+  });
+
+  describe("VRC2 and VRC4", function () {
+    let nes;
+    beforeEach(function () {
+      nes = new NES();
+      nes.loadROM(makeROM(21, 8, 32));
+    });
+
+    it("switches 8KB PRG-ROM banks", function () {
+      assert.deepEqual(
+        [0x8000, 0xa000, 0xc000, 0xe000].map((a) => nes.cpu.mem[a]),
+        [0, 0, 14, 15],
+      );
+      nes.cpu.write(0x8000, 3);
+      nes.cpu.write(0xa000, 4);
+      assert.equal(nes.cpu.mem[0x8000], 3);
+      assert.equal(nes.cpu.mem[0xa000], 4);
+
+      // Swap mode moves the switchable bank to $C000:
+      nes.cpu.write(0x9004, 0x02);
+      assert.equal(nes.cpu.mem[0x8000], 14);
+      assert.equal(nes.cpu.mem[0xc000], 3);
+    });
+
+    it("switches 1KB CHR-ROM banks written a nibble at a time", function () {
+      nes.cpu.write(0xd000, 0x03); // bank 4, low nibble
+      nes.cpu.write(0xd002, 0x0f); // bank 4, high nibble
+      assert.equal(nes.ppu.vramMem[0x1000], 0xf3);
+      nes.cpu.write(0xe006, 0x01); // bank 7, high nibble
+      nes.cpu.write(0xe004, 0x02); // bank 7, low nibble
+      assert.equal(nes.ppu.vramMem[0x1c00], 0x12);
+    });
+
+    it("decodes registers from the address lines of each board", function () {
+      // VRC4a (A1, A2) and VRC4c (A6, A7) both answer on mapper 21:
+      nes.cpu.write(0xb002, 0x05);
+      assert.equal(nes.ppu.vramMem[0x0000], 0x50);
+      nes.cpu.write(0xb080, 0x06);
+      assert.equal(nes.ppu.vramMem[0x0400], 0x06);
+
+      // But only one does with a submapper:
+      nes.loadROM(makeROM(21, 8, 32, 0, 2));
+      nes.cpu.write(0xb002, 0x05);
+      assert.equal(nes.ppu.vramMem[0x0000], 0x05);
+
+      // VRC4e on mapper 23 uses A2 and A3:
+      nes.loadROM(makeROM(23, 8, 32, 0, 2));
+      nes.cpu.write(0xc008, 0x07);
+      nes.cpu.write(0xc00c, 0x01);
+      assert.equal(nes.ppu.vramMem[0x0c00], 0x17);
+
+      // VRC4b on mapper 25 swaps A0 and A1:
+      nes.loadROM(makeROM(25, 8, 32, 0, 1));
+      nes.cpu.write(0xc002, 0x02);
+      assert.equal(nes.ppu.vramMem[0x0800], 0x20);
+    });
+
+    it("halves CHR bank numbers and has a microwire latch on VRC2a", function () {
+      nes.loadROM(makeROM(22, 8, 32));
+      nes.cpu.write(0xb000, 0x06);
+      assert.equal(nes.ppu.vramMem[0x0000], 0x03);
+
+      nes.cpu.write(0x6000, 0xff);
+      assert.equal(nes.cpu.load(0x6000) & 1, 1);
+      nes.cpu.write(0x6000, 0xfe);
+      assert.equal(nes.cpu.load(0x6000) & 1, 0);
+
+      // VRC2 has no IRQ:
+      nes.cpu.write(0xf002, 0x06);
+      assert.isFalse(nes.mmap.irq.enabled);
+    });
+
+    it("sets mirroring", function () {
+      nes.cpu.write(0x9000, 1);
+      assert.equal(nes.ppu.currentMirroring, nes.rom.HORIZONTAL_MIRRORING);
+      nes.cpu.write(0x9000, 3);
+      assert.equal(nes.ppu.currentMirroring, nes.rom.SINGLESCREEN_MIRRORING2);
+    });
+
+    it("raises IRQs in CPU cycle mode", function () {
+      nes.cpu.write(0xf000, 0x0c); // latch $FC
+      nes.cpu.write(0xf002, 0x0f);
+      nes.cpu.write(0xf004, 0x07); // enabled, cycle mode, re-enable on ack
+      nes.mmap.clockCpu(3);
+      assert.isFalse(nes.mmap.irq.pending);
+      nes.mmap.clockCpu(1);
+      assert.isTrue(nes.mmap.irq.pending);
+      assert.isTrue(nes.cpu.irqRequested);
+
+      nes.cpu.write(0xf006, 0);
+      assert.isFalse(nes.mmap.irq.pending);
+      assert.isTrue(nes.mmap.irq.enabled);
+      assert.equal(nes.mmap.irq.counter, 0xfc);
+    });
+
+    it("raises IRQs every scanline in prescaler mode", function () {
+      nes.cpu.write(0xf000, 0x0f);
+      nes.cpu.write(0xf002, 0x0f); // latch $FF
+      nes.cpu.write(0xf004, 0x02);
+      nes.mmap.clockCpu(113);
+      assert.isFalse(nes.mmap.irq.pending);
+      nes.mmap.clockCpu(1);
+      assert.isTrue(nes.mmap.irq.pending);
+      nes.cpu.write(0xf006, 0);
+      assert.isFalse(nes.mmap.irq.enabled);
+
+      nes.cpu.write(0xf004, 0x02);
+      nes.mmap.clockCpu(341);
+      assert.isTrue(nes.mmap.irq.pending);
+    });
+
+    it("saves and restores its registers", function () {
+      nes.cpu.write(0x8000, 5);
+      nes.cpu.write(0xd000, 9);
+      nes.cpu.write(0xf004, 0x02);
+      let state = nes.saveState();
+      nes.loadROM(makeROM(21, 8, 32));
+      nes.loadState(state);
+      assert.equal(nes.cpu.mem[0x8000], 5);
+      assert.equal(nes.ppu.vramMem[0x1000], 9);
+      assert.isTrue(nes.mmap.irq.enabled);
+      nes.cpu.write(0xd002, 1);
+      assert.equal(nes.ppu.vramMem[0x1000], 0x19);
+    });
+  });
+
+  describe("VRC6", function () {
+    let nes;
+    beforeEach(function () {
+      nes = new NES();
+      nes.loadROM(makeROM(24, 8, 32));
+    });
+
+    it("switches 16KB and 8KB PRG-ROM banks", function () {
+      assert.deepEqual(
+        [0x8000, 0xa000, 0xc000, 0xe000].map((a) => nes.cpu.mem[a]),
+        [0, 1, 14, 15],
+      );
+      nes.cpu.write(0x8000, 3);
+      nes.cpu.write(0xc000, 4);
+      assert.deepEqual(
+        [0x8000, 0xa000, 0xc000, 0xe000].map((a) => nes.cpu.mem[a]),
+        [6, 7, 4, 15],
+      );
+    });
+
+    it("switches CHR-ROM banks by banking mode", function () {
+      for (let i = 0; i < 4; i++) {
+        nes.cpu.write(0xd000 + i, 10 + i);
+        nes.cpu.write(0xe000 + i, 20 + i);
+      }
+      assert.equal(nes.ppu.vramMem[0x0400], 11);
+      assert.equal(nes.ppu.vramMem[0x1c00], 23);
+
+      // 2KB banks, ignoring the lowest bit of the bank number:
+      nes.cpu.write(0xb003, 0x01);
+      assert.equal(nes.ppu.vramMem[0x0000], 10);
+      assert.equal(nes.ppu.vramMem[0x0400], 11);
+      assert.equal(nes.ppu.vramMem[0x0800], 10);
+      assert.equal(nes.ppu.vramMem[0x1800], 12);
+
+      // 1KB banks below, 2KB banks above:
+      nes.cpu.write(0xb003, 0x02);
+      assert.equal(nes.ppu.vramMem[0x0c00], 13);
+      assert.equal(nes.ppu.vramMem[0x1000], 20);
+      assert.equal(nes.ppu.vramMem[0x1c00], 21);
+    });
+
+    it("swaps the register lines on VRC6b", function () {
+      nes.loadROM(makeROM(26, 8, 32));
+      nes.cpu.write(0xd001, 5);
+      assert.equal(nes.ppu.vramMem[0x0800], 5);
+      nes.cpu.write(0xd002, 6);
+      assert.equal(nes.ppu.vramMem[0x0400], 6);
+    });
+
+    it("raises IRQs from the VRC IRQ counter", function () {
+      nes.cpu.write(0xf000, 0xfe);
+      nes.cpu.write(0xf001, 0x07);
+      nes.mmap.clockCpu(1);
+      assert.isFalse(nes.mmap.irq.pending);
+      nes.mmap.clockCpu(1);
+      assert.isTrue(nes.mmap.irq.pending);
+      assert.isTrue(nes.cpu.irqRequested);
+      nes.cpu.write(0xf002, 0);
+      assert.isFalse(nes.mmap.irq.pending);
+      assert.isTrue(nes.mmap.irq.enabled);
+    });
+
+    it("plays the pulse channels", function () {
+      // Digitized mode outputs the volume constantly:
+      nes.cpu.write(0x9000, 0x8f);
+      nes.cpu.write(0x9002, 0x80);
+      nes.mmap.clockCpu(10);
+      assert.closeTo(nes.mmap.getAudioSample(), 3970, 1);
+
+      // A duty of 1/16 outputs the volume for one step in 16:
+      nes.cpu.write(0xa000, 0x0f);
+      nes.cpu.write(0xa001, 0x0f);
+      nes.cpu.write(0xa002, 0x80);
+      nes.mmap.clockCpu(16 * 16);
+      assert.closeTo(nes.mmap.getAudioSample(), 3970 + 3970 / 16, 1);
+
+      // $9003 halts the channels:
+      nes.cpu.write(0x9003, 0x01);
+      let step = nes.mmap.pulse2.step;
+      nes.mmap.clockCpu(100);
+      assert.equal(nes.mmap.pulse2.step, step);
+    });
+
+    it("plays the sawtooth channel", function () {
+      nes.cpu.write(0xb000, 0x08);
+      nes.cpu.write(0xb002, 0x80);
+      let samples = [];
+      for (let i = 0; i < 14; i++) {
+        nes.mmap.clockCpu(1);
+        samples.push(nes.mmap.saw.getOutput());
+      }
+      // The accumulator adds the rate every other step, then resets:
+      assert.deepEqual(samples, [0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 0]);
+    });
+
+    it("saves and restores its registers and sound channels", function () {
+      nes.cpu.write(0x8000, 2);
+      nes.cpu.write(0xe003, 9);
+      nes.cpu.write(0x9000, 0x8f);
+      nes.cpu.write(0x9002, 0x80);
+      let state = nes.saveState();
+      nes.loadROM(makeROM(24, 8, 32));
+      nes.loadState(state);
+      assert.equal(nes.cpu.mem[0x8000], 4);
+      assert.equal(nes.ppu.vramMem[0x1c00], 9);
+      nes.mmap.clockCpu(1);
+      assert.closeTo(nes.mmap.getAudioSample(), 3970, 1);
+    });
+  });
+
+  describe("VRC7", function () {
+    let nes;
+    beforeEach(function () {
+      nes = new NES();
+      nes.loadROM(makeROM(85, 8, 32));
+    });
+
+    function writeOPLL(reg, value) {
+      nes.cpu.write(0x9010, reg);
+      nes.cpu.write(0x9030, value);
+    }
+
+    // Runs the OPLL for a number of its samples, returning them.
+    function runOPLL(count) {
+      let samples = [];
+      for (let i = 0; i < count; i++) {
+        nes.mmap.clockCpu(36);
+        samples.push(nes.mmap.opll.output);
+      }
+      return samples;
+    }
+
+    // Plays a sine wave at about 388Hz on channel 0 with the custom
+    // instrument: a silent modulator and a carrier that attacks instantly.
+    function playSine() {
+      [0x20, 0x21, 0x3f, 0x00, 0xf0, 0xf0, 0x00, 0x00].forEach((v, i) =>
+        writeOPLL(i, v),
+      );
+      writeOPLL(0x10, 0x00);
+      writeOPLL(0x30, 0x00);
+      writeOPLL(0x20, 0x19); // key on, block 4, F-number $100
+    }
+
+    it("switches 8KB PRG-ROM banks", function () {
+      assert.deepEqual(
+        [0x8000, 0xa000, 0xc000, 0xe000].map((a) => nes.cpu.mem[a]),
+        [0, 0, 0, 15],
+      );
+      nes.cpu.write(0x8000, 3);
+      nes.cpu.write(0x8010, 4);
+      nes.cpu.write(0x9000, 5);
+      assert.deepEqual(
+        [0x8000, 0xa000, 0xc000, 0xe000].map((a) => nes.cpu.mem[a]),
+        [3, 4, 5, 15],
+      );
+
+      // VRC7b uses A3 instead of A4:
+      nes.loadROM(makeROM(85, 8, 32, 0, 1));
+      nes.cpu.write(0x8010, 6);
+      nes.cpu.write(0x8008, 7);
+      assert.equal(nes.cpu.mem[0x8000], 6);
+      assert.equal(nes.cpu.mem[0xa000], 7);
+    });
+
+    it("switches 1KB CHR-ROM banks and sets mirroring", function () {
+      nes.cpu.write(0xa010, 11);
+      nes.cpu.write(0xd000, 16);
+      nes.cpu.write(0xd010, 17);
+      assert.equal(nes.ppu.vramMem[0x0400], 11);
+      assert.equal(nes.ppu.vramMem[0x1800], 16);
+      assert.equal(nes.ppu.vramMem[0x1c00], 17);
+
+      nes.cpu.write(0xe000, 1);
+      assert.equal(nes.ppu.currentMirroring, nes.rom.HORIZONTAL_MIRRORING);
+      nes.cpu.write(0xe000, 3);
+      assert.equal(nes.ppu.currentMirroring, nes.rom.SINGLESCREEN_MIRRORING2);
+    });
+
+    it("raises IRQs from the VRC IRQ counter", function () {
+      nes.cpu.write(0xe010, 0xfe);
+      nes.cpu.write(0xf000, 0x07);
+      nes.mmap.clockCpu(2);
+      assert.isTrue(nes.mmap.irq.pending);
+      assert.isTrue(nes.cpu.irqRequested);
+      nes.cpu.write(0xf010, 0);
+      assert.isFalse(nes.mmap.irq.pending);
+    });
+
+    it("plays FM tones at the channel's frequency", function () {
+      playSine();
+      let samples = runOPLL(12429); // a quarter of a second
+      let cycles = 0;
+      for (let i = 1; i < samples.length; i++) {
+        if (samples[i - 1] >= 0 && samples[i] < 0) {
+          cycles++;
+        }
+      }
+      assert.closeTo(cycles, 97, 2);
+      assert.isAbove(Math.max(...samples), 4000);
+
+      // Each step of the channel's volume is 3dB quieter:
+      writeOPLL(0x30, 0x02);
+      assert.closeTo(Math.max(...runOPLL(200)), 2048, 100);
+    });
+
+    it("releases notes after key off", function () {
+      writeOPLL(0x10, 0x80);
+      writeOPLL(0x30, 0x10); // instrument 1
+      writeOPLL(0x20, 0x18);
+      let samples = runOPLL(1000);
+      assert.isAbove(Math.max(...samples), 1000);
+
+      writeOPLL(0x20, 0x08);
+      runOPLL(20000);
+      assert.equal(nes.mmap.opll.envelope[1], 127);
+      assert.deepEqual(runOPLL(10), new Array(10).fill(0));
+    });
+
+    it("silences and resets the OPLL from $E000", function () {
+      playSine();
+      runOPLL(100);
+      nes.cpu.write(0xe000, 0x80);
+      assert.equal(nes.mmap.getAudioSample(), 0);
+      writeOPLL(0x20, 0x19);
+      assert.equal(nes.mmap.opll.regs[0x20], 0);
+
+      nes.cpu.write(0xe000, 0x00);
+      playSine();
+      runOPLL(100);
+      assert.notEqual(nes.mmap.getAudioSample(), 0);
+    });
+
+    it("saves and restores the OPLL", function () {
+      nes.cpu.write(0xa000, 9);
+      playSine();
+      runOPLL(1000);
+      let state = nes.saveState();
+      let expected = runOPLL(100);
+      nes.loadROM(makeROM(85, 8, 32));
+      nes.loadState(state);
+      assert.equal(nes.ppu.vramMem[0x0000], 9);
+      assert.deepEqual(runOPLL(100), expected);
+    });
+  });
+
+  describe("FME-7 and 5B", function () {
+    let nes;
+    beforeEach(function () {
+      nes = new NES();
+      nes.loadROM(makeROM(69, 8, 32));
+    });
+
+    function writeCommand(command, value) {
+      nes.cpu.write(0x8000, command);
+      nes.cpu.write(0xa000, value);
+    }
+
+    function write5B(reg, value) {
+      nes.cpu.write(0xc000, reg);
+      nes.cpu.write(0xe000, value);
+    }
+
+    it("switches 8KB PRG-ROM banks", function () {
+      assert.deepEqual(
+        [0x8000, 0xa000, 0xc000, 0xe000].map((a) => nes.cpu.mem[a]),
+        [0, 0, 0, 15],
+      );
+      writeCommand(0x9, 3);
+      writeCommand(0xa, 4);
+      writeCommand(0xb, 5);
+      assert.deepEqual(
+        [0x8000, 0xa000, 0xc000, 0xe000].map((a) => nes.cpu.mem[a]),
+        [3, 4, 5, 15],
+      );
+    });
+
+    it("maps PRG-ROM or RAM at $6000", function () {
+      writeCommand(0x8, 0x06);
+      assert.equal(nes.cpu.load(0x6000), 6);
+      nes.cpu.write(0x6000, 0x42);
+      assert.equal(nes.cpu.load(0x6000), 6);
+
+      // RAM, enabled:
+      writeCommand(0x8, 0xc0);
+      nes.cpu.write(0x6000, 0x42);
+      assert.equal(nes.cpu.load(0x6000), 0x42);
+
+      // RAM, disabled:
+      writeCommand(0x8, 0x40);
+      nes.cpu.write(0x6000, 0x43);
+      nes.cpu.dataBus = 0x60;
+      assert.equal(nes.mmap.load(0x6000), 0x60);
+      writeCommand(0x8, 0xc0);
+      assert.equal(nes.cpu.load(0x6000), 0x42);
+    });
+
+    it("switches 1KB CHR-ROM banks and sets mirroring", function () {
+      writeCommand(0x1, 11);
+      writeCommand(0x7, 17);
+      assert.equal(nes.ppu.vramMem[0x0400], 11);
+      assert.equal(nes.ppu.vramMem[0x1c00], 17);
+
+      writeCommand(0xc, 1);
+      assert.equal(nes.ppu.currentMirroring, nes.rom.HORIZONTAL_MIRRORING);
+      writeCommand(0xc, 2);
+      assert.equal(nes.ppu.currentMirroring, nes.rom.SINGLESCREEN_MIRRORING);
+    });
+
+    it("raises IRQs when the cycle counter wraps", function () {
+      writeCommand(0xe, 0x10);
+      writeCommand(0xf, 0x00);
+      writeCommand(0xd, 0x81);
+      nes.mmap.clockCpu(16);
+      assert.isFalse(nes.mmap.irqPending);
+      nes.mmap.clockCpu(1);
+      assert.isTrue(nes.mmap.irqPending);
+      assert.isTrue(nes.cpu.irqRequested);
+      assert.equal(nes.mmap.irqCounter, 0xffff);
+
+      writeCommand(0xd, 0x80);
+      assert.isFalse(nes.mmap.irqPending);
+      nes.mmap.clockCpu(0x10000);
+      assert.isFalse(nes.mmap.irqPending);
+    });
+
+    it("plays square waves", function () {
+      write5B(0x0, 0x10); // period 16, 512 cycles
+      write5B(0x7, 0x3e); // channel A tone only
+      write5B(0x8, 0x0f);
+      let samples = [];
+      for (let i = 0; i < 32; i++) {
+        nes.mmap.clockCpu(32);
+        samples.push(nes.mmap.getAudioSample());
+      }
+      // Full volume for half of each 512 cycles:
+      assert.deepEqual(
+        samples.slice(7, 23),
+        new Array(8).fill(3970).concat(new Array(8).fill(0)),
+      );
+      assert.deepEqual(samples.slice(23, 31), samples.slice(7, 15));
+
+      // Each volume step is 3dB quieter:
+      write5B(0x7, 0x3f);
+      write5B(0x8, 0x0d);
+      nes.mmap.clockCpu(32);
+      assert.closeTo(nes.mmap.getAudioSample(), 3970 / 2, 10);
+    });
+
+    it("plays noise", function () {
+      write5B(0x6, 0x01);
+      write5B(0x7, 0x37); // channel A noise only
+      write5B(0x8, 0x0f);
+      let levels = new Set();
+      for (let i = 0; i < 100; i++) {
+        nes.mmap.clockCpu(32);
+        levels.add(nes.mmap.getAudioSample());
+      }
+      assert.deepEqual([...levels].sort(), [0, 3970]);
+    });
+
+    it("steps the envelope", function () {
+      write5B(0x7, 0x3f);
+      write5B(0x8, 0x10);
+      write5B(0xb, 0x01); // a step every 16 cycles
+      write5B(0xd, 0x0d); // attack, then hold at the top
+      let levels = [];
+      for (let i = 0; i < 34; i++) {
+        levels.push(nes.mmap.audio.envelopeLevel);
+        nes.mmap.clockCpu(16);
+      }
+      assert.deepEqual(levels.slice(0, 4), [0, 1, 2, 3]);
+      assert.equal(levels[31], 31);
+      assert.equal(levels[33], 31);
+      nes.mmap.getAudioSample();
+      nes.mmap.clockCpu(16);
+      assert.closeTo(nes.mmap.getAudioSample(), 3970, 1);
+
+      // Triangle:
+      write5B(0xd, 0x0e);
+      for (let i = 0; i < 40; i++) {
+        nes.mmap.clockCpu(16);
+      }
+      assert.equal(nes.mmap.audio.envelopeLevel, 31 - 8);
+    });
+
+    it("saves and restores its registers and sound", function () {
+      writeCommand(0x8, 0xc0);
+      writeCommand(0xe, 0x34);
+      writeCommand(0xd, 0x81);
+      write5B(0x0, 0x10);
+      write5B(0x8, 0x0f);
+      let state = nes.saveState();
+      nes.loadROM(makeROM(69, 8, 32));
+      nes.loadState(state);
+      assert.equal(nes.mmap.prgRamControl, 0xc0);
+      assert.equal(nes.mmap.irqCounter, 0x34);
+      assert.isTrue(nes.mmap.irqCounterEnabled);
+      assert.equal(nes.mmap.audio.regs[8], 0x0f);
+      assert.equal(nes.mmap.audio.getTonePeriod(0), 0x10);
+    });
+  });
+
+  describe("N163", function () {
+    let nes;
+    beforeEach(function () {
+      nes = new NES();
+      nes.loadROM(makeROM(19, 8, 32));
+    });
+
+    it("switches 8KB PRG-ROM banks", function () {
+      assert.deepEqual(
+        [0x8000, 0xa000, 0xc000, 0xe000].map((a) => nes.cpu.mem[a]),
+        [0, 0, 0, 15],
+      );
+      nes.cpu.write(0xe000, 3);
+      nes.cpu.write(0xe800, 4);
+      nes.cpu.write(0xf000, 5);
+      assert.deepEqual(
+        [0x8000, 0xa000, 0xc000, 0xe000].map((a) => nes.cpu.mem[a]),
+        [3, 4, 5, 15],
+      );
+    });
+
+    it("maps CHR-ROM or CIRAM into the pattern tables", function () {
+      nes.cpu.write(0x8800, 9);
+      nes.cpu.write(0xb800, 0xdf);
+      assert.equal(ppuRead(nes, 0x0400), 9);
+      assert.equal(ppuRead(nes, 0x1c00), 0xdf);
+
+      // CIRAM is writable through either place it's mapped:
+      nes.cpu.write(0x8000, 0xe1);
+      ppuWrite(nes, 0x0010, 0xff);
+      assert.equal(ppuRead(nes, 0x2410), 0xff);
+      ppuWrite(nes, 0x2400, 0x81);
+      assert.equal(ppuRead(nes, 0x0000), 0x81);
+      assert.equal(nes.ppu.ptTile[0].pix[0], 1);
+      assert.equal(nes.ppu.ptTile[1].pix[0], 1);
+
+      // Unless $E800 turns CIRAM off for that half:
+      nes.cpu.write(0xe800, 0x40);
+      assert.equal(ppuRead(nes, 0x0000), 0xe1);
+      nes.cpu.write(0xe800, 0x00);
+      assert.equal(ppuRead(nes, 0x0000), 0x81);
+    });
+
+    it("maps CIRAM or CHR-ROM into the nametables", function () {
+      // Horizontal mirroring:
+      [0xe0, 0xe0, 0xe1, 0xe1].forEach((v, i) =>
+        nes.cpu.write(0xc000 + (i << 11), v),
+      );
+      ppuWrite(nes, 0x2000, 0x11);
+      ppuWrite(nes, 0x2800, 0x22);
+      assert.equal(ppuRead(nes, 0x2400), 0x11);
+      assert.equal(ppuRead(nes, 0x2c00), 0x22);
+      assert.equal(nes.ppu.nameTable[1].tile[0], 0x11);
+
+      // CHR-ROM can't be written:
+      nes.cpu.write(0xd800, 0x05);
+      ppuWrite(nes, 0x2c00, 0x33);
+      assert.equal(ppuRead(nes, 0x2c00), 5);
+      assert.equal(nes.ppu.nameTable[3].tile[0], 5);
+      assert.equal(ppuRead(nes, 0x2800), 0x22);
+    });
+
+    it("raises IRQs when the counter reaches $7FFF", function () {
+      nes.cpu.write(0x5000, 0xfd);
+      nes.cpu.write(0x5800, 0xff);
+      nes.mmap.clockCpu(1);
+      assert.isFalse(nes.mmap.irqPending);
+      assert.equal(nes.cpu.load(0x5000), 0xfe);
+      nes.mmap.clockCpu(5);
+      assert.isTrue(nes.mmap.irqPending);
+      assert.isTrue(nes.cpu.irqRequested);
+      assert.equal(nes.cpu.load(0x5000), 0xff);
+      assert.equal(nes.cpu.load(0x5800), 0xff);
+
+      nes.cpu.write(0x5800, 0x7f);
+      assert.isFalse(nes.mmap.irqPending);
+    });
+
+    it("reads and writes sound RAM with auto-increment", function () {
+      nes.cpu.write(0xf800, 0x80 | 0x10);
+      nes.cpu.write(0x4800, 0x12);
+      nes.cpu.write(0x4800, 0x34);
+      nes.cpu.write(0xf800, 0x10);
+      assert.equal(nes.cpu.load(0x4800), 0x12);
+      assert.equal(nes.cpu.load(0x4800), 0x12);
+      nes.cpu.write(0xf800, 0x91);
+      assert.equal(nes.cpu.load(0x4800), 0x34);
+      assert.equal(nes.mmap.audio.address, 0x12);
+    });
+
+    it("protects PRG-RAM from writes unless enabled", function () {
+      nes.cpu.write(0x6000, 0x42);
+      assert.notEqual(nes.cpu.load(0x6000), 0x42);
+      nes.cpu.write(0xf800, 0x42); // writable, apart from $6800-$6FFF
+      nes.cpu.write(0x6000, 0x42);
+      nes.cpu.write(0x6800, 0x42);
+      assert.equal(nes.cpu.load(0x6000), 0x42);
+      assert.notEqual(nes.cpu.load(0x6800), 0x42);
+    });
+
+    it("plays wavetable channels one at a time", function () {
+      // A waveform of 4 samples: 15, 15, 0, 0
+      nes.cpu.write(0xf800, 0x80);
+      nes.cpu.write(0x4800, 0xff);
+      nes.cpu.write(0x4800, 0x00);
+
+      // Channel 7, a sample every update, at full volume:
+      nes.cpu.write(0xf800, 0x80 | 0x78);
+      [0x00, 0x00, 0x00, 0x00, 0xfc, 0x00, 0x00, 0x0f].forEach((v) =>
+        nes.cpu.write(0x4800, v),
+      );
+      nes.mmap.audio.ram[0x78] = 0x00;
+      nes.mmap.audio.ram[0x7c] = 0xfc | 0x01; // frequency $10000
+      nes.mmap.clockCpu(15);
+      let samples = [];
+      for (let i = 0; i < 4; i++) {
+        nes.mmap.clockCpu(15);
+        samples.push(nes.mmap.audio.output);
+      }
+      assert.deepEqual(samples, [-120, -120, 105, 105]);
+
+      // With two channels, channel 6 (silent) takes every other update:
+      nes.mmap.audio.ram[0x7f] = 0x1f;
+      samples = [];
+      for (let i = 0; i < 4; i++) {
+        nes.mmap.clockCpu(15);
+        samples.push(nes.mmap.audio.output);
+      }
+      assert.deepEqual(samples, [0, -120, 0, -120]);
+
+      // $E000 bit 6 turns the sound off:
+      nes.cpu.write(0xe000, 0x40);
+      assert.equal(nes.mmap.getAudioSample(), 0);
+    });
+
+    it("saves sound RAM with the battery RAM", function () {
+      nes.loadROM(makeROM(19, 8, 32, 0x02));
+      nes.cpu.write(0xf800, 0x40);
+      nes.cpu.write(0x6000, 0x42);
+      nes.cpu.write(0x4800, 0x99);
+      let data = nes.mmap.getBatteryRam();
+      assert.equal(data.length, 0x2000 + 128);
+      assert.equal(data[0], 0x42);
+      assert.equal(data[0x2000 + 0x40], 0x99);
+
+      nes.reset();
+      assert.equal(nes.mmap.audio.ram[0x40], 0x99);
+      nes.mmap.audio.ram[0x40] = 0;
+      nes.mmap.setBatteryRam(data);
+      assert.equal(nes.mmap.audio.ram[0x40], 0x99);
+    });
+
+    it("saves and restores its registers and CIRAM", function () {
+      nes.cpu.write(0x8000, 0xe0);
+      ppuWrite(nes, 0x0000, 0x81);
+      nes.cpu.write(0x5800, 0x80);
+      let state = nes.saveState();
+      nes.loadROM(makeROM(19, 8, 32));
+      nes.loadState(state);
+      assert.equal(ppuRead(nes, 0x2000), 0x81);
+      assert.isTrue(nes.mmap.irqEnabled);
+      ppuWrite(nes, 0x2001, 0x42);
+      assert.equal(ppuRead(nes, 0x0001), 0x42);
+    });
+  });
+
+  describe("MMC5", function () {
+    let nes;
+    beforeEach(function () {
+      nes = new NES();
+      nes.loadROM(makeROM(5, 16, 16));
+    });
+
+    it("switches PRG-ROM banks in each PRG mode", function () {
+      const banks = () =>
+        [0x8000, 0xa000, 0xc000, 0xe000].map((a) => nes.cpu.load(a));
+      nes.cpu.write(0x5114, 0x83);
+      nes.cpu.write(0x5115, 0x84);
+      nes.cpu.write(0x5116, 0x85);
+      assert.deepEqual(banks(), [3, 4, 5, 31]);
+
+      nes.cpu.write(0x5100, 0);
+      nes.cpu.write(0x5117, 0x85);
+      assert.deepEqual(banks(), [4, 5, 6, 7]);
+
+      nes.cpu.write(0x5100, 1);
+      nes.cpu.write(0x5115, 0x87);
+      nes.cpu.write(0x5117, 0xff);
+      assert.deepEqual(banks(), [6, 7, 30, 31]);
+
+      nes.cpu.write(0x5100, 2);
+      nes.cpu.write(0x5116, 0x89);
+      assert.deepEqual(banks(), [6, 7, 9, 31]);
+    });
+
+    it("maps banked PRG-RAM at $6000 and in place of ROM", function () {
+      nes.cpu.write(0x5113, 2);
+      nes.cpu.write(0x6000, 0x42);
+      assert.notEqual(nes.cpu.load(0x6000), 0x42);
+
+      nes.cpu.write(0x5102, 2);
+      nes.cpu.write(0x5103, 1);
+      nes.cpu.write(0x6000, 0x42);
+      assert.equal(nes.cpu.load(0x6000), 0x42);
+      assert.equal(nes.mmap.prgRam[0x4000], 0x42);
+
+      nes.cpu.write(0x5114, 0x02);
+      assert.equal(nes.cpu.load(0x8000), 0x42);
+      assert.equal(nes.mmap.getPrgBank(0x8000), -1);
+      nes.cpu.write(0x8001, 0x43);
+      nes.cpu.write(0x5113, 0);
+      assert.equal(nes.cpu.load(0x8001), 0x43);
+      assert.notEqual(nes.cpu.load(0x6001), 0x43);
+    });
+
+    it("multiplies with $5205 and $5206", function () {
+      nes.cpu.write(0x5205, 200);
+      nes.cpu.write(0x5206, 100);
+      assert.equal(nes.cpu.load(0x5205), 0x20);
+      assert.equal(nes.cpu.load(0x5206), 0x4e);
+    });
+
+    it("raises IRQs at the scanline in $5203", function () {
+      nes.cpu.write(0x2001, 0x18);
+      nes.cpu.write(0x5203, 3);
+      nes.cpu.write(0x5204, 0x80);
+      nes.ppu.scanline = 20;
+      nes.mmap.clockIrqCounter();
+      assert.equal(nes.cpu.load(0x5204), 0x40);
+      for (let scanline = 21; scanline < 23; scanline++) {
+        nes.ppu.scanline = scanline;
+        nes.mmap.clockIrqCounter();
+      }
+      assert.isFalse(nes.mmap.irqPending);
+      nes.ppu.scanline = 23;
+      nes.mmap.clockIrqCounter();
+      nes.mmap.clockCpu(1);
+      assert.isTrue(nes.cpu.irqRequested);
+
+      // Reading $5204 acknowledges it:
+      assert.equal(nes.cpu.load(0x5204), 0xc0);
+      assert.equal(nes.cpu.load(0x5204), 0x40);
+
+      // Which also works while running frames:
+      nes.frame();
+      nes.frame();
+      assert.equal(nes.cpu.load(0x5204), 0x80);
+    });
+
+    it("maps nametables to CIRAM, ExRAM or fill mode", function () {
+      nes.cpu.write(0x5105, 0xe4);
+      ppuWrite(nes, 0x2000, 0x11);
+      ppuWrite(nes, 0x2400, 0x22);
+      assert.equal(nes.mmap.ciram[0x000], 0x11);
+      assert.equal(nes.mmap.ciram[0x400], 0x22);
+
+      // ExRAM, which the CPU can write to but not read in mode 0:
+      ppuWrite(nes, 0x2800, 0x33);
+      nes.cpu.write(0x5c01, 0x44);
+      assert.equal(nes.mmap.exram[0], 0x33);
+      assert.equal(ppuRead(nes, 0x2801), 0x44);
+      nes.cpu.write(0x5c02, 0x00);
+      assert.equal(nes.cpu.load(0x5c01), 0x00); // open bus
+      nes.cpu.write(0x5104, 2);
+      assert.equal(ppuRead(nes, 0x2801), 0);
+      assert.equal(nes.cpu.load(0x5c01), 0x44);
+
+      // Fill mode:
+      nes.cpu.write(0x5106, 0x7e);
+      nes.cpu.write(0x5107, 2);
+      ppuWrite(nes, 0x2c00, 0x55);
+      assert.equal(ppuRead(nes, 0x2c00), 0x7e);
+      assert.equal(ppuRead(nes, 0x2fc0), 0xaa);
+      assert.equal(nes.ppu.nameTable[3].getAttrib(0, 0), 8);
+    });
+
+    it("fetches tiles with extended attributes", function () {
+      nes.cpu.write(0x5104, 1);
+      nes.cpu.write(0x5c21, 0xc5);
+      ppuWrite(nes, 0x2021, 0x10);
+      Object.assign(nes.ppu, { curNt: 0, cntHT: 1, cntVT: 1, cntFV: 3 });
+      const fetched = nes.mmap.fetchBgTile(1, 11);
+      assert.strictEqual(fetched.tile, nes.rom.vromTile[5][0x10]);
+      assert.equal(fetched.attrib, 12);
+      assert.equal(fetched.row, 3);
+    });
+
+    it("draws the vertical split from ExRAM", function () {
+      nes.cpu.write(0x5200, 0x80 | 4);
+      nes.cpu.write(0x5201, 8);
+      nes.cpu.write(0x5202, 3);
+      nes.cpu.write(0x5c22, 0x21);
+      nes.cpu.write(0x5fc0, 0x0c);
+      ppuWrite(nes, 0x2000, 0x10);
+      Object.assign(nes.ppu, { curNt: 0, cntHT: 0, cntVT: 0, cntFV: 2 });
+
+      // Scrolled down 8 lines, scanline 2 is in row 1 of the split:
+      let fetched = nes.mmap.fetchBgTile(2, 2);
+      assert.strictEqual(fetched.tile, nes.rom.vromTile[3][0x21]);
+      assert.equal(fetched.attrib, 12);
+      assert.equal(fetched.row, 2);
+
+      fetched = nes.mmap.fetchBgTile(4, 2);
+      assert.strictEqual(fetched.tile, nes.ppu.ptTile[0x10]);
+
+      // Or on the right:
+      nes.cpu.write(0x5200, 0xc0 | 4);
+      fetched = nes.mmap.fetchBgTile(4, 2);
+      assert.strictEqual(fetched.tile, nes.rom.vromTile[3][0]);
+    });
+
+    it("uses CHR set B for backgrounds with 8x16 sprites", function () {
+      nes.cpu.write(0x5101, 3);
+      nes.cpu.write(0x5120, 10);
+      nes.cpu.write(0x5128, 21);
+      assert.equal(ppuRead(nes, 0x0000), 21);
+      assert.equal(ppuRead(nes, 0x1000), 21);
+
+      nes.cpu.write(0x2000, 0x20);
+      assert.equal(ppuRead(nes, 0x0000), 10);
+      Object.assign(nes.ppu, { curNt: 0, cntHT: 0, cntVT: 0, cntFV: 0 });
+      const fetched = nes.mmap.fetchBgTile(0, 0);
+      assert.strictEqual(fetched.tile, nes.rom.vromTile[5][1 << 6]);
+    });
+
+    it("plays its pulse and PCM channels", function () {
+      nes.cpu.write(0x5015, 0x01);
+      nes.cpu.write(0x5000, 0xbf); // 50% duty, constant volume 15
+      nes.cpu.write(0x5002, 0x00);
+      nes.cpu.write(0x5003, 0x08);
+      assert.equal(nes.cpu.load(0x5015), 0x01);
+      nes.mmap.pulse1.getSample();
+      nes.mmap.clockCpu(160);
+      assert.closeTo(nes.mmap.pulse1.getSample(), 7.5, 0.01);
+
+      // Length counters run at 240Hz:
+      nes.cpu.write(0x5000, 0x9f);
+      nes.cpu.write(0x5003, 0x18); // a length of 2
+      nes.mmap.clockCpu(7457);
+      assert.equal(nes.cpu.load(0x5015), 0x01);
+      nes.mmap.clockCpu(7457);
+      assert.equal(nes.cpu.load(0x5015), 0x00);
+
+      nes.cpu.write(0x5011, 0x80);
+      nes.cpu.write(0x5011, 0x00);
+      assert.equal(nes.mmap.pcmValue, 0x80);
+    });
+
+    it("saves all of PRG-RAM with the battery", function () {
+      nes.loadROM(makeROM(5, 16, 16, 0x02));
+      nes.cpu.write(0x5102, 2);
+      nes.cpu.write(0x5103, 1);
+      nes.cpu.write(0x5113, 7);
+      nes.cpu.write(0x7fff, 0x42);
+      const data = nes.mmap.getBatteryRam();
+      assert.equal(data.length, 0x10000);
+      assert.equal(data[0xffff], 0x42);
+
+      nes.reset();
+      assert.equal(nes.mmap.prgRam[0xffff], 0x42);
+    });
+
+    it("saves and restores its registers and memory", function () {
+      nes.cpu.write(0x5102, 2);
+      nes.cpu.write(0x5103, 1);
+      nes.cpu.write(0x5114, 0x01);
+      nes.cpu.write(0x8000, 0x42);
+      nes.cpu.write(0x5105, 0x02);
+      nes.cpu.write(0x5c00, 0x99);
+      const state = nes.saveState();
+      nes.loadROM(makeROM(5, 16, 16));
+      nes.loadState(state);
+      assert.equal(nes.cpu.load(0x8000), 0x42);
+      assert.equal(ppuRead(nes, 0x2000), 0x99);
+      ppuWrite(nes, 0x2000, 0x11);
+      assert.equal(nes.mmap.exram[0], 0x11);
+    });
+
+    it("only draws backgrounds itself when they need it", function () {
+      assert.isFalse(nes.mmap.bgTileFetches);
+      nes.cpu.write(0x5104, 1);
+      assert.isTrue(nes.mmap.bgTileFetches);
+      nes.cpu.write(0x5104, 0);
+      assert.isFalse(nes.mmap.bgTileFetches);
+
+      // The split, unless ExRAM isn't a nametable:
+      nes.cpu.write(0x5200, 0x80);
+      assert.isTrue(nes.mmap.bgTileFetches);
+      nes.cpu.write(0x5104, 2);
+      assert.isFalse(nes.mmap.bgTileFetches);
+      nes.cpu.write(0x5200, 0);
+
+      // Set B's CHR banks with 8x16 sprites:
+      nes.cpu.write(0x2000, 0x20);
+      assert.isTrue(nes.mmap.bgTileFetches);
+      nes.cpu.write(0x2000, 0);
+      assert.isFalse(nes.mmap.bgTileFetches);
+    });
+
+    it("loads JSON states from before it had its own", function () {
+      const state = JSON.parse(JSON.stringify(nes.toJSON()));
+      state.mmap = {
+        joy1StrobeState: 0,
+        joy2StrobeState: 0,
+        joypadLastWrite: 0,
+      };
+      state.cpu.mem[0x6000] = 0x42;
+      nes.fromJSON(state);
+      assert.equal(nes.mmap.prgRam[0], 0x42);
+      assert.equal(nes.mmap.prgMode, 3);
+      assert.deepEqual(nes.mmap.prgRegs, [0, 0, 0, 0, 0xff]);
+      nes.frame();
+    });
+  });
+
+  describe("Bandai FCG and LZ93D50", function () {
+    let nes;
+    beforeEach(function () {
+      nes = new NES();
+      nes.loadROM(makeROM(16, 16, 32, 0, 5));
+    });
+
+    // Drives the EEPROM's clock (SCL) and data (SDA) lines through $800D.
+    function i2c(scl, sda) {
+      nes.cpu.write(0x800d, (scl << 5) | (sda << 6));
+    }
+    function readSda() {
+      return (nes.cpu.load(0x6000) >> 4) & 1;
+    }
+    function start() {
+      i2c(0, 1);
+      i2c(1, 1);
+      i2c(1, 0);
+      i2c(0, 0);
+    }
+    function stop() {
+      i2c(0, 0);
+      i2c(1, 0);
+      i2c(1, 1);
+    }
+    // Sends a byte and returns the EEPROM's acknowledgement, 0 for yes.
+    function sendByte(value, lsbFirst) {
+      for (let i = 0; i < 8; i++) {
+        const bit = (value >> (lsbFirst ? i : 7 - i)) & 1;
+        i2c(0, bit);
+        i2c(1, bit);
+        i2c(0, bit);
+      }
+      i2c(1, 1);
+      const ack = readSda();
+      i2c(0, 1);
+      return ack;
+    }
+    function receiveByte(lsbFirst, ack) {
+      let value = 0;
+      for (let i = 0; i < 8; i++) {
+        i2c(1, 1);
+        value |= readSda() << (lsbFirst ? i : 7 - i);
+        i2c(0, 1);
+      }
+      const sda = ack ? 0 : 1;
+      i2c(0, sda);
+      i2c(1, sda);
+      i2c(0, sda);
+      return value;
+    }
+
+    it("switches PRG-ROM, CHR-ROM and mirroring at $8000", function () {
+      assert.equal(nes.cpu.mem[0x8000], 0);
+      assert.equal(nes.cpu.mem[0xc000], 30);
+      nes.cpu.write(0x8008, 5);
+      assert.equal(nes.cpu.mem[0x8000], 10);
+      assert.equal(nes.cpu.mem[0xc000], 30);
+
+      nes.cpu.write(0x8003, 0x21);
+      assert.equal(nes.ppu.vramMem[0x0c00], 0x21);
+
+      nes.cpu.write(0x8009, 1);
+      assert.equal(nes.ppu.currentMirroring, nes.rom.HORIZONTAL_MIRRORING);
+      nes.cpu.write(0x8009, 3);
+      assert.equal(nes.ppu.currentMirroring, nes.rom.SINGLESCREEN_MIRRORING2);
+
+      // The LZ93D50 ignores $6000:
+      nes.cpu.write(0x6008, 2);
+      assert.equal(nes.cpu.mem[0x8000], 10);
+    });
+
+    it("takes FCG register writes at $6000", function () {
+      nes.loadROM(makeROM(16, 16, 32, 0, 4));
+      nes.cpu.write(0x6008, 2);
+      assert.equal(nes.cpu.mem[0x8000], 4);
+      nes.cpu.write(0x8008, 3);
+      assert.equal(nes.cpu.mem[0x8000], 4);
+
+      // iNES 1.0 images take both:
+      nes.loadROM(makeROM(16, 16, 32));
+      nes.cpu.write(0x6008, 2);
+      assert.equal(nes.cpu.mem[0x8000], 4);
+      nes.cpu.write(0x8008, 3);
+      assert.equal(nes.cpu.mem[0x8000], 6);
+    });
+
+    it("counts down CPU cycles to an IRQ from the latch", function () {
+      nes.cpu.write(0x800b, 0x10);
+      nes.cpu.write(0x800c, 0x00);
+      assert.equal(nes.mmap.irqCounter, 0);
+      nes.cpu.write(0x800a, 1);
+      assert.equal(nes.mmap.irqCounter, 0x10);
+
+      nes.mmap.clockCpu(0x10);
+      assert.isFalse(nes.mmap.irqPending);
+      nes.mmap.clockCpu(1);
+      assert.isTrue(nes.mmap.irqPending);
+      assert.isTrue(nes.cpu.irqRequested);
+      assert.equal(nes.mmap.irqCounter, 0xffff);
+
+      // Writing $800A acknowledges it:
+      nes.cpu.write(0x800a, 0);
+      assert.isFalse(nes.mmap.irqPending);
+      nes.mmap.clockCpu(0x20000);
+      assert.isFalse(nes.mmap.irqPending);
+    });
+
+    it("sets the FCG's IRQ counter directly", function () {
+      nes.loadROM(makeROM(16, 16, 32, 0, 4));
+      nes.cpu.write(0x600b, 0x34);
+      nes.cpu.write(0x600c, 0x12);
+      assert.equal(nes.mmap.irqCounter, 0x1234);
+      nes.cpu.write(0x600a, 1);
+      assert.equal(nes.mmap.irqCounter, 0x1234);
+    });
+
+    it("writes and reads a 24C02 EEPROM", function () {
+      start();
+      assert.equal(sendByte(0xa0), 0); // device address, write
+      assert.equal(sendByte(0x10), 0); // word address
+      assert.equal(sendByte(0x12), 0);
+      assert.equal(sendByte(0x34), 0);
+      stop();
+      assert.deepEqual(
+        Array.from(nes.mmap.eeprom.data.subarray(0x10, 0x12)),
+        [0x12, 0x34],
+      );
+      assert.isTrue(nes.batteryRamDirty);
+
+      // A dummy write sets the address, then a repeated start reads:
+      start();
+      sendByte(0xa0);
+      sendByte(0x10);
+      start();
+      assert.equal(sendByte(0xa1), 0);
+      assert.equal(receiveByte(false, true), 0x12);
+      assert.equal(receiveByte(false, false), 0x34);
+      stop();
+
+      // Other device addresses are ignored:
+      start();
+      assert.equal(sendByte(0xb0), 1);
+      stop();
+    });
+
+    it("writes and reads a 24C01 EEPROM on mapper 159", function () {
+      nes.loadROM(makeROM(159, 16, 32));
+      start();
+      assert.equal(sendByte(0x05, true), 0); // address 5, write
+      assert.equal(sendByte(0x81, true), 0);
+      stop();
+      assert.equal(nes.mmap.eeprom.data.length, 128);
+      assert.equal(nes.mmap.eeprom.data[5], 0x81);
+
+      start();
+      assert.equal(sendByte(0x85, true), 0); // address 5, read
+      assert.equal(receiveByte(true, false), 0x81);
+      stop();
+    });
+
+    it("saves the EEPROM in place of battery RAM", function () {
+      nes.mmap.eeprom.data[0x42] = 0x99;
+      const data = nes.mmap.getBatteryRam();
+      assert.equal(data.length, 256);
+      assert.equal(data[0x42], 0x99);
+
+      nes.reset();
+      assert.equal(nes.mmap.eeprom.data[0x42], 0x99);
+      nes.loadROM(makeROM(16, 16, 32, 0, 5));
+      nes.mmap.setBatteryRam(data);
+      assert.equal(nes.mmap.eeprom.data[0x42], 0x99);
+    });
+
+    it("switches mapper 153's outer bank and PRG-RAM", function () {
+      nes.loadROM(makeROM(153, 32, 0, 0x02));
+      assert.equal(nes.cpu.mem[0xc000], 30);
+      [0x8000, 0x8001, 0x8002, 0x8003].forEach((a) => nes.cpu.write(a, 1));
+      nes.cpu.write(0x8008, 2);
+      assert.equal(nes.cpu.mem[0x8000], 36);
+      assert.equal(nes.cpu.mem[0xc000], 62);
+
+      nes.cpu.write(0x6000, 0x42);
+      assert.equal(nes.cpu.mem[0x6000], 0);
+      nes.cpu.write(0x800d, 0x20);
+      nes.cpu.write(0x6000, 0x42);
+      assert.equal(nes.cpu.load(0x6000), 0x42);
+      assert.equal(nes.mmap.getBatteryRam()[0], 0x42);
+    });
+
+    it("saves and restores its registers and EEPROM", function () {
+      nes.cpu.write(0x800b, 0x34);
+      nes.cpu.write(0x800a, 1);
+      nes.mmap.eeprom.data[3] = 0x56;
+      const state = nes.saveState();
+      nes.loadROM(makeROM(16, 16, 32, 0, 5));
+      nes.loadState(state);
+      assert.isTrue(nes.mmap.irqEnabled);
+      assert.equal(nes.mmap.irqCounter, 0x34);
+      assert.equal(nes.mmap.eeprom.data[3], 0x56);
+    });
+  });
+  describe("RAMBO-1", function () {
+    let nes;
+    beforeEach(function () {
+      nes = new NES();
+      nes.loadROM(makeROM(64, 8, 32));
+    });
+
+    function writeReg(reg, value) {
+      nes.cpu.write(0x8000, reg);
+      nes.cpu.write(0x8001, value);
+    }
+
+    it("switches three 8KB PRG-ROM banks in either mode", function () {
+      writeReg(6, 3);
+      writeReg(7, 4);
+      writeReg(15, 5);
+      assert.deepEqual(
+        [0x8000, 0xa000, 0xc000, 0xe000].map((a) => nes.cpu.mem[a]),
+        [3, 4, 5, 15],
+      );
+      nes.cpu.write(0x8000, 0x40);
+      assert.deepEqual(
+        [0x8000, 0xa000, 0xc000, 0xe000].map((a) => nes.cpu.mem[a]),
+        [5, 3, 4, 15],
+      );
+    });
+
+    it("switches 2KB or 1KB CHR-ROM banks", function () {
+      writeReg(0, 0x11);
+      writeReg(8, 0x20);
+      writeReg(2, 0x30);
+      assert.equal(nes.ppu.vramMem[0x0000], 0x10);
+      assert.equal(nes.ppu.vramMem[0x0400], 0x11);
+      assert.equal(nes.ppu.vramMem[0x1000], 0x30);
+
+      // 1KB mode uses R8 for $0400:
+      nes.cpu.write(0x8000, 0x20);
+      assert.equal(nes.ppu.vramMem[0x0000], 0x11);
+      assert.equal(nes.ppu.vramMem[0x0400], 0x20);
+
+      // And inverting swaps the pattern tables:
+      nes.cpu.write(0x8000, 0xa0);
+      assert.equal(nes.ppu.vramMem[0x1000], 0x11);
+      assert.equal(nes.ppu.vramMem[0x0000], 0x30);
+    });
+
+    it("counts scanlines to a delayed IRQ", function () {
+      nes.cpu.write(0xc000, 2);
+      nes.cpu.write(0xc001, 0);
+      nes.cpu.write(0xe001, 0);
+
+      // Reloading sets the counter to one more than the latch, so that's
+      // four scanlines:
+      for (let i = 0; i < 4; i++) {
+        nes.mmap.clockIrqCounter();
+      }
+      assert.equal(nes.mmap.irqCounter, 0);
+      assert.isFalse(nes.mmap.irqPending);
+      nes.mmap.clockCpu(1);
+      assert.isFalse(nes.mmap.irqPending);
+      nes.mmap.clockCpu(1);
+      assert.isTrue(nes.mmap.irqPending);
+      assert.isTrue(nes.cpu.irqRequested);
+
+      nes.cpu.write(0xe000, 0);
+      assert.isFalse(nes.mmap.irqPending);
+      assert.isFalse(nes.mmap.irqEnabled);
+
+      // Then the counter reloads from the latch without the extra one:
+      nes.mmap.clockIrqCounter();
+      assert.equal(nes.mmap.irqCounter, 2);
+    });
+
+    it("counts CPU cycles divided by 4 in cycle mode", function () {
+      nes.cpu.write(0xc000, 2);
+      nes.cpu.write(0xc001, 1);
+      nes.cpu.write(0xe001, 0);
+      nes.mmap.clockIrqCounter();
+      assert.equal(nes.mmap.irqCounter, 0);
+
+      nes.mmap.clockCpu(15);
+      assert.isFalse(nes.mmap.irqPending);
+      nes.mmap.clockCpu(1);
+      assert.equal(nes.mmap.irqCounter, 0);
+      assert.isFalse(nes.mmap.irqPending);
+      nes.mmap.clockCpu(1);
+      assert.isTrue(nes.mmap.irqPending);
+    });
+
+    it("saves and restores its registers", function () {
+      writeReg(8, 0x1f);
+      nes.cpu.write(0x8000, 0x20);
+      nes.cpu.write(0xc000, 9);
+      const state = nes.saveState();
+      nes.loadROM(makeROM(64, 8, 32));
+      nes.loadState(state);
+      assert.isTrue(nes.mmap.chr1kMode);
+      assert.equal(nes.mmap.regs[8], 0x1f);
+      assert.equal(nes.mmap.irqLatch, 9);
+    });
+  });
+  describe("Sunsoft-3", function () {
+    let nes;
+    beforeEach(function () {
+      nes = new NES();
+      nes.loadROM(makeROM(67, 8, 16));
+    });
+
+    it("switches PRG-ROM, CHR-ROM and mirroring", function () {
+      nes.cpu.write(0xf800, 3);
+      assert.equal(nes.cpu.mem[0x8000], 6);
+      assert.equal(nes.cpu.mem[0xc000], 14);
+      nes.cpu.write(0xa800, 5);
+      assert.equal(nes.ppu.vramMem[0x1000], 10);
+      assert.equal(nes.ppu.vramMem[0x1400], 11);
+      nes.cpu.write(0xe800, 1);
+      assert.equal(nes.ppu.currentMirroring, nes.rom.HORIZONTAL_MIRRORING);
+    });
+
+    it("loads the IRQ counter high byte first and counts down cycles", function () {
+      nes.cpu.write(0xc800, 0x01);
+      nes.cpu.write(0xc800, 0x02);
+      assert.equal(nes.mmap.irqCounter, 0x0102);
+      nes.cpu.write(0xd800, 0x10);
+
+      nes.mmap.clockCpu(0x102);
+      assert.isFalse(nes.mmap.irqPending);
+      nes.mmap.clockCpu(1);
+      assert.isTrue(nes.mmap.irqPending);
+      assert.isTrue(nes.cpu.irqRequested);
+      // The counter stops when it wraps:
+      assert.isFalse(nes.mmap.irqEnabled);
+      assert.equal(nes.mmap.irqCounter, 0xffff);
+
+      nes.cpu.write(0x8000, 0);
+      assert.isFalse(nes.mmap.irqPending);
+
+      // $D800 resets which byte comes next:
+      nes.cpu.write(0xc800, 0x03);
+      nes.cpu.write(0xd800, 0);
+      nes.cpu.write(0xc800, 0x04);
+      assert.equal(nes.mmap.irqCounter >> 8, 0x04);
+    });
+  });
+
+  describe("Sunsoft-4", function () {
+    let nes;
+    beforeEach(function () {
+      nes = new NES();
+      nes.loadROM(makeROM(68, 8, 32));
+    });
+
+    it("switches PRG-ROM and CHR-ROM banks", function () {
+      nes.cpu.write(0xf000, 2);
+      assert.equal(nes.cpu.mem[0x8000], 4);
+      assert.equal(nes.cpu.mem[0xc000], 14);
+      nes.cpu.write(0x9000, 3);
+      assert.equal(nes.ppu.vramMem[0x0800], 6);
+      assert.equal(nes.ppu.vramMem[0x0c00], 7);
+    });
+
+    it("maps CHR-ROM into the nametables", function () {
+      // CIRAM, vertically mirrored:
+      ppuWrite(nes, 0x2000, 0x42);
+      assert.equal(ppuRead(nes, 0x2800), 0x42);
+      assert.equal(nes.mmap.ciram[0], 0x42);
+
+      // CHR-ROM banks $85 and $86, horizontally mirrored:
+      nes.cpu.write(0xc000, 0x05);
+      nes.cpu.write(0xd000, 0x06);
+      nes.cpu.write(0xe000, 0x11);
+      assert.equal(ppuRead(nes, 0x2000), 0x85);
+      assert.equal(ppuRead(nes, 0x2400), 0x85);
+      assert.equal(ppuRead(nes, 0x2800), 0x86);
+      // Which can't be written:
+      ppuWrite(nes, 0x2000, 0x00);
+      assert.equal(ppuRead(nes, 0x2000), 0x85);
+
+      // And back to CIRAM, single-screen B:
+      nes.cpu.write(0xe000, 0x03);
+      ppuWrite(nes, 0x2400, 0x24);
+      assert.equal(ppuRead(nes, 0x2000), 0x24);
+      assert.equal(nes.mmap.ciram[0x400], 0x24);
+    });
+
+    it("only enables PRG-RAM when asked", function () {
+      nes.cpu.write(0x6000, 0x42);
+      assert.equal(nes.cpu.mem[0x6000], 0);
+      nes.cpu.write(0xf000, 0x10);
+      nes.cpu.write(0x6000, 0x42);
+      assert.equal(nes.cpu.load(0x6000), 0x42);
+    });
+
+    it("times out external PRG-ROM with the licensing IC", function () {
+      nes.loadROM(makeROM(68, 16, 32));
+      // Internal ROM with bit 3 set:
+      nes.cpu.write(0xf000, 0x0a);
+      assert.equal(nes.cpu.load(0x8000), 4);
+
+      // External ROM is open bus until $6000 is written:
+      nes.cpu.write(0xf000, 0x02);
+      assert.equal(nes.mmap.getPrgBank(0x8000), -1);
+      nes.cpu.write(0x6000, 0);
+      assert.equal(nes.cpu.load(0x8000), 20);
+
+      nes.mmap.clockCpu(1024 * 105 - 1);
+      assert.equal(nes.cpu.load(0x8000), 20);
+      nes.mmap.clockCpu(1);
+      assert.equal(nes.mmap.getPrgBank(0x8000), -1);
+      nes.cpu.write(0x6000, 0);
+      assert.equal(nes.cpu.load(0x8000), 20);
+    });
+
+    it("saves and restores its registers and CIRAM", function () {
+      ppuWrite(nes, 0x2000, 0x42);
+      nes.cpu.write(0xc000, 0x05);
+      const state = nes.saveState();
+      nes.loadROM(makeROM(68, 8, 32));
+      nes.loadState(state);
+      assert.equal(ppuRead(nes, 0x2000), 0x42);
+      nes.cpu.write(0xe000, 0x10);
+      assert.equal(ppuRead(nes, 0x2000), 0x85);
+    });
+  });
+  describe("SS88006", function () {
+    let nes;
+    beforeEach(function () {
+      nes = new NES();
+      nes.loadROM(makeROM(18, 16, 32));
+    });
+
+    it("switches banks written a nibble at a time", function () {
+      nes.cpu.write(0x8002, 0x05);
+      nes.cpu.write(0x8003, 0x01);
+      assert.equal(nes.cpu.mem[0xa000], 0x15);
+      nes.cpu.write(0x9000, 0x07);
+      assert.equal(nes.cpu.mem[0xc000], 7);
+      assert.equal(nes.cpu.mem[0xe000], 31);
+
+      nes.cpu.write(0xd002, 0x03);
+      nes.cpu.write(0xd003, 0x02);
+      assert.equal(nes.ppu.vramMem[0x1c00], 0x23);
+      nes.cpu.write(0xa001, 0x01);
+      assert.equal(nes.ppu.vramMem[0x0000], 0x10);
+
+      nes.cpu.write(0xf002, 0);
+      assert.equal(nes.ppu.currentMirroring, nes.rom.HORIZONTAL_MIRRORING);
+      nes.cpu.write(0xf002, 1);
+      assert.equal(nes.ppu.currentMirroring, nes.rom.VERTICAL_MIRRORING);
+    });
+
+    it("enables and write-protects PRG-RAM", function () {
+      nes.cpu.write(0x9002, 0x01);
+      nes.cpu.write(0x6000, 0x42);
+      assert.equal(nes.cpu.load(0x6000), 0);
+      nes.cpu.write(0x9002, 0x03);
+      nes.cpu.write(0x6000, 0x42);
+      assert.equal(nes.cpu.load(0x6000), 0x42);
+      nes.cpu.write(0x9002, 0x00);
+      nes.cpu.write(0x8000, 0);
+      assert.equal(nes.cpu.load(0x6000), 0);
+    });
+
+    it("counts down 4, 8, 12 or 16 bits of the IRQ counter", function () {
+      [0x4, 0x3, 0x2, 0x1].forEach((v, i) => nes.cpu.write(0xe000 + i, v));
+      nes.cpu.write(0xf000, 0);
+      assert.equal(nes.mmap.irqCounter, 0x1234);
+
+      // 4 bits:
+      nes.cpu.write(0xf001, 0x09);
+      nes.mmap.clockCpu(3);
+      assert.isFalse(nes.mmap.irqPending);
+      nes.mmap.clockCpu(1);
+      assert.isTrue(nes.mmap.irqPending);
+      assert.isTrue(nes.cpu.irqRequested);
+      nes.mmap.clockCpu(1);
+      assert.equal(nes.mmap.irqCounter, 0x123f);
+
+      // 8 bits, which $F001 acknowledges:
+      nes.cpu.write(0xf001, 0x05);
+      assert.isFalse(nes.mmap.irqPending);
+      nes.mmap.clockCpu(0x3e);
+      assert.isFalse(nes.mmap.irqPending);
+      nes.mmap.clockCpu(1);
+      assert.isTrue(nes.mmap.irqPending);
+      assert.equal(nes.mmap.irqCounter, 0x1200);
+
+      // 16 bits:
+      nes.cpu.write(0xf000, 0);
+      nes.cpu.write(0xf001, 0x01);
+      nes.mmap.clockCpu(0x1233);
+      assert.isFalse(nes.mmap.irqPending);
+      nes.mmap.clockCpu(1);
+      assert.isTrue(nes.mmap.irqPending);
+    });
+
+    it("starts voice clips for the host", function () {
+      const clips = [];
+      nes = new NES({
+        onVoiceSample: (clip) => clips.push(clip),
+        voiceSamples: { 5: [0.5, 0.5, -0.5, -0.5] },
+        voiceSampleRate: 1789772.5 / 4,
+      });
+      nes.loadROM(makeROM(18, 16, 32));
+
+      nes.cpu.write(0xf003, (5 << 2) | 2);
+      assert.deepEqual(clips, []);
+      nes.cpu.write(0xf003, 5 << 2);
+      assert.deepEqual(clips, [5]);
+      assert.isAbove(nes.mmap.getAudioSample(), 0);
+      nes.mmap.clockCpu(8);
+      assert.isBelow(nes.mmap.getAudioSample(), 0);
+      nes.mmap.clockCpu(8);
+      assert.equal(nes.mmap.getAudioSample(), 0);
+
+      // Clips without samples are only reported:
+      nes.cpu.write(0xf003, (6 << 2) | 2);
+      nes.cpu.write(0xf003, 6 << 2);
+      assert.deepEqual(clips, [5, 6]);
+      assert.equal(nes.mmap.getAudioSample(), 0);
+    });
+
+    it("saves and restores its registers", function () {
+      nes.cpu.write(0x8000, 0x03);
+      nes.cpu.write(0xe001, 0x0f);
+      nes.cpu.write(0xf001, 0x03);
+      const state = nes.saveState();
+      nes.loadROM(makeROM(18, 16, 32));
+      nes.loadState(state);
+      assert.equal(nes.mmap.prgRegs[0], 3);
+      assert.equal(nes.mmap.irqReload, 0xf0);
+      assert.equal(nes.mmap.irqMask, 0x0fff);
+      assert.isTrue(nes.mmap.irqEnabled);
+    });
+  });
+  describe("Irem G-101", function () {
+    let nes;
+    beforeEach(function () {
+      nes = new NES();
+      nes.loadROM(makeROM(32, 8, 16));
+    });
+
+    it("switches PRG-ROM banks in either PRG mode", function () {
+      nes.cpu.write(0x8000, 3);
+      nes.cpu.write(0xa000, 4);
+      assert.deepEqual(
+        [0x8000, 0xa000, 0xc000, 0xe000].map((a) => nes.cpu.mem[a]),
+        [3, 4, 14, 15],
+      );
+      nes.cpu.write(0x9000, 0x02);
+      assert.deepEqual(
+        [0x8000, 0xa000, 0xc000, 0xe000].map((a) => nes.cpu.mem[a]),
+        [14, 4, 3, 15],
+      );
+    });
+
+    it("switches 1KB CHR-ROM banks and mirroring", function () {
+      nes.cpu.write(0xb005, 0x21);
+      assert.equal(nes.ppu.vramMem[0x1400], 0x21);
+      nes.cpu.write(0x9000, 0x01);
+      assert.equal(nes.ppu.currentMirroring, nes.rom.HORIZONTAL_MIRRORING);
+    });
+
+    it("hardwires single-screen mirroring for Major League", function () {
+      nes.loadROM(makeROM(32, 8, 16, 0, 1));
+      assert.equal(nes.ppu.currentMirroring, nes.rom.SINGLESCREEN_MIRRORING);
+      nes.cpu.write(0x8000, 3);
+      nes.cpu.write(0x9000, 0x03);
+      assert.equal(nes.ppu.currentMirroring, nes.rom.SINGLESCREEN_MIRRORING);
+      assert.equal(nes.cpu.mem[0x8000], 3);
+    });
+  });
+
+  describe("Irem H-3001", function () {
+    let nes;
+    beforeEach(function () {
+      nes = new NES();
+      nes.loadROM(makeROM(65, 8, 16));
+    });
+
+    it("switches PRG-ROM, CHR-ROM and mirroring", function () {
+      nes.cpu.write(0x8000, 3);
+      nes.cpu.write(0xa000, 4);
+      nes.cpu.write(0xc000, 5);
+      assert.deepEqual(
+        [0x8000, 0xa000, 0xc000, 0xe000].map((a) => nes.cpu.mem[a]),
+        [3, 4, 5, 15],
+      );
+      nes.cpu.write(0xb007, 0x33);
+      assert.equal(nes.ppu.vramMem[0x1c00], 0x33);
+      nes.cpu.write(0x9001, 0x80);
+      assert.equal(nes.ppu.currentMirroring, nes.rom.HORIZONTAL_MIRRORING);
+    });
+
+    it("counts down CPU cycles to an IRQ and stops", function () {
+      nes.cpu.write(0x9005, 0x01);
+      nes.cpu.write(0x9006, 0x00);
+      nes.cpu.write(0x9004, 0);
+      nes.cpu.write(0x9003, 0x80);
+      assert.equal(nes.mmap.irqCounter, 0x100);
+
+      nes.mmap.clockCpu(0xff);
+      assert.isFalse(nes.mmap.irqPending);
+      nes.mmap.clockCpu(10);
+      assert.isTrue(nes.mmap.irqPending);
+      assert.isTrue(nes.cpu.irqRequested);
+      assert.equal(nes.mmap.irqCounter, 0);
+      assert.isFalse(nes.mmap.irqEnabled);
+
+      nes.cpu.write(0x9004, 0);
+      assert.isFalse(nes.mmap.irqPending);
+      assert.equal(nes.mmap.irqCounter, 0x100);
+    });
+  });
+
+  describe("Irem 74HC161/32", function () {
+    let nes;
+    beforeEach(function () {
+      nes = new NES();
+    });
+
+    it("switches PRG-ROM and CHR-ROM banks", function () {
+      nes.loadROM(makeROM(78, 8, 16, 0, 1));
+      assert.equal(nes.cpu.mem[0xc000], 14);
+      nes.cpu.write(0x8000, 0x53);
+      assert.equal(nes.cpu.mem[0x8000], 6);
+      assert.equal(nes.ppu.vramMem[0x0000], 40);
+      assert.equal(nes.ppu.vramMem[0x1c00], 47);
+    });
+
+    it("switches single-screen mirroring on Cosmo Carrier", function () {
+      nes.loadROM(makeROM(78, 8, 16, 0, 1));
+      nes.cpu.write(0x8000, 0x08);
+      assert.equal(nes.ppu.currentMirroring, nes.rom.SINGLESCREEN_MIRRORING2);
+      nes.cpu.write(0x8000, 0x00);
+      assert.equal(nes.ppu.currentMirroring, nes.rom.SINGLESCREEN_MIRRORING);
+    });
+
+    it("switches horizontal and vertical mirroring on Holy Diver", function () {
+      nes.loadROM(makeROM(78, 8, 16, 0, 3));
+      nes.cpu.write(0x8000, 0x08);
+      assert.equal(nes.ppu.currentMirroring, nes.rom.VERTICAL_MIRRORING);
+      nes.cpu.write(0x8000, 0x00);
+      assert.equal(nes.ppu.currentMirroring, nes.rom.HORIZONTAL_MIRRORING);
+
+      // iNES 1.0 images set the four-screen flag:
+      nes.loadROM(makeROM(78, 8, 16, 0x08));
+      assert.equal(nes.ppu.currentMirroring, nes.rom.HORIZONTAL_MIRRORING);
+      nes.cpu.write(0x8000, 0x08);
+      assert.equal(nes.ppu.currentMirroring, nes.rom.VERTICAL_MIRRORING);
+    });
+  });
+  describe("Taito TC0190 and TC0690", function () {
+    let nes;
+    beforeEach(function () {
+      nes = new NES();
+      nes.loadROM(makeROM(33, 8, 16));
+    });
+
+    it("switches banks and mirroring on the TC0190", function () {
+      nes.cpu.write(0x8000, 0x43);
+      nes.cpu.write(0x8001, 0x04);
+      assert.deepEqual(
+        [0x8000, 0xa000, 0xc000, 0xe000].map((a) => nes.cpu.mem[a]),
+        [3, 4, 14, 15],
+      );
+      assert.equal(nes.ppu.currentMirroring, nes.rom.HORIZONTAL_MIRRORING);
+
+      nes.cpu.write(0x8003, 0x05);
+      assert.equal(nes.ppu.vramMem[0x0800], 10);
+      assert.equal(nes.ppu.vramMem[0x0c00], 11);
+      nes.cpu.write(0xa002, 0x21);
+      assert.equal(nes.ppu.vramMem[0x1800], 0x21);
+    });
+
+    it("raises delayed scanline IRQs on the TC0690", function () {
+      nes.loadROM(makeROM(48, 8, 16));
+      nes.cpu.write(0xe000, 0x40);
+      assert.equal(nes.ppu.currentMirroring, nes.rom.HORIZONTAL_MIRRORING);
+      // The PRG-ROM register has no mirroring bit:
+      nes.cpu.write(0x8000, 0x03);
+      assert.equal(nes.ppu.currentMirroring, nes.rom.HORIZONTAL_MIRRORING);
+
+      // The latch is written inverted:
+      nes.cpu.write(0xc000, 0xfd);
+      assert.equal(nes.mmap.irqLatch, 2);
+      nes.cpu.write(0xc001, 0);
+      nes.cpu.write(0xc002, 0);
+      for (let i = 0; i < 3; i++) {
+        nes.mmap.clockIrqCounter();
+      }
+      assert.equal(nes.mmap.irqCounter, 0);
+      nes.mmap.clockCpu(3);
+      assert.isFalse(nes.mmap.irqPending);
+      nes.mmap.clockCpu(1);
+      assert.isTrue(nes.mmap.irqPending);
+      assert.isTrue(nes.cpu.irqRequested);
+
+      nes.cpu.write(0xc003, 0);
+      assert.isFalse(nes.mmap.irqPending);
+      assert.isFalse(nes.mmap.irqEnabled);
+    });
+  });
+
+  describe("Taito X1-005", function () {
+    let nes;
+    beforeEach(function () {
+      nes = new NES();
+      nes.loadROM(makeROM(80, 8, 16, 0x02));
+    });
+
+    it("switches banks and mirroring", function () {
+      nes.cpu.write(0x7efa, 3);
+      nes.cpu.write(0x7efc, 4);
+      nes.cpu.write(0x7eff, 5);
+      assert.deepEqual(
+        [0x8000, 0xa000, 0xc000, 0xe000].map((a) => nes.cpu.mem[a]),
+        [3, 4, 5, 15],
+      );
+      nes.cpu.write(0x7ef1, 0x0a);
+      assert.equal(nes.ppu.vramMem[0x0800], 10);
+      assert.equal(nes.ppu.vramMem[0x0c00], 11);
+      nes.cpu.write(0x7ef5, 0x21);
+      assert.equal(nes.ppu.vramMem[0x1c00], 0x21);
+      nes.cpu.write(0x7ef6, 1);
+      assert.equal(nes.ppu.currentMirroring, nes.rom.VERTICAL_MIRRORING);
+      nes.cpu.write(0x7ef6, 0);
+      assert.equal(nes.ppu.currentMirroring, nes.rom.HORIZONTAL_MIRRORING);
+    });
+
+    it("protects its internal RAM and saves it with the battery", function () {
+      nes.cpu.write(0x7f05, 0x42);
+      assert.equal(nes.mmap.ram[5], 0);
+      nes.cpu.write(0x7ef8, 0xa3);
+      nes.cpu.write(0x7f85, 0x42);
+      assert.equal(nes.cpu.load(0x7f05), 0x42);
+      assert.isTrue(nes.batteryRamDirty);
+
+      const data = nes.mmap.getBatteryRam();
+      assert.equal(data.length, 128);
+      assert.equal(data[5], 0x42);
+      nes.reset();
+      assert.equal(nes.mmap.ram[5], 0x42);
+    });
+
+    it("selects CIRAM pages with the CHR registers on mapper 207", function () {
+      nes.loadROM(makeROM(207, 8, 16));
+      nes.cpu.write(0x7ef0, 0x80);
+      nes.cpu.write(0x7ef1, 0x00);
+      ppuWrite(nes, 0x2000, 0x11);
+      ppuWrite(nes, 0x2800, 0x22);
+      assert.equal(ppuRead(nes, 0x2400), 0x11);
+      assert.equal(ppuRead(nes, 0x2c00), 0x22);
+      assert.equal(nes.mmap.ciram[0x400], 0x11);
+      assert.equal(nes.mmap.ciram[0], 0x22);
+    });
+  });
+
+  describe("Taito X1-017", function () {
+    let nes;
+    beforeEach(function () {
+      nes = new NES();
+      nes.loadROM(makeROM(82, 8, 16, 0x02));
+    });
+
+    it("switches banks, mirroring and pattern tables", function () {
+      nes.cpu.write(0x7efa, 3 << 2);
+      nes.cpu.write(0x7efb, 4 << 2);
+      nes.cpu.write(0x7efc, 5 << 2);
+      assert.deepEqual(
+        [0x8000, 0xa000, 0xc000, 0xe000].map((a) => nes.cpu.mem[a]),
+        [3, 4, 5, 15],
+      );
+
+      nes.cpu.write(0x7ef0, 0x0a);
+      nes.cpu.write(0x7ef2, 0x21);
+      assert.equal(nes.ppu.vramMem[0x0000], 10);
+      assert.equal(nes.ppu.vramMem[0x0400], 11);
+      assert.equal(nes.ppu.vramMem[0x1000], 0x21);
+      nes.cpu.write(0x7ef6, 0x03);
+      assert.equal(nes.ppu.vramMem[0x1000], 10);
+      assert.equal(nes.ppu.vramMem[0x0000], 0x21);
+      assert.equal(nes.ppu.currentMirroring, nes.rom.VERTICAL_MIRRORING);
+    });
+
+    it("enables each page of PRG-RAM with its own value", function () {
+      nes.cpu.write(0x7ef7, 0xca);
+      nes.cpu.write(0x6000, 0x11);
+      nes.cpu.write(0x6800, 0x22);
+      assert.equal(nes.cpu.load(0x6000), 0x11);
+      assert.equal(nes.cpu.mem[0x6800], 0);
+      nes.cpu.write(0x7ef8, 0x69);
+      nes.cpu.write(0x7ef9, 0x84);
+      nes.cpu.write(0x6800, 0x22);
+      nes.cpu.write(0x7000, 0x33);
+      nes.cpu.write(0x7400, 0x44);
+      assert.equal(nes.cpu.load(0x6800), 0x22);
+      assert.equal(nes.cpu.load(0x7000), 0x33);
+      assert.equal(nes.cpu.mem[0x7400], 0);
+
+      const data = nes.mmap.getBatteryRam();
+      assert.equal(data.length, 0x1400);
+      assert.equal(data[0x1000], 0x33);
+    });
+  });
+  describe("Namco 108", function () {
+    let nes;
+    beforeEach(function () {
+      nes = new NES();
+      nes.loadROM(makeROM(206, 8, 8));
+    });
+
+    function writeReg(reg, value) {
+      nes.cpu.write(0x8000, reg);
+      nes.cpu.write(0x8001, value);
+    }
+
+    it("switches banks like an MMC3 without modes", function () {
+      writeReg(6, 3);
+      writeReg(7, 4);
+      assert.deepEqual(
+        [0x8000, 0xa000, 0xc000, 0xe000].map((a) => nes.cpu.mem[a]),
+        [3, 4, 14, 15],
+      );
+      writeReg(1, 0x0b);
+      assert.equal(nes.ppu.vramMem[0x0800], 10);
+      assert.equal(nes.ppu.vramMem[0x0c00], 11);
+      writeReg(5, 0x21);
+      assert.equal(nes.ppu.vramMem[0x1c00], 0x21);
+
+      // The MMC3's PRG and CHR modes are ignored:
+      nes.cpu.write(0x8000, 0xc6);
+      nes.cpu.write(0x8001, 5);
+      assert.equal(nes.cpu.mem[0x8000], 5);
+      assert.equal(nes.cpu.mem[0xc000], 14);
+      assert.equal(nes.ppu.vramMem[0x1c00], 0x21);
+
+      // And so are its other registers:
+      nes.cpu.write(0xa000, 1);
+      nes.cpu.write(0xe001, 0);
+      assert.equal(nes.ppu.currentMirroring, nes.rom.HORIZONTAL_MIRRORING);
+      assert.equal(nes.mmap.irqEnable, 0);
+    });
+
+    it("puts the 1KB banks in the second 64KB of CHR on mapper 88", function () {
+      nes.loadROM(makeROM(88, 8, 16));
+      writeReg(0, 0x04);
+      writeReg(2, 0x05);
+      assert.equal(nes.ppu.vramMem[0x0000], 0x04);
+      assert.equal(nes.ppu.vramMem[0x1000], 0x45);
+    });
+
+    it("selects single-screen mirroring on mapper 154", function () {
+      nes.loadROM(makeROM(154, 8, 16));
+      assert.equal(nes.ppu.currentMirroring, nes.rom.SINGLESCREEN_MIRRORING);
+      nes.cpu.write(0xc000, 0x40);
+      assert.equal(nes.ppu.currentMirroring, nes.rom.SINGLESCREEN_MIRRORING2);
+      writeReg(3, 0x02);
+      assert.equal(nes.ppu.currentMirroring, nes.rom.SINGLESCREEN_MIRRORING);
+      assert.equal(nes.ppu.vramMem[0x1400], 0x42);
+    });
+
+    it("selects CIRAM pages with the CHR registers on mapper 95", function () {
+      nes.loadROM(makeROM(95, 8, 4));
+      writeReg(0, 0x22);
+      writeReg(1, 0x02);
+      assert.equal(nes.ppu.vramMem[0x0000], 0x02);
+      ppuWrite(nes, 0x2000, 0x11);
+      ppuWrite(nes, 0x2800, 0x22);
+      assert.equal(ppuRead(nes, 0x2400), 0x11);
+      assert.equal(ppuRead(nes, 0x2c00), 0x22);
+      assert.equal(nes.mmap.ciram[0x400], 0x11);
+      assert.equal(nes.mmap.ciram[0], 0x22);
+
+      const state = nes.saveState();
+      nes.loadROM(makeROM(95, 8, 4));
+      nes.loadState(state);
+      assert.equal(ppuRead(nes, 0x2000), 0x11);
+    });
+  });
+
+  describe("MMC3 variants", function () {
+    let nes;
+    beforeEach(function () {
+      nes = new NES();
+    });
+
+    function writeReg(reg, value) {
+      nes.cpu.write(0x8000, reg);
+      nes.cpu.write(0x8001, value);
+    }
+
+    it("selects CIRAM pages with bit 7 of the CHR banks on TxSROM", function () {
+      nes.loadROM(makeROM(118, 8, 16));
+      writeReg(0, 0x84);
+      writeReg(1, 0x06);
+      assert.equal(nes.ppu.vramMem[0x0000], 0x04);
+      ppuWrite(nes, 0x2000, 0x11);
+      ppuWrite(nes, 0x2800, 0x22);
+      assert.equal(ppuRead(nes, 0x2400), 0x11);
+      assert.equal(ppuRead(nes, 0x2c00), 0x22);
+      assert.equal(nes.mmap.ciram[0x400], 0x11);
+      assert.equal(nes.mmap.ciram[0], 0x22);
+
+      // The mirroring register is ignored:
+      nes.cpu.write(0xa000, 1);
+      assert.equal(ppuRead(nes, 0x2400), 0x11);
+
+      // Inverted, the 1KB banks select a page for each nametable:
+      for (let i = 0; i < 4; i++) {
+        writeReg(0x82 + i, i === 1 ? 0x80 : 0);
+      }
+      assert.equal(ppuRead(nes, 0x2000), 0x22);
+      assert.equal(ppuRead(nes, 0x2400), 0x11);
+      assert.equal(ppuRead(nes, 0x2800), 0x22);
+
+      const state = nes.saveState();
+      nes.loadROM(makeROM(118, 8, 16));
+      nes.loadState(state);
+      assert.equal(ppuRead(nes, 0x2400), 0x11);
+    });
+
+    it("selects CHR-RAM with bit 6 of the CHR banks on TQROM", function () {
+      nes.loadROM(makeROM(119, 8, 8));
+      writeReg(2, 0x41);
+      writeReg(3, 0x05);
+      ppuWrite(nes, 0x1000, 0x33);
+      ppuWrite(nes, 0x1400, 0x44);
+      assert.equal(ppuRead(nes, 0x1000), 0x33);
+      assert.equal(nes.mmap.chrRam[0x400], 0x33);
+      assert.equal(ppuRead(nes, 0x1400), 0x05);
+
+      // The same RAM can show in more than one window:
+      writeReg(0, 0x40);
+      assert.equal(ppuRead(nes, 0x0400), 0x33);
+
+      const state = nes.saveState();
+      nes.loadROM(makeROM(119, 8, 8));
+      nes.loadState(state);
+      assert.equal(ppuRead(nes, 0x1000), 0x33);
+      assert.equal(ppuRead(nes, 0x1400), 0x05);
+    });
+
+    it("protects each half of the MMC6's PRG-RAM", function () {
+      nes.loadROM(makeROM(4, 8, 8, 0x02, 1));
+      // Disabled, the RAM leaves the bus open and ignores $A001:
+      nes.cpu.write(0xa001, 0xf0);
+      nes.cpu.write(0x7000, 0x12);
+      assert.equal(nes.mmap.mmc6Ram[0], 0);
+
+      nes.cpu.write(0x8000, 0x20);
+      nes.cpu.write(0xa001, 0xf0);
+      nes.cpu.write(0x7000, 0x12);
+      nes.cpu.write(0x7e00, 0x34);
+      assert.equal(nes.mmap.load(0x7400), 0x12);
+      assert.equal(nes.mmap.load(0x7200), 0x34);
+
+      // Write-protected, and then unreadable halves:
+      nes.cpu.write(0xa001, 0xa0);
+      nes.cpu.write(0x7000, 0x56);
+      assert.equal(nes.mmap.load(0x7000), 0x12);
+      nes.cpu.write(0xa001, 0x30);
+      nes.cpu.write(0x7000, 0x56);
+      assert.equal(nes.mmap.load(0x7000), 0x56);
+      assert.equal(nes.mmap.load(0x7200), 0);
+
+      assert.deepEqual(
+        Array.from(nes.getBatteryRam().subarray(0, 2)),
+        [0x56, 0],
+      );
+      assert.equal(nes.getBatteryRam().length, 0x400);
+    });
+
+    it("leaves a plain MMC3's PRG-RAM alone", function () {
+      nes.loadROM(makeROM(4, 8, 8));
+      nes.cpu.write(0x6000, 0x12);
+      assert.equal(nes.mmap.load(0x6000), 0x12);
+    });
+  });
 });
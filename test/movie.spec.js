@@ -0,0 +1,241 @@
+import { assert } from "chai";
+import crypto from "crypto";
+import fs from "fs";
+import Controller from "../src/controller.js";
+import Movie from "../src/movie.js";
+import NES from "../src/nes.js";
+import sinon from "sinon";
+
+describe("Movie", function() {
+  const FM2 = [
+    "version 3",
+    "emuVersion 22020",
+    "rerecordCount 12",
+    "palFlag 0",
+    "romFilename lj65",
+    "guid 452DE2C3-EF43-2FA9-77AC-0677FC51543B",
+    "fourscore 0",
+    "port0 1",
+    "port1 1",
+    "port2 0",
+    "comment author Someone",
+    "|0|........|........||",
+    "|1|R......A|........||",
+    "|2|....T...|.L...SB.||",
+    "",
+  ].join("\n");
+
+  describe(".fromFM2()", function() {
+    it("parses the header and input", function() {
+      let movie = Movie.fromFM2(FM2);
+      assert.equal(movie.rerecordCount, 12);
+      assert.equal(movie.header.romFilename, "lj65");
+      assert.equal(movie.header.emuVersion, "22020");
+      assert.deepEqual(movie.comments, ["comment author Someone"]);
+      assert.isNull(movie.startState);
+      assert.deepEqual(movie.frames, [
+        0,
+        (NES.COMMAND_RESET << 16) |
+          (1 << Controller.BUTTON_RIGHT) |
+          (1 << Controller.BUTTON_A),
+        (NES.COMMAND_POWER << 16) |
+          (1 << Controller.BUTTON_START) |
+          ((1 << Controller.BUTTON_LEFT) << 8) |
+          ((1 << Controller.BUTTON_SELECT) << 8) |
+          ((1 << Controller.BUTTON_B) << 8),
+      ]);
+    });
+
+    it("survives a round trip through toFM2()", function() {
+      let movie = Movie.fromFM2(FM2);
+      movie.startState = new Uint8Array([1, 2, 3, 4, 250]);
+      let copy = Movie.fromFM2(movie.toFM2());
+      assert.deepEqual(copy, movie);
+      assert.include(movie.toFM2(), "|2|....T...|.L...SB.||\n");
+    });
+
+    it("ignores the input of unconnected ports", function() {
+      let movie = Movie.fromFM2("port1 0\n|0|.......A|||\n");
+      assert.deepEqual(movie.frames, [1 << Controller.BUTTON_A]);
+    });
+
+    it("keeps the devices in its ports", function() {
+      let fm2 = Movie.fromFM2("port1 0\n|0|.......A|||\n").toFM2();
+      assert.include(fm2, "port0 1\nport1 0\n");
+      assert.include(fm2, "|0|.......A|||\n");
+    });
+
+    it("rejects devices other than standard controllers", function() {
+      assert.throws(function() {
+        Movie.fromFM2("port0 2\n");
+      }, /port0 device 2 is not supported/);
+      assert.throws(function() {
+        Movie.fromFM2("fourscore 1\n");
+      }, /Four Score/);
+    });
+  });
+
+  describe("recording and playback", function() {
+    function run(nes, count, script) {
+      for (let i = 0; i < count; i++) {
+        if (script) {
+          script(i);
+        }
+        nes.frame();
+      }
+    }
+
+    function script(i) {
+      if (i === 40) {
+        nes.buttonDown(1, Controller.BUTTON_START);
+      } else if (i === 45) {
+        nes.buttonUp(1, Controller.BUTTON_START);
+      } else if (i === 80) {
+        nes.softReset();
+      }
+    }
+
+    let nes;
+    beforeEach(function() {
+      nes = new NES();
+      nes.loadROM(fs.readFileSync("roms/lj65/lj65.nes"));
+    });
+
+    it("plays back a recording from power-on identically", function() {
+      run(nes, 10);
+      let movie = nes.recordMovie();
+      assert.equal(nes.frameCount, 0);
+      run(nes, 120, script);
+      let expectedMem = nes.cpu.mem.slice();
+      let expectedPicture = nes.ppu.buffer.slice();
+      assert.strictEqual(nes.stopMovie(), movie);
+      assert.lengthOf(movie.frames, 120);
+      assert.equal(movie.frames[80] >>> 16, NES.COMMAND_RESET);
+
+      nes.playMovie(Movie.fromFM2(movie.toFM2()));
+      while (nes.isMoviePlaying()) {
+        nes.frame();
+      }
+      assert.equal(nes.frameCount, 120);
+      assert.deepEqual(nes.cpu.mem, expectedMem);
+      assert.deepEqual(nes.ppu.buffer, expectedPicture);
+    });
+
+    it("plays back a recording from a save state identically", function() {
+      run(nes, 30);
+      let movie = nes.recordMovie({ fromSaveState: true });
+      run(nes, 60, function(i) {
+        script(i + 30);
+      });
+      let expectedMem = nes.cpu.mem.slice();
+      nes.stopMovie();
+
+      run(nes, 10);
+      nes.playMovie(Movie.fromFM2(movie.toFM2()));
+      assert.equal(nes.frameCount, 30);
+      while (nes.isMoviePlaying()) {
+        nes.frame();
+      }
+      assert.deepEqual(nes.cpu.mem, expectedMem);
+    });
+
+    it("verifies recorded state hashes during playback", function() {
+      let movie = nes.recordMovie({ hashes: true });
+      run(nes, 60, script);
+      nes.stopMovie();
+      assert.lengthOf(movie.hashes, 60);
+      assert.deepEqual(movie.hashes[59], nes.getStateHash());
+
+      nes.playMovie(Movie.fromFM2(movie.toFM2()));
+      while (nes.isMoviePlaying()) {
+        nes.frame();
+      }
+      assert.isNull(nes.getMovieDesync());
+    });
+
+    it("reports the first frame and component that desynced", function() {
+      let onMovieDesync = sinon.spy();
+      nes = new NES({ onMovieDesync: onMovieDesync });
+      nes.loadROM(fs.readFileSync("roms/lj65/lj65.nes"));
+      let movie = nes.recordMovie({ hashes: true });
+      run(nes, 60, script);
+      nes.stopMovie();
+
+      movie.hashes[20].ppu ^= 1;
+      movie.hashes[30].cpu ^= 1;
+      nes.playMovie(movie);
+      while (nes.isMoviePlaying()) {
+        nes.frame();
+      }
+      assert.deepEqual(nes.getMovieDesync(), { frame: 20, components: ["ppu"] });
+      assert.isTrue(onMovieDesync.calledOnce);
+
+      // Changed input shows up as a CPU desync on the frame it's read:
+      movie.hashes[20].ppu ^= 1;
+      movie.hashes[30].cpu ^= 1;
+      movie.frames[10] |= 1 << Controller.BUTTON_START;
+      nes.playMovie(movie);
+      while (nes.isMoviePlaying()) {
+        nes.frame();
+      }
+      assert.equal(nes.getMovieDesync().frame, 10);
+      assert.include(nes.getMovieDesync().components, "cpu");
+    });
+
+    it("fills in the FM2 header", function() {
+      let movie = nes.recordMovie({ romFilename: "lj65" });
+      let fm2 = movie.toFM2();
+      let md5 = crypto
+        .createHash("md5")
+        .update(fs.readFileSync("roms/lj65/lj65.nes").subarray(16))
+        .digest("base64");
+      assert.match(fm2, /^version 3\n/);
+      assert.match(fm2, /\nemuVersion \d+\n/);
+      assert.include(fm2, "\npalFlag 0\n");
+      assert.include(fm2, "\nromFilename lj65\n");
+      assert.include(fm2, `\nromChecksum base64:${md5}\n`);
+      assert.match(fm2, /\nguid [0-9A-F]{8}(-[0-9A-F]{4}){3}-[0-9A-F]{12}\n/);
+      assert.deepEqual(Movie.fromFM2(fm2).header, movie.header);
+    });
+
+    it("keeps the cartridge's save RAM out of movies", function() {
+      // A mapper 0 cartridge with battery-backed PRG-RAM that loops forever:
+      let rom = new Uint8Array(16 + 0x4000 + 0x2000);
+      rom.set([0x4e, 0x45, 0x53, 0x1a, 1, 1, 0x02]);
+      rom.set([0x4c, 0x00, 0x80], 16); // JMP $8000
+      rom.set([0x00, 0x80, 0x00, 0x80, 0x00, 0x80], 16 + 0x3ffa);
+      let save = new Uint8Array(0x2000).fill(7);
+      let onBatteryRamDirty = sinon.spy();
+      nes = new NES({ onBatteryRamDirty, batteryRamDirtyDelay: 1 });
+      nes.loadROM(rom, { batteryRam: save });
+
+      nes.recordMovie();
+      assert.notEqual(nes.getBatteryRam()[0], 7);
+      nes.cpu.write(0x6000, 1);
+      run(nes, 5);
+      assert.isFalse(onBatteryRamDirty.called);
+
+      nes.stopMovie();
+      assert.deepEqual(nes.getBatteryRam(), save);
+      run(nes, 5);
+      assert.isFalse(onBatteryRamDirty.called);
+      nes.cpu.write(0x6000, 1);
+      run(nes, 5);
+      assert.isTrue(onBatteryRamDirty.called);
+    });
+
+    it("rerecords from a loaded state", function() {
+      let movie = nes.recordMovie();
+      run(nes, 20);
+      let state = nes.saveState();
+      run(nes, 20);
+      assert.lengthOf(movie.frames, 40);
+
+      nes.loadState(state);
+      assert.lengthOf(movie.frames, 20);
+      assert.equal(movie.rerecordCount, 1);
+      run(nes, 5);
+      assert.lengthOf(movie.frames, 25);
+    });
+  });
+});
@@ -1,5 +1,6 @@
 import { assert } from "chai";
 import fs from "fs";
+import Controller from "../src/controller.js";
 import NES from "../src/nes.js";
 import sinon from "sinon";
 
@@ -48,6 +49,45 @@ describe("NES", function() {
         nes.loadROM("foo");
       }, "Not a valid NES ROM.");
     });
+
+    it("accepts Buffer, Uint8Array and ArrayBuffer input", function() {
+      let data = fs.readFileSync("roms/croom/croom.nes");
+      let bytes = new Uint8Array(data);
+      let inputs = [data, bytes, bytes.buffer, data.toString("binary")];
+      let frames = inputs.map(function(input) {
+        let onFrame = sinon.spy();
+        let nes = new NES({ onFrame: onFrame });
+        nes.loadROM(input);
+        for (let i = 0; i < 4; i++) {
+          nes.frame();
+        }
+        return onFrame.lastCall.args[0].slice();
+      });
+      for (let i = 1; i < frames.length; i++) {
+        assert.deepEqual(frames[i], frames[0]);
+      }
+    });
+
+    it("stores romData as bytes that reloadROM() can reuse", function() {
+      let nes = new NES();
+      nes.loadROM(fs.readFileSync("roms/croom/croom.nes", "binary"));
+      assert.instanceOf(nes.romData, Uint8Array);
+      let romData = nes.romData;
+      nes.frame();
+      nes.reloadROM();
+      assert.strictEqual(nes.romData, romData);
+      assert.equal(nes.cpu.REG_PC, 0x8000 - 1);
+    });
+
+    it("keeps its own copy of the ROM", function() {
+      let data = fs.readFileSync("roms/croom/croom.nes");
+      let nes = new NES();
+      nes.loadROM(data);
+      let expected = nes.cpu.mem.slice(0x8000);
+      data.fill(0, 16);
+      nes.reloadROM();
+      assert.deepEqual(nes.cpu.mem.slice(0x8000), expected);
+    });
   });
 
   describe("#frame() with invalid opcode", function() {
@@ -110,6 +150,339 @@ describe("NES", function() {
     });
   });
 
+  describe("battery RAM", function() {
+    // Minimal mapper 0 ROM with a battery that stores 0x42 at $6000 and
+    // then spins forever.
+    function makeBatteryROM() {
+      let rom = new Uint8Array(16 + 16384);
+      rom.set([0x4e, 0x45, 0x53, 0x1a, 0x01, 0x00, 0x02, 0x00]);
+      let prg = rom.subarray(16);
+      // LDA #$42; STA $6000; JMP $C005
+      prg.set([0xa9, 0x42, 0x8d, 0x00, 0x60, 0x4c, 0x05, 0xc0]);
+      prg[0x3ffc] = 0x00;
+      prg[0x3ffd] = 0xc0;
+      return rom;
+    }
+
+    it("exports save RAM written by the game", function() {
+      let nes = new NES();
+      nes.loadROM(makeBatteryROM());
+      nes.frame();
+      let ram = nes.getBatteryRam();
+      assert.lengthOf(ram, 0x2000);
+      assert.equal(ram[0], 0x42);
+    });
+
+    it("returns null for carts without a battery", function() {
+      let nes = new NES();
+      nes.loadROM(fs.readFileSync("roms/croom/croom.nes"));
+      assert.isNull(nes.getBatteryRam());
+    });
+
+    it("restores save RAM passed to loadROM() or setBatteryRam()", function() {
+      let saved = new Uint8Array(0x2000);
+      saved[1] = 0x99;
+      let nes = new NES();
+      nes.loadROM(makeBatteryROM(), { batteryRam: saved });
+      assert.equal(nes.cpu.mem[0x6001], 0x99);
+
+      saved[2] = 0x77;
+      nes.setBatteryRam(saved.buffer);
+      assert.equal(nes.cpu.mem[0x6002], 0x77);
+    });
+
+    it("keeps save RAM across reloadROM()", function() {
+      let nes = new NES();
+      nes.loadROM(makeBatteryROM());
+      nes.frame();
+      nes.reloadROM();
+      assert.equal(nes.getBatteryRam()[0], 0x42);
+    });
+
+    it("keeps save RAM across softReset() and restarts the program", function() {
+      let nes = new NES();
+      nes.loadROM(makeBatteryROM());
+      nes.frame();
+      nes.cpu.mem[0x6000] = 0;
+      nes.frame();
+      assert.equal(nes.cpu.mem[0x6000], 0);
+      nes.softReset();
+      nes.frame();
+      assert.equal(nes.cpu.mem[0x6000], 0x42);
+    });
+
+    it("calls onBatteryRamDirty once writes have settled", function() {
+      let onBatteryRamDirty = sinon.spy();
+      let nes = new NES({
+        onBatteryRamDirty: onBatteryRamDirty,
+        batteryRamDirtyDelay: 3,
+      });
+      nes.loadROM(makeBatteryROM());
+      nes.frame();
+      nes.frame();
+      nes.frame();
+      assert.isFalse(onBatteryRamDirty.called);
+      nes.frame();
+      assert.isTrue(onBatteryRamDirty.calledOnce);
+      assert.equal(onBatteryRamDirty.args[0][0][0], 0x42);
+      for (let i = 0; i < 10; i++) {
+        nes.frame();
+      }
+      assert.isTrue(onBatteryRamDirty.calledOnce);
+    });
+  });
+
+  describe("#saveState()", function() {
+    function runFrames(nes, onFrame, count) {
+      for (let i = 0; i < count; i++) {
+        nes.frame();
+      }
+      return onFrame.lastCall.args[0].slice();
+    }
+
+    it("restores a state that replays identically", function() {
+      let onFrame = sinon.spy();
+      let nes = new NES({ onFrame: onFrame });
+      nes.loadROM(fs.readFileSync("roms/lj65/lj65.nes"));
+      runFrames(nes, onFrame, 60);
+      let state = nes.saveState();
+      assert.instanceOf(state, Uint8Array);
+      assert.equal(String.fromCharCode(...state.subarray(0, 4)), "JSNS");
+      let expected = runFrames(nes, onFrame, 30);
+      let expectedMem = nes.cpu.mem.slice();
+
+      nes.loadState(state);
+      assert.deepEqual(runFrames(nes, onFrame, 30), expected);
+      assert.deepEqual(nes.cpu.mem, expectedMem);
+    });
+
+    it("is much smaller than the JSON state", function() {
+      let nes = new NES();
+      nes.loadROM(fs.readFileSync("roms/croom/croom.nes"));
+      nes.frame();
+      let json = JSON.stringify(nes.toJSON());
+      assert.isBelow(nes.saveState().length, json.length / 8);
+    });
+
+    it("loads legacy toJSON() states", function() {
+      let onFrame = sinon.spy();
+      let nes = new NES({ onFrame: onFrame });
+      nes.loadROM(fs.readFileSync("roms/croom/croom.nes"));
+      runFrames(nes, onFrame, 10);
+      let json = JSON.stringify(nes.toJSON());
+      let expected = runFrames(nes, onFrame, 5);
+
+      nes.loadState(json);
+      assert.deepEqual(runFrames(nes, onFrame, 5), expected);
+    });
+
+    it("loads toJSON() states from before PRG bank tracking", function() {
+      let onFrame = sinon.spy();
+      let nes = new NES({ onFrame: onFrame });
+      nes.loadROM(fs.readFileSync("roms/croom/croom.nes"));
+      runFrames(nes, onFrame, 10);
+      let state = JSON.parse(JSON.stringify(nes.toJSON()));
+      delete state.mmap.prgBanks;
+      let expected = runFrames(nes, onFrame, 5);
+
+      nes.fromJSON(state);
+      assert.deepEqual(nes.mmap.prgBanks, [-1, -1, -1, -1]);
+      assert.deepEqual(runFrames(nes, onFrame, 5), expected);
+    });
+
+    it("loads toJSON() states from before PAL support", function() {
+      let onFrame = sinon.spy();
+      let nes = new NES({ onFrame: onFrame });
+      nes.loadROM(fs.readFileSync("roms/croom/croom.nes"));
+      runFrames(nes, onFrame, 10);
+      let state = JSON.parse(JSON.stringify(nes.toJSON()));
+      delete state.cpu.ppuDotRemainder;
+      let expected = runFrames(nes, onFrame, 5);
+
+      nes.fromJSON(state);
+      assert.strictEqual(nes.cpu.ppuDotRemainder, 0);
+      assert.deepEqual(runFrames(nes, onFrame, 5), expected);
+    });
+
+    it("rejects states from a different ROM", function() {
+      let nes = new NES();
+      nes.loadROM(fs.readFileSync("roms/croom/croom.nes"));
+      let state = nes.saveState();
+      nes.loadROM(fs.readFileSync("roms/lj65/lj65.nes"));
+      assert.throws(function() {
+        nes.loadState(state);
+      }, /different ROM/);
+    });
+
+    it("rejects data that isn't a save state", function() {
+      let nes = new NES();
+      nes.loadROM(fs.readFileSync("roms/croom/croom.nes"));
+      assert.throws(function() {
+        nes.loadState(new Uint8Array(32));
+      }, /Not a valid save state/);
+    });
+  });
+
+  describe("#rewind()", function() {
+    function record(nes, pictures, count) {
+      for (let i = 0; i < count; i++) {
+        nes.frame();
+        pictures[nes.frameCount] = nes.ppu.buffer.slice();
+      }
+    }
+
+    it("goes back to an earlier frame and replays the same inputs", function() {
+      let onFrame = sinon.spy();
+      let nes = new NES({
+        onFrame: onFrame,
+        rewindCapacity: 100,
+        rewindInterval: 3,
+      });
+      nes.loadROM(fs.readFileSync("roms/lj65/lj65.nes"));
+      let pictures = [];
+      record(nes, pictures, 40);
+      nes.buttonDown(1, Controller.BUTTON_START);
+      record(nes, pictures, 5);
+      nes.buttonUp(1, Controller.BUTTON_START);
+      record(nes, pictures, 55);
+      let expectedMem = nes.cpu.mem.slice();
+
+      assert.equal(nes.rewind(58), 58);
+      assert.equal(nes.frameCount, 42);
+      assert.deepEqual(onFrame.lastCall.args[0], pictures[42]);
+
+      record(nes, [], 58);
+      assert.deepEqual(nes.ppu.buffer, pictures[100]);
+      assert.deepEqual(nes.cpu.mem, expectedMem);
+    });
+
+    it("steps back one frame at a time until the history runs out", function() {
+      let onFrame = sinon.spy();
+      let nes = new NES({
+        onFrame: onFrame,
+        rewindCapacity: 5,
+        rewindInterval: 2,
+      });
+      nes.loadROM(fs.readFileSync("roms/croom/croom.nes"));
+      let pictures = [];
+      record(nes, pictures, 20);
+      assert.equal(nes.getRewindFrames(), 8);
+
+      for (let frame = 19; frame >= 12; frame--) {
+        onFrame.resetHistory();
+        assert.equal(nes.rewind(), 1);
+        assert.isTrue(onFrame.calledOnce);
+        assert.deepEqual(onFrame.lastCall.args[0], pictures[frame]);
+      }
+      assert.equal(nes.rewind(), 0);
+    });
+
+    it("drops old snapshots to stay within rewindMaxBytes", function() {
+      let nes = new NES({
+        rewindCapacity: 100,
+        rewindInterval: 1,
+        rewindMaxBytes: 1,
+      });
+      nes.loadROM(fs.readFileSync("roms/croom/croom.nes"));
+      for (let i = 0; i < 10; i++) {
+        nes.frame();
+      }
+      assert.equal(nes.getRewindFrames(), 0);
+      assert.equal(nes.rewind(5), 0);
+    });
+
+    it("does nothing unless enabled", function() {
+      let nes = new NES();
+      nes.loadROM(fs.readFileSync("roms/croom/croom.nes"));
+      nes.frame();
+      assert.equal(nes.rewind(), 0);
+    });
+  });
+
+  describe("regions", function() {
+    let romData = fs.readFileSync("roms/croom/croom.nes");
+
+    function scanlinesPerFrame(nes) {
+      nes.loadROM(romData);
+      nes.frame();
+      let endScanline = sinon.spy(nes.ppu, "endScanline");
+      nes.frame();
+      return endScanline.callCount;
+    }
+
+    it("runs 262 scanlines a frame on NTSC", function() {
+      let nes = new NES({ region: "ntsc" });
+      assert.equal(scanlinesPerFrame(nes), 262);
+      assert.equal(nes.getFrameRate(), 60);
+    });
+
+    it("runs 312 scanlines a frame on PAL and Dendy", function() {
+      let nes = new NES({ region: "pal" });
+      assert.equal(scanlinesPerFrame(nes), 312);
+      assert.equal(nes.getFrameRate(), 50);
+      nes = new NES({ region: "dendy" });
+      assert.equal(scanlinesPerFrame(nes), 312);
+    });
+
+    it("runs 3.2 PPU dots per CPU cycle on PAL", function() {
+      let nes = new NES({ region: "pal" });
+      nes.loadROM(romData);
+      let dots = 0;
+      for (let i = 0; i < 10; i++) {
+        dots += nes.cpu.cyclesToDots(1);
+      }
+      assert.equal(dots, 32);
+    });
+
+    it("starts VBlank later on Dendy than on PAL", function() {
+      let pal = new NES({ region: "pal" });
+      let dendy = new NES({ region: "dendy" });
+      pal.loadROM(romData);
+      dendy.loadROM(romData);
+      pal.frame();
+      dendy.frame();
+      // Frames end when VBlank starts:
+      assert.equal(pal.ppu.scanline, 262);
+      assert.equal(dendy.ppu.scanline, 0);
+    });
+
+    it("goes by the ROM header by default", function() {
+      let data = new Uint8Array(romData);
+      // NES 2.0 header with PAL timing:
+      data[7] = (data[7] & 0xf3) | 0x08;
+      data[12] = 1;
+      let nes = new NES();
+      nes.loadROM(data);
+      assert.equal(nes.region.name, "pal");
+      assert.equal(nes.getFrameRate(), 50);
+      data[12] = 3;
+      nes.loadROM(data);
+      assert.equal(nes.region.name, "dendy");
+      nes.loadROM(romData);
+      assert.equal(nes.region.name, "ntsc");
+    });
+
+    it("uses a PAL palette with red and green emphasis swapped", function() {
+      let ntsc = new NES({ region: "ntsc" });
+      let pal = new NES({ region: "pal" });
+      let ntscTable = ntsc.ppu.palTable;
+      let palTable = pal.ppu.palTable;
+      assert.notDeepEqual(palTable.emphTable[0], ntscTable.emphTable[0]);
+      assert.equal(palTable.emphTable[0][0x30], 0xffffff);
+      assert.equal(palTable.emphTable[0][0x0f], 0);
+      let emphTable = palTable.emphTable.slice();
+      palTable.makeTables(false);
+      assert.deepEqual(emphTable[1], palTable.emphTable[2]);
+      assert.deepEqual(emphTable[2], palTable.emphTable[1]);
+    });
+
+    it("throws on an unknown region", function() {
+      assert.throws(function() {
+        new NES({ region: "secam" });
+      }, "Unknown region: secam");
+    });
+  });
+
   describe("#getFPS()", function() {
     let nes = new NES();
     before(function(done) {
@@ -0,0 +1,126 @@
+import { assert } from "chai";
+import ROM from "../src/rom.js";
+
+// Builds a ROM image as a binary string from a 16-byte header, filling
+// PRG-ROM with 0xAA and CHR-ROM with 0x55 so bank boundaries are visible.
+function makeROM(header, prgSize, chrSize, extra) {
+  let s = "NES\x1a";
+  for (let i = 4; i < 16; i++) {
+    s += String.fromCharCode(header[i] || 0);
+  }
+  s += "\xaa".repeat(prgSize);
+  s += "\x55".repeat(chrSize);
+  if (extra) {
+    s += extra;
+  }
+  return s;
+}
+
+describe("ROM", function () {
+  describe("#load() with an iNES 1.0 header", function () {
+    it("parses mapper, mirroring and bank counts", function () {
+      let rom = new ROM(null);
+      let header = [];
+      header[4] = 2;
+      header[5] = 1;
+      header[6] = 0x13; // mapper 1 low nibble, vertical, battery
+      header[7] = 0x40; // mapper 4 high nibble
+      rom.load(makeROM(header, 2 * 16384, 8192));
+      assert.isFalse(rom.isNES2);
+      assert.equal(rom.mapperType, 0x41);
+      assert.equal(rom.submapper, 0);
+      assert.equal(rom.romCount, 2);
+      assert.equal(rom.vromCount, 2);
+      assert.equal(rom.getMirroringType(), rom.VERTICAL_MIRRORING);
+      assert.isTrue(rom.batteryRam);
+      assert.equal(rom.prgNvramSize, 0x2000);
+      assert.equal(rom.timing, rom.TIMING_NTSC);
+    });
+
+    it("ignores byte 7 when bytes 12-15 contain garbage", function () {
+      let rom = new ROM(null);
+      let header = [];
+      header[4] = 1;
+      header[6] = 0x10;
+      header[7] = 0x40;
+      "Dude!".split("").forEach(function (c, i) {
+        header[11 + i] = c.charCodeAt(0);
+      });
+      rom.load(makeROM(header, 16384, 0));
+      assert.equal(rom.mapperType, 1);
+    });
+  });
+
+  describe("#load() with a NES 2.0 header", function () {
+    it("parses 12-bit mapper numbers and submappers", function () {
+      let rom = new ROM(null);
+      let header = [];
+      header[4] = 1;
+      header[6] = 0x50;
+      header[7] = 0x08 | 0x40;
+      header[8] = 0x31; // submapper 3, mapper bits 8-11 = 1
+      rom.load(makeROM(header, 16384, 0));
+      assert.isTrue(rom.isNES2);
+      assert.equal(rom.mapperType, 0x145);
+      assert.equal(rom.submapper, 3);
+    });
+
+    it("parses RAM sizes, timing, console type and expansion device", function () {
+      let rom = new ROM(null);
+      let header = [];
+      header[4] = 1;
+      header[5] = 1;
+      header[7] = 0x08 | 0x01; // Vs. System
+      header[10] = 0x70; // 8KB PRG-NVRAM
+      header[11] = 0x07; // 8KB CHR-RAM
+      header[12] = 0x01; // PAL
+      header[13] = 0x21; // Vs. hardware type 2, PPU type 1
+      header[14] = 0x01;
+      header[15] = 0x08;
+      rom.load(makeROM(header, 16384, 8192, "\x01\x02\x03"));
+      assert.equal(rom.prgRamSize, 0);
+      assert.equal(rom.prgNvramSize, 8192);
+      assert.equal(rom.chrRamSize, 8192);
+      assert.equal(rom.chrNvramSize, 0);
+      assert.equal(rom.timing, rom.TIMING_PAL);
+      assert.equal(rom.consoleType, rom.CONSOLE_VS);
+      assert.equal(rom.vsPpuType, 1);
+      assert.equal(rom.vsHardwareType, 2);
+      assert.equal(rom.miscRomCount, 1);
+      assert.deepEqual(Array.from(rom.miscRom), [1, 2, 3]);
+      assert.equal(rom.defaultExpansionDevice, 8);
+    });
+
+    it("decodes exponent-multiplier ROM sizes", function () {
+      let rom = new ROM(null);
+      let header = [];
+      header[4] = (13 << 2) | 0; // 2^13 * 1 = 8KB PRG-ROM
+      header[5] = 1;
+      header[7] = 0x08;
+      header[9] = 0x0f;
+      rom.load(makeROM(header, 8192, 8192));
+      assert.equal(rom.prgRomSize, 8192);
+      assert.equal(rom.romCount, 1);
+      // The 8KB ROM is mirrored to fill the 16KB bank:
+      assert.equal(rom.rom[0][0x3fff], 0xaa);
+      assert.equal(rom.vromCount, 2);
+      assert.equal(rom.vrom[1][0], 0x55);
+    });
+  });
+
+  describe("#getMapperName()", function () {
+    it("names the mappers added for the newer boards", function () {
+      let rom = new ROM(null);
+      const mappers = [
+        9, 10, 16, 18, 19, 20, 21, 22, 23, 24, 25, 26, 32, 33, 48, 64, 65, 67,
+        68, 69, 78, 80, 82, 85, 88, 95, 118, 119, 153, 154, 159, 206, 207,
+      ];
+      for (const mapper of mappers) {
+        rom.mapperType = mapper;
+        assert.notInclude(rom.getMapperName(), "Unknown", `mapper ${mapper}`);
+      }
+      rom.mapperType = 300;
+      assert.equal(rom.getMapperName(), "Unknown Mapper, 300");
+    });
+  });
+});